@@ -1,5 +1,6 @@
 import pluginJs from "@eslint/js";
 import pluginReact from "eslint-plugin-react";
+import globals from "globals";
 
 export default [
   { files: ["**/*.{js,mjs,cjs,jsx}"] },
@@ -11,10 +12,9 @@ export default [
         ecmaFeatures: { jsx: true }
       },
       globals: {
-        document: true,
-        window: true,
-        test: true,
-        expect: true
+        ...globals.browser,
+        // CRA inlines process.env.* at build time
+        process: "readonly"
       }
     },
     rules: {
@@ -23,6 +23,12 @@ export default [
 
     }
   },
+  {
+    files: ["**/*.test.{js,jsx}", "src/setupTests.js"],
+    languageOptions: {
+      globals: { ...globals.jest, ...globals.node }
+    }
+  },
   pluginJs.configs.recommended,
   {
     plugins: { react: pluginReact },
@@ -4,12 +4,20 @@
 // - Provides JSON request helpers with normalized errors
 // - Adds default JSON headers and supports query param building
 // - Optional debug logs via REACT_APP_LOG_LEVEL
+// - Per-call cancellation (signal), timeouts (timeoutMs, REACT_APP_API_TIMEOUT_MS) and
+//   retries with jittered backoff for idempotent methods, honoring Retry-After on 429
 //
 
 const LOG_LEVEL = (process.env.REACT_APP_LOG_LEVEL || "info").toLowerCase();
 const IS_DEBUG = LOG_LEVEL === "debug" || LOG_LEVEL === "trace";
 const REDACTED = "[REDACTED]";
 
+const DEFAULT_TIMEOUT_MS = Number(process.env.REACT_APP_API_TIMEOUT_MS) || 15000;
+const DEFAULT_RETRY = { retries: 2, baseDelayMs: 300, maxDelayMs: 5000 };
+// Upper bound for a server-provided Retry-After so a bad header cannot stall the UI
+const MAX_RETRY_AFTER_MS = 60000;
+const IDEMPOTENT_METHODS = new Set(["GET", "HEAD", "OPTIONS", "PUT", "DELETE"]);
+
 // PUBLIC_INTERFACE
 export function getApiBaseUrl() {
   /**
@@ -63,16 +71,58 @@ export function buildUrl(path, query) {
  * - Adds Content-Type: application/json by default (overridable)
  * - Parses JSON responses when Content-Type is JSON, otherwise returns text
  * - Normalizes errors to include status, code, message, and details when present
+ * - Aborts after timeoutMs (code TIMEOUT) or when the caller's signal fires (code ABORTED)
+ * - Retries idempotent methods on 5xx/NETWORK_ERROR/TIMEOUT, and any method on 429
  * @param {string} method - HTTP method
  * @param {string} path - Resource path
  * @param {Object} [options]
  * @param {Object} [options.query] - Query params
  * @param {Object} [options.body] - JSON payload
  * @param {Object} [options.headers] - Extra headers
+ * @param {AbortSignal} [options.signal] - Caller cancellation signal
+ * @param {number} [options.timeoutMs] - Per-attempt timeout; 0 disables
+ * @param {false|number|{retries?:number, baseDelayMs?:number, maxDelayMs?:number}} [options.retry]
+ *   Retry policy; a number sets the retry count, false disables retries
  * @returns {Promise<any>} Parsed response
  */
-async function request(method, path, { query, body, headers } = {}) {
+async function request(
+  method,
+  path,
+  { query, body, headers, signal, timeoutMs = DEFAULT_TIMEOUT_MS, retry } = {}
+) {
   const url = buildUrl(path, query);
+  const policy = resolveRetryPolicy(retry);
+
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      return await requestOnce(method, url, { body, headers, signal, timeoutMs });
+    } catch (err) {
+      const delay = attempt < policy.retries ? retryDelay(method, err, attempt, policy) : null;
+      if (delay === null) throw err;
+      if (IS_DEBUG) safeDebug("request:retry", { attempt: attempt + 1, delayMs: delay, code: err.code });
+      await sleep(delay, signal);
+    }
+  }
+}
+
+/**
+ * Perform a single fetch attempt with timeout and cancellation wiring.
+ * @returns {Promise<any>} Parsed response
+ */
+async function requestOnce(method, url, { body, headers, signal, timeoutMs }) {
+  if (signal?.aborted) throw abortedError();
+
+  const controller = typeof AbortController !== "undefined" ? new AbortController() : null;
+  let timedOut = false;
+  const timer =
+    controller && timeoutMs > 0
+      ? setTimeout(() => {
+          timedOut = true;
+          controller.abort();
+        }, timeoutMs)
+      : null;
+  const onCallerAbort = () => controller?.abort();
+  signal?.addEventListener?.("abort", onCallerAbort);
 
   const init = {
     method,
@@ -80,6 +130,7 @@ async function request(method, path, { query, body, headers } = {}) {
       "Content-Type": "application/json",
       ...(headers || {}),
     },
+    signal: controller ? controller.signal : signal,
   };
 
   if (body !== undefined) {
@@ -97,45 +148,142 @@ async function request(method, path, { query, body, headers } = {}) {
     });
   }
 
-  let res;
   try {
-    res = await fetch(url, init);
-  } catch (networkErr) {
-    const err = normalizeError(networkErr, {
-      status: 0,
-      message: "Network request failed",
-      code: "NETWORK_ERROR",
-    });
-    if (IS_DEBUG) safeDebug("request:error", sanitizeErrorForLog(err));
-    throw err;
-  }
+    let res;
+    try {
+      res = await fetch(url, init);
+    } catch (networkErr) {
+      let err;
+      if (timedOut) {
+        err = normalizeError(networkErr, {
+          status: 0,
+          message: `Request timed out after ${timeoutMs}ms`,
+          code: "TIMEOUT",
+        });
+      } else if (signal?.aborted || networkErr?.name === "AbortError") {
+        err = abortedError(networkErr);
+      } else {
+        err = normalizeError(networkErr, {
+          status: 0,
+          message: "Network request failed",
+          code: "NETWORK_ERROR",
+        });
+      }
+      if (IS_DEBUG) safeDebug("request:error", sanitizeErrorForLog(err));
+      throw err;
+    }
 
-  const contentType = (res.headers.get("content-type") || "").toLowerCase();
-  const isJson = contentType.includes("application/json");
+    const contentType = (res.headers.get("content-type") || "").toLowerCase();
+    const isJson = contentType.includes("application/json");
 
-  let payload;
-  try {
-    payload = isJson ? await res.json() : await res.text();
-  } catch (parseErr) {
-    // Response not parseable
-    payload = null;
-  }
+    let payload;
+    try {
+      payload = isJson ? await res.json() : await res.text();
+    } catch (parseErr) {
+      // Response not parseable
+      payload = null;
+    }
+
+    if (!res.ok) {
+      const err = normalizeResponseError(res, payload);
+      if (IS_DEBUG) safeDebug("request:response_error", sanitizeErrorForLog(err));
+      throw err;
+    }
 
-  if (!res.ok) {
-    const err = normalizeResponseError(res, payload);
-    if (IS_DEBUG) safeDebug("request:response_error", sanitizeErrorForLog(err));
-    throw err;
+    if (IS_DEBUG) {
+      safeDebug("request:response_ok", {
+        status: res.status,
+        ok: res.ok,
+        type: isJson ? "json" : "text",
+      });
+    }
+
+    return payload;
+  } finally {
+    if (timer) clearTimeout(timer);
+    signal?.removeEventListener?.("abort", onCallerAbort);
   }
+}
 
-  if (IS_DEBUG) {
-    safeDebug("request:response_ok", {
-      status: res.status,
-      ok: res.ok,
-      type: isJson ? "json" : "text",
-    });
+/**
+ * Normalize the `retry` option into a policy object.
+ * @param {undefined|false|number|Object} retry
+ * @returns {{ retries:number, baseDelayMs:number, maxDelayMs:number }}
+ */
+function resolveRetryPolicy(retry) {
+  if (retry === false) return { ...DEFAULT_RETRY, retries: 0 };
+  if (typeof retry === "number") return { ...DEFAULT_RETRY, retries: Math.max(0, retry) };
+  if (retry && typeof retry === "object") return { ...DEFAULT_RETRY, ...retry };
+  return DEFAULT_RETRY;
+}
+
+/**
+ * Decide whether a failed attempt should be retried and after how long.
+ * 429 is retried for any method (the server did not process the request);
+ * 5xx, NETWORK_ERROR and TIMEOUT only for idempotent methods.
+ * @returns {number|null} delay in ms, or null when the error is not retryable
+ */
+function retryDelay(method, err, attempt, policy) {
+  if (!err || err.code === "ABORTED") return null;
+
+  if (err.status === 429) {
+    const fromHeader = err.retryAfterMs;
+    if (typeof fromHeader === "number") return Math.min(fromHeader, MAX_RETRY_AFTER_MS);
+    return backoffDelay(attempt, policy);
   }
 
-  return payload;
+  if (!IDEMPOTENT_METHODS.has(method)) return null;
+  const transient =
+    err.code === "NETWORK_ERROR" || err.code === "TIMEOUT" || (err.status >= 500 && err.status < 600);
+  return transient ? backoffDelay(attempt, policy) : null;
+}
+
+/** Exponential backoff with full jitter. */
+function backoffDelay(attempt, { baseDelayMs, maxDelayMs }) {
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+  return Math.round(Math.random() * ceiling);
+}
+
+/**
+ * Parse a Retry-After header (delta-seconds or HTTP-date) into milliseconds.
+ * @param {string|null} value
+ * @returns {number|undefined}
+ */
+function parseRetryAfter(value) {
+  if (!value) return undefined;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const at = Date.parse(value);
+  return Number.isNaN(at) ? undefined : Math.max(0, at - Date.now());
+}
+
+/** Wait for ms, rejecting early with ABORTED if the caller's signal fires. */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(abortedError());
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortedError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener?.("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener?.("abort", onAbort, { once: true });
+  });
+}
+
+function abortedError(raw) {
+  return normalizeError(raw, { status: 0, message: "Request aborted", code: "ABORTED" });
+}
+
+// PUBLIC_INTERFACE
+export function isAbortError(err) {
+  /** True when a normalized error came from caller cancellation (not a timeout). */
+  return !!err && err.code === "ABORTED";
 }
 
 /**
@@ -199,12 +347,16 @@ function normalizeResponseError(res, payload) {
     message = payload;
   }
 
-  return {
+  const err = {
     status: res.status,
     code,
     message,
     details,
   };
+  if (res.status === 429) {
+    err.retryAfterMs = parseRetryAfter(res.headers.get("retry-after"));
+  }
+  return err;
 }
 
 /**
@@ -246,7 +398,7 @@ export async function get(path, options = {}) {
   /**
    * Perform a GET request.
    * @param {string} path - URL path
-   * @param {{query?:object, headers?:object}} [options]
+   * @param {{query?:object, headers?:object, signal?:AbortSignal, timeoutMs?:number, retry?:false|number|object}} [options]
    * @returns {Promise<any>} Response payload
    */
   return request("GET", path, options);
@@ -257,7 +409,7 @@ export async function post(path, options = {}) {
   /**
    * Perform a POST request.
    * @param {string} path - URL path
-   * @param {{query?:object, headers?:object, body?:object}} [options]
+   * @param {{query?:object, headers?:object, body?:object, signal?:AbortSignal, timeoutMs?:number, retry?:false|number|object}} [options]
    * @returns {Promise<any>} Response payload
    */
   return request("POST", path, options);
@@ -268,7 +420,7 @@ export async function patch(path, options = {}) {
   /**
    * Perform a PATCH request.
    * @param {string} path - URL path
-   * @param {{query?:object, headers?:object, body?:object}} [options]
+   * @param {{query?:object, headers?:object, body?:object, signal?:AbortSignal, timeoutMs?:number, retry?:false|number|object}} [options]
    * @returns {Promise<any>} Response payload
    */
   return request("PATCH", path, options);
@@ -279,7 +431,7 @@ export async function del(path, options = {}) {
   /**
    * Perform a DELETE request.
    * @param {string} path - URL path
-   * @param {{query?:object, headers?:object, body?:object}} [options]
+   * @param {{query?:object, headers?:object, body?:object, signal?:AbortSignal, timeoutMs?:number, retry?:false|number|object}} [options]
    * @returns {Promise<any>} Response payload
    */
   return request("DELETE", path, options);
@@ -289,6 +441,7 @@ export async function del(path, options = {}) {
 export default {
   getApiBaseUrl,
   buildUrl,
+  isAbortError,
   get,
   post,
   patch,
@@ -0,0 +1,89 @@
+import { get, post } from './client';
+
+function jsonResponse(status, body, headers = {}) {
+  const all = { 'content-type': 'application/json', ...headers };
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    headers: { get: (name) => all[name.toLowerCase()] ?? null },
+    json: async () => body,
+    text: async () => JSON.stringify(body),
+  };
+}
+
+/** A fetch that never settles until its signal aborts, like a hung backend. */
+function hangingFetch(url, init) {
+  return new Promise((resolve, reject) => {
+    init.signal.addEventListener('abort', () => {
+      const err = new Error('aborted');
+      err.name = 'AbortError';
+      reject(err);
+    });
+  });
+}
+
+const fastRetry = { retries: 2, baseDelayMs: 1, maxDelayMs: 2 };
+
+beforeEach(() => {
+  global.fetch = jest.fn();
+});
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+test('retries idempotent requests on 5xx and network errors', async () => {
+  fetch
+    .mockResolvedValueOnce(jsonResponse(503, { message: 'busy' }))
+    .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+    .mockResolvedValueOnce(jsonResponse(200, { items: [] }));
+
+  await expect(get('/reservations', { retry: fastRetry })).resolves.toEqual({ items: [] });
+  expect(fetch).toHaveBeenCalledTimes(3);
+});
+
+test('does not retry non-idempotent requests on 5xx', async () => {
+  fetch.mockResolvedValue(jsonResponse(500, { error: { code: 'BOOM', message: 'boom' } }));
+
+  await expect(post('/reservations', { body: {}, retry: fastRetry })).rejects.toMatchObject({
+    status: 500,
+    code: 'BOOM',
+  });
+  expect(fetch).toHaveBeenCalledTimes(1);
+});
+
+test('honors Retry-After on 429 for any method', async () => {
+  fetch
+    .mockResolvedValueOnce(jsonResponse(429, { message: 'slow down' }, { 'retry-after': '0' }))
+    .mockResolvedValueOnce(jsonResponse(201, { id: 1 }));
+
+  await expect(post('/reservations', { body: {}, retry: fastRetry })).resolves.toEqual({ id: 1 });
+  expect(fetch).toHaveBeenCalledTimes(2);
+});
+
+test('gives up after the configured retries', async () => {
+  fetch.mockResolvedValue(jsonResponse(502, {}));
+
+  await expect(get('/reservations', { retry: fastRetry })).rejects.toMatchObject({ status: 502 });
+  expect(fetch).toHaveBeenCalledTimes(3);
+});
+
+test('times out a hung request', async () => {
+  fetch.mockImplementation(hangingFetch);
+
+  await expect(get('/reservations', { timeoutMs: 5, retry: false })).rejects.toMatchObject({
+    status: 0,
+    code: 'TIMEOUT',
+  });
+});
+
+test('caller abort rejects with ABORTED and is never retried', async () => {
+  fetch.mockImplementation(hangingFetch);
+  const controller = new AbortController();
+
+  const pending = get('/reservations', { signal: controller.signal, retry: fastRetry });
+  controller.abort();
+
+  await expect(pending).rejects.toMatchObject({ code: 'ABORTED' });
+  expect(fetch).toHaveBeenCalledTimes(1);
+});
@@ -0,0 +1,108 @@
+/**
+ * Guests API module
+ * Provides helper functions for the guest directory (profiles keyed on phone number).
+ */
+
+import { get, post, patch, del } from "./client";
+import { listAllPages } from "./reservations";
+
+/**
+ * List or search guests.
+ *
+ * PUBLIC_INTERFACE
+ * @param {Object} [params]
+ * @param {string} [params.search] - Matches name, phone, tags
+ * @param {string} [params.phone] - Exact phone lookup
+ * @param {boolean} [params.vip] - Only VIP guests
+ * @param {number} [params.limit] - Page size
+ * @param {string} [params.cursor] - Opaque cursor from a previous page
+ * @param {Object} [options] - Request options forwarded to the client (signal, timeoutMs, retry)
+ * @returns {Promise<any>} Resolves to list of guests (array or `{ items }`)
+ */
+export function listGuests(params = {}, options = {}) {
+  return get("/guests", { ...options, query: params });
+}
+
+/**
+ * Get a guest profile by ID.
+ *
+ * PUBLIC_INTERFACE
+ * @param {string|number} id - Guest identifier
+ * @param {Object} [options] - Request options forwarded to the client
+ * @returns {Promise<any>} Resolves to guest resource
+ */
+export function getGuest(id, options = {}) {
+  return get(`/guests/${encodeURIComponent(id)}`, options);
+}
+
+/**
+ * Create a guest profile.
+ *
+ * PUBLIC_INTERFACE
+ * @param {{ name: string, phone: string, email?: string, preferences?: string,
+ *   allergies?: string[], tags?: string[], vip?: boolean, notes?: string }} payload
+ * @returns {Promise<any>} Resolves to created guest resource
+ */
+export function createGuest(payload) {
+  return post("/guests", { body: payload });
+}
+
+/**
+ * Update a guest profile by ID.
+ *
+ * PUBLIC_INTERFACE
+ * @param {string|number} id - Guest identifier
+ * @param {Object} updates - Partial guest fields to update
+ * @returns {Promise<any>} Resolves to updated guest resource
+ */
+export function updateGuest(id, updates) {
+  return patch(`/guests/${encodeURIComponent(id)}`, { body: updates });
+}
+
+/**
+ * Delete a guest profile by ID (reservations are kept).
+ *
+ * PUBLIC_INTERFACE
+ * @param {string|number} id - Guest identifier
+ * @returns {Promise<any>} Resolves to deletion result/ack
+ */
+export function deleteGuest(id) {
+  return del(`/guests/${encodeURIComponent(id)}`);
+}
+
+/**
+ * List a guest's reservations (visit history), newest first.
+ *
+ * PUBLIC_INTERFACE
+ * @param {string|number} id - Guest identifier
+ * @param {Object} [params] - Paging params (limit, cursor)
+ * @param {Object} [options] - Request options forwarded to the client
+ * @returns {Promise<any>} Resolves to list of reservations (see normalizeReservationPage)
+ */
+export function listGuestVisits(id, params = {}, options = {}) {
+  return get(`/guests/${encodeURIComponent(id)}/reservations`, { ...options, query: params });
+}
+
+/**
+ * List all of a guest's reservations, following every page (e.g. for attendance history).
+ *
+ * PUBLIC_INTERFACE
+ * @param {string|number} id - Guest identifier
+ * @param {Object} [options] - Same options as listAllReservations (signal, pageSize, ...)
+ * @returns {Promise<any[]>} Resolves to the reservations of all pages
+ */
+export function listAllGuestVisits(id, options = {}) {
+  return listAllPages((query, opts) => listGuestVisits(id, query, opts), {}, options);
+}
+
+const guestsApi = {
+  listGuests,
+  getGuest,
+  createGuest,
+  updateGuest,
+  deleteGuest,
+  listGuestVisits,
+  listAllGuestVisits,
+};
+
+export default guestsApi;
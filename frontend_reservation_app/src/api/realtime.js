@@ -0,0 +1,254 @@
+//
+// Realtime reservations channel over WebSocket
+// - Subscribes to the "reservations" channel on open
+// - Parses reservation.created/updated/deleted events and hands them to the caller
+// - Heartbeat (ping) with a liveness timeout, exponential-backoff reconnection with jitter
+// - Publishes a connection status that UI (e.g. NavBar) can observe without owning the socket
+//
+
+import { getApiBaseUrl } from "./client";
+
+const LOG_LEVEL = (process.env.REACT_APP_LOG_LEVEL || "info").toLowerCase();
+const IS_DEBUG = LOG_LEVEL === "debug" || LOG_LEVEL === "trace";
+
+const DEFAULTS = {
+  heartbeatMs: 25000,
+  // Consider the socket dead when nothing (not even a pong) arrives for this long
+  livenessTimeoutMs: 60000,
+  reconnectBaseMs: 1000,
+  reconnectMaxMs: 30000,
+};
+
+export const RESERVATION_EVENTS = [
+  "reservation.created",
+  "reservation.updated",
+  "reservation.deleted",
+];
+
+// Connection status store shared across the app
+let currentStatus = "idle"; // "idle" | "connecting" | "open" | "reconnecting" | "closed"
+const statusListeners = new Set();
+
+function setStatus(next) {
+  if (next === currentStatus) return;
+  currentStatus = next;
+  statusListeners.forEach((fn) => {
+    try {
+      fn(next);
+    } catch {
+      // ignore listener failures
+    }
+  });
+}
+
+// PUBLIC_INTERFACE
+export function getConnectionStatus() {
+  /** Returns the latest realtime connection status. */
+  return currentStatus;
+}
+
+// PUBLIC_INTERFACE
+export function subscribeConnectionStatus(listener) {
+  /**
+   * Subscribe to connection status changes.
+   * @param {(status: string) => void} listener
+   * @returns {() => void} unsubscribe
+   */
+  statusListeners.add(listener);
+  return () => statusListeners.delete(listener);
+}
+
+// PUBLIC_INTERFACE
+export function getRealtimeUrl() {
+  /**
+   * Resolve the WebSocket URL from REACT_APP_WS_URL, falling back to the API base
+   * with http(s) swapped for ws(s) and a `/ws` suffix. Returns null when unknown.
+   */
+  const baseWs = process.env.REACT_APP_WS_URL;
+  if (baseWs) return baseWs;
+  const apiBase = getApiBaseUrl();
+  if (!apiBase) return null;
+  try {
+    const u = new URL(apiBase);
+    if (u.protocol === "https:") u.protocol = "wss:";
+    else if (u.protocol === "http:") u.protocol = "ws:";
+    return u.toString().replace(/\/+$/, "") + "/ws";
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Parse a raw socket message into a reservation event.
+ * Accepts `{ type, payload }`, `{ type, data }` and `{ type, reservation }` envelopes;
+ * deletions may carry only `{ id }`.
+ * @param {string} raw
+ * @returns {{ type: string, reservation: object } | { type: "pong" } | null}
+ */
+export function parseRealtimeMessage(raw) {
+  let msg;
+  try {
+    msg = JSON.parse(raw);
+  } catch {
+    return null;
+  }
+  if (!msg || typeof msg !== "object" || typeof msg.type !== "string") return null;
+  if (msg.type === "pong") return { type: "pong" };
+  if (!RESERVATION_EVENTS.includes(msg.type)) return null;
+
+  const reservation = msg.payload || msg.data || msg.reservation || (msg.id != null ? { id: msg.id } : null);
+  if (!reservation || typeof reservation !== "object") return null;
+  return { type: msg.type, reservation };
+}
+
+/**
+ * Compute the delay before reconnect attempt `attempt` (0-based): exponential growth
+ * capped at reconnectMaxMs, randomized within the upper half of the window.
+ * @param {number} attempt
+ * @param {{ reconnectBaseMs:number, reconnectMaxMs:number }} opts
+ * @param {() => number} [random]
+ */
+export function reconnectDelay(attempt, opts = DEFAULTS, random = Math.random) {
+  const ceiling = Math.min(opts.reconnectMaxMs, opts.reconnectBaseMs * 2 ** attempt);
+  return Math.round(ceiling / 2 + random() * (ceiling / 2));
+}
+
+// PUBLIC_INTERFACE
+export function connectReservationsChannel({
+  url = getRealtimeUrl(),
+  onEvent,
+  onResync,
+  heartbeatMs = DEFAULTS.heartbeatMs,
+  livenessTimeoutMs = DEFAULTS.livenessTimeoutMs,
+  reconnectBaseMs = DEFAULTS.reconnectBaseMs,
+  reconnectMaxMs = DEFAULTS.reconnectMaxMs,
+} = {}) {
+  /**
+   * Open a managed realtime connection.
+   * @param {Object} options
+   * @param {string} [options.url] - WebSocket URL; defaults to getRealtimeUrl()
+   * @param {(evt: {type:string, reservation:object}) => void} options.onEvent - reservation event handler
+   * @param {() => void} [options.onResync] - called after a reconnect so callers can refetch missed changes
+   * @returns {{ close: () => void }} handle to stop the connection and cancel reconnects
+   */
+  if (!url || typeof WebSocket === "undefined") {
+    return { close() {} };
+  }
+
+  let ws = null;
+  let attempt = 0;
+  let hasConnected = false;
+  let stopped = false;
+  let reconnectTimer = null;
+  let heartbeatTimer = null;
+  let lastSeen = 0;
+
+  const clearTimers = () => {
+    if (reconnectTimer) clearTimeout(reconnectTimer);
+    if (heartbeatTimer) clearInterval(heartbeatTimer);
+    reconnectTimer = null;
+    heartbeatTimer = null;
+  };
+
+  const send = (obj) => {
+    try {
+      if (ws && ws.readyState === 1) ws.send(JSON.stringify(obj));
+    } catch {
+      // ignore send failures; liveness check will recycle the socket
+    }
+  };
+
+  const scheduleReconnect = () => {
+    if (stopped) return;
+    setStatus("reconnecting");
+    const delay = reconnectDelay(attempt, { reconnectBaseMs, reconnectMaxMs });
+    attempt += 1;
+    reconnectTimer = setTimeout(open, delay);
+  };
+
+  const recycle = (socket) => {
+    // Half-open connection: drop it without waiting for a close handshake that may never come
+    socket.onclose = null;
+    try {
+      socket.close();
+    } catch {
+      // ignore
+    }
+    if (ws === socket) ws = null;
+    clearTimers();
+    scheduleReconnect();
+  };
+
+  function open() {
+    if (stopped) return;
+    clearTimers();
+    setStatus(hasConnected ? "reconnecting" : "connecting");
+    let socket;
+    try {
+      socket = new WebSocket(url);
+    } catch {
+      scheduleReconnect();
+      return;
+    }
+    ws = socket;
+
+    socket.onopen = () => {
+      const isReconnect = hasConnected;
+      hasConnected = true;
+      attempt = 0;
+      lastSeen = Date.now();
+      setStatus("open");
+      send({ action: "subscribe", channel: "reservations" });
+
+      heartbeatTimer = setInterval(() => {
+        if (Date.now() - lastSeen > livenessTimeoutMs) {
+          recycle(socket);
+          return;
+        }
+        send({ action: "ping" });
+      }, heartbeatMs);
+
+      // Events may have been missed while disconnected
+      if (isReconnect) onResync?.();
+    };
+
+    socket.onmessage = (evt) => {
+      lastSeen = Date.now();
+      const parsed = parseRealtimeMessage(evt.data);
+      if (parsed && parsed.type !== "pong") onEvent?.(parsed);
+    };
+
+    socket.onerror = () => {
+      if (IS_DEBUG) {
+        // eslint-disable-next-line no-console
+        console.debug("[reservations:ws] error");
+      }
+    };
+
+    socket.onclose = () => {
+      if (ws !== socket) return;
+      clearTimers();
+      ws = null;
+      if (stopped) return;
+      scheduleReconnect();
+    };
+  }
+
+  open();
+
+  return {
+    close() {
+      stopped = true;
+      clearTimers();
+      if (ws) {
+        try {
+          ws.close();
+        } catch {
+          // ignore
+        }
+        ws = null;
+      }
+      setStatus("closed");
+    },
+  };
+}
@@ -0,0 +1,151 @@
+import {
+  connectReservationsChannel,
+  getConnectionStatus,
+  parseRealtimeMessage,
+  reconnectDelay,
+} from './realtime';
+
+/**
+ * Minimal in-process WebSocket server: replaces the global WebSocket so every socket the
+ * channel opens is registered here, and the test drives open/message/close from the server side.
+ */
+class MockServer {
+  constructor() {
+    this.sockets = [];
+    const server = this;
+    this.Socket = class {
+      constructor(url) {
+        this.url = url;
+        this.readyState = 0;
+        this.sent = [];
+        server.sockets.push(this);
+      }
+      send(data) {
+        this.sent.push(JSON.parse(data));
+      }
+      close() {
+        this.readyState = 3;
+        this.onclose?.({});
+      }
+    };
+  }
+  get latest() {
+    return this.sockets[this.sockets.length - 1];
+  }
+  accept() {
+    this.latest.readyState = 1;
+    this.latest.onopen?.({});
+  }
+  emit(msg) {
+    this.latest.onmessage?.({ data: JSON.stringify(msg) });
+  }
+  drop() {
+    const s = this.latest;
+    s.readyState = 3;
+    s.onclose?.({});
+  }
+}
+
+let server;
+let originalWebSocket;
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  server = new MockServer();
+  originalWebSocket = global.WebSocket;
+  global.WebSocket = server.Socket;
+});
+
+afterEach(() => {
+  global.WebSocket = originalWebSocket;
+  jest.useRealTimers();
+});
+
+test('subscribes on open and forwards reservation events', () => {
+  const onEvent = jest.fn();
+  const channel = connectReservationsChannel({ url: 'ws://test/ws', onEvent });
+  expect(getConnectionStatus()).toBe('connecting');
+
+  server.accept();
+  expect(getConnectionStatus()).toBe('open');
+  expect(server.latest.sent[0]).toEqual({ action: 'subscribe', channel: 'reservations' });
+
+  server.emit({ type: 'reservation.updated', payload: { id: 7, status: 'seated' } });
+  server.emit({ type: 'reservation.deleted', id: 8 });
+  server.emit({ type: 'unrelated.event', payload: { id: 9 } });
+
+  expect(onEvent).toHaveBeenCalledTimes(2);
+  expect(onEvent).toHaveBeenNthCalledWith(1, {
+    type: 'reservation.updated',
+    reservation: { id: 7, status: 'seated' },
+  });
+  expect(onEvent).toHaveBeenNthCalledWith(2, { type: 'reservation.deleted', reservation: { id: 8 } });
+  channel.close();
+});
+
+test('reconnects with backoff after the server drops and asks for a resync', () => {
+  const onResync = jest.fn();
+  const channel = connectReservationsChannel({
+    url: 'ws://test/ws',
+    onResync,
+    reconnectBaseMs: 100,
+    reconnectMaxMs: 1000,
+  });
+  server.accept();
+  expect(onResync).not.toHaveBeenCalled();
+
+  server.drop();
+  expect(getConnectionStatus()).toBe('reconnecting');
+  expect(server.sockets).toHaveLength(1);
+
+  jest.advanceTimersByTime(100);
+  expect(server.sockets).toHaveLength(2);
+
+  server.accept();
+  expect(getConnectionStatus()).toBe('open');
+  expect(onResync).toHaveBeenCalledTimes(1);
+  expect(server.latest.sent[0]).toEqual({ action: 'subscribe', channel: 'reservations' });
+  channel.close();
+  expect(getConnectionStatus()).toBe('closed');
+});
+
+test('pings on the heartbeat and recycles a silent connection', () => {
+  const channel = connectReservationsChannel({
+    url: 'ws://test/ws',
+    heartbeatMs: 1000,
+    livenessTimeoutMs: 2500,
+    reconnectBaseMs: 100,
+  });
+  server.accept();
+
+  jest.advanceTimersByTime(1000);
+  expect(server.latest.sent).toContainEqual({ action: 'ping' });
+
+  jest.advanceTimersByTime(2000);
+  expect(getConnectionStatus()).toBe('reconnecting');
+
+  jest.advanceTimersByTime(100);
+  expect(server.sockets).toHaveLength(2);
+  channel.close();
+});
+
+test('close stops reconnect attempts', () => {
+  const channel = connectReservationsChannel({ url: 'ws://test/ws', reconnectBaseMs: 100 });
+  server.accept();
+  channel.close();
+  jest.advanceTimersByTime(10000);
+  expect(server.sockets).toHaveLength(1);
+});
+
+test('parseRealtimeMessage ignores malformed frames', () => {
+  expect(parseRealtimeMessage('not json')).toBeNull();
+  expect(parseRealtimeMessage(JSON.stringify({ type: 'reservation.created' }))).toBeNull();
+  expect(parseRealtimeMessage(JSON.stringify({ type: 'pong' }))).toEqual({ type: 'pong' });
+});
+
+test('reconnectDelay grows exponentially and stays within the cap', () => {
+  const opts = { reconnectBaseMs: 1000, reconnectMaxMs: 30000 };
+  expect(reconnectDelay(0, opts, () => 0)).toBe(500);
+  expect(reconnectDelay(3, opts, () => 1)).toBe(8000);
+  expect(reconnectDelay(10, opts, () => 1)).toBe(30000);
+});
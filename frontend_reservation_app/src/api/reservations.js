@@ -4,6 +4,7 @@
  */
 
 import { get, post, patch, del } from "./client";
+import { withSeriesMasters } from "../utils/recurrence";
 
 /**
  * List reservations within an optional date range and/or by status.
@@ -13,10 +14,154 @@ import { get, post, patch, del } from "./client";
  * @param {string} [params.from] - ISO date/time string for start filter
  * @param {string} [params.to] - ISO date/time string for end filter
  * @param {string|string[]} [params.status] - Reservation status or list of statuses
- * @returns {Promise<any>} Resolves to list of reservations
+ * @param {boolean} [params.recurring] - Only masters of recurring series (reservations with an
+ *   `rrule`); combine with status/search but not with from/to, see listSeriesMasters
+ * @param {number} [params.limit] - Page size
+ * @param {string} [params.cursor] - Opaque cursor from a previous page's `nextCursor`
+ * @param {number} [params.offset] - Offset for backends that page by position instead of cursor
+ * @param {Object} [options] - Request options forwarded to the client (signal, timeoutMs, retry)
+ * @returns {Promise<any>} Resolves to list of reservations (see normalizeReservationPage)
  */
-export function listReservations(params = {}) {
-  return get("/reservations", { query: params });
+export function listReservations(params = {}, options = {}) {
+  return get("/reservations", { ...options, query: params });
+}
+
+/**
+ * Normalize a list response into a page.
+ * Accepts a bare array (unpaginated backend) or an envelope such as
+ * `{ items, nextCursor, total }`, `{ data, meta: { next_cursor, total } }` or `{ items, hasMore }`.
+ *
+ * PUBLIC_INTERFACE
+ * @param {any} res - Raw listReservations response
+ * @param {number} [offset=0] - Offset the page was requested at (for offset-paged backends)
+ * @returns {{ items: any[], nextCursor: string|null, nextOffset: number|null, total: number|null, hasMore: boolean }}
+ */
+export function normalizeReservationPage(res, offset = 0) {
+  if (Array.isArray(res)) {
+    return { items: res, nextCursor: null, nextOffset: null, total: res.length, hasMore: false };
+  }
+  const body = res && typeof res === "object" ? res : {};
+  const meta = body.meta || body.pagination || body.page || {};
+  const items = Array.isArray(body.items) ? body.items : Array.isArray(body.data) ? body.data : [];
+
+  const pick = (...candidates) => candidates.find((v) => v !== undefined && v !== null);
+  const nextCursor =
+    pick(body.nextCursor, body.next_cursor, meta.nextCursor, meta.next_cursor, body.cursor?.next) ?? null;
+  const rawTotal = pick(body.total, body.totalCount, body.total_count, meta.total, meta.totalCount, meta.total_count);
+  const total = Number.isFinite(Number(rawTotal)) ? Number(rawTotal) : null;
+
+  const explicitMore = pick(body.hasMore, body.has_more, meta.hasMore, meta.has_more);
+  const loaded = offset + items.length;
+  const hasMore =
+    nextCursor !== null ||
+    (typeof explicitMore === "boolean" ? explicitMore : total !== null && loaded < total);
+
+  return {
+    items,
+    nextCursor,
+    nextOffset: hasMore && nextCursor === null ? loaded : null,
+    total,
+    hasMore,
+  };
+}
+
+/**
+ * List every reservation matching `params` by following pages until the last one, e.g. for
+ * exporting a date range beyond the rows loaded on screen. Nothing is silently left out: a
+ * backend that keeps handing out the same cursor rejects with code PAGING_STALLED.
+ *
+ * PUBLIC_INTERFACE
+ * @param {Object} [params] - Same filters as listReservations (from, to, status, ...)
+ * @param {Object} [options] - Request options forwarded to the client, plus:
+ * @param {number} [options.pageSize=200] - Rows requested per page
+ * @returns {Promise<any[]>} Resolves to the reservations of all pages
+ */
+export function listAllReservations(params = {}, options = {}) {
+  return listAllPages(listReservations, params, options);
+}
+
+/**
+ * Follow the pages of any list endpoint that pages like listReservations (see
+ * normalizeReservationPage) and return all their rows; used by listAllReservations.
+ *
+ * PUBLIC_INTERFACE
+ * @param {(query: Object, options: Object) => Promise<any>} listPage - Fetches one page
+ * @param {Object} [params] - Filters sent with every page
+ * @param {Object} [options] - Same options as listAllReservations
+ * @returns {Promise<any[]>} Resolves to the rows of all pages; rejects with code PAGING_STALLED
+ *   when the same cursor comes back twice
+ */
+export async function listAllPages(listPage, params = {}, options = {}) {
+  const { pageSize = 200, ...requestOptions } = options;
+  const items = [];
+  const seenCursors = new Set();
+  let page = { nextCursor: null, nextOffset: null };
+  for (;;) {
+    const query = { ...params, limit: pageSize };
+    if (page.nextCursor !== null) query.cursor = page.nextCursor;
+    else if (page.nextOffset !== null) query.offset = page.nextOffset;
+    const res = await listPage(query, requestOptions);
+    page = normalizeReservationPage(res, query.offset ?? 0);
+    items.push(...page.items);
+    if (!page.hasMore || page.items.length === 0) return items;
+    if (page.nextCursor !== null) {
+      if (seenCursors.has(page.nextCursor)) {
+        const err = new Error("The server returned the same page twice; the list is incomplete");
+        err.status = 0;
+        err.code = "PAGING_STALLED";
+        throw err;
+      }
+      seenCursors.add(page.nextCursor);
+    }
+  }
+}
+
+/**
+ * List the masters of recurring series matching `params`, whatever their start date. A range
+ * query only returns masters that start inside the range, while a standing booking that started
+ * months ago still has occurrences there.
+ *
+ * PUBLIC_INTERFACE
+ * @param {Object} [params] - Same filters as listReservations; from/to and paging are ignored
+ * @param {Object} [options] - Same options as listAllReservations
+ * @returns {Promise<any[]>} Resolves to the series masters (stored, not expanded)
+ */
+export async function listSeriesMasters(params = {}, options = {}) {
+  const query = { ...params, recurring: true };
+  ["from", "to", "limit", "cursor", "offset"].forEach((key) => delete query[key]);
+  const rows = await listAllReservations(query, options);
+  // A backend that does not know `recurring` returns every reservation
+  return rows.filter((r) => !!r?.rrule);
+}
+
+/**
+ * List every reservation in a range (listAllReservations) together with the masters of
+ * recurring series that may have occurrences in it (listSeriesMasters), so that expanding the
+ * series over the range (utils/recurrence expandSeries) finds every occurrence.
+ *
+ * PUBLIC_INTERFACE
+ * @param {Object} [params] - Same filters as listReservations (from, to, status, ...)
+ * @param {Object} [options] - Same options as listAllReservations
+ * @returns {Promise<any[]>} Resolves to the stored reservations, masters included once
+ */
+export async function listReservationsWithSeries(params = {}, options = {}) {
+  const [rows, masters] = await Promise.all([
+    listAllReservations(params, options),
+    listSeriesMasters(params, options),
+  ]);
+  return withSeriesMasters(rows, masters);
+}
+
+/**
+ * Get a single reservation by ID.
+ *
+ * PUBLIC_INTERFACE
+ * @param {string|number} id - Reservation identifier
+ * @param {Object} [options] - Request options forwarded to the client (signal, timeoutMs, retry)
+ * @returns {Promise<any>} Resolves to the reservation resource
+ */
+export function getReservation(id, options = {}) {
+  return get(`/reservations/${encodeURIComponent(id)}`, options);
 }
 
 /**
@@ -35,7 +180,8 @@ export function createReservation(payload) {
  *
  * PUBLIC_INTERFACE
  * @param {string|number} id - Reservation identifier
- * @param {Object} updates - Partial reservation fields to update
+ * @param {Object} updates - Partial reservation fields to update; a `statusHistoryEntry` is
+ *   appended to the stored `statusHistory` (see utils/reservationStatus transitionUpdates)
  * @returns {Promise<any>} Resolves to updated reservation resource
  */
 export function updateReservation(id, updates) {
@@ -67,6 +213,18 @@ export function sendSms(id, message) {
   });
 }
 
+/**
+ * List the SMS messages sent about a reservation, oldest first.
+ *
+ * PUBLIC_INTERFACE
+ * @param {string|number} id - Reservation identifier
+ * @param {Object} [options] - Request options forwarded to the client
+ * @returns {Promise<any>} Resolves to the SMS log (array or `{ items }`)
+ */
+export function listSmsMessages(id, options = {}) {
+  return get(`/reservations/${encodeURIComponent(id)}/sms`, options);
+}
+
 /**
  * Generate a receipt for a reservation.
  *
@@ -78,6 +236,18 @@ export function generateReceipt(id) {
   return post(`/reservations/${encodeURIComponent(id)}/receipt`);
 }
 
+/**
+ * List the receipts generated for a reservation.
+ *
+ * PUBLIC_INTERFACE
+ * @param {string|number} id - Reservation identifier
+ * @param {Object} [options] - Request options forwarded to the client
+ * @returns {Promise<any>} Resolves to receipts (array or `{ items }`)
+ */
+export function listReceipts(id, options = {}) {
+  return get(`/reservations/${encodeURIComponent(id)}/receipts`, options);
+}
+
 /**
  * Sync a reservation to calendar.
  *
@@ -91,10 +261,18 @@ export function calendarSync(id) {
 
 export default {
   listReservations,
+  normalizeReservationPage,
+  listAllPages,
+  listAllReservations,
+  listSeriesMasters,
+  listReservationsWithSeries,
+  getReservation,
   createReservation,
   updateReservation,
   deleteReservation,
   sendSms,
+  listSmsMessages,
   generateReceipt,
+  listReceipts,
   calendarSync,
 };
@@ -0,0 +1,33 @@
+import { listAllReservations } from './reservations';
+import { get } from './client';
+
+jest.mock('./client', () => ({
+  ...jest.requireActual('./client'),
+  get: jest.fn(),
+}));
+
+afterEach(() => {
+  jest.resetAllMocks();
+});
+
+test('listAllReservations follows every page, however many there are', async () => {
+  const pages = 30;
+  get.mockImplementation(async (path, { query }) => {
+    const n = query.cursor ? Number(query.cursor) : 0;
+    return { items: [{ id: n }], nextCursor: n + 1 < pages ? String(n + 1) : null };
+  });
+
+  const rows = await listAllReservations({ from: '2030-01-01T00:00:00.000Z' }, { pageSize: 1 });
+  expect(rows).toHaveLength(pages);
+  expect(get).toHaveBeenLastCalledWith(
+    '/reservations',
+    expect.objectContaining({ query: { from: '2030-01-01T00:00:00.000Z', limit: 1, cursor: '29' } })
+  );
+});
+
+test('listAllReservations rejects when the server keeps returning the same cursor', async () => {
+  get.mockResolvedValue({ items: [{ id: 1 }], nextCursor: 'again' });
+
+  await expect(listAllReservations()).rejects.toMatchObject({ code: 'PAGING_STALLED' });
+  expect(get).toHaveBeenCalledTimes(2);
+});
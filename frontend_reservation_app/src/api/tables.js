@@ -0,0 +1,62 @@
+/**
+ * Tables API module
+ * Provides helper functions for managing venue tables (name, capacity, section).
+ */
+
+import { get, post, patch, del } from "./client";
+
+/**
+ * List all tables.
+ *
+ * PUBLIC_INTERFACE
+ * @param {Object} [params]
+ * @param {string} [params.section] - Only tables in this section
+ * @param {Object} [options] - Request options forwarded to the client (signal, timeoutMs, retry)
+ * @returns {Promise<any>} Resolves to list of tables (array or `{ items }`)
+ */
+export function listTables(params = {}, options = {}) {
+  return get("/tables", { ...options, query: params });
+}
+
+/**
+ * Create a table.
+ *
+ * PUBLIC_INTERFACE
+ * @param {{ name: string, capacity: number, section?: string }} payload
+ * @returns {Promise<any>} Resolves to created table resource
+ */
+export function createTable(payload) {
+  return post("/tables", { body: payload });
+}
+
+/**
+ * Update a table by ID.
+ *
+ * PUBLIC_INTERFACE
+ * @param {string|number} id - Table identifier
+ * @param {Object} updates - Partial table fields to update
+ * @returns {Promise<any>} Resolves to updated table resource
+ */
+export function updateTable(id, updates) {
+  return patch(`/tables/${encodeURIComponent(id)}`, { body: updates });
+}
+
+/**
+ * Delete a table by ID.
+ *
+ * PUBLIC_INTERFACE
+ * @param {string|number} id - Table identifier
+ * @returns {Promise<any>} Resolves to deletion result/ack
+ */
+export function deleteTable(id) {
+  return del(`/tables/${encodeURIComponent(id)}`);
+}
+
+const tablesApi = {
+  listTables,
+  createTable,
+  updateTable,
+  deleteTable,
+};
+
+export default tablesApi;
@@ -0,0 +1,36 @@
+/**
+ * Venue API module
+ * Provides helper functions for the venue settings stored on the server, i.e. those every
+ * device must agree on (see utils/venueSettings SHARED_VENUE_SETTINGS).
+ */
+
+import { get, patch } from "./client";
+
+/**
+ * Get the venue's stored settings.
+ *
+ * PUBLIC_INTERFACE
+ * @param {Object} [options] - Request options forwarded to the client (signal, timeoutMs, retry)
+ * @returns {Promise<any>} Resolves to the settings (bare or as `{ settings }` / `{ data }`)
+ */
+export function getVenueSettings(options = {}) {
+  return get("/venue/settings", options);
+}
+
+/**
+ * Update some of the venue's stored settings.
+ *
+ * PUBLIC_INTERFACE
+ * @param {Object} updates - Settings to replace, e.g. `{ timeZone: "Europe/Paris" }`
+ * @returns {Promise<any>} Resolves to the updated settings
+ */
+export function updateVenueSettings(updates) {
+  return patch("/venue/settings", { body: updates });
+}
+
+const venueApi = {
+  getVenueSettings,
+  updateVenueSettings,
+};
+
+export default venueApi;
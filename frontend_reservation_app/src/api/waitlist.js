@@ -0,0 +1,74 @@
+/**
+ * Waitlist API module
+ * Provides helper functions for the walk-in queue: parties waiting for a table without a booking.
+ */
+
+import { get, post, patch, del } from "./client";
+
+/**
+ * List waitlist entries.
+ *
+ * PUBLIC_INTERFACE
+ * @param {Object} [params]
+ * @param {string|string[]} [params.status] - Entry status(es): waiting, notified, seated, left
+ * @param {Object} [options] - Request options forwarded to the client (signal, timeoutMs, retry)
+ * @returns {Promise<any>} Resolves to list of entries (array or `{ items }`)
+ */
+export function listWaitlist(params = {}, options = {}) {
+  return get("/waitlist", { ...options, query: params });
+}
+
+/**
+ * Add a party to the waitlist.
+ *
+ * PUBLIC_INTERFACE
+ * @param {{ guestName: string, phone?: string, size: number, quotedMinutes?: number, notes?: string }} payload
+ * @returns {Promise<any>} Resolves to created entry resource
+ */
+export function addToWaitlist(payload) {
+  return post("/waitlist", { body: payload });
+}
+
+/**
+ * Update a waitlist entry by ID.
+ *
+ * PUBLIC_INTERFACE
+ * @param {string|number} id - Entry identifier
+ * @param {Object} updates - Partial entry fields to update (status, quotedMinutes, reservationId, ...)
+ * @returns {Promise<any>} Resolves to updated entry resource
+ */
+export function updateWaitlistEntry(id, updates) {
+  return patch(`/waitlist/${encodeURIComponent(id)}`, { body: updates });
+}
+
+/**
+ * Remove a waitlist entry by ID.
+ *
+ * PUBLIC_INTERFACE
+ * @param {string|number} id - Entry identifier
+ * @returns {Promise<any>} Resolves to deletion result/ack
+ */
+export function removeFromWaitlist(id) {
+  return del(`/waitlist/${encodeURIComponent(id)}`);
+}
+
+/**
+ * Persist the queue order.
+ *
+ * PUBLIC_INTERFACE
+ * @param {Array<string|number>} ids - Entry identifiers, first in line first
+ * @returns {Promise<any>} Resolves to the reordered list or an ack
+ */
+export function reorderWaitlist(ids) {
+  return post("/waitlist/reorder", { body: { ids } });
+}
+
+const waitlistApi = {
+  listWaitlist,
+  addToWaitlist,
+  updateWaitlistEntry,
+  removeFromWaitlist,
+  reorderWaitlist,
+};
+
+export default waitlistApi;
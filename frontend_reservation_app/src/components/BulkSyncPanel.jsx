@@ -0,0 +1,168 @@
+import React from "react";
+
+/**
+ * BulkSyncPanel
+ * Floating progress panel for a bulk calendar sync: overall progress, each reservation's
+ * status with a link to its event, and retry/cancel controls.
+ *
+ * Props:
+ * - items: Array<{ id, label, status, link, error }> - see useBulkCalendarSync
+ * - counts: { total, synced, failed, pending }
+ * - running: boolean - syncs are queued or in flight
+ * - onRetry: (id) => void - retry one failed item
+ * - onRetryFailed: () => void - retry every failed item
+ * - onCancel: () => void - stop the items that have not started
+ * - onClose: () => void - dismiss the panel
+ *
+ * PUBLIC_INTERFACE
+ */
+// PUBLIC_INTERFACE
+export default function BulkSyncPanel({
+  items = [],
+  counts,
+  running,
+  onRetry,
+  onRetryFailed,
+  onCancel,
+  onClose,
+}) {
+  if (items.length === 0) return null;
+  const done = counts.total - counts.pending;
+  const percent = counts.total ? Math.round((done / counts.total) * 100) : 0;
+
+  return (
+    <section aria-label="Calendar sync progress" style={panelStyle}>
+      <header style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+        <strong>
+          {running ? "Syncing to calendar…" : "Calendar sync finished"} ({done}/{counts.total})
+        </strong>
+        <button
+          className="nav-link"
+          onClick={onClose}
+          aria-label="Close sync progress"
+          title={running ? "Close and cancel the syncs not started yet" : "Close"}
+        >
+          ✕
+        </button>
+      </header>
+      <div
+        role="progressbar"
+        aria-valuemin={0}
+        aria-valuemax={counts.total}
+        aria-valuenow={done}
+        style={trackStyle}
+      >
+        <div style={barStyle(percent, counts.failed > 0)} />
+      </div>
+      <div style={{ fontSize: 12, color: "#6B7280", margin: "4px 0 8px" }}>
+        {counts.synced} synced
+        {counts.failed > 0 ? ` · ${counts.failed} failed` : ""}
+        {counts.pending > 0 ? ` · ${counts.pending} pending` : ""}
+      </div>
+
+      <ul style={listStyle}>
+        {items.map((it) => (
+          <li key={String(it.id)} style={itemStyle}>
+            <span aria-hidden="true" style={{ width: 16 }}>
+              {STATUS_ICONS[it.status]}
+            </span>
+            <span style={{ flex: 1, minWidth: 0 }}>
+              <span style={{ fontWeight: 600 }}>{it.label}</span>
+              <span style={{ color: it.status === "error" ? "var(--color-error)" : "#6B7280" }}>
+                {" "}
+                · {it.status === "error" ? it.error : STATUS_LABELS[it.status]}
+              </span>
+            </span>
+            {it.status === "synced" && it.link && (
+              <a href={it.link} target="_blank" rel="noreferrer">
+                Open event
+              </a>
+            )}
+            {(it.status === "error" || it.status === "cancelled") && (
+              <button className="nav-link" onClick={() => onRetry?.(it.id)}>
+                Retry
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      <div style={{ display: "flex", gap: 8, justifyContent: "flex-end", marginTop: 8 }}>
+        {counts.failed > 0 && (
+          <button className="nav-link" onClick={onRetryFailed}>
+            Retry failed ({counts.failed})
+          </button>
+        )}
+        {running && (
+          <button className="nav-link" onClick={onCancel}>
+            Cancel remaining
+          </button>
+        )}
+      </div>
+    </section>
+  );
+}
+
+const STATUS_LABELS = {
+  queued: "Waiting",
+  syncing: "Syncing…",
+  synced: "Synced",
+  error: "Failed",
+  cancelled: "Cancelled",
+};
+
+const STATUS_ICONS = {
+  queued: "○",
+  syncing: "◐",
+  synced: "✓",
+  error: "⚠",
+  cancelled: "–",
+};
+
+const panelStyle = {
+  position: "fixed",
+  left: 16,
+  bottom: 16,
+  width: 360,
+  maxWidth: "calc(100vw - 32px)",
+  background: "var(--color-surface)",
+  border: "1px solid rgba(0,0,0,0.08)",
+  borderRadius: 12,
+  boxShadow: "0 12px 40px rgba(31,41,55,0.2)",
+  padding: 12,
+  zIndex: 1050,
+  fontSize: 13,
+};
+
+const trackStyle = {
+  height: 6,
+  borderRadius: 999,
+  background: "rgba(0,0,0,0.08)",
+  overflow: "hidden",
+  marginTop: 8,
+};
+
+function barStyle(percent, hasFailures) {
+  return {
+    width: `${percent}%`,
+    height: "100%",
+    background: hasFailures ? "#F59E0B" : "#10B981",
+    transition: "width 200ms ease",
+  };
+}
+
+const listStyle = {
+  listStyle: "none",
+  margin: 0,
+  padding: 0,
+  maxHeight: 220,
+  overflowY: "auto",
+  display: "grid",
+  gap: 4,
+};
+
+const itemStyle = {
+  display: "flex",
+  gap: 8,
+  alignItems: "center",
+};
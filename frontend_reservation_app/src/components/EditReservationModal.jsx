@@ -0,0 +1,169 @@
+import React, { useEffect, useState } from "react";
+import ReservationForm from "./ReservationForm";
+import { reservationIdOf, reservationTimeOf } from "../utils/reservationIds";
+import { reservationTableIds } from "../utils/seating";
+import { diffReservation } from "../utils/reservationDiff";
+import { describeRRule } from "../utils/recurrence";
+
+/**
+ * EditReservationModal
+ * Hosts ReservationForm prefilled with an existing reservation and submits only changed fields.
+ *
+ * Props:
+ * - open: boolean - whether the modal is visible
+ * - reservation?: object - reservation being edited (must carry an id)
+ * - onClose: () => void - called to close the modal
+ * - onSave: (id, updates, { scope }) => Promise<any> | any - handler receiving the changed fields
+ *   only; for an occurrence of a recurring series, scope is "this" or "future"
+ * - tables?: array - venue tables available for assignment
+ * - reservations?: array - other reservations, for double-booking warnings
+ *
+ * PUBLIC_INTERFACE
+ */
+// PUBLIC_INTERFACE
+export default function EditReservationModal({
+  open,
+  reservation,
+  onClose,
+  onSave,
+  tables,
+  reservations,
+}) {
+  const [submitting, setSubmitting] = useState(false);
+  const [scope, setScope] = useState("this");
+
+  useEffect(() => {
+    setScope("this");
+  }, [reservation]);
+
+  if (!open || !reservation) return null;
+
+  const id = reservationIdOf(reservation);
+
+  const handleSubmit = async (payload) => {
+    const updates = diffReservation(reservation, payload);
+    if (Object.keys(updates).length === 0) {
+      onClose?.();
+      return;
+    }
+    setSubmitting(true);
+    try {
+      // Errors propagate to ReservationForm, which maps backend details to fields
+      await onSave?.(id, updates, { scope });
+      onClose?.();
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div role="dialog" aria-modal="true" aria-label="Edit reservation" style={backdropStyle}>
+      <div style={modalStyle}>
+        <header style={headerStyle}>
+          <h3 style={{ margin: 0, fontSize: 18 }}>
+            Edit {reservation.guestName || reservation.name || "reservation"}
+          </h3>
+          <button
+            aria-label="Close"
+            onClick={onClose}
+            style={closeBtnStyle}
+            disabled={submitting}
+          >
+            ×
+          </button>
+        </header>
+        <div style={{ padding: "12px 16px" }}>
+          {reservation.seriesId != null && (
+            <fieldset style={scopeStyle}>
+              <legend style={{ fontWeight: 600, padding: "0 4px" }}>
+                ↻ Recurring{reservation.rrule ? ` · ${describeRRule(reservation.rrule)}` : ""}
+              </legend>
+              {SCOPES.map(([value, label]) => (
+                <label key={value} style={{ display: "inline-flex", gap: 6, marginRight: 16 }}>
+                  <input
+                    type="radio"
+                    name="series-scope"
+                    value={value}
+                    checked={scope === value}
+                    onChange={() => setScope(value)}
+                  />
+                  {label}
+                </label>
+              ))}
+            </fieldset>
+          )}
+          <ReservationForm
+            key={id}
+            initialValues={{
+              id,
+              guestName: reservation.guestName || reservation.name,
+              phone: reservation.phone,
+              guestId: reservation.guestId,
+              size: reservation.size || reservation.partySize,
+              time: reservationTimeOf(reservation),
+              notes: reservation.notes,
+              tableIds: reservationTableIds(reservation),
+              durationMinutes: reservation.durationMinutes || reservation.duration,
+            }}
+            tables={tables}
+            reservations={reservations}
+            onSubmit={handleSubmit}
+            onCancel={onClose}
+            submitting={submitting}
+          />
+        </div>
+      </div>
+    </div>
+  );
+}
+
+const SCOPES = [
+  ["this", "This occurrence"],
+  ["future", "This and following"],
+];
+
+const scopeStyle = {
+  border: "1px solid rgba(0,0,0,0.08)",
+  borderRadius: 10,
+  padding: "6px 12px 10px",
+  margin: "0 0 12px",
+  fontSize: 13,
+};
+
+const backdropStyle = {
+  position: "fixed",
+  inset: 0,
+  background: "rgba(0,0,0,0.3)",
+  display: "flex",
+  alignItems: "center",
+  justifyContent: "center",
+  padding: 16,
+  zIndex: 1000,
+};
+
+const modalStyle = {
+  width: "100%",
+  maxWidth: 640,
+  background: "var(--color-surface)",
+  borderRadius: 16,
+  border: "1px solid rgba(0,0,0,0.06)",
+  boxShadow: "0 12px 40px rgba(31,41,55,0.2)",
+  overflow: "hidden",
+};
+
+const headerStyle = {
+  display: "flex",
+  alignItems: "center",
+  justifyContent: "space-between",
+  padding: "12px 16px",
+  background: "linear-gradient(180deg, rgba(217,119,6,0.08), transparent)",
+  borderBottom: "1px solid rgba(0,0,0,0.06)",
+};
+
+const closeBtnStyle = {
+  border: "none",
+  background: "transparent",
+  fontSize: 20,
+  cursor: "pointer",
+  color: "#6B7280",
+};
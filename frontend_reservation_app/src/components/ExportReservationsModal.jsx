@@ -0,0 +1,237 @@
+import React, { useEffect, useState } from "react";
+import { downloadFile } from "../utils/download";
+import {
+  DEFAULT_EXPORT_COLUMNS,
+  EXPORT_COLUMNS,
+  EXPORT_FORMATS,
+  buildExport,
+  describeFilters,
+  exportFileName,
+} from "../utils/reservationExport";
+import { zonedNow } from "../utils/timezone";
+
+/**
+ * ExportReservationsModal
+ * Downloads the reservations matching the list's filters as CSV, JSON or a PDF run sheet,
+ * with a choice of columns and phone numbers masked unless the user unticks it.
+ *
+ * Props:
+ * - open: boolean - whether the modal is visible
+ * - reservations: array - rows currently matching the filters (zoned)
+ * - filters?: { from, to, status, search } - applied filters, described in the file
+ * - hasMore?: boolean - the server has more matching rows than are loaded
+ * - loadAll?: () => Promise<array> - every row matching the filters (zoned), for hasMore
+ * - tables?: array - venue tables, for table names
+ * - rules?: array - duration rules
+ * - timeZone?: string - venue zone
+ * - onClose: () => void
+ *
+ * PUBLIC_INTERFACE
+ */
+// PUBLIC_INTERFACE
+export default function ExportReservationsModal({
+  open,
+  reservations = [],
+  filters = {},
+  hasMore = false,
+  loadAll,
+  tables = [],
+  rules,
+  timeZone,
+  onClose,
+}) {
+  const [format, setFormat] = useState("csv");
+  const [columns, setColumns] = useState(DEFAULT_EXPORT_COLUMNS);
+  const [maskPhones, setMaskPhones] = useState(true);
+  const [everything, setEverything] = useState(true);
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState("");
+
+  // Phones are masked again on every opening; format and columns carry over
+  useEffect(() => {
+    if (!open) return;
+    setMaskPhones(true);
+    setEverything(true);
+    setError("");
+  }, [open]);
+
+  if (!open) return null;
+
+  const canLoadAll = hasMore && !!loadAll;
+  const summary = describeFilters(filters);
+
+  const toggleColumn = (key, checked) =>
+    setColumns((prev) => (checked ? [...prev, key] : prev.filter((k) => k !== key)));
+
+  const handleDownload = async () => {
+    setWorking(true);
+    setError("");
+    try {
+      const rows = canLoadAll && everything ? await loadAll() : reservations;
+      if (rows.length === 0) {
+        setError("No reservations to export.");
+        return;
+      }
+      const now = zonedNow(timeZone);
+      const content = buildExport(format, rows, {
+        columns,
+        maskPhones,
+        tables,
+        rules,
+        timeZone,
+        filters,
+        now,
+      });
+      const type = EXPORT_FORMATS.find((f) => f.key === format)?.type;
+      downloadFile(content, exportFileName(format, filters, now), type);
+      onClose?.();
+    } catch (err) {
+      setError(err?.message || "Failed to load reservations");
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  return (
+    <div role="dialog" aria-modal="true" aria-label="Export reservations" style={backdropStyle}>
+      <div style={modalStyle}>
+        <h3 style={{ margin: "0 0 6px", fontSize: 18 }}>Export reservations</h3>
+        <p style={{ margin: "0 0 12px", color: "#6B7280", fontSize: 13 }}>
+          {summary ? `Reservations matching: ${summary}.` : "All reservations in the list."}
+        </p>
+
+        <fieldset style={fieldsetStyle}>
+          <legend style={legendStyle}>Rows</legend>
+          {canLoadAll ? (
+            <>
+              <label style={optionStyle}>
+                <input
+                  type="radio"
+                  name="export-scope"
+                  checked={everything}
+                  onChange={() => setEverything(true)}
+                />
+                Every matching reservation (loads the remaining pages)
+              </label>
+              <label style={optionStyle}>
+                <input
+                  type="radio"
+                  name="export-scope"
+                  checked={!everything}
+                  onChange={() => setEverything(false)}
+                />
+                Only the {reservations.length} loaded
+              </label>
+            </>
+          ) : (
+            <div style={{ fontSize: 13 }}>
+              {reservations.length} reservation{reservations.length === 1 ? "" : "s"}
+            </div>
+          )}
+        </fieldset>
+
+        <fieldset style={fieldsetStyle}>
+          <legend style={legendStyle}>Format</legend>
+          {EXPORT_FORMATS.map((f) => (
+            <label key={f.key} style={optionStyle}>
+              <input
+                type="radio"
+                name="export-format"
+                checked={format === f.key}
+                onChange={() => setFormat(f.key)}
+              />
+              {f.label}
+            </label>
+          ))}
+        </fieldset>
+
+        <fieldset style={fieldsetStyle}>
+          <legend style={legendStyle}>Columns</legend>
+          <div style={columnsGridStyle}>
+            {EXPORT_COLUMNS.map((c) => (
+              <label key={c.key} style={optionStyle}>
+                <input
+                  type="checkbox"
+                  checked={columns.includes(c.key)}
+                  onChange={(e) => toggleColumn(c.key, e.target.checked)}
+                />
+                {c.label}
+              </label>
+            ))}
+          </div>
+        </fieldset>
+
+        <label style={optionStyle}>
+          <input
+            type="checkbox"
+            checked={maskPhones}
+            onChange={(e) => setMaskPhones(e.target.checked)}
+            disabled={!columns.includes("phone")}
+          />
+          Mask phone numbers (show the last two digits only)
+        </label>
+
+        {error && (
+          <div style={{ color: "var(--color-error)", fontSize: 13, marginTop: 10 }}>{error}</div>
+        )}
+        <div style={{ display: "flex", gap: 8, justifyContent: "flex-end", marginTop: 14 }}>
+          <button className="nav-link" onClick={onClose} disabled={working}>
+            Cancel
+          </button>
+          <button
+            className="nav-link"
+            onClick={handleDownload}
+            disabled={working || columns.length === 0}
+            style={{ background: "var(--color-primary)", color: "#fff" }}
+          >
+            {working ? "Preparing..." : `Download .${format}`}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+const backdropStyle = {
+  position: "fixed",
+  inset: 0,
+  background: "rgba(0,0,0,0.3)",
+  display: "flex",
+  alignItems: "center",
+  justifyContent: "center",
+  padding: 16,
+  zIndex: 1100,
+};
+
+const modalStyle = {
+  width: "100%",
+  maxWidth: 480,
+  background: "var(--color-surface)",
+  borderRadius: 16,
+  border: "1px solid rgba(0,0,0,0.06)",
+  boxShadow: "0 12px 40px rgba(31,41,55,0.2)",
+  padding: 16,
+};
+
+const fieldsetStyle = {
+  border: "none",
+  margin: "0 0 12px",
+  padding: 0,
+  display: "grid",
+  gap: 6,
+};
+
+const legendStyle = { fontSize: 13, fontWeight: 600, marginBottom: 6, padding: 0 };
+
+const columnsGridStyle = {
+  display: "grid",
+  gridTemplateColumns: "repeat(2, minmax(0, 1fr))",
+  gap: 6,
+};
+
+const optionStyle = {
+  display: "flex",
+  gap: 8,
+  alignItems: "center",
+  fontSize: 13,
+};
@@ -0,0 +1,96 @@
+import React from "react";
+import { guestIdOf, parseList } from "../utils/guests";
+
+/**
+ * GuestSuggestions
+ * Dropdown listbox of matching guest profiles, shown under the name/phone inputs of the
+ * reservation form. Keyboard navigation is owned by the input (combobox pattern); options use
+ * mousedown so picking one does not blur the input first.
+ *
+ * Props:
+ * - id: string - listbox id referenced by the input's aria-controls
+ * - guests: array - suggested profiles
+ * - activeIndex: number - highlighted option (-1 for none)
+ * - onPick: (guest) => void - called with the chosen profile
+ *
+ * PUBLIC_INTERFACE
+ */
+// PUBLIC_INTERFACE
+export default function GuestSuggestions({ id, guests = [], activeIndex = -1, onPick }) {
+  if (guests.length === 0) return null;
+  return (
+    <ul id={id} role="listbox" aria-label="Matching guests" style={listStyle}>
+      {guests.map((g, i) => {
+        const allergies = parseList(g.allergies);
+        return (
+          <li
+            key={guestIdOf(g) || `${g.phone}-${i}`}
+            id={`${id}-option-${i}`}
+            role="option"
+            aria-selected={i === activeIndex}
+            onMouseDown={(e) => {
+              e.preventDefault();
+              onPick?.(g);
+            }}
+            style={optionStyle(i === activeIndex)}
+          >
+            <div style={{ display: "flex", alignItems: "center", gap: 6 }}>
+              <strong>{g.name || g.guestName || "Guest"}</strong>
+              {g.vip && <span style={vipStyle}>★ VIP</span>}
+              <span style={{ marginLeft: "auto", color: "var(--color-secondary)" }}>
+                {g.phone || ""}
+              </span>
+            </div>
+            {(allergies.length > 0 || g.visitCount > 0) && (
+              <div style={{ fontSize: 11, color: "var(--color-secondary)", marginTop: 2 }}>
+                {g.visitCount > 0 && `${g.visitCount} visit${g.visitCount === 1 ? "" : "s"}`}
+                {g.visitCount > 0 && allergies.length > 0 && " · "}
+                {allergies.length > 0 && (
+                  <span style={{ color: "var(--color-error)" }}>
+                    Allergies: {allergies.join(", ")}
+                  </span>
+                )}
+              </div>
+            )}
+          </li>
+        );
+      })}
+    </ul>
+  );
+}
+
+const listStyle = {
+  position: "absolute",
+  zIndex: 20,
+  top: "100%",
+  left: 0,
+  right: 0,
+  margin: "4px 0 0",
+  padding: 4,
+  listStyle: "none",
+  background: "var(--color-surface)",
+  border: "1px solid rgba(0,0,0,0.12)",
+  borderRadius: 10,
+  boxShadow: "0 8px 24px rgba(31,41,55,0.12)",
+  maxHeight: 240,
+  overflowY: "auto",
+};
+
+function optionStyle(active) {
+  return {
+    padding: "6px 8px",
+    borderRadius: 8,
+    fontSize: 13,
+    cursor: "pointer",
+    background: active ? "rgba(217,119,6,0.12)" : "transparent",
+  };
+}
+
+const vipStyle = {
+  padding: "0 6px",
+  borderRadius: 999,
+  background: "rgba(217,119,6,0.15)",
+  color: "#92400E",
+  fontSize: 11,
+  fontWeight: 700,
+};
@@ -0,0 +1,203 @@
+import React, { useEffect, useState } from "react";
+import { addDays } from "../utils/calendar";
+import { dateKey } from "../utils/openingHours";
+import { normalizeStatus } from "../utils/reservationStatus";
+
+/**
+ * IcsExportModal
+ * Exports reservations as an iCalendar (.ics) file: the reservations passed in (e.g. the
+ * filtered list) or every reservation in a date range, loaded from the server.
+ *
+ * Props:
+ * - open: boolean - whether the modal is visible
+ * - reservations?: array - current selection; offered as the default scope when given
+ * - from?: Date - first day of the range (defaults to today)
+ * - to?: Date - day after the range (exclusive); defaults to a week after `from`
+ * - loadRange: (from: Date, to: Date) => Promise<array> - reservations starting in the range
+ * - onDownload: (reservations, label: string) => void - builds and saves the file
+ * - onClose: () => void
+ *
+ * PUBLIC_INTERFACE
+ */
+// PUBLIC_INTERFACE
+export default function IcsExportModal({
+  open,
+  reservations,
+  from,
+  to,
+  loadRange,
+  onDownload,
+  onClose,
+}) {
+  const hasSelection = Array.isArray(reservations);
+  const [scope, setScope] = useState("range");
+  const [range, setRange] = useState({ from: "", to: "" });
+  const [includeCancelled, setIncludeCancelled] = useState(true);
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState("");
+
+  // Start from the caller's selection or period each time the modal opens
+  useEffect(() => {
+    if (!open) return;
+    const start = from || new Date();
+    setScope(hasSelection ? "selection" : "range");
+    setRange({
+      from: dateKey(start),
+      to: dateKey(addDays(to || addDays(start, 7), -1)),
+    });
+    setError("");
+  }, [open, hasSelection, from, to]);
+
+  if (!open) return null;
+
+  const rangeValid = !!range.from && !!range.to && range.from <= range.to;
+
+  const handleDownload = async () => {
+    setWorking(true);
+    setError("");
+    try {
+      let rows;
+      let label;
+      if (scope === "selection") {
+        rows = reservations;
+        label = "reservations-selection";
+      } else {
+        const start = parseDay(range.from);
+        rows = await loadRange(start, addDays(parseDay(range.to), 1));
+        label = `reservations-${range.from}-to-${range.to}`;
+      }
+      if (!includeCancelled) {
+        rows = rows.filter((r) => !["cancelled", "no_show"].includes(normalizeStatus(r.status)));
+      }
+      if (rows.length === 0) {
+        setError("No reservations to export.");
+        return;
+      }
+      onDownload?.(rows, label);
+      onClose?.();
+    } catch (err) {
+      setError(err?.message || "Failed to load reservations");
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  return (
+    <div role="dialog" aria-modal="true" aria-label="Export to calendar" style={backdropStyle}>
+      <div style={modalStyle}>
+        <h3 style={{ margin: "0 0 6px", fontSize: 18 }}>Export to calendar (.ics)</h3>
+        <p style={{ margin: "0 0 12px", color: "#6B7280", fontSize: 13 }}>
+          Importing the file again later updates the same events instead of duplicating them.
+        </p>
+        <div style={{ display: "grid", gap: 8 }}>
+          {hasSelection && (
+            <label style={optionStyle}>
+              <input
+                type="radio"
+                name="ics-scope"
+                checked={scope === "selection"}
+                onChange={() => setScope("selection")}
+              />
+              Current list ({reservations.length} reservation
+              {reservations.length === 1 ? "" : "s"})
+            </label>
+          )}
+          <label style={optionStyle}>
+            <input
+              type="radio"
+              name="ics-scope"
+              checked={scope === "range"}
+              onChange={() => setScope("range")}
+            />
+            Date range
+          </label>
+          {scope === "range" && (
+            <div style={{ display: "flex", gap: 8, alignItems: "center", paddingLeft: 24 }}>
+              <input
+                type="date"
+                aria-label="First day"
+                value={range.from}
+                onChange={(e) => setRange((r) => ({ ...r, from: e.target.value }))}
+                style={inputStyle}
+              />
+              to
+              <input
+                type="date"
+                aria-label="Last day"
+                value={range.to}
+                onChange={(e) => setRange((r) => ({ ...r, to: e.target.value }))}
+                style={inputStyle}
+              />
+            </div>
+          )}
+          <label style={optionStyle}>
+            <input
+              type="checkbox"
+              checked={includeCancelled}
+              onChange={(e) => setIncludeCancelled(e.target.checked)}
+            />
+            Include cancelled and no-show reservations (removes them from earlier imports)
+          </label>
+        </div>
+        {error && (
+          <div style={{ color: "var(--color-error)", fontSize: 13, marginTop: 10 }}>{error}</div>
+        )}
+        <div style={{ display: "flex", gap: 8, justifyContent: "flex-end", marginTop: 14 }}>
+          <button className="nav-link" onClick={onClose} disabled={working}>
+            Cancel
+          </button>
+          <button
+            className="nav-link"
+            onClick={handleDownload}
+            disabled={working || (scope === "range" && !rangeValid)}
+            style={{ background: "var(--color-primary)", color: "#fff" }}
+          >
+            {working ? "Preparing..." : "Download .ics"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/** Local midnight of a YYYY-MM-DD date input value. */
+function parseDay(value) {
+  const [y, m, d] = value.split("-").map(Number);
+  return new Date(y, m - 1, d);
+}
+
+const backdropStyle = {
+  position: "fixed",
+  inset: 0,
+  background: "rgba(0,0,0,0.3)",
+  display: "flex",
+  alignItems: "center",
+  justifyContent: "center",
+  padding: 16,
+  zIndex: 1100,
+};
+
+const modalStyle = {
+  width: "100%",
+  maxWidth: 440,
+  background: "var(--color-surface)",
+  borderRadius: 16,
+  border: "1px solid rgba(0,0,0,0.06)",
+  boxShadow: "0 12px 40px rgba(31,41,55,0.2)",
+  padding: 16,
+};
+
+const optionStyle = {
+  display: "flex",
+  gap: 8,
+  alignItems: "center",
+  fontSize: 13,
+};
+
+const inputStyle = {
+  padding: "6px 8px",
+  borderRadius: 8,
+  border: "1px solid rgba(0,0,0,0.12)",
+  background: "var(--color-surface)",
+  color: "var(--color-text)",
+};
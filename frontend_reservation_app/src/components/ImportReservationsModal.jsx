@@ -0,0 +1,475 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { addDays, startOfDay } from "../utils/calendar";
+import { parseCsv } from "../utils/csv";
+import {
+  IMPORT_FIELDS,
+  guessMapping,
+  importReservations,
+  validateImportRows,
+} from "../utils/reservationImport";
+import { statusLabel } from "../utils/reservationStatus";
+import { zonedNow } from "../utils/timezone";
+import { isXlsxFile, readXlsx } from "../utils/xlsx";
+
+/**
+ * ImportReservationsModal
+ * Imports reservations from a CSV or Excel (.xlsx) file: pick the file, map its columns to
+ * reservation fields, review every row with its errors and duplicates, then create the valid
+ * rows in batches and show what was created and what failed.
+ *
+ * Props:
+ * - open: boolean - whether the modal is visible
+ * - reservations?: array - loaded reservations (zoned rows), checked for duplicates
+ * - loadExisting?: (from: Date, to: Date) => Promise<array> - reservations starting in the
+ *   file's date range, for duplicates beyond the loaded rows
+ * - onCreate: (payload) => Promise<Object> - creates one reservation (zoned times)
+ * - timeZone?: string - venue zone
+ * - onImported?: (report: { created, failed }) => void - after the import finishes
+ * - onClose: () => void
+ *
+ * PUBLIC_INTERFACE
+ */
+// PUBLIC_INTERFACE
+export default function ImportReservationsModal({
+  open,
+  reservations = [],
+  loadExisting,
+  onCreate,
+  timeZone,
+  onImported,
+  onClose,
+}) {
+  const [step, setStep] = useState("file"); // file | map | preview | importing | done
+  const [fileName, setFileName] = useState("");
+  const [cells, setCells] = useState([]); // every row of the file, header included
+  const [hasHeader, setHasHeader] = useState(true);
+  const [mapping, setMapping] = useState({});
+  const [dayFirst, setDayFirst] = useState(false);
+  const [existing, setExisting] = useState([]);
+  const [skipDuplicates, setSkipDuplicates] = useState(true);
+  const [progress, setProgress] = useState({ done: 0, total: 0 });
+  const [report, setReport] = useState(null);
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState("");
+
+  // Start over each time the modal opens
+  useEffect(() => {
+    if (!open) return;
+    setStep("file");
+    setFileName("");
+    setCells([]);
+    setHasHeader(true);
+    setMapping({});
+    setExisting([]);
+    setReport(null);
+    setError("");
+  }, [open]);
+
+  const width = cells.reduce((max, r) => Math.max(max, r.length), 0);
+  const headers = useMemo(
+    () =>
+      Array.from({ length: width }, (_, i) =>
+        hasHeader && cells[0]?.[i]?.trim() ? cells[0][i].trim() : `Column ${columnName(i)}`
+      ),
+    [cells, hasHeader, width]
+  );
+  const dataRows = useMemo(() => (hasHeader ? cells.slice(1) : cells), [cells, hasHeader]);
+
+  const validated = useMemo(
+    () =>
+      step === "file"
+        ? []
+        : validateImportRows(dataRows, mapping, {
+            existing,
+            dayFirst,
+            timeZone,
+            now: zonedNow(timeZone),
+            firstLine: hasHeader ? 2 : 1,
+          }),
+    [step, dataRows, mapping, existing, dayFirst, timeZone, hasHeader]
+  );
+
+  if (!open) return null;
+
+  const missing = IMPORT_FIELDS.filter((f) => f.required && mapping[f.key] == null);
+  const invalid = validated.filter((r) => Object.keys(r.errors).length > 0);
+  const duplicates = validated.filter((r) => r.duplicate && Object.keys(r.errors).length === 0);
+  const ready = validated.filter(
+    (r) => Object.keys(r.errors).length === 0 && !(skipDuplicates && r.duplicate)
+  );
+
+  const handleFile = async (file) => {
+    if (!file) return;
+    setWorking(true);
+    setError("");
+    try {
+      const rows = isXlsxFile(file)
+        ? await readXlsx(await file.arrayBuffer())
+        : parseCsv(await file.text());
+      if (rows.length === 0) throw new Error("The file is empty");
+      setFileName(file.name);
+      setCells(rows);
+      setHasHeader(true);
+      setMapping(guessMapping(rows[0]));
+      setStep("map");
+    } catch (err) {
+      setError(err?.message || "Could not read the file");
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const toggleHeader = (checked) => {
+    setHasHeader(checked);
+    setMapping(checked ? guessMapping(cells[0]) : {});
+  };
+
+  // Duplicates are checked against the loaded rows plus everything booked on the file's days
+  const handlePreview = async () => {
+    setWorking(true);
+    setError("");
+    let found = reservations;
+    const times = validateImportRows(dataRows, mapping, { dayFirst, timeZone })
+      .map((r) => r.payload.time && new Date(r.payload.time))
+      .filter(Boolean);
+    if (loadExisting && times.length > 0) {
+      const from = startOfDay(new Date(Math.min(...times)));
+      const to = addDays(startOfDay(new Date(Math.max(...times))), 1);
+      try {
+        found = [...reservations, ...(await loadExisting(from, to))];
+      } catch (err) {
+        setError(`Only loaded reservations were checked for duplicates (${err?.message})`);
+      }
+    }
+    setExisting(found);
+    setStep("preview");
+    setWorking(false);
+  };
+
+  const handleImport = async () => {
+    setStep("importing");
+    setProgress({ done: 0, total: ready.length });
+    const result = await importReservations(ready, onCreate, {
+      onProgress: (done, total) => setProgress({ done, total }),
+    });
+    setReport(result);
+    setStep("done");
+    onImported?.(result);
+  };
+
+  return (
+    <div role="dialog" aria-modal="true" aria-label="Import reservations" style={backdropStyle}>
+      <div style={modalStyle}>
+        <h3 style={{ margin: "0 0 6px", fontSize: 18 }}>
+          Import reservations{fileName ? ` from ${fileName}` : ""}
+        </h3>
+
+        {step === "file" && (
+          <div style={{ display: "grid", gap: 8 }}>
+            <p style={hintStyle}>
+              Choose a CSV or Excel (.xlsx) file with one reservation per row. You can match its
+              columns to reservation fields next, and nothing is created before you confirm.
+            </p>
+            <input
+              type="file"
+              aria-label="Reservations file"
+              accept=".csv,.txt,.xlsx,text/csv"
+              disabled={working}
+              onChange={(e) => handleFile(e.target.files?.[0])}
+            />
+          </div>
+        )}
+
+        {step === "map" && (
+          <div style={{ display: "grid", gap: 8 }}>
+            <p style={hintStyle}>
+              {dataRows.length} row{dataRows.length === 1 ? "" : "s"} found. Match the columns
+              to reservation fields.
+            </p>
+            <label style={optionStyle}>
+              <input
+                type="checkbox"
+                checked={hasHeader}
+                onChange={(e) => toggleHeader(e.target.checked)}
+              />
+              The first row holds column names
+            </label>
+            <div style={mappingGridStyle}>
+              {IMPORT_FIELDS.map((field) => (
+                <React.Fragment key={field.key}>
+                  <label htmlFor={`import-${field.key}`} style={{ fontSize: 13 }}>
+                    {field.label}
+                    {field.required ? " *" : ""}
+                  </label>
+                  <select
+                    id={`import-${field.key}`}
+                    value={mapping[field.key] ?? ""}
+                    onChange={(e) =>
+                      setMapping((m) => ({
+                        ...m,
+                        [field.key]: e.target.value === "" ? null : Number(e.target.value),
+                      }))
+                    }
+                    style={inputStyle}
+                  >
+                    <option value="">Not imported</option>
+                    {headers.map((h, i) => (
+                      <option key={i} value={i}>
+                        {h}
+                      </option>
+                    ))}
+                  </select>
+                </React.Fragment>
+              ))}
+            </div>
+            <label style={optionStyle}>
+              <input
+                type="checkbox"
+                checked={dayFirst}
+                onChange={(e) => setDayFirst(e.target.checked)}
+              />
+              Dates are written day first (31/12/2030)
+            </label>
+            {missing.length > 0 && (
+              <div style={{ color: "var(--color-error)", fontSize: 13 }}>
+                Choose a column for {missing.map((f) => f.label.toLowerCase()).join(", ")}.
+              </div>
+            )}
+          </div>
+        )}
+
+        {step === "preview" && (
+          <div style={{ display: "grid", gap: 8 }}>
+            <p style={hintStyle}>
+              {ready.length} ready to import · {invalid.length} with errors ·{" "}
+              {duplicates.length} duplicate{duplicates.length === 1 ? "" : "s"}
+            </p>
+            <label style={optionStyle}>
+              <input
+                type="checkbox"
+                checked={skipDuplicates}
+                onChange={(e) => setSkipDuplicates(e.target.checked)}
+              />
+              Skip rows that duplicate a reservation (same time and phone, or name)
+            </label>
+            <div style={tableWrapStyle}>
+              <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 13 }}>
+                <thead>
+                  <tr>
+                    {["Line", "Guest", "Phone", "Size", "Time", "Status", "Issues"].map((h) => (
+                      <th key={h} style={cellStyle}>
+                        {h}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {validated.map((r) => {
+                    const issues = [
+                      ...Object.values(r.errors),
+                      r.duplicate === "existing" && "Already booked",
+                      r.duplicate === "file" && "Repeats an earlier row",
+                      ...r.warnings,
+                    ].filter(Boolean);
+                    return (
+                      <tr key={r.line} style={rowStyle(r)}>
+                        <td style={cellStyle}>{r.line}</td>
+                        <td style={cellStyle}>{r.values.guestName}</td>
+                        <td style={cellStyle}>{r.values.phone}</td>
+                        <td style={cellStyle}>{r.values.size}</td>
+                        <td style={cellStyle}>
+                          {r.payload.time
+                            ? new Date(r.payload.time).toLocaleString([], DATE_TIME)
+                            : r.values.time}
+                        </td>
+                        <td style={cellStyle}>
+                          {r.payload.status ? statusLabel(r.payload.status) : ""}
+                        </td>
+                        <td style={cellStyle}>{issues.join("; ")}</td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+
+        {step === "importing" && (
+          <div style={{ display: "grid", gap: 8 }}>
+            <p style={hintStyle}>
+              Creating reservations… {progress.done}/{progress.total}
+            </p>
+            <div
+              role="progressbar"
+              aria-valuemin={0}
+              aria-valuemax={progress.total}
+              aria-valuenow={progress.done}
+              style={trackStyle}
+            >
+              <div style={barStyle(progress.total ? progress.done / progress.total : 0)} />
+            </div>
+          </div>
+        )}
+
+        {step === "done" && report && (
+          <div style={{ display: "grid", gap: 8 }} role="status">
+            <p style={{ margin: 0 }}>
+              Created {report.created.length} of {report.created.length + report.failed.length}{" "}
+              reservation{report.created.length + report.failed.length === 1 ? "" : "s"}.
+              {invalid.length > 0 ? ` ${invalid.length} row(s) with errors were not imported.` : ""}
+              {skipDuplicates && duplicates.length > 0
+                ? ` ${duplicates.length} duplicate(s) were skipped.`
+                : ""}
+            </p>
+            {report.failed.length > 0 && (
+              <ul style={{ margin: 0, paddingLeft: 18, color: "var(--color-error)", fontSize: 13 }}>
+                {report.failed.map((f) => (
+                  <li key={f.line}>
+                    Line {f.line}: {f.error}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+
+        {error && (
+          <div style={{ color: "var(--color-error)", fontSize: 13, marginTop: 10 }}>{error}</div>
+        )}
+
+        <div style={{ display: "flex", gap: 8, justifyContent: "flex-end", marginTop: 14 }}>
+          {step === "map" && (
+            <button className="nav-link" onClick={() => setStep("file")} disabled={working}>
+              Choose another file
+            </button>
+          )}
+          {step === "preview" && (
+            <button className="nav-link" onClick={() => setStep("map")}>
+              Back to columns
+            </button>
+          )}
+          <button className="nav-link" onClick={onClose} disabled={step === "importing"}>
+            {step === "done" ? "Close" : "Cancel"}
+          </button>
+          {step === "map" && (
+            <button
+              className="nav-link"
+              onClick={handlePreview}
+              disabled={working || missing.length > 0 || dataRows.length === 0}
+              style={primaryStyle}
+            >
+              {working ? "Checking..." : "Preview"}
+            </button>
+          )}
+          {step === "preview" && (
+            <button
+              className="nav-link"
+              onClick={handleImport}
+              disabled={ready.length === 0}
+              style={primaryStyle}
+            >
+              Import {ready.length} reservation{ready.length === 1 ? "" : "s"}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+const DATE_TIME = { dateStyle: "medium", timeStyle: "short" };
+
+/** 0 -> "A", 27 -> "AB" */
+function columnName(index) {
+  let name = "";
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+const backdropStyle = {
+  position: "fixed",
+  inset: 0,
+  background: "rgba(0,0,0,0.3)",
+  display: "flex",
+  alignItems: "center",
+  justifyContent: "center",
+  padding: 16,
+  zIndex: 1100,
+};
+
+const modalStyle = {
+  width: "100%",
+  maxWidth: 860,
+  maxHeight: "calc(100vh - 32px)",
+  overflowY: "auto",
+  background: "var(--color-surface)",
+  borderRadius: 16,
+  border: "1px solid rgba(0,0,0,0.06)",
+  boxShadow: "0 12px 40px rgba(31,41,55,0.2)",
+  padding: 16,
+};
+
+const hintStyle = { margin: 0, color: "#6B7280", fontSize: 13 };
+
+const optionStyle = {
+  display: "flex",
+  gap: 8,
+  alignItems: "center",
+  fontSize: 13,
+};
+
+const mappingGridStyle = {
+  display: "grid",
+  gridTemplateColumns: "minmax(160px, auto) 1fr",
+  gap: "6px 12px",
+  alignItems: "center",
+};
+
+const inputStyle = {
+  padding: "6px 8px",
+  borderRadius: 8,
+  border: "1px solid rgba(0,0,0,0.12)",
+  background: "var(--color-surface)",
+  color: "var(--color-text)",
+};
+
+const primaryStyle = { background: "var(--color-primary)", color: "#fff" };
+
+const tableWrapStyle = {
+  maxHeight: 360,
+  overflow: "auto",
+  border: "1px solid rgba(0,0,0,0.08)",
+  borderRadius: 8,
+};
+
+const cellStyle = {
+  textAlign: "left",
+  padding: "6px 8px",
+  borderBottom: "1px solid rgba(0,0,0,0.06)",
+  verticalAlign: "top",
+};
+
+function rowStyle(row) {
+  if (Object.keys(row.errors).length > 0) return { background: "rgba(239,68,68,0.08)" };
+  if (row.duplicate) return { background: "rgba(245,158,11,0.12)" };
+  return undefined;
+}
+
+const trackStyle = {
+  height: 6,
+  borderRadius: 999,
+  background: "rgba(0,0,0,0.08)",
+  overflow: "hidden",
+};
+
+function barStyle(fraction) {
+  return {
+    width: `${Math.round(fraction * 100)}%`,
+    height: "100%",
+    background: "#10B981",
+    transition: "width 200ms ease",
+  };
+}
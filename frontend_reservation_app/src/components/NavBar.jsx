@@ -1,10 +1,12 @@
 import { Link, NavLink, useLocation } from "react-router-dom";
 import React from "react";
+import useConnectionStatus from "../hooks/useConnectionStatus";
 
 /**
  * Top navigation bar for the reservation app.
- * Renders links to Dashboard, Reservations, and Settings.
+ * Renders links to Dashboard, Reservations, Waitlist, Guests, and Settings.
  * If a theme toggle is provided via props, it will render a toggle button.
+ * Shows the realtime connection status while a page holds the reservations socket open.
  *
  * Props:
  * - onToggleTheme?: () => void - optional theme toggle handler
@@ -13,6 +15,7 @@ import React from "react";
 // PUBLIC_INTERFACE
 export default function NavBar({ onToggleTheme, currentTheme }) {
   const location = useLocation();
+  const connectionStatus = useConnectionStatus();
 
   return (
     <nav className="nav">
@@ -29,12 +32,19 @@ export default function NavBar({ onToggleTheme, currentTheme }) {
           <NavLink to="/reservations" className={({ isActive }) => linkClass(isActive)}>
             Reservations
           </NavLink>
+          <NavLink to="/waitlist" className={({ isActive }) => linkClass(isActive)}>
+            Waitlist
+          </NavLink>
+          <NavLink to="/guests" className={({ isActive }) => linkClass(isActive)}>
+            Guests
+          </NavLink>
           <NavLink to="/settings" className={({ isActive }) => linkClass(isActive)}>
             Settings
           </NavLink>
         </div>
 
         <div className="actions">
+          <ConnectionIndicator status={connectionStatus} />
           {typeof onToggleTheme === "function" && (
             <button
               className="btn-toggle"
@@ -50,6 +60,40 @@ export default function NavBar({ onToggleTheme, currentTheme }) {
   );
 }
 
+const CONNECTION_LABELS = {
+  connecting: { text: "Connecting…", color: "#6B7280" },
+  open: { text: "Live", color: "var(--color-success)" },
+  reconnecting: { text: "Reconnecting…", color: "var(--color-primary)" },
+};
+
+function ConnectionIndicator({ status }) {
+  // "idle" and "closed" mean no page is using realtime; render nothing
+  const label = CONNECTION_LABELS[status];
+  if (!label) return null;
+  return (
+    <span
+      role="status"
+      aria-live="polite"
+      title={`Realtime updates: ${status}`}
+      style={{
+        display: "inline-flex",
+        alignItems: "center",
+        gap: 6,
+        marginRight: 8,
+        fontSize: 12,
+        fontWeight: 600,
+        color: "var(--color-text)",
+      }}
+    >
+      <span
+        aria-hidden
+        style={{ width: 8, height: 8, borderRadius: 999, background: label.color }}
+      />
+      {label.text}
+    </span>
+  );
+}
+
 function linkClass(isActive, isExact = false) {
   const base = "nav-link";
   const active = isActive || isExact ? " active" : "";
@@ -0,0 +1,121 @@
+import React from "react";
+import ReservationForm from "./ReservationForm";
+
+/**
+ * NewReservationModal
+ * Hosts ReservationForm for a booking started outside the page form, e.g. from an empty
+ * calendar slot, with the time (and optionally the duration) already filled in.
+ *
+ * Props:
+ * - open: boolean - whether the modal is visible
+ * - initialValues?: { time?, durationMinutes? } - prefilled fields
+ * - onClose: () => void - called to close the modal
+ * - onSubmit: (payload) => Promise<any> | any - creates the reservation; the modal closes once
+ *   it resolves and stays open (with the form's error handling) when it rejects
+ * - submitting?: boolean
+ * - tables?: array - venue tables available for assignment
+ * - reservations?: array - existing reservations, for conflict warnings
+ *
+ * PUBLIC_INTERFACE
+ */
+// PUBLIC_INTERFACE
+export default function NewReservationModal({
+  open,
+  initialValues = {},
+  onClose,
+  onSubmit,
+  submitting = false,
+  tables,
+  reservations,
+}) {
+  if (!open) return null;
+
+  const handleSubmit = async (payload) => {
+    await onSubmit?.(payload);
+    onClose?.();
+  };
+
+  const when = initialValues.time ? new Date(initialValues.time) : null;
+
+  return (
+    <div role="dialog" aria-modal="true" aria-label="New reservation" style={backdropStyle}>
+      <div style={modalStyle}>
+        <header style={headerStyle}>
+          <h3 style={{ margin: 0, fontSize: 18 }}>
+            New reservation
+            {when && (
+              <span style={{ fontWeight: 500, color: "#6B7280", fontSize: 14 }}>
+                {" · "}
+                {when.toLocaleString([], {
+                  weekday: "short",
+                  month: "short",
+                  day: "numeric",
+                  hour: "numeric",
+                  minute: "2-digit",
+                })}
+              </span>
+            )}
+          </h3>
+          <button
+            aria-label="Close"
+            onClick={onClose}
+            style={closeBtnStyle}
+            disabled={submitting}
+          >
+            ×
+          </button>
+        </header>
+        <div style={{ padding: "12px 16px" }}>
+          <ReservationForm
+            key={`${initialValues.time}-${initialValues.durationMinutes}`}
+            initialValues={initialValues}
+            tables={tables}
+            reservations={reservations}
+            onSubmit={handleSubmit}
+            onCancel={onClose}
+            submitting={submitting}
+          />
+        </div>
+      </div>
+    </div>
+  );
+}
+
+const backdropStyle = {
+  position: "fixed",
+  inset: 0,
+  background: "rgba(0,0,0,0.3)",
+  display: "flex",
+  alignItems: "center",
+  justifyContent: "center",
+  padding: 16,
+  zIndex: 1000,
+};
+
+const modalStyle = {
+  width: "100%",
+  maxWidth: 720,
+  maxHeight: "calc(100vh - 32px)",
+  overflowY: "auto",
+  background: "var(--color-surface)",
+  borderRadius: 16,
+  border: "1px solid rgba(0,0,0,0.06)",
+  boxShadow: "0 12px 40px rgba(31,41,55,0.2)",
+};
+
+const headerStyle = {
+  display: "flex",
+  alignItems: "center",
+  justifyContent: "space-between",
+  padding: "12px 16px",
+  background: "linear-gradient(180deg, rgba(217,119,6,0.08), transparent)",
+  borderBottom: "1px solid rgba(0,0,0,0.06)",
+};
+
+const closeBtnStyle = {
+  border: "none",
+  background: "transparent",
+  fontSize: 20,
+  cursor: "pointer",
+  color: "#6B7280",
+};
@@ -0,0 +1,126 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { useVenueSettings } from "../hooks/useVenueSettings";
+import { noShowCandidates } from "../utils/reliability";
+import { reservationIdOf, reservationTimeOf } from "../utils/reservationIds";
+import { venueTimeZone, zonedNow } from "../utils/timezone";
+
+/**
+ * NoShowPrompt
+ * Banner listing past reservations that were never seated, offering to mark them as no-show
+ * (individually or all at once). Dismissed reservations stay hidden for the session.
+ *
+ * Props:
+ * - reservations: array - loaded reservations (times zoned to the venue, like the list's)
+ * - onMarkNoShow: (id) => Promise<any> - applies the no_show transition
+ * - graceMinutes?: number - minutes after the booked time before prompting
+ *
+ * PUBLIC_INTERFACE
+ */
+// PUBLIC_INTERFACE
+export default function NoShowPrompt({ reservations = [], onMarkNoShow, graceMinutes }) {
+  const [venue] = useVenueSettings();
+  const timeZone = venueTimeZone(venue);
+  const [dismissed, setDismissed] = useState(() => new Set());
+  const [expanded, setExpanded] = useState(false);
+  const [working, setWorking] = useState(false);
+
+  // Re-evaluate each minute so reservations cross the grace period without a reload
+  const [now, setNow] = useState(() => Date.now());
+  useEffect(() => {
+    const t = setInterval(() => setNow(Date.now()), 60000);
+    return () => clearInterval(t);
+  }, []);
+
+  const candidates = useMemo(
+    () =>
+      noShowCandidates(reservations, {
+        now: zonedNow(timeZone, new Date(now)).getTime(),
+        graceMinutes,
+      }).filter((r) => !dismissed.has(String(reservationIdOf(r)))),
+    [reservations, now, timeZone, graceMinutes, dismissed]
+  );
+
+  if (candidates.length === 0) return null;
+
+  const dismiss = (ids) =>
+    setDismissed((prev) => new Set([...prev, ...ids.map((id) => String(id))]));
+
+  const markAll = async () => {
+    setWorking(true);
+    try {
+      // Sequential so each failure is reported by the caller without flooding the API
+      for (const r of candidates) {
+        try {
+          await onMarkNoShow?.(reservationIdOf(r));
+        } catch {
+          // caller surfaces the error; keep going with the rest
+        }
+      }
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  return (
+    <div role="region" aria-label="Possible no-shows" style={bannerStyle}>
+      <div style={{ display: "flex", alignItems: "center", gap: 8, flexWrap: "wrap" }}>
+        <strong>
+          {candidates.length} past reservation{candidates.length === 1 ? " was" : "s were"} never
+          seated.
+        </strong>
+        <span>Mark as no-show?</span>
+        <div style={{ display: "flex", gap: 6, marginLeft: "auto" }}>
+          <button className="nav-link" onClick={() => setExpanded((v) => !v)}>
+            {expanded ? "Hide" : "Review"}
+          </button>
+          <button className="nav-link" onClick={markAll} disabled={working}>
+            {working ? "Marking..." : "Mark all no-show"}
+          </button>
+          <button
+            className="nav-link"
+            onClick={() => dismiss(candidates.map(reservationIdOf))}
+            disabled={working}
+          >
+            Dismiss
+          </button>
+        </div>
+      </div>
+      {expanded && (
+        <ul style={{ listStyle: "none", margin: "8px 0 0", padding: 0, display: "grid", gap: 4 }}>
+          {candidates.map((r) => (
+            <li key={reservationIdOf(r)} style={{ display: "flex", alignItems: "center", gap: 8 }}>
+              <span style={{ flex: 1 }}>
+                {r.guestName || r.name || "Guest"} · party of {r.size || r.partySize || "?"} ·{" "}
+                {new Date(reservationTimeOf(r)).toLocaleString()}
+              </span>
+              <button
+                className="nav-link"
+                onClick={() => onMarkNoShow?.(reservationIdOf(r))}
+                disabled={working}
+              >
+                No-show
+              </button>
+              <button
+                className="nav-link"
+                onClick={() => dismiss([reservationIdOf(r)])}
+                disabled={working}
+              >
+                Ignore
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+const bannerStyle = {
+  marginBottom: 12,
+  padding: "10px 12px",
+  borderRadius: 12,
+  border: "1px solid rgba(217,119,6,0.35)",
+  background: "rgba(217,119,6,0.08)",
+  color: "var(--color-text)",
+  fontSize: 13,
+};
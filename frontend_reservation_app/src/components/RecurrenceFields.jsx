@@ -0,0 +1,167 @@
+import React from "react";
+import { describeRRule, WEEKDAY_CODES } from "../utils/recurrence";
+
+/**
+ * RecurrenceFields
+ * "Repeats" controls for a new reservation: frequency, interval, weekdays (weekly) and how the
+ * series ends (after a number of occurrences, on a date, or never).
+ *
+ * Props:
+ * - value: { freq, interval, byDay, end, count, until } - see EMPTY_RECURRENCE
+ * - onChange: (value) => void
+ * - rrule?: string - the rule built from `value`, summarised under the controls
+ * - error?: string - validation message
+ *
+ * PUBLIC_INTERFACE
+ */
+// PUBLIC_INTERFACE
+export default function RecurrenceFields({ value, onChange, rrule = "", error }) {
+  const set = (patch) => onChange?.({ ...value, ...patch });
+  const toggleDay = (code) =>
+    set({
+      byDay: value.byDay.includes(code)
+        ? value.byDay.filter((c) => c !== code)
+        : [...value.byDay, code],
+    });
+
+  return (
+    <fieldset style={fieldsetStyle}>
+      <legend style={{ fontWeight: 600, padding: "0 4px" }}>Repeats</legend>
+      <div style={{ display: "flex", flexWrap: "wrap", gap: 8, alignItems: "center" }}>
+        <select
+          aria-label="Repeat frequency"
+          value={value.freq}
+          onChange={(e) => set({ freq: e.target.value })}
+          style={controlStyle}
+        >
+          <option value="">Does not repeat</option>
+          <option value="daily">Daily</option>
+          <option value="weekly">Weekly</option>
+          <option value="monthly">Monthly (same day)</option>
+        </select>
+        {value.freq && (
+          <>
+            <label style={inlineLabelStyle}>
+              every
+              <input
+                type="number"
+                min="1"
+                max="52"
+                aria-label="Repeat interval"
+                value={value.interval}
+                onChange={(e) => set({ interval: parseInt(e.target.value, 10) || 1 })}
+                style={{ ...controlStyle, width: 64 }}
+              />
+              {UNITS[value.freq]}
+            </label>
+            <select
+              aria-label="Series ends"
+              value={value.end}
+              onChange={(e) => set({ end: e.target.value })}
+              style={controlStyle}
+            >
+              <option value="count">after</option>
+              <option value="until">until</option>
+              <option value="never">never ends</option>
+            </select>
+            {value.end === "count" && (
+              <label style={inlineLabelStyle}>
+                <input
+                  type="number"
+                  min="2"
+                  max="104"
+                  aria-label="Number of occurrences"
+                  value={value.count}
+                  onChange={(e) => set({ count: parseInt(e.target.value, 10) || "" })}
+                  style={{ ...controlStyle, width: 72 }}
+                />
+                times
+              </label>
+            )}
+            {value.end === "until" && (
+              <input
+                type="date"
+                aria-label="Last date"
+                value={value.until}
+                onChange={(e) => set({ until: e.target.value })}
+                style={controlStyle}
+              />
+            )}
+          </>
+        )}
+      </div>
+      {value.freq === "weekly" && (
+        <div role="group" aria-label="Repeat on" style={{ display: "flex", gap: 4, marginTop: 8 }}>
+          {WEEK_ORDER.map((code) => (
+            <label key={code} style={dayChipStyle(value.byDay.includes(code))}>
+              <input
+                type="checkbox"
+                checked={value.byDay.includes(code)}
+                onChange={() => toggleDay(code)}
+                style={{ marginRight: 4 }}
+              />
+              {code.charAt(0) + code.charAt(1).toLowerCase()}
+            </label>
+          ))}
+        </div>
+      )}
+      {rrule && (
+        <div style={{ fontSize: 12, color: "var(--color-secondary)", marginTop: 6 }}>
+          ↻ {describeRRule(rrule)}
+        </div>
+      )}
+      {error && (
+        <div style={{ color: "var(--color-error)", fontSize: 12, marginTop: 4 }}>{error}</div>
+      )}
+    </fieldset>
+  );
+}
+
+// Defaults for a form that does not repeat yet
+export const EMPTY_RECURRENCE = {
+  freq: "",
+  interval: 1,
+  byDay: [],
+  end: "count",
+  count: 6,
+  until: "",
+};
+
+const UNITS = { daily: "day(s)", weekly: "week(s)", monthly: "month(s)" };
+
+// Monday-first, like the opening hours editor
+const WEEK_ORDER = [...WEEKDAY_CODES.slice(1), WEEKDAY_CODES[0]];
+
+const fieldsetStyle = {
+  border: "1px solid rgba(0,0,0,0.08)",
+  borderRadius: 10,
+  padding: "8px 12px 10px",
+  margin: 0,
+};
+
+const controlStyle = {
+  padding: "6px 8px",
+  borderRadius: 8,
+  border: "1px solid rgba(0,0,0,0.12)",
+  background: "var(--color-surface)",
+  color: "var(--color-text)",
+};
+
+const inlineLabelStyle = {
+  display: "inline-flex",
+  alignItems: "center",
+  gap: 6,
+  fontSize: 13,
+};
+
+function dayChipStyle(selected) {
+  return {
+    padding: "4px 8px",
+    borderRadius: 999,
+    border: `1px solid ${selected ? "var(--color-primary)" : "rgba(0,0,0,0.12)"}`,
+    background: selected ? "rgba(217,119,6,0.12)" : "var(--color-surface)",
+    fontSize: 12,
+    fontWeight: selected ? 700 : 500,
+    cursor: "pointer",
+  };
+}
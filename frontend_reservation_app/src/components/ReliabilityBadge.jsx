@@ -0,0 +1,64 @@
+import React from "react";
+
+/**
+ * ReliabilityBadge
+ * Small pill showing a guest's reliability score from their booking history.
+ *
+ * Props:
+ * - reliability: { score, tier, noShows, stats } | null - from reliabilityFor(); renders nothing when null
+ * - onlyRisky?: boolean - hide the badge for guests without any no-show (default false)
+ *
+ * PUBLIC_INTERFACE
+ */
+// PUBLIC_INTERFACE
+export default function ReliabilityBadge({ reliability, onlyRisky = false }) {
+  if (!reliability) return null;
+  if (onlyRisky && reliability.noShows === 0) return null;
+  const { score, tier, noShows, stats } = reliability;
+  const tone = TONES[tier] || TONES.watch;
+  const title =
+    `Reliability ${score}/100 · ${stats.attended} attended, ${noShows} no-show` +
+    `${noShows === 1 ? "" : "s"}, ${stats.lateCancels} late cancellation${stats.lateCancels === 1 ? "" : "s"}`;
+
+  return (
+    <span
+      title={title}
+      aria-label={title}
+      style={{
+        display: "inline-block",
+        padding: "1px 7px",
+        borderRadius: 999,
+        border: `1px solid ${tone.border}`,
+        background: tone.background,
+        color: tone.color,
+        fontSize: 11,
+        fontWeight: 700,
+        whiteSpace: "nowrap",
+      }}
+    >
+      {tone.icon} {score}
+      {noShows > 0 ? ` · ${noShows} no-show${noShows === 1 ? "" : "s"}` : ""}
+    </span>
+  );
+}
+
+const TONES = {
+  reliable: {
+    icon: "★",
+    color: "#065F46",
+    background: "rgba(16,185,129,0.12)",
+    border: "rgba(16,185,129,0.35)",
+  },
+  watch: {
+    icon: "⚠",
+    color: "#92400E",
+    background: "rgba(217,119,6,0.12)",
+    border: "rgba(217,119,6,0.35)",
+  },
+  risk: {
+    icon: "⛔",
+    color: "#991B1B",
+    background: "rgba(239,68,68,0.12)",
+    border: "rgba(239,68,68,0.35)",
+  },
+};
@@ -1,15 +1,59 @@
-import React, { useMemo, useState } from "react";
+import React, { useMemo, useRef, useState } from "react";
+import { useVenueSettings } from "../hooks/useVenueSettings";
+import { closedIntervals, closureFor, dateKey, visibleMinutes } from "../utils/openingHours";
+import { effectiveMaxCovers, reservationDuration } from "../utils/seating";
+import { expandSeries } from "../utils/recurrence";
+import { reservationIdOf, reservationTimeOf } from "../utils/reservationIds";
+import { statusLabel } from "../utils/reservationStatus";
+import { venueTimeZone, zonedNow } from "../utils/timezone";
+import {
+  CALENDAR_VIEWS,
+  DEFAULT_CALENDAR_VIEW,
+  DEFAULT_WEEK_STARTS_ON,
+  SNAP_MINUTES,
+  addDays,
+  atMinutes,
+  dayTotals,
+  rescheduleChanges,
+  rescheduleWarnings,
+  shiftDate,
+  snapMinutes,
+  startOfDay,
+  viewRange,
+} from "../utils/calendar";
 
 /**
  * ReservationCalendar
- * A lightweight weekly grid calendar to visualize reservations by day/time.
+ * A lightweight calendar to visualize reservations with Day, Week and Month views.
  * - No external dependencies; styled to match Champagne theme.
- * - Supports week navigation and renders items with guest name and party size.
+ * - Day view has 15-minute rows for service; week view has hourly rows.
+ * - Blocks span the reservation's seating duration; overlapping bookings sit side by side.
+ * - The visible hours follow the venue's opening hours; closed periods and holidays are shaded.
+ * - Month view shows bookings and covers per day; clicking a date opens its day view.
+ * - Recurring series are expanded for the visible range; occurrences are marked with ↻.
+ * - With `onReschedule`, blocks can be dragged to another day/time or resized from their bottom
+ *   edge (snapping to 15 minutes), or moved with the keyboard; conflicts are flagged while moving.
+ * - With `onCreateSlot`, clicking an empty slot (or dragging across several) starts a booking.
  *
  * Props:
  * - reservations: Array<{ id: string|number, guestName?: string, size?: number, time?: string }>
+ *   - times zoned to the venue's time zone (see utils/timezone), as are the times reported back
  * - onSelectReservation?: (reservation) => void
- * - initialWeekStart?: Date - optional, defaults to start of current week (Mon)
+ * - onReschedule?: (reservation, { changes, undo, warnings }) => void - a block was moved or
+ *   resized; `changes` holds the new time/durationMinutes, `undo` the values to restore and
+ *   `warnings` any conflicts at the new slot
+ * - onCreateSlot?: ({ time, durationMinutes? }) => void - an empty slot was clicked (quarter
+ *   hour under the pointer) or drag-selected (`durationMinutes` covers the selection)
+ * - tables?: Array - venue tables, used to warn about double-booked tables while moving
+ * - view?: "day" | "week" | "month" - controlled view (e.g. from the URL)
+ * - date?: Date - controlled anchor date; any day inside the period to show
+ * - onNavigate?: ({ view, date }) => void - called when the view or period changes; required
+ *   for the controlled mode, optional otherwise
+ * - weekStartsOn?: number - first day of the week, 0 (Sun) to 6 (Sat); defaults to the venue
+ *   setting (Monday)
+ * - initialWeekStart?: Date - optional, initial anchor date when uncontrolled
+ * - onExportIcs?: ({ from, to }) => void - export the visible period (`to` exclusive) to a
+ *   calendar file
  *
  * PUBLIC_INTERFACE
  */
@@ -17,115 +61,466 @@ import React, { useMemo, useState } from "react";
 export default function ReservationCalendar({
   reservations = [],
   onSelectReservation,
+  onReschedule,
+  onCreateSlot,
+  tables = [],
+  view: controlledView,
+  date: controlledDate,
+  onNavigate,
+  weekStartsOn,
   initialWeekStart,
+  onExportIcs,
 }) {
-  const [weekStart, setWeekStart] = useState(
-    () => startOfWeek(initialWeekStart || new Date())
+  const [venue] = useVenueSettings();
+  // Reservations arrive zoned, so "today" is the venue's date rather than the device's
+  const today = startOfDay(zonedNow(venueTimeZone(venue)));
+  const [localState, setLocalState] = useState(() => ({
+    view: DEFAULT_CALENDAR_VIEW,
+    date: startOfDay(initialWeekStart || today),
+  }));
+  const view = CALENDAR_VIEWS.includes(controlledView) ? controlledView : localState.view;
+  const date = controlledDate || localState.date;
+  const firstDay = weekStartsOn ?? venue.weekStartsOn ?? DEFAULT_WEEK_STARTS_ON;
+
+  const navigate = (next) => {
+    const target = { view, date, ...next };
+    setLocalState(target);
+    onNavigate?.(target);
+  };
+  const goPrev = () => navigate({ date: shiftDate(view, date, -1) });
+  const goNext = () => navigate({ date: shiftDate(view, date, 1) });
+  const goToday = () => navigate({ date: today });
+
+  const { start, end, days } = useMemo(
+    () => viewRange(view, date, firstDay),
+    [view, date, firstDay]
+  );
+  const rows = useMemo(() => expandSeries(reservations, { from: start, to: end }), [
+    reservations,
+    start,
+    end,
+  ]);
+
+  const title =
+    view === "day"
+      ? date.toLocaleDateString([], { weekday: "long", month: "long", day: "numeric" })
+      : view === "month"
+      ? date.toLocaleDateString([], { month: "long", year: "numeric" })
+      : formatRange(days[0], days[days.length - 1]);
+
+  return (
+    <div style={containerStyle}>
+      <header style={headerStyle}>
+        <div>
+          <h3 style={{ margin: 0, fontSize: 18 }}>{VIEW_TITLES[view]}</h3>
+          <div style={{ color: "#6B7280", fontSize: 12 }}>{title}</div>
+        </div>
+        <div style={{ display: "flex", gap: 8, flexWrap: "wrap", justifyContent: "flex-end" }}>
+          <div role="tablist" aria-label="Calendar view" style={{ display: "inline-flex", gap: 4 }}>
+            {CALENDAR_VIEWS.map((v) => (
+              <button
+                key={v}
+                role="tab"
+                aria-selected={view === v}
+                className="nav-link"
+                onClick={() => navigate({ view: v })}
+                style={view === v ? activeTabStyle : undefined}
+              >
+                {v.charAt(0).toUpperCase() + v.slice(1)}
+              </button>
+            ))}
+          </div>
+          <button className="nav-link" onClick={goPrev}>◀ Prev</button>
+          <button className="nav-link" onClick={goToday}>Today</button>
+          <button className="nav-link" onClick={goNext}>Next ▶</button>
+          {!!onExportIcs && (
+            <button
+              className="nav-link"
+              title="Download this period as an iCalendar file"
+              onClick={() => onExportIcs({ from: start, to: end })}
+            >
+              Export .ics
+            </button>
+          )}
+        </div>
+      </header>
+
+      {view === "month" ? (
+        <MonthGrid
+          days={days}
+          month={date.getMonth()}
+          today={today}
+          reservations={rows}
+          openingHours={venue.openingHours}
+          onOpenDay={(d) => navigate({ view: "day", date: d })}
+          onSelectReservation={onSelectReservation}
+        />
+      ) : (
+        <TimeGrid
+          days={days}
+          stepMinutes={view === "day" ? 15 : 60}
+          detailed={view === "day"}
+          today={today}
+          reservations={rows}
+          tables={tables}
+          venue={venue}
+          onSelectReservation={onSelectReservation}
+          onReschedule={onReschedule}
+          onCreateSlot={onCreateSlot}
+        />
+      )}
+
+      <p style={{ color: "#6B7280", fontSize: 12, marginTop: 8 }}>
+        Tip: Click a reservation for details
+        {onReschedule ? "; drag it to move it, or its bottom edge to change its length" : ""}.
+        {onCreateSlot && view !== "month" ? " Click or drag across empty slots to book." : ""}
+      </p>
+    </div>
   );
+}
 
-  const days = useMemo(() => {
-    return Array.from({ length: 7 }).map((_, i) => addDays(weekStart, i));
-  }, [weekStart]);
+/** Day/week grid: one column per day, rows every `stepMinutes` across the opening hours. */
+function TimeGrid({
+  days,
+  stepMinutes,
+  detailed,
+  today,
+  reservations,
+  tables,
+  venue,
+  onSelectReservation,
+  onReschedule,
+  onCreateSlot,
+}) {
+  const columns = days.length;
+  const layerRef = useRef(null);
+  const dragRef = useRef(null); // pointer bookkeeping while an item is pressed
+  // Move/resize preview: { key, r, when, minutes, source: "pointer" | "keyboard" }
+  const [pending, setPending] = useState(null);
+  // Empty-slot selection while the pointer is down: { day, anchor, current } (minutes)
+  const [selection, setSelection] = useState(null);
+
+  // Grid spans whole hours from the earliest opening to the latest closing in range
+  const range = useMemo(() => visibleMinutes(days, venue.openingHours), [days, venue.openingHours]);
+  const slots = useMemo(
+    () =>
+      Array.from({ length: (range.end - range.start) / stepMinutes }).map(
+        (_, i) => range.start + i * stepMinutes
+      ),
+    [range, stepMinutes]
+  );
 
   const itemsByDay = useMemo(() => {
     const map = {};
     days.forEach((d) => (map[keyOfDate(d)] = []));
     for (const r of reservations) {
-      const t = parseDateSafe(r.time || r.when || r.datetime);
+      const t = parseDateSafe(reservationTimeOf(r));
       if (!t) continue;
       const k = keyOfDate(t);
       if (!map[k]) continue;
-      map[k].push({ r, when: t });
+      map[k].push({
+        key: `${k}-${reservationIdOf(r) ?? t.toISOString()}`,
+        r,
+        when: t,
+        minutes: reservationDuration(r, venue.durationRules),
+      });
     }
-    // sort each day's items by time
+    // sort each day's items by time, then assign side-by-side lanes to overlapping ones
     Object.keys(map).forEach((k) => {
       map[k].sort((a, b) => a.when.getTime() - b.when.getTime());
+      assignLanes(map[k]);
     });
     return map;
-  }, [reservations, days]);
+  }, [reservations, days, venue.durationRules]);
 
-  const goPrevWeek = () => setWeekStart((d) => addDays(d, -7));
-  const goNextWeek = () => setWeekStart((d) => addDays(d, 7));
-  const goToday = () => setWeekStart(startOfWeek(new Date()));
+  const pendingWarnings = useMemo(
+    () => (pending ? previewWarnings(pending, { tables, reservations, venue }) : []),
+    [pending, reservations, tables, venue]
+  );
 
-  return (
-    <div style={containerStyle}>
-      <header style={headerStyle}>
-        <div>
-          <h3 style={{ margin: 0, fontSize: 18 }}>Weekly calendar</h3>
-          <div style={{ color: "#6B7280", fontSize: 12 }}>
-            {formatRange(days[0], days[6])}
-          </div>
-        </div>
-        <div style={{ display: "flex", gap: 8 }}>
-          <button className="nav-link" onClick={goPrevWeek}>◀ Prev</button>
-          <button className="nav-link" onClick={goToday}>Today</button>
-          <button className="nav-link" onClick={goNextWeek}>Next ▶</button>
-        </div>
-      </header>
+  const commit = (p) => {
+    setPending(null);
+    const { changes, undo } = rescheduleChanges(
+      p.r,
+      { time: p.when, durationMinutes: p.minutes },
+      venue.durationRules
+    );
+    if (Object.keys(changes).length === 0) return;
+    const warnings = previewWarnings(p, { tables, reservations, venue });
+    onReschedule?.(p.r, { changes, undo, warnings });
+  };
+
+  // Pointer: press an item to move it, or its bottom edge to change the duration
+  const pointerMinutes = (e) => {
+    const rect = layerRef.current.getBoundingClientRect();
+    const column = Math.floor(((e.clientX - rect.left) / rect.width) * columns);
+    return {
+      day: days[Math.min(Math.max(column, 0), columns - 1)],
+      minutes: range.start + ((e.clientY - rect.top) / rect.height) * (range.end - range.start),
+    };
+  };
+
+  const onPointerDown = (e, item) => {
+    if (!onReschedule || e.button !== 0 || !layerRef.current) return;
+    e.currentTarget.setPointerCapture?.(e.pointerId);
+    const at = pointerMinutes(e);
+    dragRef.current = {
+      item,
+      mode: e.target.dataset?.handle === "resize" ? "resize" : "move",
+      x: e.clientX,
+      y: e.clientY,
+      grab: at.minutes - minutesOf(item.when),
+      active: false,
+    };
+  };
+
+  const onPointerMove = (e) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    // A few pixels of slack so a plain click still selects the reservation
+    if (!drag.active && Math.hypot(e.clientX - drag.x, e.clientY - drag.y) < DRAG_THRESHOLD_PX) {
+      return;
+    }
+    drag.active = true;
+    const { item } = drag;
+    const at = pointerMinutes(e);
+    if (drag.mode === "resize") {
+      const end = snapMinutes(at.minutes);
+      const minutes = Math.max(SNAP_MINUTES, end - minutesOf(item.when));
+      setPending({ key: item.key, r: item.r, when: item.when, minutes, source: "pointer" });
+      return;
+    }
+    const start = Math.min(
+      Math.max(snapMinutes(at.minutes - drag.grab), range.start),
+      range.end - SNAP_MINUTES
+    );
+    setPending({
+      key: item.key,
+      r: item.r,
+      when: atMinutes(at.day, start),
+      minutes: item.minutes,
+      source: "pointer",
+    });
+  };
+
+  const onPointerUp = () => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    // Keep the flag until the click that follows pointerup has been swallowed
+    dragRef.current = drag.active ? { suppressClick: true } : null;
+    if (drag.active && pending) commit(pending);
+  };
+
+  const onPointerCancel = () => {
+    dragRef.current = null;
+    setPending(null);
+  };
 
+  const onItemClick = (r) => {
+    if (dragRef.current?.suppressClick) {
+      dragRef.current = null;
+      return;
+    }
+    onSelectReservation?.(r);
+  };
+
+  // Empty slots: click for a quarter hour, drag down (or up) the same day to select a range
+  const onSlotPointerDown = (e) => {
+    if (!onCreateSlot || e.button !== 0 || !layerRef.current) return;
+    if (e.target.closest?.("button")) return; // presses on reservations move them instead
+    e.currentTarget.setPointerCapture?.(e.pointerId);
+    const at = pointerMinutes(e);
+    setSelection({ day: at.day, anchor: at.minutes, current: at.minutes });
+  };
+
+  const onSlotPointerMove = (e) => {
+    if (!selection) return;
+    setSelection({ ...selection, current: pointerMinutes(e).minutes });
+  };
+
+  const onSlotPointerUp = () => {
+    if (!selection) return;
+    setSelection(null);
+    const { start, end } = selectionRange(selection, range);
+    const dragged = Math.abs(selection.current - selection.anchor) >= SNAP_MINUTES / 2;
+    onCreateSlot({
+      time: atMinutes(selection.day, start),
+      ...(dragged ? { durationMinutes: end - start } : null),
+    });
+  };
+
+  // Keyboard: arrows move the focused item, Shift+arrows change its duration,
+  // Enter saves and Escape puts it back
+  const onItemKeyDown = (e, item) => {
+    if (!onReschedule) return;
+    const current = pending?.key === item.key ? pending : null;
+    const base = current || { ...item, source: "keyboard" };
+    let next = null;
+    if (e.key === "ArrowUp" || e.key === "ArrowDown") {
+      const delta = e.key === "ArrowUp" ? -SNAP_MINUTES : SNAP_MINUTES;
+      next = e.shiftKey
+        ? { ...base, minutes: Math.max(SNAP_MINUTES, base.minutes + delta) }
+        : { ...base, when: atMinutes(base.when, minutesOf(base.when) + delta) };
+    } else if (e.key === "ArrowLeft" || e.key === "ArrowRight") {
+      const when = addDays(base.when, e.key === "ArrowLeft" ? -1 : 1);
+      // Stay within the visible days so the focused item does not disappear
+      if (dayColumnIndex(days, when) === -1) return;
+      next = { ...base, when };
+    } else if (e.key === "Enter" && current) {
+      commit(current);
+    } else if (e.key === "Escape" && current) {
+      setPending(null);
+    } else {
+      return;
+    }
+    e.preventDefault();
+    if (next) {
+      const { when, minutes } = next;
+      setPending({ key: item.key, r: item.r, when, minutes, source: "keyboard" });
+    }
+  };
+
+  return (
+    <>
       <div style={gridWrapperStyle}>
-        <div style={timeColStyle}>
-          {HOURS.map((h) => (
-            <div key={h} style={timeCellStyle}>
-              <span>{formatHour(h)}</span>
+        <div style={timeColStyle(slots.length)}>
+          {slots.map((m) => (
+            <div key={m} style={timeCellStyle}>
+              <span style={m % 60 === 0 ? undefined : { opacity: 0.6, fontSize: 11 }}>
+                {m % 60 === 0 ? formatHour(m / 60) : `:${String(m % 60).padStart(2, "0")}`}
+              </span>
             </div>
           ))}
         </div>
 
         <div style={daysWrapperStyle}>
-          <div style={daysHeaderRowStyle}>
-            {days.map((d) => (
-              <div key={keyOfDate(d)} style={dayHeaderCellStyle(d)}>
-                <div style={{ fontWeight: 800 }}>
-                  {WEEKDAY_LABELS[d.getDay()]}
+          <div style={daysHeaderRowStyle(columns)}>
+            {days.map((d) => {
+              const closure = closureFor(d, venue.openingHours);
+              return (
+                <div key={keyOfDate(d)} style={dayHeaderCellStyle(d, today)}>
+                  <div style={{ fontWeight: 800 }}>
+                    {WEEKDAY_LABELS[d.getDay()]}
+                  </div>
+                  <div
+                    style={{
+                      fontSize: 12,
+                      color: "#6B7280",
+                      fontWeight: 600,
+                    }}
+                  >
+                    {d.getMonth() + 1}/{d.getDate()}
+                  </div>
+                  {closure && (
+                    <div style={{ fontSize: 11, color: "#92400E", fontWeight: 600 }}>
+                      {closure.label || (closure.shifts?.length ? "Special hours" : "Closed")}
+                    </div>
+                  )}
                 </div>
-                <div
-                  style={{
-                    fontSize: 12,
-                    color: "#6B7280",
-                    fontWeight: 600,
-                  }}
-                >
-                  {d.getMonth() + 1}/{d.getDate()}
-                </div>
-              </div>
-            ))}
+              );
+            })}
           </div>
 
-          <div style={daysGridRowsStyle}>
-            {HOURS.map((h) => (
-              <div key={h} style={rowStyle} aria-hidden />
+          <div
+            data-testid="calendar-slots"
+            style={daysGridRowsStyle(slots.length)}
+            onPointerDown={onSlotPointerDown}
+            onPointerMove={onSlotPointerMove}
+            onPointerUp={onSlotPointerUp}
+            onPointerCancel={() => setSelection(null)}
+          >
+            {slots.map((m) => (
+              <div key={m} style={rowStyle(stepMinutes, m)} aria-hidden />
             ))}
 
+            {/* Closed periods */}
+            <div style={itemsLayerStyle(columns)} aria-hidden>
+              {days.map((d, i) =>
+                closedIntervals(d, range, venue.openingHours).map((gap) => (
+                  <div
+                    key={`${keyOfDate(d)}-${gap.start}`}
+                    style={{
+                      ...closedStyle,
+                      left: `${(100 / columns) * i}%`,
+                      width: `${100 / columns}%`,
+                      top: `${((gap.start - range.start) / (range.end - range.start)) * 100}%`,
+                      height: `${((gap.end - gap.start) / (range.end - range.start)) * 100}%`,
+                    }}
+                  />
+                ))
+              )}
+            </div>
+
+            {/* Slot selection */}
+            {selection && (
+              <div style={itemsLayerStyle(columns)} aria-hidden>
+                <div style={selectionBoxStyle(selection, range, days)} />
+              </div>
+            )}
+
             {/* Items layer */}
-            <div style={itemsLayerStyle}>
+            <div ref={layerRef} style={itemsLayerStyle(columns)}>
               {days.map((d) => {
-                const key = keyOfDate(d);
-                const items = itemsByDay[key] || [];
-                return items.map(({ r, when }) => {
-                  const top = positionForTime(when);
+                const items = itemsByDay[keyOfDate(d)] || [];
+                return items.map((item) => {
+                  const { r, lane, lanes } = item;
+                  // The item being moved is drawn at its preview position, full column width
+                  const preview = pending?.key === item.key ? pending : null;
+                  const when = preview ? preview.when : item.when;
+                  const minutes = preview ? preview.minutes : item.minutes;
+                  const dayWidth = 100 / columns;
+                  const laneWidth = preview ? dayWidth : dayWidth / lanes;
+                  const left =
+                    dayWidth * dayColumnIndex(days, when) + (preview ? 0 : laneWidth * lane);
+                  const size = r.size || r.partySize;
                   return (
                     <button
-                      key={`${key}-${r.id || r._id || r.uuid || when.toISOString()}`}
-                      title={`${safeGuest(r)} • ${formatTime(when)} • Party ${r.size || r.partySize || ""}`}
-                      onClick={() => onSelectReservation?.(r)}
+                      key={item.key}
+                      title={`${safeGuest(r)} • ${formatTime(when)}–${formatTime(
+                        new Date(when.getTime() + minutes * 60000)
+                      )} • Party ${size || ""}${r.seriesId != null ? " • Recurring" : ""}`}
+                      aria-describedby={onReschedule ? "calendar-move-help" : undefined}
+                      onClick={() => onItemClick(r)}
+                      onPointerDown={(e) => onPointerDown(e, item)}
+                      onPointerMove={onPointerMove}
+                      onPointerUp={onPointerUp}
+                      onPointerCancel={onPointerCancel}
+                      onKeyDown={(e) => onItemKeyDown(e, item)}
+                      onBlur={() => preview?.source === "keyboard" && setPending(null)}
                       style={{
                         ...itemStyle,
-                        left: `${(100 / 7) * dayColumnIndex(days, d)}%`,
-                        top,
-                        width: `calc(${100 / 7}% - 8px)`,
+                        ...(preview ? movingItemStyle(pendingWarnings.length > 0) : null),
+                        ...(onReschedule ? { touchAction: "none" } : null),
+                        left: `${left}%`,
+                        top: positionForTime(when, range),
+                        width: `calc(${laneWidth}% - 8px)`,
+                        height: `calc(${heightForDuration(when, minutes, range)}% - 2px)`,
                       }}
                     >
                       <div style={{ fontWeight: 700, fontSize: 12 }}>
                         {formatTime(when)}
+                        {(detailed || preview) &&
+                          `–${formatTime(new Date(when.getTime() + minutes * 60000))}`}
+                        {r.seriesId != null && <span aria-label="Recurring"> ↻</span>}
                       </div>
                       <div style={{ fontSize: 12 }}>{safeGuest(r)}</div>
-                      {(r.size || r.partySize) && (
+                      {size && (
                         <div style={{ fontSize: 11, opacity: 0.9 }}>
-                          Party {r.size || r.partySize}
+                          Party {size}
+                          {detailed && ` · ${statusLabel(r.status)}`}
                         </div>
                       )}
+                      {detailed && r.notes && (
+                        <div style={{ fontSize: 11, opacity: 0.8 }}>{r.notes}</div>
+                      )}
+                      {preview && pendingWarnings.length > 0 && (
+                        <div style={{ fontSize: 11, color: "var(--color-error)", fontWeight: 600 }}>
+                          ⚠ {pendingWarnings[0]}
+                        </div>
+                      )}
+                      {onReschedule && (
+                        <span data-handle="resize" aria-hidden style={resizeHandleStyle} />
+                      )}
                     </button>
                   );
                 });
@@ -135,32 +530,122 @@ export default function ReservationCalendar({
         </div>
       </div>
 
-      <p style={{ color: "#6B7280", fontSize: 12, marginTop: 8 }}>
-        Tip: Click on a reservation to open actions in the list view.
-      </p>
+      {onReschedule && (
+        <>
+          <p id="calendar-move-help" style={visuallyHiddenStyle}>
+            Use the arrow keys to move this reservation by 15 minutes or a day, Shift with up or
+            down to change its duration, Enter to save and Escape to cancel.
+          </p>
+          <div role="status" aria-live="polite" style={visuallyHiddenStyle}>
+            {pending?.source === "keyboard" && describeMove(pending, pendingWarnings)}
+          </div>
+        </>
+      )}
+    </>
+  );
+}
+
+/** Month grid: whole weeks, each day with its bookings/covers totals and first bookings. */
+function MonthGrid({
+  days,
+  month,
+  today,
+  reservations,
+  openingHours,
+  onOpenDay,
+  onSelectReservation,
+}) {
+  const totals = useMemo(() => dayTotals(reservations), [reservations]);
+  const byDay = useMemo(() => {
+    const map = {};
+    reservations.forEach((r) => {
+      const t = parseDateSafe(reservationTimeOf(r));
+      if (!t) return;
+      (map[keyOfDate(t)] = map[keyOfDate(t)] || []).push({ r, when: t });
+    });
+    Object.values(map).forEach((list) => list.sort((a, b) => a.when - b.when));
+    return map;
+  }, [reservations]);
+
+  return (
+    <div>
+      <div style={daysHeaderRowStyle(7)}>
+        {days.slice(0, 7).map((d) => (
+          <div key={d.getDay()} style={{ padding: "8px 12px", fontWeight: 800 }}>
+            {WEEKDAY_LABELS[d.getDay()]}
+          </div>
+        ))}
+      </div>
+      <div style={monthGridStyle}>
+        {days.map((d) => {
+          const key = keyOfDate(d);
+          const items = byDay[key] || [];
+          const total = totals.get(dateKey(d));
+          const closure = closureFor(d, openingHours);
+          return (
+            <div key={key} style={monthCellStyle(d, d.getMonth() === month, today)}>
+              <div style={{ display: "flex", alignItems: "baseline", gap: 6 }}>
+                <button
+                  className="nav-link"
+                  onClick={() => onOpenDay?.(d)}
+                  aria-label={`Open ${d.toDateString()}`}
+                  style={monthDateButtonStyle}
+                >
+                  {d.getDate()}
+                </button>
+                {total && (
+                  <span style={{ fontSize: 11, color: "#6B7280", marginLeft: "auto" }}>
+                    <strong style={{ color: "var(--color-text)" }}>{total.covers}</strong> covers
+                    {" · "}
+                    {total.bookings} {total.bookings === 1 ? "booking" : "bookings"}
+                  </span>
+                )}
+              </div>
+              {closure && (
+                <div style={{ fontSize: 11, color: "#92400E", fontWeight: 600 }}>
+                  {closure.label || (closure.shifts?.length ? "Special hours" : "Closed")}
+                </div>
+              )}
+              {items.slice(0, MONTH_CELL_ITEMS).map(({ r, when }) => (
+                <button
+                  key={`${key}-${reservationIdOf(r) ?? when.toISOString()}`}
+                  onClick={() => onSelectReservation?.(r)}
+                  title={`${safeGuest(r)} • ${formatTime(when)} • Party ${
+                    r.size || r.partySize || ""
+                  }`}
+                  style={monthItemStyle}
+                >
+                  {formatTime(when)} {safeGuest(r)}
+                  {r.seriesId != null ? " ↻" : ""}
+                </button>
+              ))}
+              {items.length > MONTH_CELL_ITEMS && (
+                <button
+                  className="nav-link"
+                  onClick={() => onOpenDay?.(d)}
+                  style={{ ...monthItemStyle, background: "transparent", border: "none" }}
+                >
+                  +{items.length - MONTH_CELL_ITEMS} more
+                </button>
+              )}
+            </div>
+          );
+        })}
+      </div>
     </div>
   );
 }
 
 /** Helpers and styling */
-const HOURS = Array.from({ length: 14 }).map((_, i) => i + 9); // 9:00 - 22:00
 const WEEKDAY_LABELS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
 
-function startOfWeek(d) {
-  const x = new Date(d);
-  const day = x.getDay(); // 0 Sun - 6 Sat
-  // Make Monday the first day of week
-  const diff = (day + 6) % 7; // 0 for Mon, 6 for Sun
-  x.setHours(0, 0, 0, 0);
-  x.setDate(x.getDate() - diff);
-  return x;
-}
+const VIEW_TITLES = { day: "Day", week: "Weekly calendar", month: "Monthly calendar" };
 
-function addDays(d, n) {
-  const x = new Date(d);
-  x.setDate(x.getDate() + n);
-  return x;
-}
+// Bookings listed in a month cell before collapsing into "+N more"
+const MONTH_CELL_ITEMS = 3;
+
+// Pointer travel before a press on a reservation becomes a drag
+const DRAG_THRESHOLD_PX = 4;
 
 function keyOfDate(d) {
   return `${d.getFullYear()}-${d.getMonth() + 1}-${d.getDate()}`;
@@ -194,10 +679,8 @@ function formatRange(a, b) {
   return `${a.toLocaleDateString()} – ${b.toLocaleDateString()}`;
 }
 
-function positionForTime(d) {
-  // Map 9:00 -> 0%, 22:00 -> 100%
-  const start = 9 * 60;
-  const end = 22 * 60;
+function positionForTime(d, { start, end }) {
+  // Map the first visible hour -> 0%, the last closing hour -> 100%
   const total = end - start;
   const mins = d.getHours() * 60 + d.getMinutes();
   const rel = Math.min(Math.max(mins - start, 0), total);
@@ -205,6 +688,77 @@ function positionForTime(d) {
   return `calc(${pct}% - 10px)`; // small offset to avoid overlap with row borders
 }
 
+function heightForDuration(d, minutes, { start, end }) {
+  // Share of the visible grid covered by the seating, clipped at the end of the range
+  const mins = Math.max(d.getHours() * 60 + d.getMinutes(), start);
+  const span = Math.max(Math.min(mins + minutes, end) - mins, 0);
+  return (span / (end - start)) * 100;
+}
+
+function assignLanes(items) {
+  // Greedy interval colouring: clusters of transitively overlapping items share a lane count
+  let cluster = [];
+  let clusterEnd = -Infinity;
+  let laneEnds = [];
+  const close = () => {
+    cluster.forEach((it) => (it.lanes = laneEnds.length));
+    cluster = [];
+    laneEnds = [];
+  };
+  items.forEach((it) => {
+    const start = it.when.getTime();
+    const end = start + it.minutes * 60000;
+    if (start >= clusterEnd) close();
+    let lane = laneEnds.findIndex((e) => e <= start);
+    if (lane === -1) {
+      lane = laneEnds.length;
+      laneEnds.push(end);
+    } else {
+      laneEnds[lane] = end;
+    }
+    it.lane = lane;
+    cluster.push(it);
+    clusterEnd = Math.max(clusterEnd, end);
+  });
+  close();
+}
+
+function describeMove(p, warnings) {
+  const day = p.when.toLocaleDateString([], { weekday: "long" });
+  const text = `${safeGuest(p.r)}: ${day} ${formatTime(p.when)} for ${p.minutes} minutes.`;
+  return warnings.length > 0 ? `${text} ${warnings.join(". ")}` : text;
+}
+
+/** Quarter hours covered by a slot selection, kept inside the visible range. */
+function selectionRange({ anchor, current }, range) {
+  const start = Math.floor(Math.min(anchor, current) / SNAP_MINUTES) * SNAP_MINUTES;
+  const end = Math.max(
+    start + SNAP_MINUTES,
+    Math.ceil(Math.max(anchor, current) / SNAP_MINUTES) * SNAP_MINUTES
+  );
+  return {
+    start: Math.max(start, range.start),
+    end: Math.min(end, range.end),
+  };
+}
+
+function minutesOf(d) {
+  return d.getHours() * 60 + d.getMinutes();
+}
+
+function previewWarnings(p, { tables, reservations, venue }) {
+  return rescheduleWarnings(
+    { ...p.r, time: p.when, durationMinutes: p.minutes },
+    {
+      tables,
+      reservations,
+      maxCovers: effectiveMaxCovers(venue, tables),
+      rules: venue.durationRules,
+      openingHours: venue.openingHours,
+    }
+  );
+}
+
 function dayColumnIndex(days, day) {
   const key = keyOfDate(day);
   return days.findIndex((d) => keyOfDate(d) === key);
@@ -237,12 +791,14 @@ const gridWrapperStyle = {
   minHeight: 480,
 };
 
-const timeColStyle = {
-  display: "grid",
-  gridTemplateRows: `repeat(${HOURS.length}, 1fr)`,
-  borderRight: "1px solid rgba(0,0,0,0.06)",
-  background: "linear-gradient(180deg, rgba(217,119,6,0.06), transparent)",
-};
+function timeColStyle(rows) {
+  return {
+    display: "grid",
+    gridTemplateRows: `repeat(${rows}, 1fr)`,
+    borderRight: "1px solid rgba(0,0,0,0.06)",
+    background: "linear-gradient(180deg, rgba(217,119,6,0.06), transparent)",
+  };
+}
 
 const timeCellStyle = {
   padding: "6px 8px",
@@ -259,16 +815,17 @@ const daysWrapperStyle = {
   overflow: "hidden",
 };
 
-const daysHeaderRowStyle = {
-  display: "grid",
-  gridTemplateColumns: "repeat(7, 1fr)",
-  borderBottom: "1px solid rgba(0,0,0,0.06)",
-  background: "linear-gradient(180deg, rgba(217,119,6,0.10), rgba(217,119,6,0.05))",
-};
+function daysHeaderRowStyle(columns) {
+  return {
+    display: "grid",
+    gridTemplateColumns: `repeat(${columns}, 1fr)`,
+    borderBottom: "1px solid rgba(0,0,0,0.06)",
+    background: "linear-gradient(180deg, rgba(217,119,6,0.10), rgba(217,119,6,0.05))",
+  };
+}
 
-function dayHeaderCellStyle(d) {
-  const isToday =
-    new Date().toDateString() === d.toDateString();
+function dayHeaderCellStyle(d, today) {
+  const isToday = today?.toDateString() === d.toDateString();
   return {
     padding: "10px 12px",
     borderLeft: "1px solid rgba(0,0,0,0.06)",
@@ -278,23 +835,40 @@ function dayHeaderCellStyle(d) {
   };
 }
 
-const daysGridRowsStyle = {
-  position: "relative",
-  display: "grid",
-  gridTemplateRows: `repeat(${HOURS.length}, 1fr)`,
-};
+function daysGridRowsStyle(rows) {
+  return {
+    position: "relative",
+    display: "grid",
+    gridTemplateRows: `repeat(${rows}, 1fr)`,
+  };
+}
 
-const rowStyle = {
-  borderBottom: "1px dashed rgba(0,0,0,0.06)",
-  minHeight: 36,
-};
+function rowStyle(stepMinutes, minutes) {
+  // Quarter-hour rows are shorter; only full hours get a solid divider
+  return {
+    borderBottom:
+      stepMinutes < 60 && (minutes + stepMinutes) % 60 !== 0
+        ? "1px dotted rgba(0,0,0,0.04)"
+        : "1px dashed rgba(0,0,0,0.06)",
+    minHeight: stepMinutes < 60 ? 22 : 36,
+  };
+}
+
+function itemsLayerStyle(columns) {
+  return {
+    position: "absolute",
+    inset: 0,
+    display: "grid",
+    gridTemplateColumns: `repeat(${columns}, 1fr)`,
+    pointerEvents: "none",
+  };
+}
 
-const itemsLayerStyle = {
+const closedStyle = {
   position: "absolute",
-  inset: 0,
-  display: "grid",
-  gridTemplateColumns: "repeat(7, 1fr)",
-  pointerEvents: "none",
+  background:
+    "repeating-linear-gradient(135deg, rgba(107,114,128,0.10) 0 6px, " +
+    "rgba(107,114,128,0.04) 6px 12px)",
 };
 
 const itemStyle = {
@@ -310,5 +884,105 @@ const itemStyle = {
   pointerEvents: "auto",
   textAlign: "left",
   cursor: "pointer",
+  boxSizing: "border-box",
+  minHeight: 36,
+  overflow: "hidden",
   backdropFilter: "blur(2px)",
 };
+
+const activeTabStyle = {
+  background: "var(--color-primary)",
+  color: "#fff",
+};
+
+const monthGridStyle = {
+  display: "grid",
+  gridTemplateColumns: "repeat(7, 1fr)",
+};
+
+function monthCellStyle(d, inMonth, today) {
+  const isToday = today?.toDateString() === d.toDateString();
+  return {
+    minHeight: 96,
+    padding: 6,
+    display: "grid",
+    alignContent: "start",
+    gap: 2,
+    borderLeft: "1px solid rgba(0,0,0,0.06)",
+    borderBottom: "1px solid rgba(0,0,0,0.06)",
+    opacity: inMonth ? 1 : 0.5,
+    background: isToday ? "rgba(16,185,129,0.08)" : "transparent",
+  };
+}
+
+const monthDateButtonStyle = {
+  padding: "2px 8px",
+  fontWeight: 800,
+};
+
+const monthItemStyle = {
+  display: "block",
+  width: "100%",
+  padding: "2px 6px",
+  borderRadius: 6,
+  border: "1px solid rgba(217,119,6,0.25)",
+  background: "rgba(217,119,6,0.10)",
+  color: "var(--color-text)",
+  fontSize: 11,
+  textAlign: "left",
+  whiteSpace: "nowrap",
+  overflow: "hidden",
+  textOverflow: "ellipsis",
+  cursor: "pointer",
+};
+
+function movingItemStyle(hasWarnings) {
+  return {
+    zIndex: 2,
+    opacity: 0.92,
+    cursor: "grabbing",
+    border: `2px dashed ${hasWarnings ? "var(--color-error)" : "var(--color-primary)"}`,
+    background: hasWarnings ? "rgba(239,68,68,0.12)" : "rgba(217,119,6,0.22)",
+  };
+}
+
+// Bottom edge of an item; dragging it changes the duration
+const resizeHandleStyle = {
+  position: "absolute",
+  left: 0,
+  right: 0,
+  bottom: 0,
+  height: 8,
+  cursor: "ns-resize",
+};
+
+// Read by screen readers only
+const visuallyHiddenStyle = {
+  position: "absolute",
+  width: 1,
+  height: 1,
+  margin: -1,
+  padding: 0,
+  overflow: "hidden",
+  clip: "rect(0 0 0 0)",
+  whiteSpace: "nowrap",
+  border: 0,
+};
+
+function selectionBoxStyle(selection, range, days) {
+  const { start, end } = selectionRange(selection, range);
+  const total = range.end - range.start;
+  const width = 100 / days.length;
+  return {
+    position: "absolute",
+    left: `${width * dayColumnIndex(days, selection.day)}%`,
+    width: `calc(${width}% - 8px)`,
+    marginLeft: 4,
+    top: `${((start - range.start) / total) * 100}%`,
+    height: `${((end - start) / total) * 100}%`,
+    borderRadius: 10,
+    border: "2px dashed var(--color-primary)",
+    background: "rgba(217,119,6,0.10)",
+    boxSizing: "border-box",
+  };
+}
@@ -0,0 +1,71 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import ReservationCalendar from './ReservationCalendar';
+import { visibleMinutes } from '../utils/openingHours';
+import { getVenueSettings } from '../api/venue';
+
+jest.mock('../api/venue', () => ({
+  getVenueSettings: jest.fn(),
+  updateVenueSettings: jest.fn(),
+}));
+
+// jsdom has no PointerEvent; a MouseEvent carries the coordinates and button the grid reads
+class PointerEventPolyfill extends MouseEvent {}
+
+const HEIGHT = 1000;
+const day = new Date(2030, 4, 1);
+
+let getRect;
+beforeAll(() => {
+  window.PointerEvent = window.PointerEvent || PointerEventPolyfill;
+  getRect = jest.spyOn(HTMLElement.prototype, 'getBoundingClientRect');
+});
+
+beforeEach(() => {
+  getVenueSettings.mockResolvedValue({});
+  getRect.mockReturnValue({ top: 0, left: 0, width: 600, height: HEIGHT, right: 600 });
+});
+
+afterAll(() => {
+  getRect.mockRestore();
+});
+
+// Pointer position over the single day column at `minutes` after midnight
+function at(minutes) {
+  const range = visibleMinutes([day]);
+  return { clientX: 300, clientY: ((minutes - range.start) / (range.end - range.start)) * HEIGHT };
+}
+
+function renderDay() {
+  const onCreateSlot = jest.fn();
+  render(
+    <ReservationCalendar view="day" date={day} onNavigate={() => {}} onCreateSlot={onCreateSlot} />
+  );
+  return { onCreateSlot, grid: screen.getByTestId('calendar-slots') };
+}
+
+test('clicking an empty slot starts a booking at that quarter hour', () => {
+  const { onCreateSlot, grid } = renderDay();
+  const start = visibleMinutes([day]).start + 60;
+
+  fireEvent.pointerDown(grid, { button: 0, ...at(start + 5) });
+  fireEvent.pointerUp(grid, { button: 0, ...at(start + 5) });
+
+  expect(onCreateSlot).toHaveBeenCalledTimes(1);
+  expect(onCreateSlot).toHaveBeenCalledWith({
+    time: new Date(2030, 4, 1, Math.floor(start / 60), start % 60),
+  });
+});
+
+test('dragging across empty slots books the selected length', () => {
+  const { onCreateSlot, grid } = renderDay();
+  const start = visibleMinutes([day]).start + 60;
+
+  fireEvent.pointerDown(grid, { button: 0, ...at(start + 5) });
+  fireEvent.pointerMove(grid, { button: 0, ...at(start + 70) });
+  fireEvent.pointerUp(grid, { button: 0, ...at(start + 70) });
+
+  expect(onCreateSlot).toHaveBeenCalledWith({
+    time: new Date(2030, 4, 1, Math.floor(start / 60), start % 60),
+    durationMinutes: 75,
+  });
+});
@@ -0,0 +1,477 @@
+import React, { useCallback, useRef, useState } from "react";
+import SmsModal from "./SmsModal";
+import ReceiptModal from "./ReceiptModal";
+import EditReservationModal from "./EditReservationModal";
+import { StatusTimeline } from "./StatusHistoryModal";
+import { reservationIdOf, reservationTimeOf } from "../utils/reservationIds";
+import { reservationDuration, reservationTableIds, tableIdOf } from "../utils/seating";
+import { allowedTransitions, STATUS_ACTION_LABELS, statusLabel } from "../utils/reservationStatus";
+import { describeRRule } from "../utils/recurrence";
+import { calendarSyncState, syncResult } from "../utils/calendarSync";
+import { venueTimeZone } from "../utils/timezone";
+import { useVenueSettings } from "../hooks/useVenueSettings";
+
+/**
+ * ReservationDrawer
+ * Side panel with everything about one reservation: all fields, status history, SMS log,
+ * receipts and calendar sync state, plus every action available in the list rows.
+ * Shared by the list and calendar views and by the `/reservations/:id` deep link.
+ *
+ * Props:
+ * - open: boolean - whether the drawer is visible
+ * - reservation: object|null - reservation shown (null while loading or when not found)
+ * - smsLog?: array - SMS messages sent about the reservation
+ * - receipts?: array - receipts generated for it
+ * - loading?: boolean - detail data is being fetched
+ * - error?: any - fetch error
+ * - onClose: () => void
+ * - onRefresh?: () => void - reload the SMS log and receipts (called after SMS/receipt actions)
+ * - onUpdate: (id, updates, options?) => Promise<any> - edits and status changes
+ * - onDelete: (id) => Promise<any> - resolves to false when the user kept the reservation
+ * - onSendSms?: (id, message) => Promise<any>
+ * - onGenerateReceipt?: (id) => Promise<any>
+ * - onCalendarSync?: (id) => Promise<any>
+ * - onDownloadIcs?: (reservation) => void - save the reservation as an iCalendar (.ics) file
+ * - tables?: array - venue tables, for table names and assignment in the Edit modal
+ * - reservations?: array - reservations shown on the page; the Edit form checks double bookings
+ *   against these and every reservation it loads for the chosen day
+ *
+ * PUBLIC_INTERFACE
+ */
+// PUBLIC_INTERFACE
+export default function ReservationDrawer({
+  open,
+  reservation,
+  smsLog = [],
+  receipts = [],
+  loading = false,
+  error = null,
+  onClose,
+  onRefresh,
+  onUpdate,
+  onDelete,
+  onSendSms,
+  onGenerateReceipt,
+  onCalendarSync,
+  onDownloadIcs,
+  tables = [],
+  reservations = [],
+}) {
+  const [venue] = useVenueSettings();
+  const timeZone = venueTimeZone(venue);
+  const [editing, setEditing] = useState(false);
+  const [smsOpen, setSmsOpen] = useState(false);
+  const [receiptOpen, setReceiptOpen] = useState(false);
+  const [syncing, setSyncing] = useState(false);
+  const [syncInfo, setSyncInfo] = useState(null); // { id, status, link } from this session
+
+  const id = reservation ? reservationIdOf(reservation) : null;
+
+  // ReceiptModal generates whenever its handler changes; keep it stable across renders
+  const receiptRef = useRef(onGenerateReceipt);
+  receiptRef.current = onGenerateReceipt;
+  const generateReceipt = useCallback(() => receiptRef.current?.(id), [id]);
+
+  if (!open) return null;
+
+  const handleSync = async () => {
+    setSyncing(true);
+    try {
+      const res = await onCalendarSync?.(id);
+      setSyncInfo({ id, ...syncResult(res) });
+    } catch {
+      setSyncInfo({ id, status: "error", link: "" });
+    } finally {
+      setSyncing(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    try {
+      const result = await onDelete?.(id);
+      if (result !== false) onClose?.();
+    } catch {
+      // surfaced by the caller; keep the drawer open
+    }
+  };
+
+  const sync = syncInfo && syncInfo.id === id ? syncInfo : calendarSyncState(reservation);
+  const status = reservation?.status || "pending";
+  const guest = reservation ? reservation.guestName || reservation.name || "Guest" : "";
+
+  return (
+    <div
+      role="dialog"
+      aria-modal="true"
+      aria-label="Reservation details"
+      style={backdropStyle}
+      onKeyDown={(e) => {
+        if (e.key === "Escape" && !editing && !smsOpen && !receiptOpen) onClose?.();
+      }}
+    >
+      <aside style={panelStyle}>
+        <header style={headerStyle}>
+          <div>
+            <h3 style={{ margin: 0, fontSize: 18 }}>{reservation ? guest : "Reservation"}</h3>
+            {reservation && (
+              <span style={{ ...statusPillStyle(status), marginTop: 4 }}>
+                {statusLabel(status)}
+              </span>
+            )}
+          </div>
+          <button aria-label="Close" onClick={onClose} style={closeBtnStyle} autoFocus>
+            ×
+          </button>
+        </header>
+
+        {!reservation ? (
+          <div style={{ padding: 16, color: error ? "var(--color-error)" : "#6B7280" }}>
+            {loading
+              ? "Loading..."
+              : error?.status === 404 || !error
+              ? "This reservation could not be found."
+              : `Error: ${error.message || "Failed to load reservation"}`}
+          </div>
+        ) : (
+          <div style={{ padding: "12px 16px", display: "grid", gap: 16 }}>
+            <div style={{ display: "flex", gap: 6, flexWrap: "wrap" }}>
+              <button className="nav-link" onClick={() => setEditing(true)}>
+                Edit
+              </button>
+              {allowedTransitions(status).map((next) => (
+                <button
+                  key={next}
+                  className="nav-link"
+                  title={`Mark ${statusLabel(next)}`}
+                  onClick={() => onUpdate?.(id, { status: next }).catch(() => {})}
+                >
+                  {STATUS_ACTION_LABELS[next]}
+                </button>
+              ))}
+              {!!onSendSms && (
+                <button className="nav-link" onClick={() => setSmsOpen(true)}>
+                  Send SMS
+                </button>
+              )}
+              {!!onGenerateReceipt && (
+                <button className="nav-link" onClick={() => setReceiptOpen(true)}>
+                  Receipt
+                </button>
+              )}
+              {!!onCalendarSync && (
+                <button
+                  className="nav-link"
+                  onClick={handleSync}
+                  disabled={syncing}
+                  aria-busy={syncing ? "true" : "false"}
+                >
+                  {syncing ? "Syncing..." : "Sync calendar"}
+                </button>
+              )}
+              {!!onDownloadIcs && (
+                <button className="nav-link" onClick={() => onDownloadIcs(reservation)}>
+                  Add to calendar (.ics)
+                </button>
+              )}
+              <button className="nav-link" onClick={handleDelete}>
+                Delete
+              </button>
+            </div>
+
+            <Section title="Details">
+              <dl style={fieldListStyle}>
+                {detailFields(reservation, tables).map(([label, value]) => (
+                  <React.Fragment key={label}>
+                    <dt style={{ color: "#6B7280" }}>{label}</dt>
+                    <dd style={{ margin: 0, wordBreak: "break-word" }}>{value}</dd>
+                  </React.Fragment>
+                ))}
+              </dl>
+            </Section>
+
+            <Section title="Status history">
+              <StatusTimeline reservation={reservation} />
+            </Section>
+
+            <Section title="SMS">
+              {smsLog.length === 0 ? (
+                <Empty>{loading ? "Loading..." : "No messages sent yet."}</Empty>
+              ) : (
+                <ul style={logListStyle}>
+                  {smsLog.map((m, i) => (
+                    <li key={m.id ?? i} style={logItemStyle}>
+                      <div style={{ fontSize: 12, color: "#6B7280" }}>
+                        {formatDateTime(m.sentAt || m.createdAt || m.time, timeZone)}
+                        {m.status ? ` · ${m.status}` : ""}
+                        {m.to ? ` · ${m.to}` : ""}
+                      </div>
+                      <div>{m.message || m.body || m.text}</div>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </Section>
+
+            <Section title="Receipts">
+              {receipts.length === 0 ? (
+                <Empty>{loading ? "Loading..." : "No receipts generated yet."}</Empty>
+              ) : (
+                <ul style={logListStyle}>
+                  {receipts.map((r, i) => (
+                    <li key={r.id ?? i} style={logItemStyle}>
+                      <div style={{ fontSize: 12, color: "#6B7280" }}>
+                        {formatDateTime(r.createdAt || r.generatedAt, timeZone)}
+                        {r.total != null ? ` · ${r.total}` : ""}
+                      </div>
+                      {r.url ? (
+                        <a href={r.url} target="_blank" rel="noreferrer">
+                          {r.number ? `Receipt ${r.number}` : "Open receipt"}
+                        </a>
+                      ) : (
+                        <div>{r.number ? `Receipt ${r.number}` : r.status || "Generated"}</div>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </Section>
+
+            <Section title="Calendar sync">
+              {!sync ? (
+                <Empty>Not synced to a calendar.</Empty>
+              ) : (
+                <div style={{ fontSize: 14 }}>
+                  <span
+                    style={{ color: sync.status === "error" ? "var(--color-error)" : "#065F46" }}
+                  >
+                    {sync.status === "error" ? "Sync failed" : `Calendar ${sync.status}`}
+                  </span>
+                  {sync.syncedAt && (
+                    <span style={{ color: "#6B7280" }}>
+                      {" · "}
+                      {formatDateTime(sync.syncedAt, timeZone)}
+                    </span>
+                  )}
+                  {sync.link && (
+                    <>
+                      {" • "}
+                      <a href={sync.link} target="_blank" rel="noreferrer">
+                        Open event
+                      </a>
+                    </>
+                  )}
+                  {sync.error && (
+                    <div style={{ fontSize: 12, color: "var(--color-error)" }}>{sync.error}</div>
+                  )}
+                </div>
+              )}
+            </Section>
+          </div>
+        )}
+      </aside>
+
+      <EditReservationModal
+        open={editing}
+        reservation={reservation}
+        onClose={() => setEditing(false)}
+        onSave={(rid, updates, options) => onUpdate?.(rid, updates, options)}
+        tables={tables}
+        reservations={reservations}
+      />
+
+      <SmsModal
+        open={smsOpen}
+        onClose={() => setSmsOpen(false)}
+        onSend={async (message) => {
+          await onSendSms?.(id, message);
+          onRefresh?.();
+        }}
+        guestName={guest}
+        phone={reservation?.phone}
+      />
+
+      <ReceiptModal
+        open={receiptOpen}
+        onClose={() => {
+          setReceiptOpen(false);
+          onRefresh?.();
+        }}
+        onGenerate={generateReceipt}
+        reservationId={id}
+      />
+    </div>
+  );
+}
+
+function Section({ title, children }) {
+  return (
+    <section>
+      <h4 style={{ margin: "0 0 8px", fontSize: 14 }}>{title}</h4>
+      {children}
+    </section>
+  );
+}
+
+function Empty({ children }) {
+  return <p style={{ color: "#6B7280", margin: 0, fontSize: 13 }}>{children}</p>;
+}
+
+// Fields shown with their own label and formatting, in this order
+const KNOWN_FIELDS = new Set([
+  "id",
+  "_id",
+  "reservationId",
+  "uuid",
+  "guestName",
+  "name",
+  "time",
+  "when",
+  "datetime",
+  "size",
+  "partySize",
+  "duration",
+  "durationMinutes",
+  "tableIds",
+  "tableId",
+  "tables",
+  "phone",
+  "email",
+  "notes",
+  "status",
+  "rrule",
+  "seriesId",
+  "recurrenceId",
+  "occurrence",
+  "exdates",
+  "statusHistory",
+  "history",
+  "calendarSync",
+]);
+
+/** [label, value] rows: the known fields first, then any other scalar field the API sent. */
+function detailFields(r, tables) {
+  const byId = new Map(tables.map((t) => [tableIdOf(t), t]));
+  const tableIds = reservationTableIds(r);
+  const rows = [
+    ["When", formatDateTime(reservationTimeOf(r))],
+    ["Party", String(r.size || r.partySize || "—")],
+    ["Duration", `${reservationDuration(r)} minutes`],
+    ["Tables", tableIds.map((t) => byId.get(t)?.name || `#${t}`).join(", ") || "—"],
+    ["Phone", r.phone || "—"],
+    ["Email", r.email || "—"],
+    ["Notes", r.notes || "—"],
+  ];
+  if (r.seriesId != null || r.rrule) {
+    const rule = describeRRule(r.rrule) || "Recurring";
+    rows.push(["Repeats", r.occurrence || r.rrule ? rule : `${rule} · changed occurrence`]);
+  }
+  Object.keys(r)
+    .filter((key) => !KNOWN_FIELDS.has(key) && isScalar(r[key]))
+    .sort()
+    .forEach((key) => rows.push([humanize(key), String(r[key])]));
+  rows.push(["ID", String(reservationIdOf(r) ?? "—")]);
+  return rows;
+}
+
+function isScalar(value) {
+  return value !== null && value !== "" && ["string", "number", "boolean"].includes(typeof value);
+}
+
+function humanize(key) {
+  const words = key.replace(/_/g, " ").replace(/([a-z])([A-Z])/g, "$1 $2").toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+/**
+ * Reservation times are already zoned; pass `timeZone` for real instants (SMS, receipts, sync)
+ * so they read in the venue's zone too.
+ */
+function formatDateTime(value, timeZone) {
+  if (!value) return "—";
+  const d = new Date(value);
+  return isNaN(d.getTime()) ? String(value) : d.toLocaleString([], { timeZone });
+}
+
+function statusPillStyle(status) {
+  const map = {
+    pending: "#6B7280",
+    confirmed: "#10B981",
+    seated: "#2563EB",
+    completed: "#111827",
+    cancelled: "#EF4444",
+    no_show: "#B45309",
+  };
+  const color = map[String(status).toLowerCase()] || "#6B7280";
+  return {
+    display: "inline-block",
+    padding: "2px 8px",
+    borderRadius: 999,
+    background: color,
+    color: "white",
+    fontSize: 12,
+    fontWeight: 700,
+  };
+}
+
+const backdropStyle = {
+  position: "fixed",
+  inset: 0,
+  background: "rgba(0,0,0,0.3)",
+  display: "flex",
+  justifyContent: "flex-end",
+  zIndex: 1000,
+};
+
+const panelStyle = {
+  width: "100%",
+  maxWidth: 480,
+  height: "100%",
+  overflowY: "auto",
+  background: "var(--color-surface)",
+  borderLeft: "1px solid rgba(0,0,0,0.06)",
+  boxShadow: "-12px 0 40px rgba(31,41,55,0.2)",
+};
+
+const headerStyle = {
+  position: "sticky",
+  top: 0,
+  display: "flex",
+  alignItems: "flex-start",
+  justifyContent: "space-between",
+  padding: "12px 16px",
+  background: "var(--color-surface)",
+  backgroundImage: "linear-gradient(180deg, rgba(217,119,6,0.08), transparent)",
+  borderBottom: "1px solid rgba(0,0,0,0.06)",
+  zIndex: 1,
+};
+
+const closeBtnStyle = {
+  border: "none",
+  background: "transparent",
+  fontSize: 20,
+  cursor: "pointer",
+  color: "#6B7280",
+};
+
+const fieldListStyle = {
+  display: "grid",
+  gridTemplateColumns: "120px 1fr",
+  gap: "6px 12px",
+  margin: 0,
+  fontSize: 14,
+};
+
+const logListStyle = {
+  listStyle: "none",
+  margin: 0,
+  padding: 0,
+  display: "grid",
+  gap: 8,
+};
+
+const logItemStyle = {
+  padding: "8px 10px",
+  borderRadius: 10,
+  border: "1px solid rgba(0,0,0,0.06)",
+  fontSize: 14,
+};
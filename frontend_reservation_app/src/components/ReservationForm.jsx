@@ -1,4 +1,32 @@
 import React, { useMemo, useState } from "react";
+import {
+  capacityWarnings,
+  durationFor,
+  effectiveMaxCovers,
+  reservationTableIds,
+  seatingWarnings,
+  tableIdOf,
+  tableLabel,
+} from "../utils/seating";
+import { checkSlot, findSlots, nextAvailable } from "../utils/availability";
+import { openingStatus } from "../utils/openingHours";
+import { reliabilityFor } from "../utils/reliability";
+import { guestIdOf, guestNotes, parseList, samePhone } from "../utils/guests";
+import { addDays } from "../utils/calendar";
+import { formatRRule } from "../utils/recurrence";
+import { reservationIdOf } from "../utils/reservationIds";
+import { venueTimeZone, zonedNow } from "../utils/timezone";
+import {
+  fieldErrorsFromDetails,
+  validateReservationFields,
+} from "../utils/reservationValidation";
+import useVenueSettings from "../hooks/useVenueSettings";
+import useGuestSuggestions from "../hooks/useGuestSuggestions";
+import useRangeReservations from "../hooks/useRangeReservations";
+import useGuestHistory from "../hooks/useGuestHistory";
+import ReliabilityBadge from "./ReliabilityBadge";
+import GuestSuggestions from "./GuestSuggestions";
+import RecurrenceFields, { EMPTY_RECURRENCE } from "./RecurrenceFields";
 
 /**
  * ReservationForm
@@ -9,6 +37,20 @@ import React, { useMemo, useState } from "react";
  * - initialValues?: object - default values for editing flow
  * - submitting?: boolean - disables form during submission
  * - onCancel?: () => void - optional cancel action
+ * - tables?: array - venue tables; when provided, tables can be assigned to the reservation
+ * - reservations?: array - existing reservations, used to warn about double-booked tables,
+ *   about exceeding the venue's concurrent cover capacity and about guests with past no-shows.
+ *   Availability is checked against every reservation from the chosen day on (loaded here,
+ *   whatever the list filters); these rows only add the page's fresher copies
+ *
+ * Duration defaults from the party size (venue settings) until the user picks one.
+ * Seating/capacity conflicts never block: the first submit shows them, a second submit books anyway.
+ * Open start times for the chosen day are offered as chips; when the requested time is full the
+ * next available slots are suggested. Picking a slot also pre-assigns free tables if none are chosen.
+ * Times outside the venue's opening hours are rejected.
+ * Name and phone autocomplete from the guest directory; picking a profile links the reservation
+ * (guestId) and prefills empty notes with the guest's allergies and preferences.
+ * New reservations can repeat (daily/weekly/monthly); the payload then carries an `rrule`.
  *
  * PUBLIC_INTERFACE
  */
@@ -17,58 +59,59 @@ export default function ReservationForm({
   initialValues = {},
   submitting = false,
   onCancel,
+  tables = [],
+  reservations = [],
 }) {
+  const [venue] = useVenueSettings();
+  // The datetime-local input holds the venue's wall clock (see utils/timezone)
+  const timeZone = venueTimeZone(venue);
   const [values, setValues] = useState(() => ({
     guestName: initialValues.guestName || "",
     phone: initialValues.phone || "",
     size: initialValues.size || 2,
-    time: initialValues.time || defaultDateTimeLocal(),
+    time: toDateTimeLocal(initialValues.time) || defaultDateTimeLocal(zonedNow(timeZone)),
     notes: initialValues.notes || "",
+    tableIds: reservationTableIds(initialValues),
+    durationMinutes:
+      Number(initialValues.durationMinutes) ||
+      durationFor(initialValues.size || 2, venue.durationRules),
   }));
+  // Follow the party-size default until the user chooses a duration explicitly
+  const [durationTouched, setDurationTouched] = useState(() => !!initialValues.durationMinutes);
+  const [acknowledgedWarnings, setAcknowledgedWarnings] = useState("");
   const [touched, setTouched] = useState({});
   const [errors, setErrors] = useState({});
-
-  const constraints = useMemo(
-    () => ({
-      nameMin: 2,
-      nameMax: 80,
-      sizeMin: 1,
-      sizeMax: 20,
-      notesMax: 240,
-      // E.164-ish loose check or common local formats, non-strict to avoid rejecting valid numbers
-      phonePattern: /^[+()\-.\s\d]{7,20}$/,
-    }),
-    []
+  // Linked guest profile; kept while the phone still identifies the same guest
+  const [guest, setGuest] = useState(() =>
+    initialValues.guestId
+      ? { id: initialValues.guestId, name: initialValues.guestName, phone: initialValues.phone }
+      : null
+  );
+  const [repeat, setRepeat] = useState(EMPTY_RECURRENCE);
+  const rrule = initialValues?.id ? "" : recurrenceRule(repeat);
+  const [lookupField, setLookupField] = useState(null);
+  const [activeSuggestion, setActiveSuggestion] = useState(-1);
+  const { suggestions: guestSuggestions } = useGuestSuggestions(
+    lookupField && !guest ? values[lookupField] : ""
   );
+  const showSuggestions = !!lookupField && !guest && guestSuggestions.length > 0;
 
-  const validate = (draft = values) => {
-    const e = {};
-    const name = String(draft.guestName || "").trim();
-    if (!name) e.guestName = "Guest name is required";
-    else if (name.length < constraints.nameMin)
-      e.guestName = `Name must be at least ${constraints.nameMin} characters`;
-    else if (name.length > constraints.nameMax)
-      e.guestName = `Name cannot exceed ${constraints.nameMax} characters`;
-
-    const phone = String(draft.phone || "").trim();
-    if (phone && !constraints.phonePattern.test(phone)) {
-      e.phone = "Enter a valid phone number";
-    }
+  // Editing a past reservation (e.g. fixing a phone number) must not force a new time
+  const isUnchangedTime = (time) =>
+    !!initialValues?.id && time === toDateTimeLocal(initialValues.time);
 
-    const size = Number(draft.size);
-    if (!Number.isFinite(size) || size < constraints.sizeMin) {
-      e.size = `Party size must be at least ${constraints.sizeMin}`;
-    } else if (size > constraints.sizeMax) {
-      e.size = `Party size cannot exceed ${constraints.sizeMax}`;
-    }
+  const validate = (draft = values) => {
+    // Name, phone, size and notes follow the rules shared with the import preview
+    const e = validateReservationFields(draft);
 
     const time = String(draft.time || "");
     if (!time) e.time = "Reservation date/time is required";
-    else if (!isFutureOrNow(time)) e.time = "Time must be in the future";
-
-    const notes = String(draft.notes || "");
-    if (notes.length > constraints.notesMax) {
-      e.notes = `Notes cannot exceed ${constraints.notesMax} characters`;
+    else if (!isUnchangedTime(time)) {
+      if (!isFutureOrNow(time, zonedNow(timeZone))) e.time = "Time must be in the future";
+      else {
+        const status = openingStatus(new Date(time), venue.openingHours);
+        if (!status.open) e.time = status.reason;
+      }
     }
 
     return e;
@@ -76,15 +119,179 @@ export default function ReservationForm({
 
   const onChange = (e) => {
     const { name, value } = e.target;
-    const next = { ...values, [name]: name === "size" ? parseInt(value, 10) : value };
+    const numeric = name === "size" || name === "durationMinutes";
+    const next = { ...values, [name]: numeric ? parseInt(value, 10) : value };
+    if (name === "durationMinutes") setDurationTouched(true);
+    const identity = name === "guestName" || name === "phone";
+    if (identity && guest && !samePhone(next.phone, guest.phone)) setGuest(null);
+    if (name === lookupField) setActiveSuggestion(-1);
+    if (name === "size" && !durationTouched && Number.isFinite(next.size)) {
+      next.durationMinutes = durationFor(next.size, venue.durationRules);
+    }
     setValues(next);
     if (touched[name]) {
       setErrors(validate(next));
     }
   };
 
+  // Everything booked from the chosen day through the days "next available" looks at; the rows
+  // passed in (possibly filtered) win for ids in both, as they carry optimistic changes
+  const bookedFrom = dayStart(values.time);
+  const booked = useRangeReservations(
+    bookedFrom,
+    bookedFrom && addDays(bookedFrom, NEXT_AVAILABLE_DAYS),
+    { timeZone }
+  );
+  const dayReservations = useMemo(
+    () => withLoadedRows(reservations, booked.reservations),
+    [reservations, booked.reservations]
+  );
+
+  const toggleTable = (id) => {
+    setValues((v) => ({
+      ...v,
+      tableIds: v.tableIds.includes(id) ? v.tableIds.filter((t) => t !== id) : [...v.tableIds, id],
+    }));
+  };
+
+  // Seating and capacity problems are warnings, not validation errors:
+  // hosts may knowingly squeeze a party in
+  const warnings = useMemo(() => {
+    const candidate = {
+      id: initialValues?.id,
+      size: values.size,
+      time: values.time,
+      durationMinutes: values.durationMinutes,
+      tableIds: values.tableIds,
+    };
+    return [
+      ...seatingWarnings(candidate, {
+        tables,
+        reservations: dayReservations,
+        rules: venue.durationRules,
+      }),
+      ...capacityWarnings(candidate, {
+        reservations: dayReservations,
+        maxCovers: effectiveMaxCovers(venue, tables),
+        rules: venue.durationRules,
+      }),
+    ];
+  }, [initialValues, values, tables, dayReservations, venue]);
+
+  // Slot finder: open start times for the selected day given size, duration and capacity
+  const slotParams = useMemo(
+    () => ({
+      date: values.time,
+      size: values.size,
+      durationMinutes: values.durationMinutes,
+      excludeId: initialValues?.id,
+      tables,
+      reservations: dayReservations,
+      maxCovers: effectiveMaxCovers(venue, tables),
+      rules: venue.durationRules,
+      intervalMinutes: venue.slotIntervalMinutes,
+      now: zonedNow(venueTimeZone(venue)),
+    }),
+    [
+      values.time,
+      values.size,
+      values.durationMinutes,
+      initialValues,
+      tables,
+      dayReservations,
+      venue,
+    ]
+  );
+  const slots = useMemo(() => (values.time ? findSlots(slotParams) : []), [slotParams, values.time]);
+  // Why the requested time cannot be booked ("closed" / "full"), if it cannot
+  const requestedIssue = useMemo(() => {
+    if (!values.time || isNaN(new Date(values.time).getTime())) return null;
+    if (!openingStatus(new Date(values.time), venue.openingHours).open) return "closed";
+    const candidate = {
+      id: initialValues?.id,
+      size: values.size,
+      time: new Date(values.time).toISOString(),
+      durationMinutes: values.durationMinutes,
+    };
+    return checkSlot(candidate, slotParams).available ? null : "full";
+  }, [slotParams, initialValues, values.size, values.time, values.durationMinutes, venue]);
+  const suggestions = useMemo(
+    () =>
+      requestedIssue
+        ? nextAvailable(slotParams, { count: 3, maxDays: NEXT_AVAILABLE_DAYS })
+        : [],
+    [requestedIssue, slotParams]
+  );
+
+  const pickSlot = (slot) => {
+    const next = {
+      ...values,
+      time: toDateTimeLocal(slot.time),
+      tableIds: values.tableIds.length === 0 && slot.tableIds ? slot.tableIds : values.tableIds,
+    };
+    setValues(next);
+    if (touched.time) setErrors(validate(next));
+  };
+
+  // Repeat offenders are flagged by phone number (their whole history) while booking
+  const history = useGuestHistory([values.phone]);
+  const reliability = reliabilityFor(values.phone, history);
+
+  const warningsKey = warnings.map((w) => w.message).join("|");
+  const needsConfirmation = warnings.length > 0 && acknowledgedWarnings !== warningsKey;
+
+  const pickGuest = (profile) => {
+    const next = {
+      ...values,
+      guestName: profile.name || profile.guestName || values.guestName,
+      phone: profile.phone || values.phone,
+      notes: values.notes.trim() ? values.notes : guestNotes(profile),
+    };
+    setGuest(profile);
+    setLookupField(null);
+    setActiveSuggestion(-1);
+    setValues(next);
+    setErrors(validate(next));
+  };
+
+  // Combobox keys for the name/phone inputs; Enter only picks while the list is open
+  const onLookupKeyDown = (e) => {
+    if (!showSuggestions) return;
+    const count = guestSuggestions.length;
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      // Wraps through "no selection" (-1) so the typed text stays reachable
+      setActiveSuggestion((i) =>
+        e.key === "ArrowDown" ? (i >= count - 1 ? -1 : i + 1) : i <= -1 ? count - 1 : i - 1
+      );
+    } else if (e.key === "Enter" && activeSuggestion >= 0) {
+      e.preventDefault();
+      pickGuest(guestSuggestions[activeSuggestion]);
+    } else if (e.key === "Escape") {
+      setLookupField(null);
+    }
+  };
+
+  const lookupProps = (name) => ({
+    role: "combobox",
+    "aria-autocomplete": "list",
+    "aria-expanded": showSuggestions && lookupField === name,
+    "aria-controls": `${name}-suggestions`,
+    "aria-activedescendant":
+      showSuggestions && lookupField === name && activeSuggestion >= 0
+        ? `${name}-suggestions-option-${activeSuggestion}`
+        : undefined,
+    autoComplete: "off",
+    onFocus: () => {
+      setLookupField(name);
+      setActiveSuggestion(-1);
+    },
+    onKeyDown: onLookupKeyDown,
+  });
+
   const onBlur = (e) => {
     const { name } = e.target;
+    if (name === lookupField) setLookupField(null);
     setTouched((t) => ({ ...t, [name]: true }));
     setErrors(validate(values));
   };
@@ -92,6 +299,8 @@ export default function ReservationForm({
   const handleSubmit = async (e) => {
     e.preventDefault();
     const eNow = validate(values);
+    const repeatError = initialValues?.id ? "" : recurrenceError(repeat, values.time);
+    if (repeatError) eNow.recurrence = repeatError;
     setErrors(eNow);
     setTouched({
       guestName: true,
@@ -102,33 +311,56 @@ export default function ReservationForm({
     });
     if (Object.keys(eNow).length > 0) return;
 
+    // Pre-submit conflict check: show the warnings once, book on the next submit
+    if (needsConfirmation) {
+      setAcknowledgedWarnings(warningsKey);
+      return;
+    }
+
     const payload = {
       guestName: values.guestName.trim(),
       phone: values.phone.trim() || undefined,
       size: Number(values.size),
       time: new Date(values.time).toISOString(),
       notes: values.notes.trim() || undefined,
+      durationMinutes: Number(values.durationMinutes) || undefined,
     };
+    if (guestIdOf(guest)) payload.guestId = guestIdOf(guest);
+    if (rrule) payload.rrule = rrule;
+    if (tables.length > 0) payload.tableIds = values.tableIds;
 
     try {
       await onSubmit?.(payload);
+      booked.refresh();
       // Clear form if it was a create form (no initialValues.id)
       if (!initialValues?.id) {
         setValues({
           guestName: "",
           phone: "",
           size: 2,
-          time: defaultDateTimeLocal(),
+          time: defaultDateTimeLocal(zonedNow(timeZone)),
           notes: "",
+          tableIds: [],
+          durationMinutes: durationFor(2, venue.durationRules),
         });
+        setDurationTouched(false);
+        setGuest(null);
+        setRepeat(EMPTY_RECURRENCE);
+        setAcknowledgedWarnings("");
         setTouched({});
         setErrors({});
       }
-    } catch {
-      // Surface a generic top-level error without exposing details/PII
+    } catch (err) {
+      // Prefer field-level messages from the backend's normalized `details`;
+      // otherwise surface a generic top-level error without exposing details/PII
+      const fieldErrors = fieldErrorsFromDetails(err?.details);
       setErrors((prev) => ({
         ...prev,
-        _form: "Unable to submit reservation right now. Please try again.",
+        ...fieldErrors,
+        _form:
+          Object.keys(fieldErrors).length > 0
+            ? "Please correct the highlighted fields."
+            : "Unable to submit reservation right now. Please try again.",
       }));
     }
   };
@@ -141,7 +373,7 @@ export default function ReservationForm({
         </div>
       )}
       <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 12 }}>
-        <div>
+        <div style={{ position: "relative" }}>
           <label htmlFor="guestName" style={labelStyle}>Guest name</label>
           <input
             id="guestName"
@@ -150,18 +382,40 @@ export default function ReservationForm({
             value={values.guestName}
             onChange={onChange}
             onBlur={onBlur}
+            {...lookupProps("guestName")}
             required
             aria-invalid={!!errors.guestName}
             aria-describedby={errors.guestName ? "guestName-error" : undefined}
             style={inputStyle(!!errors.guestName)}
             placeholder="e.g., Jane Doe"
           />
+          {showSuggestions && lookupField === "guestName" && (
+            <GuestSuggestions
+              id="guestName-suggestions"
+              guests={guestSuggestions}
+              activeIndex={activeSuggestion}
+              onPick={pickGuest}
+            />
+          )}
           {errors.guestName && (
             <div id="guestName-error" style={errorTextStyle}>{errors.guestName}</div>
           )}
+          {guest && (
+            <div style={{ fontSize: 12, color: "var(--color-secondary)", marginTop: 4 }}>
+              {guest.vip && <strong style={{ color: "#92400E" }}>★ VIP · </strong>}
+              Linked to guest profile
+              {parseList(guest.tags).length > 0 && ` · ${parseList(guest.tags).join(", ")}`}
+              {parseList(guest.allergies).length > 0 && (
+                <span style={{ color: "var(--color-error)" }}>
+                  {" "}
+                  · Allergies: {parseList(guest.allergies).join(", ")}
+                </span>
+              )}
+            </div>
+          )}
         </div>
 
-        <div>
+        <div style={{ position: "relative" }}>
           <label htmlFor="phone" style={labelStyle}>Phone (optional)</label>
           <input
             id="phone"
@@ -170,14 +424,29 @@ export default function ReservationForm({
             value={values.phone}
             onChange={onChange}
             onBlur={onBlur}
+            {...lookupProps("phone")}
             aria-invalid={!!errors.phone}
             aria-describedby={errors.phone ? "phone-error" : undefined}
             style={inputStyle(!!errors.phone)}
             placeholder="+1 (555) 123-4567"
           />
+          {showSuggestions && lookupField === "phone" && (
+            <GuestSuggestions
+              id="phone-suggestions"
+              guests={guestSuggestions}
+              activeIndex={activeSuggestion}
+              onPick={pickGuest}
+            />
+          )}
           {errors.phone && (
             <div id="phone-error" style={errorTextStyle}>{errors.phone}</div>
           )}
+          {reliability?.noShows > 0 && (
+            <div style={{ fontSize: 12, color: "#92400E", marginTop: 4 }}>
+              <ReliabilityBadge reliability={reliability} /> This guest has missed bookings before;
+              consider a confirmation call.
+            </div>
+          )}
         </div>
 
         <div>
@@ -220,6 +489,122 @@ export default function ReservationForm({
           )}
         </div>
 
+        <div>
+          <label htmlFor="durationMinutes" style={labelStyle}>Duration</label>
+          <select
+            id="durationMinutes"
+            name="durationMinutes"
+            value={values.durationMinutes}
+            onChange={onChange}
+            style={inputStyle(false)}
+          >
+            {durationOptions(values.durationMinutes).map((m) => (
+              <option key={m} value={m}>
+                {formatDuration(m)}
+              </option>
+            ))}
+          </select>
+          {!durationTouched && (
+            <div style={{ fontSize: 12, color: "#6B7280", marginTop: 4 }}>
+              Default for a party of {values.size || "?"}
+            </div>
+          )}
+        </div>
+
+        {!initialValues?.id && (
+          <div style={{ gridColumn: "1 / -1" }}>
+            <RecurrenceFields
+              value={repeat}
+              onChange={(next) => {
+                setRepeat(next);
+                if (errors.recurrence) {
+                  setErrors((prev) => {
+                    const next = { ...prev };
+                    delete next.recurrence;
+                    return next;
+                  });
+                }
+              }}
+              rrule={rrule}
+              error={errors.recurrence}
+            />
+          </div>
+        )}
+
+        {(slots.length > 0 || requestedIssue) && (
+          <div style={{ gridColumn: "1 / -1" }}>
+            {requestedIssue && (
+              <div role="status" style={{ ...warningListStyle, margin: "0 0 6px" }}>
+                ⚠{" "}
+                {requestedIssue === "closed"
+                  ? "The venue is closed at the requested time."
+                  : `The requested time is full for a party of ${values.size}.`}{" "}
+                {suggestions.length > 0 ? "Next available:" : "No open slots in the next week."}
+                {suggestions.length > 0 && (
+                  <span style={{ display: "inline-flex", flexWrap: "wrap", gap: 6, marginLeft: 6 }}>
+                    {suggestions.map((slot) => (
+                      <button
+                        key={slot.time.getTime()}
+                        type="button"
+                        onClick={() => pickSlot(slot)}
+                        style={slotChipStyle(false, true)}
+                      >
+                        {formatSlot(slot.time, values.time)}
+                      </button>
+                    ))}
+                  </span>
+                )}
+              </div>
+            )}
+            {slots.length > 0 && (
+              <>
+                <span style={labelStyle}>Available times</span>
+                <div style={{ display: "flex", flexWrap: "wrap", gap: 6 }}>
+                  {slots.map((slot) => {
+                    const selected = toDateTimeLocal(slot.time) === values.time;
+                    return (
+                      <button
+                        key={slot.time.getTime()}
+                        type="button"
+                        disabled={!slot.available}
+                        aria-pressed={selected}
+                        title={slot.reason || undefined}
+                        onClick={() => pickSlot(slot)}
+                        style={slotChipStyle(selected, slot.available)}
+                      >
+                        {formatSlot(slot.time)}
+                      </button>
+                    );
+                  })}
+                </div>
+              </>
+            )}
+          </div>
+        )}
+
+        {tables.length > 0 && (
+          <fieldset style={{ gridColumn: "1 / -1", border: "none", padding: 0, margin: 0 }}>
+            <legend style={labelStyle}>Tables (optional)</legend>
+            <div style={{ display: "flex", flexWrap: "wrap", gap: 6 }}>
+              {tables.map((t) => {
+                const id = tableIdOf(t);
+                const checked = values.tableIds.includes(id);
+                return (
+                  <label key={id} style={tableChipStyle(checked)} title={t.section || undefined}>
+                    <input
+                      type="checkbox"
+                      checked={checked}
+                      onChange={() => toggleTable(id)}
+                      style={{ marginRight: 6 }}
+                    />
+                    {tableLabel(t)}
+                  </label>
+                );
+              })}
+            </div>
+          </fieldset>
+        )}
+
         <div style={{ gridColumn: "1 / -1" }}>
           <label htmlFor="notes" style={labelStyle}>Notes (optional)</label>
           <textarea
@@ -240,6 +625,17 @@ export default function ReservationForm({
         </div>
       </div>
 
+      {warnings.length > 0 && (
+        <ul role="status" style={warningListStyle}>
+          {warnings.map((w) => (
+            <li key={`${w.type}-${w.tableId || ""}`}>⚠ {w.message}</li>
+          ))}
+          {!needsConfirmation && (
+            <li style={{ fontWeight: 600 }}>Submit again to book anyway.</li>
+          )}
+        </ul>
+      )}
+
       <div style={{ display: "flex", gap: 8, marginTop: 12 }}>
         <button
           type="submit"
@@ -247,7 +643,13 @@ export default function ReservationForm({
           disabled={submitting}
           aria-busy={submitting ? "true" : "false"}
         >
-          {submitting ? "Submitting..." : initialValues?.id ? "Save changes" : "Create reservation"}
+          {submitting
+            ? "Submitting..."
+            : warnings.length > 0 && !needsConfirmation
+            ? "Book anyway"
+            : initialValues?.id
+            ? "Save changes"
+            : "Create reservation"}
         </button>
         {typeof onCancel === "function" && (
           <button
@@ -265,8 +667,7 @@ export default function ReservationForm({
 }
 
 /** Helpers */
-function defaultDateTimeLocal() {
-  const now = new Date();
+function defaultDateTimeLocal(now = new Date()) {
   // Round to next 15 minutes for convenience
   const ms = 1000 * 60 * 15;
   const rounded = new Date(Math.ceil(now.getTime() / ms) * ms);
@@ -279,10 +680,90 @@ function defaultDateTimeLocal() {
   return `${yyyy}-${mm}-${dd}T${hh}:${min}`;
 }
 
-function isFutureOrNow(dtLocalStr) {
+// Days (from the requested one) searched for the next available slots
+const NEXT_AVAILABLE_DAYS = 7;
+
+/** Local midnight of a datetime-local value, or null when it is not a date. */
+function dayStart(value) {
+  const d = value ? new Date(value) : null;
+  if (!d || isNaN(d.getTime())) return null;
+  d.setHours(0, 0, 0, 0);
+  return d;
+}
+
+/** `rows` followed by the `loaded` rows that are not among them (by id). */
+function withLoadedRows(rows, loaded) {
+  const seen = new Set(rows.map((r) => String(reservationIdOf(r))));
+  return [...rows, ...loaded.filter((r) => !seen.has(String(reservationIdOf(r))))];
+}
+
+/** Duration choices in 15-minute steps, always including the current value. */
+function durationOptions(current) {
+  const options = [];
+  for (let m = 30; m <= 300; m += 15) options.push(m);
+  const n = Number(current);
+  if (n > 0 && !options.includes(n)) options.push(n);
+  return options.sort((a, b) => a - b);
+}
+
+function formatDuration(minutes) {
+  const h = Math.floor(minutes / 60);
+  const m = minutes % 60;
+  if (!h) return `${m} min`;
+  return m ? `${h} h ${m} min` : `${h} h`;
+}
+
+/** RRULE for the "Repeats" controls; empty when the reservation does not repeat. */
+function recurrenceRule(repeat) {
+  if (!repeat.freq) return "";
+  // The whole last day counts, whatever time the booking starts
+  const until = repeat.end === "until" && repeat.until ? `${repeat.until}T23:59:59` : "";
+  return formatRRule({
+    freq: repeat.freq,
+    interval: repeat.interval,
+    byDay: repeat.byDay,
+    count: repeat.end === "count" ? repeat.count : undefined,
+    until: until ? new Date(until) : undefined,
+  });
+}
+
+function recurrenceError(repeat, time) {
+  if (!repeat.freq) return "";
+  if (!(repeat.interval >= 1 && repeat.interval <= 52)) return "Repeat every 1 to 52 periods";
+  if (repeat.end === "count" && !(repeat.count >= 2 && repeat.count <= 104)) {
+    return "A series needs 2 to 104 occurrences";
+  }
+  if (repeat.end === "until") {
+    if (!repeat.until) return "Choose the last date of the series";
+    if (new Date(`${repeat.until}T23:59:59`) <= new Date(time)) {
+      return "The last date must be after the first reservation";
+    }
+  }
+  return "";
+}
+
+/** Short label for a slot chip; includes the day when it differs from `relativeTo`. */
+function formatSlot(time, relativeTo) {
+  const label = time.toLocaleTimeString([], { hour: "numeric", minute: "2-digit" });
+  if (!relativeTo || new Date(relativeTo).toDateString() === time.toDateString()) return label;
+  return `${time.toLocaleDateString([], { weekday: "short", month: "short", day: "numeric" })} ${label}`;
+}
+
+/** Convert an ISO/date string into the `YYYY-MM-DDTHH:mm` format used by datetime-local. */
+function toDateTimeLocal(value) {
+  if (!value) return "";
+  const d = new Date(value);
+  if (isNaN(d.getTime())) return "";
+  const pad = (n) => (n < 10 ? `0${n}` : String(n));
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(
+    d.getHours()
+  )}:${pad(d.getMinutes())}`;
+}
+
+function isFutureOrNow(dtLocalStr, now = new Date()) {
   const d = new Date(dtLocalStr);
   if (isNaN(d.getTime())) return false;
-  return d.getTime() >= Date.now() - 60_000; // allow a small clock skew
+  return d.getTime() >= now.getTime() - 60_000; // allow a small clock skew
 }
 
 const labelStyle = {
@@ -297,6 +778,44 @@ const errorTextStyle = {
   marginTop: 4,
 };
 
+const warningListStyle = {
+  margin: "8px 0 0",
+  paddingLeft: 0,
+  listStyle: "none",
+  color: "#92400E",
+  fontSize: 12,
+  display: "grid",
+  gap: 2,
+};
+
+function tableChipStyle(selected) {
+  return {
+    display: "inline-flex",
+    alignItems: "center",
+    padding: "6px 10px",
+    borderRadius: 999,
+    border: `1px solid ${selected ? "var(--color-primary)" : "rgba(0,0,0,0.12)"}`,
+    background: selected ? "rgba(217,119,6,0.12)" : "var(--color-surface)",
+    fontSize: 13,
+    cursor: "pointer",
+  };
+}
+
+function slotChipStyle(selected, available) {
+  return {
+    padding: "4px 10px",
+    borderRadius: 999,
+    border: `1px solid ${selected ? "var(--color-primary)" : "rgba(0,0,0,0.12)"}`,
+    background: selected ? "rgba(217,119,6,0.12)" : "var(--color-surface)",
+    color: "var(--color-text)",
+    fontSize: 12,
+    fontWeight: selected ? 700 : 500,
+    cursor: available ? "pointer" : "not-allowed",
+    opacity: available ? 1 : 0.45,
+    textDecoration: available ? "none" : "line-through",
+  };
+}
+
 function inputStyle(hasError) {
   return {
     width: "100%",
@@ -1,6 +1,17 @@
 import React, { useMemo, useState } from "react";
 import SmsModal from "./SmsModal";
 import ReceiptModal from "./ReceiptModal";
+import EditReservationModal from "./EditReservationModal";
+import StatusHistoryModal from "./StatusHistoryModal";
+import ReliabilityBadge from "./ReliabilityBadge";
+import useWindowedRows from "../hooks/useWindowedRows";
+import useGuestHistory from "../hooks/useGuestHistory";
+import { reservationIdOf, reservationTimeOf, sameReservationId } from "../utils/reservationIds";
+import { reservationTableIds, seatingWarnings, tableIdOf } from "../utils/seating";
+import { allowedTransitions, STATUS_ACTION_LABELS, statusLabel } from "../utils/reservationStatus";
+import { reliabilityFor } from "../utils/reliability";
+import { describeRRule } from "../utils/recurrence";
+import { calendarSyncState } from "../utils/calendarSync";
 
 /**
  * ReservationList
@@ -11,12 +22,34 @@ import ReceiptModal from "./ReceiptModal";
  * - loading: boolean
  * - error: any
  * - onRefresh: () => void
- * - onUpdate: (id, updates) => Promise<any>
+ * - onUpdate: (id, updates, options?) => Promise<any> - also used by the Edit modal with changed
+ *   fields only (options.scope for occurrences of a recurring series) and by the status actions,
+ *   which only offer transitions the lifecycle allows
  * - onDelete: (id) => Promise<any>
  * - onSendSms?: (id, message) => Promise<any>
  * - onGenerateReceipt?: (id) => Promise<any>
- * - onCalendarSync?: (id) => Promise<any>
+ * - onCalendarSync?: (id) => Promise<any> - the result is shown from the reservation's stored
+ *   sync state (see utils/calendarSync), so it survives reloads
+ * - onBulkCalendarSync?: (reservations) => void - enables row selection and syncing the
+ *   selected reservations at once
  * - onFilterChange?: (filters) => void
+ * - filters?: { from, to, status, search } - controlled filter values (e.g. from URL params)
+ * - clientFilter?: boolean - filter rows locally; use as a fallback while the server result
+ *   for the current filters is still pending (default true)
+ * - hasMore?: boolean - more pages are available from the server
+ * - loadingMore?: boolean - a next page is being fetched
+ * - total?: number|null - server-reported total for the current query
+ * - onLoadMore?: () => void - fetch the next page (also triggered when scrolling near the end)
+ * - tables?: array - venue tables; enables the Tables column and assignment in the Edit modal
+ * - onOpenDetails?: (reservation) => void - open the reservation detail drawer
+ * - onExportIcs?: (reservations) => void - export the rows matching the filters to a calendar
+ *   file (the page offers a date range as well)
+ * - onDownloadIcs?: (reservation) => void - download one reservation as a calendar file
+ * - onExport?: (reservations) => void - export the rows matching the filters (CSV/JSON/PDF)
+ *
+ * Long lists render only the rows in view (windowed) inside a fixed-height scroll area.
+ * Guests with past no-shows (their whole history, looked up by phone) get a reliability badge.
+ * Occurrences of recurring series (see utils/recurrence) are marked with ↻ and their rule.
  *
  * PUBLIC_INTERFACE
  */
@@ -31,25 +64,41 @@ export default function ReservationList({
   onGenerateReceipt,
   onCalendarSync,
   onFilterChange,
+  filters: controlledFilters,
+  clientFilter = true,
+  hasMore = false,
+  loadingMore = false,
+  total = null,
+  onLoadMore,
+  tables = [],
+  onOpenDetails,
+  onExportIcs,
+  onDownloadIcs,
+  onExport,
+  onBulkCalendarSync,
 }) {
-  const [filters, setFilters] = useState({
+  const [localFilters, setFilters] = useState({
     from: "",
     to: "",
     status: "",
     search: "",
   });
+  const filters = controlledFilters || localFilters;
   const [smsDraft, setSmsDraft] = useState({}); // legacy state (kept if needed elsewhere)
 
   // Modal state
   const [smsModal, setSmsModal] = useState({ open: false, id: null, guestName: "", phone: "" });
   const [receiptModal, setReceiptModal] = useState({ open: false, id: null });
+  const [editing, setEditing] = useState(null); // reservation being edited
+  const [historyFor, setHistoryFor] = useState(null); // reservation whose status history is open
 
   const filtered = useMemo(() => {
     const list = Array.isArray(reservations) ? reservations : [];
+    if (!clientFilter) return list;
     return list.filter((r) => {
       const status = String(r.status || "").toLowerCase();
-      const fromOk = !filters.from || new Date(r.time || r.when || r.datetime || 0) >= new Date(filters.from);
-      const toOk = !filters.to || new Date(r.time || r.when || r.datetime || 0) <= new Date(filters.to);
+      const fromOk = !filters.from || new Date(reservationTimeOf(r) || 0) >= new Date(filters.from);
+      const toOk = !filters.to || new Date(reservationTimeOf(r) || 0) <= new Date(filters.to);
       const statusOk = !filters.status || status === String(filters.status).toLowerCase();
       const s = String(filters.search || "").trim().toLowerCase();
       const searchOk =
@@ -62,7 +111,49 @@ export default function ReservationList({
           .includes(s);
       return fromOk && toOk && statusOk && searchOk;
     });
-  }, [reservations, filters]);
+  }, [reservations, filters, clientFilter]);
+
+  const history = useGuestHistory(reservations.map((r) => r.phone));
+
+  const tablesById = useMemo(() => new Map(tables.map((t) => [tableIdOf(t), t])), [tables]);
+  const showTables = tables.length > 0;
+  const selectable = !!onBulkCalendarSync;
+  const columnCount = 6 + (showTables ? 1 : 0) + (selectable ? 1 : 0);
+
+  // Selection for bulk actions, kept to the rows that still match the filters
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+  const selectedRows = useMemo(
+    () => filtered.filter((r) => selectedIds.has(String(reservationIdOf(r)))),
+    [filtered, selectedIds]
+  );
+  const allSelected = filtered.length > 0 && selectedRows.length === filtered.length;
+  const toggleSelected = (r) =>
+    setSelectedIds((prev) => {
+      const next = new Set(prev);
+      const key = String(reservationIdOf(r));
+      if (next.has(key)) next.delete(key);
+      else next.add(key);
+      return next;
+    });
+  const toggleAll = () =>
+    setSelectedIds(
+      allSelected ? new Set() : new Set(filtered.map((r) => String(reservationIdOf(r))))
+    );
+
+  const windowed = useWindowedRows({
+    count: filtered.length,
+    enabled: filtered.length > VIRTUALIZE_THRESHOLD,
+    viewportHeight: VIEWPORT_HEIGHT,
+  });
+  const visibleRows = filtered.slice(windowed.start, windowed.end);
+  const headCellStyle = windowed.enabled ? { ...thStyle, ...stickyHeadStyle } : thStyle;
+
+  const handleScroll = (e) => {
+    windowed.onScroll(e);
+    const el = e.currentTarget;
+    const nearEnd = el.scrollHeight - el.scrollTop - el.clientHeight < LOAD_MORE_THRESHOLD_PX;
+    if (nearEnd && hasMore && !loadingMore) onLoadMore?.();
+  };
 
   const handleFilterChange = (e) => {
     const { name, value } = e.target;
@@ -72,7 +163,7 @@ export default function ReservationList({
   };
 
   const formatWhen = (r) => {
-    const raw = r.time || r.when || r.datetime;
+    const raw = reservationTimeOf(r);
     if (!raw) return "";
     try {
       const d = new Date(raw);
@@ -82,27 +173,36 @@ export default function ReservationList({
     }
   };
 
-  const idOf = (r) => r.id || r._id || r.reservationId || r.uuid || "unknown";
-
-  // Track per-reservation calendar sync result (status and link)
-  const [calendarSyncInfo, setCalendarSyncInfo] = useState({});
+  const renderTables = (r) => {
+    const ids = reservationTableIds(r);
+    if (ids.length === 0) return <span style={{ color: "#6B7280" }}>—</span>;
+    const warnings = seatingWarnings(r, { tables, reservations });
+    return (
+      <div>
+        {ids.map((id) => tablesById.get(id)?.name || `#${id}`).join(", ")}
+        {warnings.length > 0 && (
+          <div
+            style={{ fontSize: 12, color: "#92400E" }}
+            title={warnings.map((w) => w.message).join("\n")}
+          >
+            ⚠ {warnings[0].message}
+            {warnings.length > 1 ? ` (+${warnings.length - 1})` : ""}
+          </div>
+        )}
+      </div>
+    );
+  };
 
-  // Wrap onCalendarSync to capture and render status/link inline per row
+  // The outcome is stored on the reservation (and shown from there); failures are toasted
+  const [syncingId, setSyncingId] = useState(null);
   const handleCalendarSync = async (id) => {
+    setSyncingId(id);
     try {
-      const res = await onCalendarSync?.(id);
-      const status = (res && typeof res === "object" && (res.status || "synced")) || "synced";
-      const link = res?.eventLink || res?.htmlLink || res?.url || "";
-      setCalendarSyncInfo((prev) => ({
-        ...prev,
-        [id]: { status, link },
-      }));
+      await onCalendarSync?.(id);
     } catch {
-      // In case of error, clear any previous success for this id
-      setCalendarSyncInfo((prev) => ({
-        ...prev,
-        [id]: { status: "error" },
-      }));
+      // recorded on the reservation as a failed sync
+    } finally {
+      setSyncingId(null);
     }
   };
 
@@ -155,6 +255,7 @@ export default function ReservationList({
             <option value="seated">Seated</option>
             <option value="completed">Completed</option>
             <option value="cancelled">Cancelled</option>
+            <option value="no_show">No-show</option>
           </select>
         </div>
         <div style={{ display: "grid", gap: 4, flex: "1 1 240px" }}>
@@ -177,47 +278,119 @@ export default function ReservationList({
         >
           {loading ? "Refreshing..." : "Refresh"}
         </button>
+        {!!onExportIcs && (
+          <button
+            className="nav-link"
+            title="Download these reservations as an iCalendar file"
+            onClick={() => onExportIcs(filtered)}
+          >
+            Export .ics
+          </button>
+        )}
+        {!!onExport && (
+          <button
+            className="nav-link"
+            title="Download these reservations as CSV, JSON or PDF"
+            onClick={() => onExport(filtered)}
+          >
+            Export…
+          </button>
+        )}
       </div>
 
+      {selectable && selectedRows.length > 0 && (
+        <div role="toolbar" aria-label="Selected reservations" style={bulkBarStyle}>
+          <strong>{selectedRows.length} selected</strong>
+          <button className="nav-link" onClick={() => onBulkCalendarSync(selectedRows)}>
+            Sync to calendar
+          </button>
+          <button className="nav-link" onClick={() => setSelectedIds(new Set())}>
+            Clear selection
+          </button>
+        </div>
+      )}
+
       {error && (
         <div style={{ color: "var(--color-error)", marginBottom: 8 }}>
           Error: {error?.message || "Failed to load reservations"}
         </div>
       )}
 
-      <div style={{ overflowX: "auto" }}>
+      <div
+        style={{
+          overflowX: "auto",
+          ...(windowed.enabled ? { maxHeight: VIEWPORT_HEIGHT, overflowY: "auto" } : null),
+        }}
+        onScroll={handleScroll}
+      >
         <table
           style={{
             width: "100%",
             borderCollapse: "collapse",
             background: "var(--color-surface)",
             borderRadius: 12,
-            overflow: "hidden",
+            overflow: windowed.enabled ? "visible" : "hidden",
           }}
         >
           <thead>
             <tr style={theadRowStyle}>
-              <th style={thStyle}>Guest</th>
-              <th style={thStyle}>When</th>
-              <th style={thStyle}>Party</th>
-              <th style={thStyle}>Status</th>
-              <th style={thStyle}>Phone</th>
-              <th style={thStyle}>Actions</th>
+              {selectable && (
+                <th style={{ ...headCellStyle, width: 32 }}>
+                  <input
+                    type="checkbox"
+                    aria-label="Select all reservations"
+                    checked={allSelected}
+                    onChange={toggleAll}
+                  />
+                </th>
+              )}
+              <th style={headCellStyle}>Guest</th>
+              <th style={headCellStyle}>When</th>
+              <th style={headCellStyle}>Party</th>
+              {showTables && <th style={headCellStyle}>Tables</th>}
+              <th style={headCellStyle}>Status</th>
+              <th style={headCellStyle}>Phone</th>
+              <th style={headCellStyle}>Actions</th>
             </tr>
           </thead>
-          <tbody>
+          <tbody ref={windowed.bodyRef}>
+            {windowed.padTop > 0 && (
+              <tr aria-hidden style={{ height: windowed.padTop }}>
+                <td colSpan={columnCount} />
+              </tr>
+            )}
             {filtered.length > 0 ? (
-              filtered.map((r) => {
-                const id = idOf(r);
+              visibleRows.map((r) => {
+                const id = reservationIdOf(r);
                 const guest = r.guestName || r.name || "Guest";
                 const when = formatWhen(r);
                 const size = r.size || r.partySize || "";
                 const status = r.status || "pending";
                 const phone = r.phone || "";
+                const sync = calendarSyncState(r);
                 return (
-                  <tr key={id} style={trStyle}>
+                  <tr key={id} data-row style={trStyle}>
+                    {selectable && (
+                      <td style={tdStyle}>
+                        <input
+                          type="checkbox"
+                          aria-label={`Select ${guest}`}
+                          checked={selectedIds.has(String(id))}
+                          onChange={() => toggleSelected(r)}
+                        />
+                      </td>
+                    )}
                     <td style={tdStyle}>
-                      <div style={{ fontWeight: 600 }}>{guest}</div>
+                      <div style={{ fontWeight: 600 }}>
+                        {guest}{" "}
+                        <ReliabilityBadge reliability={reliabilityFor(phone, history)} onlyRisky />
+                      </div>
+                      {r.seriesId != null && (
+                        <div style={{ fontSize: 12, color: "#6B7280" }} title="Recurring">
+                          ↻ {describeRRule(r.rrule) || "Recurring"}
+                          {r.occurrence ? "" : " · changed occurrence"}
+                        </div>
+                      )}
                       {r.notes && (
                         <div style={{ fontSize: 12, color: "#6B7280" }}>
                           {r.notes}
@@ -226,30 +399,52 @@ export default function ReservationList({
                     </td>
                     <td style={tdStyle}>{when}</td>
                     <td style={tdStyle}>{String(size)}</td>
+                    {showTables && (
+                      <td style={tdStyle}>{renderTables(r)}</td>
+                    )}
                     <td style={tdStyle}>
-                      <span style={statusPillStyle(status)}>{String(status)}</span>
+                      <span style={statusPillStyle(status)}>{statusLabel(status)}</span>
                     </td>
                     <td style={tdStyle}>{phone}</td>
                     <td style={{ ...tdStyle, minWidth: 300 }}>
                       <div style={{ display: "flex", gap: 6, flexWrap: "wrap" }}>
+                        {!!onOpenDetails && (
+                          <button
+                            className="nav-link"
+                            title="Open reservation details"
+                            onClick={() => onOpenDetails(r)}
+                          >
+                            Details
+                          </button>
+                        )}
                         <button
                           className="nav-link"
-                          title="Mark confirmed"
-                          onClick={() => onUpdate?.(id, { status: "confirmed" })}
+                          title="Edit reservation"
+                          onClick={() => setEditing(r)}
                         >
-                          Confirm
+                          Edit
                         </button>
+                        {allowedTransitions(status).map((next) => (
+                          <button
+                            key={next}
+                            className="nav-link"
+                            title={`Mark ${statusLabel(next)}`}
+                            onClick={() => onUpdate?.(id, { status: next }).catch(() => {})}
+                          >
+                            {STATUS_ACTION_LABELS[next]}
+                          </button>
+                        ))}
                         <button
                           className="nav-link"
-                          title="Mark cancelled"
-                          onClick={() => onUpdate?.(id, { status: "cancelled" })}
+                          title="Status history"
+                          onClick={() => setHistoryFor(r)}
                         >
-                          Cancel
+                          History
                         </button>
                         <button
                           className="nav-link"
                           title="Delete reservation"
-                          onClick={() => onDelete?.(id)}
+                          onClick={() => onDelete?.(id).catch(() => {})}
                         >
                           Delete
                         </button>
@@ -267,35 +462,37 @@ export default function ReservationList({
                             className="nav-link"
                             title="Sync to calendar"
                             onClick={() => handleCalendarSync(id)}
+                            disabled={syncingId === id}
+                          >
+                            {syncingId === id ? "Syncing..." : "Calendar"}
+                          </button>
+                        )}
+                        {!!onDownloadIcs && (
+                          <button
+                            className="nav-link"
+                            title="Download as an iCalendar (.ics) file"
+                            onClick={() => onDownloadIcs(r)}
                           >
-                            Calendar
+                            .ics
                           </button>
                         )}
                       </div>
-                      {/* Inline Calendar sync info */}
-                      {calendarSyncInfo[id] && (
+                      {/* Calendar sync state stored on the reservation */}
+                      {sync && (
                         <div style={{ marginTop: 6, fontSize: 12 }}>
-                          {calendarSyncInfo[id].status === "error" ? (
-                            <span style={{ color: "var(--color-error)" }}>
+                          {sync.status === "error" ? (
+                            <span style={{ color: "var(--color-error)" }} title={sync.error}>
                               Calendar sync failed
                             </span>
                           ) : (
+                            <span style={{ color: "#065F46" }}>Calendar {sync.status}</span>
+                          )}
+                          {sync.link && (
                             <>
-                              <span style={{ color: "#065F46" }}>
-                                Calendar {calendarSyncInfo[id].status}
-                              </span>
-                              {calendarSyncInfo[id].link && (
-                                <>
-                                  {" • "}
-                                  <a
-                                    href={calendarSyncInfo[id].link}
-                                    target="_blank"
-                                    rel="noreferrer"
-                                  >
-                                    Open event
-                                  </a>
-                                </>
-                              )}
+                              {" • "}
+                              <a href={sync.link} target="_blank" rel="noreferrer">
+                                Open event
+                              </a>
                             </>
                           )}
                         </div>
@@ -331,14 +528,67 @@ export default function ReservationList({
               })
             ) : (
               <tr>
-                <td colSpan={6} style={{ ...tdStyle, color: "#6B7280" }}>
+                <td colSpan={columnCount} style={{ ...tdStyle, color: "#6B7280" }}>
                   {loading ? "Loading..." : "No reservations match the current filters."}
                 </td>
               </tr>
             )}
+            {windowed.padBottom > 0 && (
+              <tr aria-hidden style={{ height: windowed.padBottom }}>
+                <td colSpan={columnCount} />
+              </tr>
+            )}
           </tbody>
         </table>
       </div>
+
+      {(hasMore || total !== null) && filtered.length > 0 && (
+        <div
+          style={{
+            display: "flex",
+            alignItems: "center",
+            justifyContent: "space-between",
+            gap: 8,
+            marginTop: 8,
+            fontSize: 12,
+            color: "#6B7280",
+          }}
+        >
+          <span>
+            Showing {reservations.length}
+            {total !== null ? ` of ${total}` : ""} loaded reservations
+          </span>
+          {hasMore && (
+            <button
+              className="nav-link"
+              onClick={() => onLoadMore?.()}
+              disabled={loadingMore}
+              aria-busy={loadingMore ? "true" : "false"}
+            >
+              {loadingMore ? "Loading..." : "Load more"}
+            </button>
+          )}
+        </div>
+      )}
+
+      <EditReservationModal
+        open={!!editing}
+        reservation={editing}
+        onClose={() => setEditing(null)}
+        onSave={(id, updates, options) => onUpdate?.(id, updates, options)}
+        tables={tables}
+        reservations={reservations}
+      />
+
+      <StatusHistoryModal
+        open={!!historyFor}
+        reservation={
+          historyFor &&
+          (reservations.find((r) => sameReservationId(r, reservationIdOf(historyFor))) ||
+            historyFor)
+        }
+        onClose={() => setHistoryFor(null)}
+      />
     </div>
   );
 
@@ -446,7 +696,7 @@ export default function ReservationList({
             <tbody>
               {filtered.length > 0 ? (
                 filtered.map((r) => {
-                  const id = idOf(r);
+                  const id = reservationIdOf(r);
                   const guest = r.guestName || r.name || "Guest";
                   const when = formatWhen(r);
                   const size = r.size || r.partySize || "";
@@ -559,6 +809,18 @@ export default function ReservationList({
   );
 }
 
+// Render every row for short lists; window longer ones to keep scrolling smooth
+const VIRTUALIZE_THRESHOLD = 100;
+const VIEWPORT_HEIGHT = 640;
+const LOAD_MORE_THRESHOLD_PX = 240;
+
+const stickyHeadStyle = {
+  position: "sticky",
+  top: 0,
+  zIndex: 1,
+  background: "var(--color-surface)",
+};
+
 const inputStyle = {
   width: "100%",
   padding: "8px 10px",
@@ -570,6 +832,17 @@ const inputStyle = {
   boxShadow: "0 2px 8px rgba(31,41,55,0.05)",
 };
 
+const bulkBarStyle = {
+  display: "flex",
+  gap: 8,
+  alignItems: "center",
+  marginBottom: 8,
+  padding: "6px 10px",
+  borderRadius: 10,
+  background: "rgba(217,119,6,0.08)",
+  border: "1px solid rgba(217,119,6,0.2)",
+};
+
 const theadRowStyle = {
   background: "linear-gradient(180deg, rgba(217,119,6,0.1), rgba(217,119,6,0.05))",
 };
@@ -597,6 +870,7 @@ function statusPillStyle(status) {
     seated: "#2563EB",
     completed: "#111827",
     cancelled: "#EF4444",
+    no_show: "#B45309",
   };
   const color = map[String(status).toLowerCase()] || "#6B7280";
   return {
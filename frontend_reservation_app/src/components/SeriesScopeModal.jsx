@@ -0,0 +1,69 @@
+import React from "react";
+
+/**
+ * SeriesScopeModal
+ * Asks whether an action on an occurrence of a recurring reservation applies to that
+ * occurrence only or to it and every following occurrence.
+ *
+ * Props:
+ * - open: boolean - whether the modal is visible
+ * - action: string - verb shown to the user, e.g. "Delete" or "Cancel"
+ * - guestName?: string - series guest, for the title
+ * - onChoose: (scope: "this" | "future") => void
+ * - onClose: () => void - dismiss without acting
+ *
+ * PUBLIC_INTERFACE
+ */
+// PUBLIC_INTERFACE
+export default function SeriesScopeModal({ open, action, guestName, onChoose, onClose }) {
+  if (!open) return null;
+  return (
+    <div
+      role="dialog"
+      aria-modal="true"
+      aria-label={`${action} recurring reservation`}
+      style={backdropStyle}
+    >
+      <div style={modalStyle}>
+        <h3 style={{ margin: "0 0 6px", fontSize: 18 }}>
+          {action} recurring reservation{guestName ? ` for ${guestName}` : ""}
+        </h3>
+        <p style={{ margin: "0 0 14px", color: "#6B7280", fontSize: 13 }}>
+          This reservation is part of a series.
+        </p>
+        <div style={{ display: "grid", gap: 8 }}>
+          <button className="nav-link" onClick={() => onChoose?.("this")} autoFocus>
+            {action} this occurrence
+          </button>
+          <button className="nav-link" onClick={() => onChoose?.("future")}>
+            {action} this and following
+          </button>
+          <button className="nav-link" onClick={onClose} style={{ color: "#6B7280" }}>
+            Keep it
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+const backdropStyle = {
+  position: "fixed",
+  inset: 0,
+  background: "rgba(0,0,0,0.3)",
+  display: "flex",
+  alignItems: "center",
+  justifyContent: "center",
+  padding: 16,
+  zIndex: 1100,
+};
+
+const modalStyle = {
+  width: "100%",
+  maxWidth: 380,
+  background: "var(--color-surface)",
+  borderRadius: 16,
+  border: "1px solid rgba(0,0,0,0.06)",
+  boxShadow: "0 12px 40px rgba(31,41,55,0.2)",
+  padding: 16,
+};
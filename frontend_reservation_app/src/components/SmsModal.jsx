@@ -10,11 +10,12 @@ import React, { useEffect, useMemo, useState } from "react";
  * - onSend: (message: string) => Promise<any> | any - handler to send SMS
  * - guestName?: string - optional to personalize
  * - phone?: string - optional phone to show
+ * - defaultMessage?: string - prefilled text (defaults to a reservation confirmation)
  *
  * PUBLIC_INTERFACE
  */
 // PUBLIC_INTERFACE
-export default function SmsModal({ open, onClose, onSend, guestName, phone }) {
+export default function SmsModal({ open, onClose, onSend, guestName, phone, defaultMessage }) {
   const [message, setMessage] = useState("");
   const [sending, setSending] = useState(false);
   const [error, setError] = useState("");
@@ -22,11 +23,11 @@ export default function SmsModal({ open, onClose, onSend, guestName, phone }) {
   useEffect(() => {
     if (open) {
       // Reset state each time modal opens
-      setMessage(defaultTemplate(guestName));
+      setMessage(defaultMessage || defaultTemplate(guestName));
       setSending(false);
       setError("");
     }
-  }, [open, guestName]);
+  }, [open, guestName, defaultMessage]);
 
   const disabled = useMemo(() => sending || message.trim().length === 0, [sending, message]);
 
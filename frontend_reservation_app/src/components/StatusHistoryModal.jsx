@@ -0,0 +1,126 @@
+import React from "react";
+import { useVenueSettings } from "../hooks/useVenueSettings";
+import { statusLabel, statusTimeline } from "../utils/reservationStatus";
+import { formatInTimeZone, venueTimeZone } from "../utils/timezone";
+
+/**
+ * StatusHistoryModal
+ * Read-only timeline of a reservation's status transitions.
+ *
+ * Props:
+ * - open: boolean - whether the modal is visible
+ * - reservation: object|null - reservation whose history is shown
+ * - onClose: () => void - called to close the modal
+ *
+ * PUBLIC_INTERFACE
+ */
+// PUBLIC_INTERFACE
+export default function StatusHistoryModal({ open, reservation, onClose }) {
+  if (!open || !reservation) return null;
+  const guest = reservation.guestName || reservation.name || "Guest";
+
+  return (
+    <div role="dialog" aria-modal="true" aria-label="Status history" style={backdropStyle}>
+      <div style={modalStyle}>
+        <header style={headerStyle}>
+          <h3 style={{ margin: 0, fontSize: 18 }}>Status history · {guest}</h3>
+          <button aria-label="Close" onClick={onClose} style={closeBtnStyle}>
+            ×
+          </button>
+        </header>
+        <div style={{ padding: "12px 16px" }}>
+          <StatusTimeline reservation={reservation} />
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * StatusTimeline
+ * Vertical list of transitions, oldest first. Also used inline by other views.
+ *
+ * PUBLIC_INTERFACE
+ */
+export function StatusTimeline({ reservation }) {
+  const [venue] = useVenueSettings();
+  const timeline = statusTimeline(reservation);
+  if (timeline.length === 0) {
+    return <p style={{ color: "#6B7280", margin: 0 }}>No status changes recorded yet.</p>;
+  }
+  return (
+    <ol style={{ listStyle: "none", margin: 0, padding: 0, display: "grid", gap: 10 }}>
+      {timeline.map((e, i) => (
+        <li key={`${e.to}-${e.at}-${i}`} style={timelineItemStyle}>
+          <span aria-hidden style={dotStyle(i === timeline.length - 1)} />
+          <div>
+            <div style={{ fontWeight: 600 }}>{describe(e)}</div>
+            <div style={{ fontSize: 12, color: "#6B7280" }}>
+              {formatInTimeZone(e.at, venueTimeZone(venue))}
+              {e.by ? ` · ${e.by}` : ""}
+            </div>
+          </div>
+        </li>
+      ))}
+    </ol>
+  );
+}
+
+function describe(event) {
+  if (event.to === "created") return "Created";
+  return event.from ? `${statusLabel(event.from)} → ${statusLabel(event.to)}` : statusLabel(event.to);
+}
+
+const timelineItemStyle = {
+  display: "grid",
+  gridTemplateColumns: "14px 1fr",
+  gap: 10,
+};
+
+function dotStyle(current) {
+  return {
+    width: 10,
+    height: 10,
+    marginTop: 5,
+    borderRadius: 999,
+    background: current ? "var(--color-primary)" : "rgba(0,0,0,0.2)",
+  };
+}
+
+const backdropStyle = {
+  position: "fixed",
+  inset: 0,
+  background: "rgba(0,0,0,0.3)",
+  display: "flex",
+  alignItems: "center",
+  justifyContent: "center",
+  padding: 16,
+  zIndex: 1000,
+};
+
+const modalStyle = {
+  width: "100%",
+  maxWidth: 480,
+  background: "var(--color-surface)",
+  borderRadius: 16,
+  border: "1px solid rgba(0,0,0,0.06)",
+  boxShadow: "0 12px 40px rgba(31,41,55,0.2)",
+  overflow: "hidden",
+};
+
+const headerStyle = {
+  display: "flex",
+  alignItems: "center",
+  justifyContent: "space-between",
+  padding: "12px 16px",
+  background: "linear-gradient(180deg, rgba(217,119,6,0.08), transparent)",
+  borderBottom: "1px solid rgba(0,0,0,0.06)",
+};
+
+const closeBtnStyle = {
+  border: "none",
+  background: "transparent",
+  fontSize: 20,
+  cursor: "pointer",
+  color: "#6B7280",
+};
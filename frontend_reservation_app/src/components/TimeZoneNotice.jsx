@@ -0,0 +1,38 @@
+import React from "react";
+import { useVenueSettings } from "../hooks/useVenueSettings";
+import { browserTimeZone, formatOffset, venueTimeZone, zoneOffset } from "../utils/timezone";
+
+/**
+ * TimeZoneNotice
+ * Tells staff that reservation times are in the venue's time zone when this device is set to
+ * a different one (e.g. a manager checking bookings while travelling). Renders nothing when the
+ * zones agree.
+ *
+ * Props:
+ * - style?: object - merged into the banner style
+ */
+// PUBLIC_INTERFACE
+export default function TimeZoneNotice({ style }) {
+  const [venue] = useVenueSettings();
+  const zone = venueTimeZone(venue);
+  const device = browserTimeZone();
+  if (zone === device) return null;
+
+  const now = new Date();
+  return (
+    <div role="note" style={{ ...bannerStyle, ...style }}>
+      <span aria-hidden="true">🌐</span> Times are shown in <strong>{zone}</strong> (
+      {formatOffset(zoneOffset(now, zone))}). This device uses {device} (
+      {formatOffset(zoneOffset(now, device))}).
+    </div>
+  );
+}
+
+const bannerStyle = {
+  padding: "6px 10px",
+  borderRadius: 8,
+  border: "1px solid rgba(37,99,235,0.25)",
+  background: "rgba(37,99,235,0.08)",
+  color: "var(--color-text)",
+  fontSize: 13,
+};
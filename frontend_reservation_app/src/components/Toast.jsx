@@ -9,11 +9,13 @@ import React, { useEffect } from "react";
  * - type?: "success" | "error" | "info" - visual style
  * - onClose: () => void - called when toast dismisses
  * - duration?: number - auto dismiss timeout in ms (default 3000)
+ * - action?: { label: string, onClick: () => void } - optional button (e.g. "Undo"); the toast
+ *   closes after it is clicked
  *
  * PUBLIC_INTERFACE
  */
 // PUBLIC_INTERFACE
-export default function Toast({ message, type = "info", onClose, duration = 3000 }) {
+export default function Toast({ message, type = "info", onClose, duration = 3000, action }) {
   useEffect(() => {
     const t = setTimeout(() => {
       onClose?.();
@@ -65,6 +67,18 @@ export default function Toast({ message, type = "info", onClose, duration = 3000
     <div role="status" aria-live="polite" style={style.container}>
       <span style={style.pill} aria-hidden />
       <p style={style.message}>{message}</p>
+      {action && (
+        <button
+          className="nav-link"
+          onClick={() => {
+            action.onClick?.();
+            onClose?.();
+          }}
+          style={{ flex: "0 0 auto", fontWeight: 700 }}
+        >
+          {action.label}
+        </button>
+      )}
       <button aria-label="Close notification" onClick={onClose} style={style.closeBtn}>
         ×
       </button>
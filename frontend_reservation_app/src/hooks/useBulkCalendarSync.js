@@ -0,0 +1,172 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { syncResult } from "../utils/calendarSync";
+
+/**
+ * Bulk calendar sync hook
+ * - Syncs many reservations with at most `concurrency` requests in flight
+ * - Tracks each item (queued, syncing, synced, error, cancelled) for a progress panel
+ * - Failed items can be retried one at a time or all together; queued items can be cancelled
+ */
+
+// Requests in flight at once, so a busy day does not flood the calendar backend
+export const BULK_SYNC_CONCURRENCY = 3;
+
+const PENDING = ["queued", "syncing"];
+
+// PUBLIC_INTERFACE
+export function useBulkCalendarSync({ sync, concurrency = BULK_SYNC_CONCURRENCY } = {}) {
+  /**
+   * PUBLIC INTERFACE
+   * @param {Object} options
+   * @param {(id) => Promise<any>} options.sync - syncs one reservation (resolves to the sync
+   *   response, rejects on failure)
+   * @param {number} [options.concurrency] - maximum syncs running at once
+   * @returns {{
+   *   items: Array<{ id, label: string, status: string, link: string, error: string }>,
+   *   counts: { total: number, synced: number, failed: number, pending: number },
+   *   running: boolean,
+   *   start: Function,
+   *   retry: Function,
+   *   retryFailed: Function,
+   *   cancel: Function,
+   *   clear: Function,
+   * }}
+   */
+  const [items, setItems] = useState([]);
+  const itemsRef = useRef(items);
+  itemsRef.current = items;
+  const queueRef = useRef([]);
+  const activeRef = useRef(0);
+  const syncRef = useRef(sync);
+  syncRef.current = sync;
+  const isMounted = useRef(true);
+
+  useEffect(() => {
+    isMounted.current = true;
+    return () => {
+      isMounted.current = false;
+      queueRef.current = [];
+    };
+  }, []);
+
+  const patch = useCallback((id, changes) => {
+    if (!isMounted.current) return;
+    setItems((prev) => prev.map((it) => (sameId(it.id, id) ? { ...it, ...changes } : it)));
+  }, []);
+
+  const pump = useCallback(() => {
+    while (activeRef.current < Math.max(1, concurrency) && queueRef.current.length > 0) {
+      const id = queueRef.current.shift();
+      activeRef.current += 1;
+      patch(id, { status: "syncing", error: "" });
+      Promise.resolve()
+        .then(() => syncRef.current(id))
+        .then(
+          (res) => patch(id, { status: "synced", link: syncResult(res).link }),
+          (err) => patch(id, { status: "error", error: err?.message || "Calendar sync failed" })
+        )
+        .finally(() => {
+          activeRef.current -= 1;
+          if (isMounted.current) pump();
+        });
+    }
+  }, [concurrency, patch]);
+
+  const enqueue = useCallback(
+    (ids) => {
+      queueRef.current.push(...ids);
+      pump();
+    },
+    [pump]
+  );
+
+  // PUBLIC_INTERFACE
+  const start = useCallback(
+    (list) => {
+      /**
+       * Queue reservations for syncing. Items already queued or syncing are left alone;
+       * finished ones are synced again.
+       * @param {Array<{ id, label?: string }>} list
+       */
+      const busy = itemsRef.current.filter((it) => PENDING.includes(it.status));
+      const seen = new Set(busy.map((it) => String(it.id)));
+      const fresh = [];
+      (list || []).forEach((x) => {
+        if (x?.id == null || seen.has(String(x.id))) return;
+        seen.add(String(x.id));
+        fresh.push({ id: x.id, label: x.label || String(x.id) });
+      });
+      if (fresh.length === 0) return;
+      const freshIds = new Set(fresh.map((x) => String(x.id)));
+      setItems((prev) => [
+        ...prev.filter((it) => !freshIds.has(String(it.id))),
+        ...fresh.map((x) => ({ ...x, status: "queued", link: "", error: "" })),
+      ]);
+      enqueue(fresh.map((x) => x.id));
+    },
+    [enqueue]
+  );
+
+  // PUBLIC_INTERFACE
+  const retry = useCallback(
+    (id) => {
+      /** Queue a failed (or cancelled) item again. */
+      const item = itemsRef.current.find((it) => sameId(it.id, id));
+      if (!item || PENDING.includes(item.status) || item.status === "synced") return;
+      patch(id, { status: "queued", error: "" });
+      enqueue([item.id]);
+    },
+    [enqueue, patch]
+  );
+
+  // PUBLIC_INTERFACE
+  const retryFailed = useCallback(() => {
+    /** Queue every failed item again. */
+    const failed = itemsRef.current.filter((it) => it.status === "error").map((it) => it.id);
+    if (failed.length === 0) return;
+    setItems((prev) =>
+      prev.map((it) => (it.status === "error" ? { ...it, status: "queued", error: "" } : it))
+    );
+    enqueue(failed);
+  }, [enqueue]);
+
+  // PUBLIC_INTERFACE
+  const cancel = useCallback(() => {
+    /** Drop the items that have not started; syncs already running finish normally. */
+    queueRef.current = [];
+    setItems((prev) =>
+      prev.map((it) => (it.status === "queued" ? { ...it, status: "cancelled" } : it))
+    );
+  }, []);
+
+  // PUBLIC_INTERFACE
+  const clear = useCallback(() => {
+    /** Cancel what is queued and forget every item (closes the progress panel). */
+    queueRef.current = [];
+    setItems([]);
+  }, []);
+
+  const counts = {
+    total: items.length,
+    synced: items.filter((it) => it.status === "synced").length,
+    failed: items.filter((it) => it.status === "error").length,
+    pending: items.filter((it) => PENDING.includes(it.status)).length,
+  };
+
+  return {
+    items,
+    counts,
+    running: counts.pending > 0,
+    start,
+    retry,
+    retryFailed,
+    cancel,
+    clear,
+  };
+}
+
+function sameId(a, b) {
+  return String(a) === String(b);
+}
+
+export default useBulkCalendarSync;
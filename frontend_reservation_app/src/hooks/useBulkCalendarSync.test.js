@@ -0,0 +1,65 @@
+import { renderHook, act, waitFor } from '@testing-library/react';
+import useBulkCalendarSync from './useBulkCalendarSync';
+
+function deferredSync() {
+  const pending = new Map();
+  const sync = jest.fn(
+    (id) =>
+      new Promise((resolve, reject) => {
+        pending.set(id, { resolve, reject });
+      })
+  );
+  const settle = async (id, ok, value) => {
+    await act(async () => {
+      if (ok) pending.get(id).resolve(value);
+      else pending.get(id).reject(value);
+    });
+  };
+  return { sync, settle };
+}
+
+const list = (...ids) => ids.map((id) => ({ id, label: `Guest ${id}` }));
+
+test('runs at most `concurrency` syncs at once and tracks each item', async () => {
+  const { sync, settle } = deferredSync();
+  const { result } = renderHook(() => useBulkCalendarSync({ sync, concurrency: 2 }));
+
+  act(() => result.current.start(list(1, 2, 3, 4)));
+  await waitFor(() => expect(sync).toHaveBeenCalledTimes(2));
+  expect(result.current.items.map((it) => it.status)).toEqual([
+    'syncing',
+    'syncing',
+    'queued',
+    'queued',
+  ]);
+
+  await settle(1, true, { eventLink: 'https://cal/e/1' });
+  await waitFor(() => expect(sync).toHaveBeenCalledTimes(3));
+  expect(result.current.items[0]).toMatchObject({ status: 'synced', link: 'https://cal/e/1' });
+
+  await settle(2, false, new Error('Token expired'));
+  await waitFor(() => expect(sync).toHaveBeenCalledTimes(4));
+  expect(result.current.items[1]).toMatchObject({ status: 'error', error: 'Token expired' });
+  expect(result.current.counts).toEqual({ total: 4, synced: 1, failed: 1, pending: 2 });
+});
+
+test('failed items can be retried and queued ones cancelled', async () => {
+  const { sync, settle } = deferredSync();
+  const { result } = renderHook(() => useBulkCalendarSync({ sync, concurrency: 1 }));
+
+  act(() => result.current.start(list(1, 2, 3)));
+  await waitFor(() => expect(sync).toHaveBeenCalledTimes(1));
+  await settle(1, false, new Error('Timeout'));
+  await waitFor(() => expect(sync).toHaveBeenCalledTimes(2));
+
+  act(() => result.current.cancel());
+  await settle(2, true, {});
+  expect(result.current.items.map((it) => it.status)).toEqual(['error', 'synced', 'cancelled']);
+  expect(result.current.running).toBe(false);
+
+  act(() => result.current.retry(1));
+  await waitFor(() => expect(sync).toHaveBeenCalledTimes(3));
+  expect(sync).toHaveBeenLastCalledWith(1);
+  await settle(1, true, {});
+  expect(result.current.counts).toMatchObject({ synced: 2, failed: 0, pending: 0 });
+});
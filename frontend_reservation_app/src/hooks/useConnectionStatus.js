@@ -0,0 +1,19 @@
+import { useSyncExternalStore } from "react";
+import { getConnectionStatus, subscribeConnectionStatus } from "../api/realtime";
+
+/**
+ * Realtime connection status hook
+ * Observes the shared reservations WebSocket status published by api/realtime,
+ * so components that do not own the socket (e.g. NavBar) can display it.
+ */
+
+// PUBLIC_INTERFACE
+export function useConnectionStatus() {
+  /**
+   * Returns the current connection status:
+   * "idle" | "connecting" | "open" | "reconnecting" | "closed"
+   */
+  return useSyncExternalStore(subscribeConnectionStatus, getConnectionStatus, getConnectionStatus);
+}
+
+export default useConnectionStatus;
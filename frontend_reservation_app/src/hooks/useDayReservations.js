@@ -0,0 +1,32 @@
+import { useMemo } from "react";
+import { addDays } from "../utils/calendar";
+import { dateKey } from "../utils/openingHours";
+import { useRangeReservations } from "./useRangeReservations";
+
+/**
+ * One day's reservations hook
+ * - Loads every reservation starting on a venue day (all pages), e.g. for the run sheet
+ * - Rows are zoned like ReservationsPage's and recurring series (whenever they started) are
+ *   expanded over the day (see useRangeReservations)
+ */
+
+// PUBLIC_INTERFACE
+export function useDayReservations(day, { timeZone } = {}) {
+  /**
+   * PUBLIC INTERFACE
+   * @param {Date|null} day - any zoned time on the day; null loads nothing
+   * @param {{ timeZone?: string }} [options] - venue zone
+   * @returns {{ reservations: any[], loading: boolean, error: any, refresh: Function }}
+   */
+  // The day as a key, so a new Date for the same day does not reload
+  const key = day && !isNaN(new Date(day).getTime()) ? dateKey(day) : null;
+  const from = useMemo(() => {
+    if (!key) return null;
+    const [y, m, d] = key.split("-").map(Number);
+    return new Date(y, m - 1, d);
+  }, [key]);
+  const to = useMemo(() => (from ? addDays(from, 1) : null), [from]);
+  return useRangeReservations(from, to, { timeZone });
+}
+
+export default useDayReservations;
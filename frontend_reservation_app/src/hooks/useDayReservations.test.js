@@ -0,0 +1,49 @@
+import { renderHook, waitFor } from '@testing-library/react';
+import useDayReservations from './useDayReservations';
+import { get } from '../api/client';
+
+jest.mock('../api/client', () => ({
+  ...jest.requireActual('../api/client'),
+  get: jest.fn(),
+}));
+
+const at = (d, h) => new Date(2030, 0, d, h).toISOString();
+
+// A backend that filters by range, and lists series masters whatever their start for `recurring`
+const stored = [
+  { id: 1, guestName: 'Ada', time: at(10, 19) },
+  { id: 2, guestName: 'Late', time: at(11, 1) },
+  { id: 7, guestName: 'Club', time: at(3, 12), rrule: 'FREQ=WEEKLY' },
+];
+function serve(path, { query }) {
+  if (query.recurring) return Promise.resolve(stored.filter((r) => r.rrule));
+  const inRange = (r) => r.time >= query.from && r.time < query.to;
+  return Promise.resolve(stored.filter(inRange));
+}
+
+test("loads the day's reservations and expands series that started before it", async () => {
+  get.mockImplementation(serve);
+  const { result } = renderHook(() => useDayReservations(new Date(2030, 0, 10, 15)));
+
+  await waitFor(() => expect(result.current.loading).toBe(false));
+  expect(get).toHaveBeenCalledWith(
+    '/reservations',
+    expect.objectContaining({
+      query: {
+        from: new Date(2030, 0, 10).toISOString(),
+        to: new Date(2030, 0, 11).toISOString(),
+        limit: 200,
+      },
+    })
+  );
+  expect(get).toHaveBeenCalledWith(
+    '/reservations',
+    expect.objectContaining({ query: { recurring: true, limit: 200 } })
+  );
+  expect(result.current.reservations.map((r) => r.guestName)).toEqual(['Ada', 'Club']);
+  expect(result.current.reservations[1]).toMatchObject({
+    seriesId: 7,
+    occurrence: true,
+    time: at(10, 12),
+  });
+});
@@ -0,0 +1,119 @@
+import { useEffect, useRef, useState } from "react";
+import { listGuests as apiListGuests, listAllGuestVisits as apiVisits } from "../api/guests";
+import { guestIdOf, samePhone } from "../utils/guests";
+import { guestHistory, phoneKey } from "../utils/reliability";
+
+/**
+ * Guest attendance history hook
+ * - Reliability badges use a guest's whole history, not the filtered page on screen: each phone
+ *   number is looked up in the guest directory and all of its visits are loaded
+ * - Results are cached per phone for a few minutes and shared by every caller on the page
+ * - Lookups start once the numbers settle (typing a phone does not fetch each prefix) and run
+ *   a few at a time
+ */
+
+// How long a phone's history is reused before it is fetched again
+export const GUEST_HISTORY_CACHE_MS = 5 * 60 * 1000;
+
+const LOOKUP_DELAY_MS = 400;
+const LOOKUP_CONCURRENCY = 3;
+
+const cache = new Map(); // phone key -> { at, promise }
+const queue = [];
+let active = 0;
+
+// PUBLIC_INTERFACE
+export function loadGuestHistory(phone) {
+  /**
+   * Attendance stats of the guest with this phone number (see guestHistory), cached per phone.
+   * @returns {Promise<Object|null>} null when no guest profile has the number
+   */
+  const key = phoneKey(phone);
+  if (!key) return Promise.resolve(null);
+  const hit = cache.get(key);
+  if (hit && Date.now() - hit.at < GUEST_HISTORY_CACHE_MS) return hit.promise;
+  const promise = schedule(() => lookup(phone, key)).catch((err) => {
+    cache.delete(key);
+    throw err;
+  });
+  cache.set(key, { at: Date.now(), promise });
+  return promise;
+}
+
+// PUBLIC_INTERFACE
+export function useGuestHistory(phones = []) {
+  /**
+   * Attendance history for some phone numbers, to pass to reliabilityFor().
+   * @param {string[]} phones - numbers as entered; blanks and duplicates are ignored
+   * @returns {Map<string, Object>} phone key -> stats; numbers still loading or without a
+   *   guest profile are absent
+   */
+  const byKey = new Map();
+  phones.forEach((phone) => {
+    const key = phoneKey(phone);
+    if (key && !byKey.has(key)) byKey.set(key, phone);
+  });
+  const keys = [...byKey.keys()].sort().join(",");
+  // Lookups follow the set of numbers, not each render's array
+  const numbersRef = useRef([]);
+  numbersRef.current = [...byKey.values()];
+  const [history, setHistory] = useState(() => new Map());
+
+  useEffect(() => {
+    if (!keys) return undefined;
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      numbersRef.current.forEach((phone) => {
+        loadGuestHistory(phone).then(
+          (stats) => {
+            if (cancelled || !stats) return;
+            setHistory((prev) => new Map(prev).set(phoneKey(phone), stats));
+          },
+          () => {
+            /* no badge when the lookup fails */
+          }
+        );
+      });
+    }, LOOKUP_DELAY_MS);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [keys]);
+
+  return history;
+}
+
+async function lookup(phone, key) {
+  const res = await apiListGuests({ phone });
+  const guests = Array.isArray(res) ? res : res?.items || res?.data || [];
+  const guest = guests.find((g) => samePhone(g?.phone, phone));
+  if (!guest) return null;
+  const visits = await apiVisits(guestIdOf(guest));
+  // Visits belong to the profile even when a booking was made under another format of the number
+  return guestHistory(visits.map((r) => ({ ...r, phone }))).get(key) || null;
+}
+
+/** Run `task` once fewer than LOOKUP_CONCURRENCY lookups are in flight. */
+function schedule(task) {
+  return new Promise((resolve, reject) => {
+    queue.push({ task, resolve, reject });
+    pump();
+  });
+}
+
+function pump() {
+  while (active < LOOKUP_CONCURRENCY && queue.length > 0) run(queue.shift());
+}
+
+function run({ task, resolve, reject }) {
+  active += 1;
+  task().then(resolve, reject).finally(finished);
+}
+
+function finished() {
+  active -= 1;
+  pump();
+}
+
+export default useGuestHistory;
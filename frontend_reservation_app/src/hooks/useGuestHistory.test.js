@@ -0,0 +1,42 @@
+import { renderHook, waitFor } from '@testing-library/react';
+import useGuestHistory from './useGuestHistory';
+import { listGuests, listAllGuestVisits } from '../api/guests';
+import { reliabilityFor } from '../utils/reliability';
+
+jest.mock('../api/guests', () => ({
+  listGuests: jest.fn(),
+  listAllGuestVisits: jest.fn(),
+}));
+
+const past = (day) => new Date(2020, 0, day, 19).toISOString();
+
+test('badges use the whole history of the number, fetched once per phone', async () => {
+  listGuests.mockResolvedValue({ items: [{ id: 3, phone: '+1 (555) 123-4567' }] });
+  // Older bookings the list on screen does not hold, some without a phone of their own
+  listAllGuestVisits.mockResolvedValue([
+    { id: 1, status: 'no_show', time: past(1) },
+    { id: 2, status: 'no_show', time: past(8) },
+    { id: 3, status: 'completed', time: past(15), phone: '5551234567' },
+  ]);
+
+  const phones = ['555-123-4567', '(555) 123 4567', ''];
+  const { result } = renderHook(() => useGuestHistory(phones));
+  await waitFor(() => expect(result.current.size).toBe(1));
+
+  expect(listGuests).toHaveBeenCalledTimes(1);
+  expect(listAllGuestVisits).toHaveBeenCalledWith('3');
+  expect(reliabilityFor('5551234567', result.current)).toMatchObject({ noShows: 2, tier: 'watch' });
+
+  // Another caller reuses the cached lookup
+  const again = renderHook(() => useGuestHistory(['555 123 4567']));
+  await waitFor(() => expect(again.result.current.size).toBe(1));
+  expect(listGuests).toHaveBeenCalledTimes(1);
+});
+
+test('numbers without a guest profile get no history', async () => {
+  listGuests.mockResolvedValue([]);
+  const { result } = renderHook(() => useGuestHistory(['555 987 6543']));
+  await waitFor(() => expect(listGuests).toHaveBeenCalledWith({ phone: '555 987 6543' }));
+  expect(listAllGuestVisits).not.toHaveBeenCalled();
+  expect(result.current.size).toBe(0);
+});
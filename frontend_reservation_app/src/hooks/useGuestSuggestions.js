@@ -0,0 +1,59 @@
+import { useEffect, useState } from "react";
+import { listGuests as apiList } from "../api/guests";
+import { isAbortError } from "../api/client";
+import { matchGuests } from "../utils/guests";
+
+/**
+ * Guest autocomplete hook
+ * - Debounced directory search as the host types a name or phone number
+ * - Stale requests are aborted; results are re-ranked locally (see matchGuests)
+ * - Lookup failures only hide suggestions, they never block booking
+ */
+
+const MIN_LENGTH = 2;
+
+// PUBLIC_INTERFACE
+export function useGuestSuggestions(term, { delayMs = 250, limit = 5 } = {}) {
+  /**
+   * PUBLIC INTERFACE
+   * @param {string} term - text typed into the name or phone field ("" disables the lookup)
+   * @param {{ delayMs?: number, limit?: number }} [options]
+   * @returns {{ suggestions: any[], loading: boolean }}
+   */
+  const [suggestions, setSuggestions] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const text = String(term || "").trim();
+
+  useEffect(() => {
+    if (text.length < MIN_LENGTH) {
+      setSuggestions([]);
+      setLoading(false);
+      return undefined;
+    }
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      setLoading(true);
+      try {
+        const res = await apiList({ search: text, limit }, { signal: controller.signal });
+        const list = Array.isArray(res) ? res : res?.items || res?.data || [];
+        // The backend search may be looser than ours; keep the best local matches on top
+        const ranked = matchGuests(list, text, { limit });
+        if (!controller.signal.aborted) {
+          setSuggestions(ranked.length > 0 ? ranked : list.slice(0, limit));
+        }
+      } catch (err) {
+        if (!isAbortError(err)) setSuggestions([]);
+      } finally {
+        if (!controller.signal.aborted) setLoading(false);
+      }
+    }, delayMs);
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [text, delayMs, limit]);
+
+  return { suggestions, loading };
+}
+
+export default useGuestSuggestions;
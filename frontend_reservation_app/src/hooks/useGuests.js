@@ -0,0 +1,123 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import {
+  listGuests as apiList,
+  createGuest as apiCreate,
+  updateGuest as apiUpdate,
+  deleteGuest as apiDelete,
+  listGuestVisits as apiVisits,
+} from "../api/guests";
+import { isAbortError } from "../api/client";
+import { guestIdOf } from "../utils/guests";
+
+/**
+ * Guest directory state management hook
+ * - Loads the directory for the current search (re-fetched when the search changes)
+ * - CRUD operations that update local state from the server response
+ * - Visit history lookup for a single guest
+ */
+
+// PUBLIC_INTERFACE
+export function useGuests({ search = "", vip } = {}) {
+  /**
+   * PUBLIC INTERFACE
+   * @param {{ search?: string, vip?: boolean }} [params] - directory filter
+   * @returns {{
+   *   guests: any[],
+   *   loading: boolean,
+   *   error: any,
+   *   refresh: Function,
+   *   create: Function,
+   *   update: Function,
+   *   remove: Function,
+   *   loadVisits: Function,
+   * }}
+   */
+  const [guests, setGuests] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const isMounted = useRef(true);
+  const abortRef = useRef(null);
+
+  // PUBLIC_INTERFACE
+  const refresh = useCallback(async () => {
+    /** Fetch guests matching the search; the previous in-flight request is aborted. */
+    abortRef.current?.abort();
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setLoading(true);
+    setError(null);
+    try {
+      const query = {};
+      if (search.trim()) query.search = search.trim();
+      if (vip) query.vip = true;
+      const res = await apiList(query, { signal: controller.signal });
+      if (isMounted.current && abortRef.current === controller) {
+        setGuests(Array.isArray(res) ? res : res?.items || res?.data || []);
+      }
+    } catch (err) {
+      if (isAbortError(err)) return;
+      if (isMounted.current) setError(err);
+    } finally {
+      if (isMounted.current && abortRef.current === controller) {
+        setLoading(false);
+        abortRef.current = null;
+      }
+    }
+  }, [search, vip]);
+
+  // PUBLIC_INTERFACE
+  const create = useCallback(async (payload) => {
+    /** Create a profile and prepend the server resource. */
+    const created = await apiCreate(payload);
+    if (isMounted.current && created && typeof created === "object") {
+      setGuests((prev) => [created, ...prev]);
+    }
+    return created;
+  }, []);
+
+  // PUBLIC_INTERFACE
+  const update = useCallback(async (id, updates) => {
+    /** Update a profile and merge the server resource (or the sent fields) locally. */
+    const updated = await apiUpdate(id, updates);
+    if (isMounted.current) {
+      const fields = updated && typeof updated === "object" ? updated : updates;
+      setGuests((prev) => prev.map((g) => (guestIdOf(g) === String(id) ? { ...g, ...fields } : g)));
+    }
+    return updated;
+  }, []);
+
+  // PUBLIC_INTERFACE
+  const remove = useCallback(async (id) => {
+    /** Delete a profile and drop it locally. */
+    const result = await apiDelete(id);
+    if (isMounted.current) {
+      setGuests((prev) => prev.filter((g) => guestIdOf(g) !== String(id)));
+    }
+    return result;
+  }, []);
+
+  // PUBLIC_INTERFACE
+  const loadVisits = useCallback(async (id, options = {}) => {
+    /**
+     * Fetch a guest's reservations (visit history).
+     * @param {string|number} id - guest identifier
+     * @param {Object} [options] - request options (signal)
+     * @returns {Promise<any[]>}
+     */
+    const res = await apiVisits(id, {}, options);
+    return Array.isArray(res) ? res : res?.items || res?.data || [];
+  }, []);
+
+  useEffect(() => {
+    isMounted.current = true;
+    refresh();
+    return () => {
+      isMounted.current = false;
+      abortRef.current?.abort();
+    };
+  }, [refresh]);
+
+  return { guests, loading, error, refresh, create, update, remove, loadVisits };
+}
+
+export default useGuests;
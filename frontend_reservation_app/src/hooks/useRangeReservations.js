@@ -0,0 +1,104 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { listReservationsWithSeries as apiListWithSeries } from "../api/reservations";
+import { isAbortError } from "../api/client";
+import { expandSeries } from "../utils/recurrence";
+import { fromZonedTime, toZonedRows } from "../utils/timezone";
+import { reservationTimeOf } from "../utils/reservationIds";
+
+/**
+ * Reservations in a range hook
+ * - Loads every reservation starting in [from, to) (all pages), independently of the list
+ *   filters, e.g. for the calendar's view or one day's run sheet
+ * - Rows are zoned like ReservationsPage's and recurring series (whenever they started) are
+ *   expanded over the range; `stored` keeps the zoned rows as stored (series masters rather
+ *   than occurrences), e.g. for useReservationSeries
+ */
+
+// PUBLIC_INTERFACE
+export function useRangeReservations(from, to, { timeZone } = {}) {
+  /**
+   * PUBLIC INTERFACE
+   * @param {Date|null} from - zoned start of the range; null loads nothing
+   * @param {Date|null} to - zoned end of the range (exclusive)
+   * @param {{ timeZone?: string }} [options] - venue zone
+   * @returns {{
+   *   reservations: any[],
+   *   stored: any[],
+   *   loading: boolean,
+   *   error: any,
+   *   refresh: Function,
+   * }}
+   */
+  const [stored, setStored] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const isMounted = useRef(true);
+  const abortRef = useRef(null);
+  // The bounds as strings, so new Dates for the same range do not reload
+  const fromIso = validIso(from);
+  const toIso = validIso(to);
+
+  // PUBLIC_INTERFACE
+  const refresh = useCallback(async () => {
+    /** Reload the range's reservations. */
+    abortRef.current?.abort();
+    setError(null);
+    if (!fromIso || !toIso) {
+      setStored([]);
+      return;
+    }
+    const start = new Date(fromIso);
+    const end = new Date(toIso);
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setLoading(true);
+    try {
+      const res = await apiListWithSeries(
+        {
+          from: fromZonedTime(start, timeZone).toISOString(),
+          to: fromZonedTime(end, timeZone).toISOString(),
+        },
+        { signal: controller.signal }
+      );
+      if (isMounted.current && abortRef.current === controller) {
+        setStored(toZonedRows(res, timeZone));
+      }
+    } catch (err) {
+      if (isAbortError(err)) return;
+      if (isMounted.current) setError(err);
+    } finally {
+      if (isMounted.current && abortRef.current === controller) {
+        setLoading(false);
+        abortRef.current = null;
+      }
+    }
+  }, [fromIso, toIso, timeZone]);
+
+  useEffect(() => {
+    isMounted.current = true;
+    refresh();
+    return () => {
+      isMounted.current = false;
+      abortRef.current?.abort();
+    };
+  }, [refresh]);
+
+  const reservations = useMemo(() => {
+    if (!fromIso || !toIso) return [];
+    const start = new Date(fromIso).getTime();
+    const end = new Date(toIso).getTime();
+    return expandSeries(stored, { from: fromIso, to: toIso }).filter((r) => {
+      const t = new Date(reservationTimeOf(r)).getTime();
+      return t >= start && t < end;
+    });
+  }, [stored, fromIso, toIso]);
+
+  return { reservations, stored, loading, error, refresh };
+}
+
+function validIso(date) {
+  const d = date ? new Date(date) : null;
+  return d && !isNaN(d.getTime()) ? d.toISOString() : null;
+}
+
+export default useRangeReservations;
@@ -0,0 +1,47 @@
+import { renderHook, waitFor } from '@testing-library/react';
+import useRangeReservations from './useRangeReservations';
+import { get } from '../api/client';
+
+jest.mock('../api/client', () => ({
+  ...jest.requireActual('../api/client'),
+  get: jest.fn(),
+}));
+
+const at = (d, h) => new Date(2030, 0, d, h).toISOString();
+
+const stored = [
+  { id: 1, guestName: 'Ada', time: at(8, 19), status: 'cancelled' },
+  { id: 2, guestName: 'Next week', time: at(15, 19) },
+  { id: 7, guestName: 'Club', time: at(1, 12), rrule: 'FREQ=WEEKLY' },
+];
+function serve(path, { query }) {
+  if (query.recurring) return Promise.resolve(stored.filter((r) => r.rrule));
+  const inRange = (r) => r.time >= query.from && r.time < query.to;
+  return Promise.resolve(stored.filter(inRange));
+}
+
+test('loads a whole range without filters and expands series over it', async () => {
+  get.mockImplementation(serve);
+  const from = new Date(2030, 0, 7);
+  const to = new Date(2030, 0, 14);
+  const { result } = renderHook(() => useRangeReservations(from, to));
+
+  await waitFor(() => expect(result.current.loading).toBe(false));
+  expect(get).toHaveBeenCalledWith(
+    '/reservations',
+    expect.objectContaining({
+      query: { from: from.toISOString(), to: to.toISOString(), limit: 200 },
+    })
+  );
+  expect(result.current.reservations.map((r) => r.guestName)).toEqual(['Ada', 'Club']);
+  expect(result.current.reservations[1]).toMatchObject({ seriesId: 7, time: at(8, 12) });
+  // The stored rows keep the master, as useReservationSeries needs it
+  expect(result.current.stored.map((r) => r.id)).toEqual([1, 7]);
+});
+
+test('loads nothing without a range', () => {
+  get.mockReset();
+  const { result } = renderHook(() => useRangeReservations(null, null));
+  expect(result.current.reservations).toEqual([]);
+  expect(get).not.toHaveBeenCalled();
+});
@@ -0,0 +1,145 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import {
+  getReservation as apiGet,
+  listSmsMessages as apiSmsLog,
+  listReceipts as apiReceipts,
+} from "../api/reservations";
+import { isAbortError } from "../api/client";
+import { occurrenceId } from "../utils/recurrence";
+import { reservationIdOf, sameReservationId, unwrapReservation } from "../utils/reservationIds";
+import { toZonedReservation } from "../utils/timezone";
+
+/**
+ * Reservation detail state hook
+ * - Resolves a reservation by id from the rows already loaded, fetching it otherwise
+ *   (deep links to reservations outside the current list)
+ * - Loads the SMS log and receipts of stored reservations; expanded occurrences of a recurring
+ *   series exist only in the client and have neither
+ */
+
+// PUBLIC_INTERFACE
+export function useReservationDetail(id, { reservations = [], timeZone } = {}) {
+  /**
+   * PUBLIC INTERFACE
+   * @param {string|number|null} id - reservation to show; null/undefined loads nothing
+   * @param {{ reservations?: any[], timeZone?: string }} [context] - rows already loaded
+   *   (list/calendar) and the venue zone a fetched reservation is shown in, like those rows
+   * @returns {{
+   *   reservation: any|null,
+   *   smsLog: any[],
+   *   receipts: any[],
+   *   loading: boolean,
+   *   error: any,
+   *   refresh: Function,
+   *   applySaved: Function,
+   * }}
+   */
+  const loaded = useMemo(() => findReservation(reservations, id), [reservations, id]);
+  const [fetched, setFetched] = useState(null);
+  const [smsLog, setSmsLog] = useState([]);
+  const [receipts, setReceipts] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const isMounted = useRef(true);
+  const abortRef = useRef(null);
+  const loadedRef = useRef(loaded);
+  loadedRef.current = loaded;
+  const clientOnly = !!loaded?.occurrence;
+  // The id the API knows (an override found through its occurrence id has its own)
+  const storedId = loaded ? reservationIdOf(loaded) : id;
+
+  // PUBLIC_INTERFACE
+  const refresh = useCallback(async () => {
+    /** Reload the SMS log and receipts (and the reservation itself when it is not loaded). */
+    abortRef.current?.abort();
+    setSmsLog([]);
+    setReceipts([]);
+    setFetched(null);
+    setError(null);
+    if (storedId == null || clientOnly) return;
+    const controller = new AbortController();
+    abortRef.current = controller;
+    const options = { signal: controller.signal };
+    setLoading(true);
+    try {
+      const [resource, sms, recs] = await Promise.all([
+        loadedRef.current ? null : apiGet(storedId, options),
+        apiSmsLog(storedId, options).catch(optional),
+        apiReceipts(storedId, options).catch(optional),
+      ]);
+      if (isMounted.current && abortRef.current === controller) {
+        setFetched(unwrapReservation(resource));
+        setSmsLog(listOf(sms));
+        setReceipts(listOf(recs));
+      }
+    } catch (err) {
+      if (isAbortError(err)) return;
+      if (isMounted.current) setError(err);
+    } finally {
+      if (isMounted.current && abortRef.current === controller) {
+        setLoading(false);
+        abortRef.current = null;
+      }
+    }
+  }, [storedId, clientOnly]);
+
+  useEffect(() => {
+    isMounted.current = true;
+    refresh();
+    return () => {
+      isMounted.current = false;
+      abortRef.current?.abort();
+    };
+  }, [refresh]);
+
+  // PUBLIC_INTERFACE
+  const applySaved = useCallback((resource) => {
+    /**
+     * Show the saved version of a fetched reservation after an edit (loaded rows are updated by
+     * their own hook). Takes the stored resource as the API returns it.
+     */
+    setFetched((prev) =>
+      prev && resource && sameReservationId(prev, reservationIdOf(resource))
+        ? { ...prev, ...resource }
+        : prev
+    );
+  }, []);
+
+  const zoned = useMemo(
+    () => (fetched ? toZonedReservation(fetched, timeZone) : null),
+    [fetched, timeZone]
+  );
+
+  return { reservation: loaded || zoned, smsLog, receipts, loading, error, refresh, applySaved };
+}
+
+/**
+ * Row with the given id. An occurrence that has since been stored as an override (e.g. after an
+ * SMS or a move) is found through its series and original start, so its deep link keeps working.
+ */
+function findReservation(reservations, id) {
+  if (id == null) return null;
+  const key = String(id);
+  return (
+    reservations.find((r) => String(reservationIdOf(r)) === key) ||
+    reservations.find(
+      (r) =>
+        r?.seriesId != null &&
+        !!r.recurrenceId &&
+        occurrenceId(r.seriesId, r.recurrenceId) === key
+    ) ||
+    null
+  );
+}
+
+function listOf(res) {
+  return Array.isArray(res) ? res : res?.items || res?.data || [];
+}
+
+// The SMS log and receipts are extras: a backend without those endpoints shows empty lists
+function optional(err) {
+  if (isAbortError(err)) throw err;
+  return [];
+}
+
+export default useReservationDetail;
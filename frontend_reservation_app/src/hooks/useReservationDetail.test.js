@@ -0,0 +1,52 @@
+import { renderHook, act, waitFor } from '@testing-library/react';
+import useReservationDetail from './useReservationDetail';
+import { getReservation, listSmsMessages, listReceipts } from '../api/reservations';
+import { occurrenceId } from '../utils/recurrence';
+
+jest.mock('../api/reservations', () => ({
+  getReservation: jest.fn(),
+  listSmsMessages: jest.fn(),
+  listReceipts: jest.fn(),
+}));
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  listSmsMessages.mockResolvedValue({ items: [{ id: 's1', message: 'See you at 7' }] });
+  listReceipts.mockRejectedValue({ status: 404, message: 'Not found' });
+});
+
+test('fetches a reservation that is not loaded, with its SMS log', async () => {
+  getReservation.mockResolvedValue({ reservation: { id: 42, guestName: 'Ada' } });
+  const { result } = renderHook(() => useReservationDetail('42', { reservations: [] }));
+
+  await waitFor(() => expect(result.current.loading).toBe(false));
+  expect(result.current.reservation).toEqual({ id: 42, guestName: 'Ada' });
+  expect(result.current.smsLog).toHaveLength(1);
+  // Missing receipts endpoint is not an error
+  expect(result.current.receipts).toEqual([]);
+  expect(result.current.error).toBeNull();
+});
+
+test('shows the saved version of a fetched reservation', async () => {
+  getReservation.mockResolvedValue({ id: 42, guestName: 'Ada', status: 'confirmed' });
+  const { result } = renderHook(() => useReservationDetail('42', { reservations: [] }));
+  await waitFor(() => expect(result.current.loading).toBe(false));
+
+  act(() => result.current.applySaved({ id: 7, status: 'cancelled' }));
+  expect(result.current.reservation.status).toBe('confirmed');
+  act(() => result.current.applySaved({ id: 42, status: 'seated' }));
+  expect(result.current.reservation).toEqual({ id: 42, guestName: 'Ada', status: 'seated' });
+});
+
+test('uses loaded rows and follows an occurrence to its stored override', async () => {
+  const at = new Date(2030, 0, 8, 19).toISOString();
+  const override = { id: 12, seriesId: 7, recurrenceId: at, time: at, guestName: 'Club' };
+  const { result } = renderHook(() =>
+    useReservationDetail(occurrenceId(7, at), { reservations: [override] })
+  );
+
+  await waitFor(() => expect(result.current.loading).toBe(false));
+  expect(result.current.reservation).toBe(override);
+  expect(getReservation).not.toHaveBeenCalled();
+  expect(listSmsMessages).toHaveBeenCalledWith(12, expect.anything());
+});
@@ -0,0 +1,238 @@
+import { useCallback, useMemo, useRef } from "react";
+import { expandSeries, splitRRule } from "../utils/recurrence";
+import { reservationIdOf, unwrapReservation } from "../utils/reservationIds";
+import {
+  normalizeStatus,
+  transitionUpdates,
+  withStatusHistory,
+} from "../utils/reservationStatus";
+
+/**
+ * Recurring reservation hook (on top of useReservations)
+ * - Expands series masters into occurrences for the given window
+ * - Routes edits/deletes of an occurrence to the right API calls:
+ *   "this" changes a single occurrence (override or exclusion), "future" splits the series
+ * - Materializes an expanded occurrence into a real reservation when an action needs an id
+ */
+
+// PUBLIC_INTERFACE
+export function useReservationSeries({ reservations = [], create, update, remove, from, to }) {
+  /**
+   * PUBLIC INTERFACE
+   * @param {{ reservations: any[], create: Function, update: Function, remove: Function,
+   *   from?: string, to?: string }} params - rows and mutations from useReservations plus the
+   *   expansion window
+   * @returns {{
+   *   rows: any[],
+   *   seriesRowOf: Function,
+   *   updateOccurrence: Function,
+   *   removeOccurrence: Function,
+   *   materialize: Function,
+   * }}
+   */
+  const rows = useMemo(() => expandSeries(reservations, { from, to }), [reservations, from, to]);
+  const rowsRef = useRef(rows);
+  rowsRef.current = rows;
+  const dataRef = useRef(reservations);
+  dataRef.current = reservations;
+
+  // PUBLIC_INTERFACE
+  const seriesRowOf = useCallback((id) => {
+    /** Row for `id` when it belongs to a series (expanded occurrence or override), else null. */
+    const row = rowsRef.current.find((r) => String(reservationIdOf(r)) === String(id));
+    return row && row.seriesId != null ? row : null;
+  }, []);
+
+  // PUBLIC_INTERFACE
+  const materialize = useCallback(
+    async (id, changes = {}) => {
+      /**
+       * Turn an expanded occurrence into a stored override (optionally with changes).
+       * @returns {Promise<string|number>} id of the stored reservation (unchanged for real rows)
+       */
+      const row = seriesRowOf(id);
+      if (!row || !row.occurrence) return id;
+      const statusChanged =
+        !!changes.status && normalizeStatus(changes.status) !== normalizeStatus(row.status);
+      const created = await create({
+        ...occurrenceFields(row),
+        ...changes,
+        ...(statusChanged ? withStatusHistory(null, transitionUpdates(row, changes.status)) : {}),
+        seriesId: row.seriesId,
+        recurrenceId: row.recurrenceId,
+      });
+      return reservationIdOf(unwrapReservation(created)) ?? id;
+    },
+    [create, seriesRowOf]
+  );
+
+  // PUBLIC_INTERFACE
+  const updateOccurrence = useCallback(
+    async (id, changes, scope = "this") => {
+      /**
+       * Apply changes to one occurrence ("this") or to it and every later one ("future").
+       * Rows outside a series are updated directly.
+       * A "future" split creates the new series before truncating the old one, and undoes the
+       * steps already taken when a later one fails (the error is rethrown), so a failure never
+       * leaves the series half split.
+       */
+      const row = seriesRowOf(id);
+      if (!row) return update(id, changes);
+      const master = masterOf(dataRef.current, row);
+      if (scope !== "future" || !master) {
+        return row.occurrence ? materialize(id, changes) : update(id, changes);
+      }
+
+      const masterId = reservationIdOf(master);
+      const { before, after } = splitRRule(master.rrule, master.time, row.recurrenceId);
+      // Changing the whole series from its first occurrence is a plain update of the master
+      if (before === null) {
+        if (!row.occurrence) await update(id, changes);
+        return update(masterId, changes);
+      }
+
+      const statusChanged =
+        !!changes.status && normalizeStatus(changes.status) !== normalizeStatus(master.status);
+      const transition = statusChanged ? transitionUpdates(master, changes.status) : {};
+      const created = await create({
+        ...occurrenceFields(master),
+        ...changes,
+        ...withStatusHistory(null, transition),
+        time: changes.time || row.recurrenceId,
+        rrule: after,
+        exdates: (master.exdates || []).filter(
+          (d) => new Date(d).getTime() > new Date(row.recurrenceId).getTime()
+        ),
+      });
+      const nextSeriesId = reservationIdOf(unwrapReservation(created));
+      const undo = nextSeriesId != null ? [() => remove(nextSeriesId)] : [];
+      try {
+        await update(masterId, { rrule: before });
+        undo.push(() => update(masterId, { rrule: master.rrule }));
+        // Later overrides now belong to the new series, so they keep replacing its occurrences
+        if (nextSeriesId != null) {
+          // Each override keeps its own start
+          const moved = { ...changes, seriesId: nextSeriesId };
+          delete moved.time;
+          const later = futureOverrides(dataRef.current, row);
+          if (!row.occurrence) later.push(row);
+          const results = await Promise.allSettled(
+            later.map((r) => update(reservationIdOf(r), moved))
+          );
+          results.forEach((result, i) => {
+            const r = later[i];
+            if (result.status === "fulfilled") {
+              undo.push(() => update(reservationIdOf(r), previousFields(r, moved)));
+            }
+          });
+          const failed = results.find((result) => result.status === "rejected");
+          if (failed) throw failed.reason;
+        }
+      } catch (err) {
+        await rollBack(undo);
+        throw err;
+      }
+      return created;
+    },
+    [create, update, remove, materialize, seriesRowOf]
+  );
+
+  // PUBLIC_INTERFACE
+  const removeOccurrence = useCallback(
+    async (id, scope = "this") => {
+      /**
+       * Delete one occurrence (excluded from the series) or it and every later one (series
+       * truncated, later overrides deleted). Rows outside a series are deleted directly.
+       * A "future" delete truncates the series first, so a failure never leaves it generating
+       * dates whose overrides are gone; overrides that could not be deleted are reported in the
+       * error (`failedIds`), and deleting again from the first of them finishes the job.
+       */
+      const row = seriesRowOf(id);
+      if (!row) return remove(id);
+      const master = masterOf(dataRef.current, row);
+      if (!master) return row.occurrence ? undefined : remove(id);
+      const masterId = reservationIdOf(master);
+
+      if (scope !== "future") {
+        await update(masterId, { exdates: [...(master.exdates || []), row.recurrenceId] });
+        return row.occurrence ? undefined : remove(id);
+      }
+
+      const { before } = splitRRule(master.rrule, master.time, row.recurrenceId);
+      const later = futureOverrides(dataRef.current, row);
+      if (!row.occurrence) later.push(row);
+      const result =
+        before === null ? await remove(masterId) : await update(masterId, { rrule: before });
+      const results = await Promise.allSettled(later.map((r) => remove(reservationIdOf(r))));
+      const failedIds = later
+        .filter((r, i) => results[i].status === "rejected")
+        .map((r) => reservationIdOf(r));
+      if (failedIds.length > 0) {
+        const err = new Error(`${failedIds.length} later reservation(s) could not be deleted`);
+        err.code = "PARTIAL_DELETE";
+        err.failedIds = failedIds;
+        err.cause = results.find((r) => r.status === "rejected").reason;
+        throw err;
+      }
+      return result;
+    },
+    [remove, update, seriesRowOf]
+  );
+
+  return { rows, seriesRowOf, updateOccurrence, removeOccurrence, materialize };
+}
+
+function masterOf(reservations, row) {
+  return reservations.find((r) => String(reservationIdOf(r)) === String(row.seriesId)) || null;
+}
+
+/** Stored overrides of the same series that replace occurrences after `row`. */
+function futureOverrides(reservations, row) {
+  const after = new Date(row.recurrenceId).getTime();
+  return reservations.filter(
+    (r) =>
+      r !== row &&
+      String(r.seriesId) === String(row.seriesId) &&
+      new Date(r.recurrenceId).getTime() > after
+  );
+}
+
+/** The values `r` had for the fields in `changes` (null where it had none), to restore them. */
+function previousFields(r, changes) {
+  return Object.fromEntries(Object.keys(changes).map((key) => [key, r[key] ?? null]));
+}
+
+/** Run undo steps newest first; one failing does not stop the others. */
+async function rollBack(undo) {
+  for (const step of [...undo].reverse()) {
+    try {
+      await step();
+    } catch {
+      /* the remaining steps still restore what they can */
+    }
+  }
+}
+
+/** Reservation fields an override or split-off series copies from its source. */
+function occurrenceFields(r) {
+  const fields = { ...r };
+  SERIES_OWN_FIELDS.forEach((key) => delete fields[key]);
+  return fields;
+}
+
+// Identity, series bookkeeping and history stay with the reservation they belong to
+const SERIES_OWN_FIELDS = [
+  "id",
+  "_id",
+  "reservationId",
+  "uuid",
+  "occurrence",
+  "seriesId",
+  "recurrenceId",
+  "rrule",
+  "exdates",
+  "statusHistory",
+  "_optimistic",
+];
+
+export default useReservationSeries;
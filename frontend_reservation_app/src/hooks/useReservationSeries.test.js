@@ -0,0 +1,114 @@
+import { renderHook, act } from '@testing-library/react';
+import useReservationSeries from './useReservationSeries';
+import { occurrenceId } from '../utils/recurrence';
+
+const at = (d) => new Date(2030, 0, d, 19, 0, 0).toISOString();
+
+const master = {
+  id: 7,
+  guestName: 'Club dinner',
+  size: 8,
+  status: 'confirmed',
+  time: at(1),
+  rrule: 'FREQ=WEEKLY;COUNT=4',
+};
+
+function renderSeries(reservations = [master]) {
+  const api = {
+    create: jest.fn(async (payload) => ({ id: 99, ...payload })),
+    update: jest.fn(async (id, changes) => ({ id, ...changes })),
+    remove: jest.fn(async () => ({})),
+  };
+  const hook = renderHook(() => useReservationSeries({ reservations, ...api }));
+  return { ...hook, api };
+}
+
+test('expands the series and stores a changed occurrence as an override', async () => {
+  const { result, api } = renderSeries();
+  expect(result.current.rows).toHaveLength(4);
+
+  await act(() => result.current.updateOccurrence(occurrenceId(7, at(8)), { size: 10 }, 'this'));
+  expect(api.create).toHaveBeenCalledWith(
+    expect.objectContaining({ size: 10, seriesId: 7, recurrenceId: at(8), time: at(8) })
+  );
+  expect(api.create.mock.calls[0][0]).not.toHaveProperty('rrule');
+  expect(api.update).not.toHaveBeenCalled();
+});
+
+test('"all future" splits the series and moves later overrides to the new one', async () => {
+  const override = { id: 12, seriesId: 7, recurrenceId: at(22), time: at(22), size: 6 };
+  const { result, api } = renderSeries([master, override]);
+
+  await act(() => result.current.updateOccurrence(occurrenceId(7, at(15)), { size: 4 }, 'future'));
+  expect(api.update).toHaveBeenCalledWith(7, { rrule: 'FREQ=WEEKLY;COUNT=2' });
+  expect(api.create).toHaveBeenCalledWith(
+    expect.objectContaining({ size: 4, time: at(15), rrule: 'FREQ=WEEKLY;COUNT=2' })
+  );
+  expect(api.update).toHaveBeenCalledWith(12, { size: 4, seriesId: 99 });
+});
+
+test('deleting one occurrence excludes it; from the start removes the series', async () => {
+  const { result, api } = renderSeries();
+
+  await act(() => result.current.removeOccurrence(occurrenceId(7, at(8)), 'this'));
+  expect(api.update).toHaveBeenCalledWith(7, { exdates: [at(8)] });
+
+  await act(() => result.current.removeOccurrence(occurrenceId(7, at(1)), 'future'));
+  expect(api.remove).toHaveBeenCalledWith(7);
+});
+
+test('a failed "all future" split is rolled back', async () => {
+  const later = [
+    { id: 12, seriesId: 7, recurrenceId: at(22), time: at(22), size: 6 },
+    { id: 13, seriesId: 7, recurrenceId: at(29), time: at(29), size: 6 },
+  ];
+  const { result, api } = renderSeries([master, ...later]);
+  api.update.mockImplementation(async (id, changes) => {
+    if (id === 13 && changes.seriesId === 99) throw new Error('offline');
+    return { id, ...changes };
+  });
+
+  await act(async () => {
+    await expect(
+      result.current.updateOccurrence(occurrenceId(7, at(15)), { size: 4 }, 'future')
+    ).rejects.toThrow('offline');
+  });
+  // The new series came first, so nothing was truncated before it existed
+  expect(api.create.mock.invocationCallOrder[0]).toBeLessThan(
+    api.update.mock.invocationCallOrder[0]
+  );
+  expect(api.update).toHaveBeenCalledWith(12, { size: 6, seriesId: 7 });
+  expect(api.update).toHaveBeenLastCalledWith(7, { rrule: master.rrule });
+  expect(api.remove).toHaveBeenCalledWith(99);
+});
+
+test('a split whose truncation fails removes the new series again', async () => {
+  const { result, api } = renderSeries();
+  api.update.mockRejectedValueOnce(new Error('conflict'));
+
+  await act(async () => {
+    await expect(
+      result.current.updateOccurrence(occurrenceId(7, at(15)), { size: 4 }, 'future')
+    ).rejects.toThrow('conflict');
+  });
+  expect(api.remove).toHaveBeenCalledWith(99);
+  expect(api.update).toHaveBeenCalledTimes(1);
+});
+
+test('deleting "all future" shortens the series first and reports overrides kept', async () => {
+  const override = { id: 12, seriesId: 7, recurrenceId: at(22), time: at(22), size: 2 };
+  const { result, api } = renderSeries([master, override]);
+  api.remove.mockRejectedValueOnce(new Error('offline'));
+
+  let error;
+  await act(async () => {
+    const deleting = result.current.removeOccurrence(occurrenceId(7, at(15)), 'future');
+    error = await deleting.catch((e) => e);
+  });
+  expect(api.update).toHaveBeenCalledWith(7, { rrule: 'FREQ=WEEKLY;COUNT=2' });
+  expect(api.update.mock.invocationCallOrder[0]).toBeLessThan(
+    api.remove.mock.invocationCallOrder[0]
+  );
+  expect(api.remove).toHaveBeenCalledWith(12);
+  expect(error).toMatchObject({ code: 'PARTIAL_DELETE', failedIds: [12] });
+});
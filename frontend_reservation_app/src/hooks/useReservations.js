@@ -1,21 +1,43 @@
 import { useCallback, useEffect, useMemo, useRef, useState } from "react";
 import {
   listReservations as apiList,
+  listSeriesMasters as apiListSeriesMasters,
+  normalizeReservationPage,
   createReservation as apiCreate,
   updateReservation as apiUpdate,
+  getReservation as apiGet,
   deleteReservation as apiDelete,
   sendSms as apiSendSms,
   generateReceipt as apiGenerateReceipt,
   calendarSync as apiCalendarSync,
 } from "../api/reservations";
-import { getApiBaseUrl } from "../api/client";
+import { isAbortError } from "../api/client";
+import { connectReservationsChannel, getRealtimeUrl } from "../api/realtime";
+import useConnectionStatus from "./useConnectionStatus";
+import {
+  normalizeStatus,
+  transitionUpdates,
+  withStatusHistory,
+} from "../utils/reservationStatus";
+import { syncErrorRecord, syncRecord } from "../utils/calendarSync";
+import { withSeriesMasters } from "../utils/recurrence";
+import {
+  reservationIdOf,
+  reservationTimeOf,
+  sameReservationId,
+  unwrapReservation,
+} from "../utils/reservationIds";
 
 /**
  * Reservations state management hook
- * - Provides list retrieval with optional polling
- * - CRUD operations (create, update, delete)
- * - Action helpers (sendSms, generateReceipt, calendarSync)
- * - Optional WebSocket placeholder for future real-time updates
+ * - Provides paginated list retrieval (cursor or offset) with optional polling
+ * - Optionally loads the masters of recurring series matching the query whatever their start,
+ *   so series that began before the queried range still expand into it
+ * - CRUD operations (create, update, delete) applied optimistically with per-row rollback
+ * - Status changes are checked against the lifecycle and stamped with transition history
+ * - Action helpers (sendSms, generateReceipt, calendarSync); calendar sync results are saved on
+ *   the reservation
+ * - Optional realtime WebSocket channel applying created/updated/deleted events in place
  */
 
 // PUBLIC_INTERFACE
@@ -25,7 +47,11 @@ export function useReservations(options = {}) {
    * @param {Object} [options]
    * @param {number} [options.pollIntervalMs] - If provided, will poll list at the given interval
    * @param {Object} [options.initialQuery] - Default query params for listReservations
-   * @param {boolean} [options.enableWebsocket] - Placeholder: attempts to connect to WS for updates
+   * @param {boolean} [options.enableWebsocket] - Subscribe to realtime reservation events (auto-reconnects)
+   * @param {number} [options.pageSize=50] - Rows requested per page
+   * @param {number} [options.queryDebounceMs=300] - Delay before re-fetching after setQuery
+   * @param {boolean} [options.includeSeries] - Also load series masters (see listSeriesMasters)
+   *   on every refresh; they are merged into `data` after the first page
    *
    * @returns {{
    *   data: any[],
@@ -33,7 +59,12 @@ export function useReservations(options = {}) {
    *   error: any,
    *   query: Object,
    *   setQuery: Function,
+   *   appliedQuery: Object|null,
    *   refresh: Function,
+   *   loadMore: Function,
+   *   hasMore: boolean,
+   *   loadingMore: boolean,
+   *   total: number|null,
    *   create: Function,
    *   update: Function,
    *   remove: Function,
@@ -43,84 +74,234 @@ export function useReservations(options = {}) {
    *   isPolling: boolean,
    *   startPolling: Function,
    *   stopPolling: Function,
+   *   connectionStatus: "idle"|"connecting"|"open"|"reconnecting"|"closed",
    * }}
    */
-  const { pollIntervalMs, initialQuery, enableWebsocket } = options;
+  const {
+    pollIntervalMs,
+    initialQuery,
+    enableWebsocket,
+    pageSize = DEFAULT_PAGE_SIZE,
+    queryDebounceMs = DEFAULT_QUERY_DEBOUNCE_MS,
+    includeSeries = false,
+  } = options;
 
   const [data, setData] = useState([]);
   const [query, setQuery] = useState(initialQuery || {});
   const [loading, setLoading] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [error, setError] = useState(null);
+  const [pageInfo, setPageInfo] = useState(EMPTY_PAGE_INFO);
+  // Query the currently displayed data was fetched with (null until the first load)
+  const [appliedQuery, setAppliedQuery] = useState(null);
 
   const pollTimer = useRef(null);
   const isMounted = useRef(true);
-  const wsRef = useRef(null);
-
-  const wsUrl = useMemo(() => {
-    // Build a placeholder WS URL from env if available
-    const baseWs = process.env.REACT_APP_WS_URL;
-    if (baseWs) return baseWs;
-    // Fallback: attempt to convert API base http(s) to ws(s)
-    const apiBase = getApiBaseUrl();
-    if (!apiBase) return null;
-    try {
-      const u = new URL(apiBase);
-      if (u.protocol === "https:") u.protocol = "wss:";
-      else if (u.protocol === "http:") u.protocol = "ws:";
-      return u.toString().replace(/\/+$/, "") + "/ws";
-    } catch {
-      return null;
-    }
-  }, []);
+  const channelRef = useRef(null);
+  const listAbortRef = useRef(null);
+  const pageInfoRef = useRef(pageInfo);
+  pageInfoRef.current = pageInfo;
+  // Query the current window was loaded for; a refresh of the same query keeps the loaded window
+  const windowQueryKeyRef = useRef(null);
+  // Latest list snapshot so mutations can capture a row for rollback without re-binding callbacks
+  const dataRef = useRef(data);
+  dataRef.current = data;
+  // Filters realtime events are checked against
+  const queryRef = useRef(query);
+  queryRef.current = query;
+
+  const wsUrl = useMemo(() => getRealtimeUrl(), []);
+  const sharedStatus = useConnectionStatus();
+  const connectionStatus = enableWebsocket && wsUrl ? sharedStatus : "idle";
 
   // PUBLIC_INTERFACE
   const refresh = useCallback(
     async (overrideQuery) => {
-      /** Fetch latest reservations using current or override query; updates local state. */
+      /**
+       * Fetch the first page using current or override query; updates local state.
+       * Re-fetching the same query keeps the number of rows already loaded via loadMore,
+       * so polling does not collapse a scrolled-down list. A new query starts from one page.
+       * Starting a refresh aborts the previous in-flight list request so polls never stack.
+       */
       const q = overrideQuery || query || {};
+      const queryKey = JSON.stringify(q);
+      const limit =
+        windowQueryKeyRef.current === queryKey
+          ? Math.max(pageSize, dataRef.current.length)
+          : pageSize;
+
+      listAbortRef.current?.abort();
+      const controller = new AbortController();
+      listAbortRef.current = controller;
+
       setLoading(true);
       setError(null);
       try {
-        const res = await apiList(q);
-        if (isMounted.current) {
-          setData(Array.isArray(res) ? res : (res?.items || []));
+        const [res, masters] = await Promise.all([
+          apiList({ ...q, limit }, { signal: controller.signal }),
+          includeSeries ? apiListSeriesMasters(q, { signal: controller.signal }) : [],
+        ]);
+        if (isMounted.current && listAbortRef.current === controller) {
+          const page = normalizeReservationPage(res);
+          windowQueryKeyRef.current = queryKey;
+          setAppliedQuery(q);
+          setData(withSeriesMasters(page.items, masters));
+          setPageInfo(pageInfoFrom(page));
         }
       } catch (err) {
-        if (isMounted.current) {
+        // A superseded request is not an error; the newer one owns loading/error state
+        if (isAbortError(err)) return;
+        if (isMounted.current && listAbortRef.current === controller) {
           setError(err);
         }
       } finally {
-        if (isMounted.current) {
+        if (isMounted.current && listAbortRef.current === controller) {
           setLoading(false);
+          setLoadingMore(false);
+          listAbortRef.current = null;
         }
       }
     },
-    [query]
+    [query, pageSize, includeSeries]
   );
 
+  // Latest refresh for timers and the socket, so they always use the current query
+  // without being re-created (or reconnecting) on every query change
+  const refreshRef = useRef(refresh);
+  refreshRef.current = refresh;
+
+  // PUBLIC_INTERFACE
+  const loadMore = useCallback(async () => {
+    /**
+     * Append the next page for the current query. No-op while another list request
+     * is in flight or when the server reported no further pages.
+     */
+    const info = pageInfoRef.current;
+    if (!info.hasMore || listAbortRef.current) return;
+
+    const q = query || {};
+    const offset = dataRef.current.length;
+    const params = { ...q, limit: pageSize };
+    if (info.nextCursor !== null) params.cursor = info.nextCursor;
+    else params.offset = info.nextOffset ?? offset;
+
+    const controller = new AbortController();
+    listAbortRef.current = controller;
+    setLoadingMore(true);
+    try {
+      const res = await apiList(params, { signal: controller.signal });
+      if (isMounted.current && listAbortRef.current === controller) {
+        const page = normalizeReservationPage(res, params.offset ?? offset);
+        setData((prev) => {
+          const seen = new Set(prev.map((r) => String(reservationIdOf(r))));
+          return [...prev, ...page.items.filter((r) => !seen.has(String(reservationIdOf(r))))];
+        });
+        setPageInfo(pageInfoFrom(page));
+      }
+    } catch (err) {
+      if (isAbortError(err)) return;
+      if (isMounted.current && listAbortRef.current === controller) {
+        setError(err);
+      }
+    } finally {
+      if (isMounted.current && listAbortRef.current === controller) {
+        setLoadingMore(false);
+        listAbortRef.current = null;
+      }
+    }
+  }, [query, pageSize]);
+
   // PUBLIC_INTERFACE
   const create = useCallback(async (payload) => {
-    /** Create a reservation and refresh the list on success. */
-    const created = await apiCreate(payload);
-    await refresh();
-    return created;
+    /**
+     * Create a reservation optimistically: insert a temporary row, then swap in the
+     * server resource on success or drop it again on failure (the error is rethrown).
+     */
+    const tempId = `tmp-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    const optimistic = { status: "pending", ...payload, id: tempId, _optimistic: true };
+    setData((prev) => [...prev, optimistic]);
+    try {
+      const created = await apiCreate(payload);
+      if (!isMounted.current) return created;
+      const resource = unwrapReservation(created);
+      const id = reservationIdOf(resource);
+      if (id != null) {
+        // The realtime echo of this create may have added the row already
+        setData((prev) =>
+          prev
+            .filter((r) => !sameReservationId(r, id))
+            .map((r) => (sameReservationId(r, tempId) ? resource : r))
+        );
+      } else {
+        // Backend did not echo the resource; we cannot act on a temporary id, so reload
+        setData((prev) => prev.filter((r) => !sameReservationId(r, tempId)));
+        refresh().catch(() => {});
+      }
+      return created;
+    } catch (err) {
+      if (isMounted.current) {
+        setData((prev) => prev.filter((r) => !sameReservationId(r, tempId)));
+      }
+      throw err;
+    }
   }, [refresh]);
 
   // PUBLIC_INTERFACE
-  const update = useCallback(async (id, updates) => {
-    /** Update a reservation and refresh the list on success. */
-    const updated = await apiUpdate(id, updates);
-    await refresh();
-    return updated;
-  }, [refresh]);
+  const update = useCallback(async (id, changes) => {
+    /**
+     * Patch a reservation optimistically and reconcile with the server response.
+     * Only the touched row is rolled back on failure (the error is rethrown).
+     * A status change must be an allowed transition (rejects with code INVALID_TRANSITION
+     * otherwise) and carries its timestamp and history entry. A reservation that is not loaded
+     * (e.g. opened by a deep link) is fetched first to check the transition against.
+     */
+    const previous = dataRef.current.find((r) => sameReservationId(r, id));
+    const current = previous || (changes?.status ? unwrapReservation(await apiGet(id)) : null);
+    const statusChanged =
+      !!current &&
+      !!changes?.status &&
+      normalizeStatus(changes.status) !== normalizeStatus(current.status);
+    const updates = statusChanged
+      ? { ...changes, ...transitionUpdates(current, changes.status) }
+      : changes;
+    setData((prev) =>
+      prev.map((r) => (sameReservationId(r, id) ? { ...r, ...withStatusHistory(r, updates) } : r))
+    );
+    try {
+      const updated = await apiUpdate(id, updates);
+      const resource = unwrapReservation(updated);
+      if (isMounted.current && resource && reservationIdOf(resource) != null) {
+        setData((prev) => prev.map((r) => (sameReservationId(r, id) ? { ...r, ...resource } : r)));
+      }
+      return updated;
+    } catch (err) {
+      if (isMounted.current && previous) {
+        setData((prev) => prev.map((r) => (sameReservationId(r, id) ? previous : r)));
+      }
+      throw err;
+    }
+  }, []);
 
   // PUBLIC_INTERFACE
   const remove = useCallback(async (id) => {
-    /** Delete a reservation and refresh the list on success. */
-    const result = await apiDelete(id);
-    await refresh();
-    return result;
-  }, [refresh]);
+    /** Delete a reservation optimistically; reinsert it at its old position on failure. */
+    const index = dataRef.current.findIndex((r) => sameReservationId(r, id));
+    const previous = index >= 0 ? dataRef.current[index] : null;
+    setData((prev) => prev.filter((r) => !sameReservationId(r, id)));
+    try {
+      return await apiDelete(id);
+    } catch (err) {
+      if (isMounted.current && previous) {
+        setData((prev) => {
+          if (prev.some((r) => sameReservationId(r, id))) return prev;
+          const next = [...prev];
+          next.splice(Math.min(index, next.length), 0, previous);
+          return next;
+        });
+      }
+      throw err;
+    }
+  }, []);
 
   // PUBLIC_INTERFACE
   const sendSms = useCallback(async (id, message) => {
@@ -134,11 +315,35 @@ export function useReservations(options = {}) {
     return apiGenerateReceipt(id);
   }, []);
 
+  // Store the outcome of a calendar sync on the reservation so it survives reloads. Failing to
+  // save it does not fail the sync itself.
+  const recordCalendarSync = useCallback(async (id, calendarSync) => {
+    setData((prev) => prev.map((r) => (sameReservationId(r, id) ? { ...r, calendarSync } : r)));
+    try {
+      await apiUpdate(id, { calendarSync });
+    } catch {
+      /* the row keeps the local state until the next load */
+    }
+  }, []);
+
   // PUBLIC_INTERFACE
   const calendarSync = useCallback(async (id) => {
-    /** Trigger calendar synchronization for a reservation. */
-    return apiCalendarSync(id);
-  }, []);
+    /**
+     * Trigger calendar synchronization for a reservation and record the result on it
+     * (`calendarSync: { status, eventLink, eventId, syncedAt, error }`, see utils/calendarSync).
+     * A failure is recorded as well, then rethrown.
+     */
+    let res;
+    try {
+      res = await apiCalendarSync(id);
+    } catch (err) {
+      const previous = dataRef.current.find((r) => sameReservationId(r, id))?.calendarSync;
+      await recordCalendarSync(id, syncErrorRecord(err, previous));
+      throw err;
+    }
+    await recordCalendarSync(id, syncRecord(res));
+    return res;
+  }, [recordCalendarSync]);
 
   const stopPolling = useCallback(() => {
     if (pollTimer.current) {
@@ -153,12 +358,12 @@ export function useReservations(options = {}) {
       if (!ms || ms <= 0) return;
       stopPolling();
       pollTimer.current = setInterval(() => {
-        refresh().catch(() => {
+        refreshRef.current().catch(() => {
           /* ignore polling errors */
         });
       }, ms);
     },
-    [pollIntervalMs, refresh, stopPolling]
+    [pollIntervalMs, stopPolling]
   );
 
   const isPolling = useMemo(() => !!pollTimer.current, []);
@@ -173,70 +378,50 @@ export function useReservations(options = {}) {
     return () => {
       isMounted.current = false;
       stopPolling();
+      listAbortRef.current?.abort();
     };
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
 
-  // Optional WebSocket placeholder for future real-time updates
+  // Re-fetch (debounced) whenever the query changes so filters reach the backend
+  const queryKey = JSON.stringify(query || {});
+  const isFirstQuery = useRef(true);
   useEffect(() => {
-    if (!enableWebsocket || !wsUrl) return;
+    if (isFirstQuery.current) {
+      // The initial fetch above already used this query
+      isFirstQuery.current = false;
+      return undefined;
+    }
+    const t = setTimeout(() => {
+      refreshRef.current().catch(() => {});
+    }, queryDebounceMs);
+    return () => clearTimeout(t);
+  }, [queryKey, queryDebounceMs]);
 
-    try {
-      const ws = new WebSocket(wsUrl);
-      wsRef.current = ws;
-
-      ws.onopen = () => {
-        // eslint-disable-next-line no-console
-        console.debug("[reservations:ws] connected");
-        // Optionally subscribe to a channel, if protocol requires:
-        // ws.send(JSON.stringify({ action: "subscribe", channel: "reservations" }));
-      };
-
-      ws.onmessage = (evt) => {
-        // Expect messages like: { type: "reservation.updated" | "reservation.created" | "reservation.deleted" }
-        try {
-          const msg = JSON.parse(evt.data);
-          if (msg && typeof msg === "object" && msg.type) {
-            switch (msg.type) {
-              case "reservation.updated":
-              case "reservation.created":
-              case "reservation.deleted":
-                // For simplicity, trigger a refresh; could be optimized to patch local state
-                refresh().catch(() => {});
-                break;
-              default:
-                break;
-            }
-          }
-        } catch {
-          // ignore malformed messages
-        }
-      };
+  // Optional realtime channel: apply incremental events directly to local state
+  useEffect(() => {
+    if (!enableWebsocket || !wsUrl) return;
 
-      ws.onerror = () => {
-        // eslint-disable-next-line no-console
-        console.debug("[reservations:ws] error");
-      };
-
-      ws.onclose = () => {
-        // eslint-disable-next-line no-console
-        console.debug("[reservations:ws] disconnected");
-      };
-    } catch {
-      // ignore WS construction errors
-    }
+    channelRef.current = connectReservationsChannel({
+      url: wsUrl,
+      onEvent: (evt) => {
+        if (!isMounted.current) return;
+        setData((prev) =>
+          applyRealtimeEvent(prev, evt, (r) => matchesQuery(r, queryRef.current, { includeSeries }))
+        );
+      },
+      onResync: () => {
+        refreshRef.current().catch(() => {});
+      },
+    });
 
     return () => {
-      if (wsRef.current) {
-        try {
-          wsRef.current.close();
-        } catch {
-          // ignore
-        }
-        wsRef.current = null;
+      if (channelRef.current) {
+        channelRef.current.close();
+        channelRef.current = null;
       }
     };
-  }, [enableWebsocket, wsUrl, refresh]);
+  }, [enableWebsocket, wsUrl, includeSeries]);
 
   return {
     data,
@@ -244,7 +429,12 @@ export function useReservations(options = {}) {
     error,
     query,
     setQuery,
+    appliedQuery,
     refresh,
+    loadMore,
+    hasMore: pageInfo.hasMore,
+    loadingMore,
+    total: pageInfo.total,
     create,
     update,
     remove,
@@ -254,7 +444,62 @@ export function useReservations(options = {}) {
     isPolling,
     startPolling,
     stopPolling,
+    connectionStatus,
   };
 }
 
+const DEFAULT_PAGE_SIZE = 50;
+const DEFAULT_QUERY_DEBOUNCE_MS = 300;
+const EMPTY_PAGE_INFO = { nextCursor: null, nextOffset: null, total: null, hasMore: false };
+
+function pageInfoFrom({ nextCursor, nextOffset, total, hasMore }) {
+  return { nextCursor, nextOffset, total, hasMore };
+}
+
+/**
+ * Apply a realtime reservation event to the current list.
+ * Events for rows we already hold merge into them. Other rows are added only when they match
+ * the list's filters (`matches`). The echo of our own create can arrive before its response;
+ * create() then drops the echoed row as it swaps the temporary one for the resource.
+ */
+function applyRealtimeEvent(list, { type, reservation }, matches) {
+  const id = reservationIdOf(reservation);
+  if (id == null) return list;
+  const exists = list.some((r) => sameReservationId(r, id));
+  switch (type) {
+    case "reservation.created":
+    case "reservation.updated":
+      if (exists) {
+        return list.map((r) => (sameReservationId(r, id) ? { ...r, ...reservation } : r));
+      }
+      return matches(reservation) ? [...list, reservation] : list;
+    case "reservation.deleted":
+      return exists ? list.filter((r) => !sameReservationId(r, id)) : list;
+    default:
+      return list;
+  }
+}
+
+/**
+ * Whether a stored reservation belongs in a list loaded with `query` (from/to instants, status,
+ * search), filtering like the server. With `includeSeries`, series masters are kept whatever
+ * their start, as refresh loads them.
+ */
+function matchesQuery(reservation, query = {}, { includeSeries = false } = {}) {
+  const t = new Date(reservationTimeOf(reservation)).getTime();
+  if (!(includeSeries && reservation.rrule)) {
+    if (query.from && !(t >= new Date(query.from).getTime())) return false;
+    if (query.to && !(t < new Date(query.to).getTime())) return false;
+  }
+  const statuses = [].concat(query.status || []).map(normalizeStatus);
+  if (statuses.length > 0 && !statuses.includes(normalizeStatus(reservation.status))) {
+    return false;
+  }
+  const search = String(query.search || "").trim().toLowerCase();
+  if (!search) return true;
+  return [reservation.guestName || reservation.name, reservation.phone].some((v) =>
+    String(v || "").toLowerCase().includes(search)
+  );
+}
+
 export default useReservations;
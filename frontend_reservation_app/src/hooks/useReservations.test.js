@@ -0,0 +1,267 @@
+import { renderHook, act, waitFor } from '@testing-library/react';
+import useReservations from './useReservations';
+import {
+  listReservations,
+  listSeriesMasters,
+  createReservation,
+  updateReservation,
+  getReservation,
+  deleteReservation,
+  calendarSync,
+} from '../api/reservations';
+import { connectReservationsChannel } from '../api/realtime';
+
+jest.mock('../api/reservations', () => ({
+  normalizeReservationPage: jest.requireActual('../api/reservations').normalizeReservationPage,
+  listReservations: jest.fn(),
+  listSeriesMasters: jest.fn(),
+  createReservation: jest.fn(),
+  updateReservation: jest.fn(),
+  getReservation: jest.fn(),
+  deleteReservation: jest.fn(),
+  sendSms: jest.fn(),
+  generateReceipt: jest.fn(),
+  calendarSync: jest.fn(),
+}));
+
+jest.mock('../api/realtime', () => ({
+  ...jest.requireActual('../api/realtime'),
+  connectReservationsChannel: jest.fn(() => ({ close: jest.fn() })),
+  getRealtimeUrl: () => 'ws://test/ws',
+}));
+
+const seed = [
+  { id: 1, guestName: 'Ada', size: 2, status: 'pending' },
+  { id: 2, guestName: 'Grace', size: 4, status: 'confirmed' },
+];
+
+async function renderLoaded(options) {
+  listReservations.mockResolvedValueOnce({ items: seed });
+  const hook = renderHook(() => useReservations(options));
+  await waitFor(() => expect(hook.result.current.data).toHaveLength(2));
+  listReservations.mockClear();
+  return hook;
+}
+
+afterEach(() => {
+  jest.resetAllMocks();
+});
+
+test('update patches the row and reconciles with the server response without refetching', async () => {
+  const { result } = await renderLoaded();
+  updateReservation.mockResolvedValueOnce({ id: 1, guestName: 'Ada', size: 3, status: 'pending', version: 2 });
+
+  await act(() => result.current.update(1, { size: 3 }));
+
+  expect(result.current.data[0]).toMatchObject({ id: 1, size: 3, version: 2 });
+  expect(listReservations).not.toHaveBeenCalled();
+});
+
+test('realtime creates skip rows outside the filters and our own echo is not duplicated', async () => {
+  connectReservationsChannel.mockImplementation(() => ({ close: jest.fn() }));
+  const { result } = await renderLoaded({
+    enableWebsocket: true,
+    initialQuery: { status: 'confirmed', from: '2030-01-10T00:00:00.000Z' },
+  });
+  const { onEvent } = connectReservationsChannel.mock.calls[0][0];
+
+  act(() => {
+    onEvent({
+      type: 'reservation.created',
+      reservation: { id: 6, status: 'pending', time: '2030-01-10T19:00:00.000Z' },
+    });
+    onEvent({
+      type: 'reservation.created',
+      reservation: { id: 7, status: 'confirmed', time: '2030-01-09T19:00:00.000Z' },
+    });
+  });
+  expect(result.current.data.map((r) => r.id)).toEqual([1, 2]);
+
+  // The echo of our own create arrives before the create response
+  const created = { id: 8, status: 'confirmed', time: '2030-01-10T20:00:00.000Z' };
+  let resolveCreate;
+  createReservation.mockReturnValueOnce(new Promise((resolve) => (resolveCreate = resolve)));
+  let pending;
+  act(() => {
+    pending = result.current.create({ status: 'confirmed', time: created.time });
+  });
+  act(() => onEvent({ type: 'reservation.created', reservation: created }));
+  await act(async () => {
+    resolveCreate(created);
+    await pending;
+  });
+  expect(result.current.data.map((r) => r.id)).toEqual([1, 2, 8]);
+});
+
+test('update rolls back only the touched row when the request fails', async () => {
+  const { result } = await renderLoaded();
+  updateReservation.mockRejectedValueOnce({ status: 500, code: 'API_ERROR' });
+
+  await act(async () => {
+    await expect(result.current.update(2, { status: 'cancelled' })).rejects.toMatchObject({ status: 500 });
+  });
+
+  expect(result.current.data).toEqual(seed);
+});
+
+test('status changes follow the lifecycle and record their transition', async () => {
+  const { result } = await renderLoaded();
+  updateReservation.mockResolvedValueOnce(undefined);
+
+  await act(async () => {
+    await expect(result.current.update(1, { status: 'completed' })).rejects.toMatchObject({
+      code: 'INVALID_TRANSITION',
+    });
+  });
+  expect(updateReservation).not.toHaveBeenCalled();
+
+  await act(() => result.current.update(2, { status: 'seated' }));
+  const sent = updateReservation.mock.calls[0][1];
+  expect(sent).toMatchObject({ status: 'seated', seatedAt: expect.any(String) });
+  expect(sent.statusHistoryEntry).toEqual({ from: 'confirmed', to: 'seated', at: sent.seatedAt });
+  expect(sent).not.toHaveProperty('statusHistory');
+  expect(result.current.data[1]).toMatchObject({
+    status: 'seated',
+    statusHistory: [sent.statusHistoryEntry],
+  });
+});
+
+test('a status change on a reservation that is not loaded checks the stored one', async () => {
+  const { result } = await renderLoaded();
+  getReservation.mockResolvedValueOnce({ data: { id: 9, status: 'completed' } });
+
+  await act(async () => {
+    await expect(result.current.update(9, { status: 'seated' })).rejects.toMatchObject({
+      code: 'INVALID_TRANSITION',
+    });
+  });
+  expect(getReservation).toHaveBeenCalledWith(9);
+  expect(updateReservation).not.toHaveBeenCalled();
+
+  getReservation.mockResolvedValueOnce({ id: 9, status: 'confirmed' });
+  await act(() => result.current.update(9, { status: 'seated' }));
+  expect(updateReservation.mock.calls[0][1]).toMatchObject({
+    status: 'seated',
+    statusHistoryEntry: { from: 'confirmed', to: 'seated' },
+  });
+});
+
+test('remove restores the row at its original position on failure', async () => {
+  const { result } = await renderLoaded();
+  deleteReservation.mockRejectedValueOnce({ status: 0, code: 'NETWORK_ERROR' });
+
+  await act(async () => {
+    await expect(result.current.remove(1)).rejects.toMatchObject({ code: 'NETWORK_ERROR' });
+  });
+
+  expect(result.current.data.map((r) => r.id)).toEqual([1, 2]);
+});
+
+test('calendar sync results are saved on the reservation, failures included', async () => {
+  const { result } = await renderLoaded();
+  calendarSync.mockResolvedValueOnce({ status: 'created', eventLink: 'https://cal/e/1' });
+  updateReservation.mockResolvedValue({});
+
+  await act(() => result.current.calendarSync(1));
+  expect(result.current.data[0].calendarSync).toMatchObject({
+    status: 'created',
+    eventLink: 'https://cal/e/1',
+  });
+  expect(updateReservation).toHaveBeenCalledWith(1, {
+    calendarSync: expect.objectContaining({ status: 'created' }),
+  });
+
+  calendarSync.mockRejectedValueOnce(new Error('Token expired'));
+  await act(async () => {
+    await expect(result.current.calendarSync(1)).rejects.toThrow('Token expired');
+  });
+  expect(result.current.data[0].calendarSync).toMatchObject({
+    status: 'error',
+    error: 'Token expired',
+    eventLink: 'https://cal/e/1',
+  });
+});
+
+test('create swaps the temporary row for the created resource', async () => {
+  const { result } = await renderLoaded();
+  createReservation.mockResolvedValueOnce({ id: 3, guestName: 'Linus', size: 2, status: 'pending' });
+
+  await act(() => result.current.create({ guestName: 'Linus', size: 2 }));
+
+  expect(result.current.data.map((r) => r.id)).toEqual([1, 2, 3]);
+  expect(result.current.data.some((r) => r._optimistic)).toBe(false);
+});
+
+test('realtime events patch local state without refetching', async () => {
+  connectReservationsChannel.mockImplementation(() => ({ close: jest.fn() }));
+  const { result } = await renderLoaded({ enableWebsocket: true });
+  const { onEvent } = connectReservationsChannel.mock.calls[0][0];
+
+  act(() => {
+    onEvent({ type: 'reservation.updated', reservation: { id: 1, status: 'seated' } });
+    onEvent({ type: 'reservation.deleted', reservation: { id: 2 } });
+    onEvent({ type: 'reservation.created', reservation: { id: 5, guestName: 'Hedy', size: 2 } });
+  });
+
+  expect(result.current.data).toEqual([
+    { id: 1, guestName: 'Ada', size: 2, status: 'seated' },
+    { id: 5, guestName: 'Hedy', size: 2 },
+  ]);
+  expect(listReservations).not.toHaveBeenCalled();
+});
+
+test('refresh aborts the previous in-flight list request', async () => {
+  const { result } = await renderLoaded();
+  listReservations
+    .mockImplementationOnce(() => new Promise(() => {}))
+    .mockResolvedValueOnce({ items: [seed[0]] });
+
+  await act(async () => {
+    result.current.refresh();
+    await result.current.refresh();
+  });
+
+  const firstSignal = listReservations.mock.calls[0][1].signal;
+  expect(firstSignal.aborted).toBe(true);
+  expect(result.current.data).toEqual([seed[0]]);
+  expect(result.current.loading).toBe(false);
+});
+
+test('loadMore appends the next cursor page and reports paging state', async () => {
+  listReservations.mockResolvedValueOnce({ items: seed, nextCursor: 'c2', total: 3 });
+  const { result } = renderHook(() => useReservations({ pageSize: 2 }));
+  await waitFor(() => expect(result.current.hasMore).toBe(true));
+  expect(listReservations).toHaveBeenLastCalledWith({ limit: 2 }, expect.any(Object));
+
+  listReservations.mockResolvedValueOnce({ items: [{ id: 3, guestName: 'Linus' }], nextCursor: null, total: 3 });
+  await act(() => result.current.loadMore());
+
+  expect(listReservations).toHaveBeenLastCalledWith({ limit: 2, cursor: 'c2' }, expect.any(Object));
+  expect(result.current.data.map((r) => r.id)).toEqual([1, 2, 3]);
+  expect(result.current.hasMore).toBe(false);
+  expect(result.current.total).toBe(3);
+});
+
+test('setQuery triggers a single debounced refetch with the new filters', async () => {
+  const { result } = await renderLoaded({ queryDebounceMs: 20 });
+  listReservations.mockResolvedValue({ items: [seed[1]] });
+
+  act(() => result.current.setQuery({ status: 'pending' }));
+  act(() => result.current.setQuery({ status: 'confirmed' }));
+
+  await waitFor(() => expect(result.current.appliedQuery).toEqual({ status: 'confirmed' }));
+  expect(listReservations).toHaveBeenCalledTimes(1);
+  expect(listReservations).toHaveBeenCalledWith({ status: 'confirmed', limit: 50 }, expect.any(Object));
+  expect(result.current.data).toEqual([seed[1]]);
+});
+
+test('includeSeries merges series masters that started before the queried range', async () => {
+  const query = { from: '2030-01-10T00:00:00.000Z', status: 'confirmed' };
+  listReservations.mockResolvedValueOnce({ items: seed });
+  listSeriesMasters.mockResolvedValueOnce([{ id: 7, rrule: 'FREQ=WEEKLY' }, seed[1]]);
+  const { result } = renderHook(() => useReservations({ initialQuery: query, includeSeries: true }));
+
+  await waitFor(() => expect(result.current.data).toHaveLength(3));
+  expect(listSeriesMasters).toHaveBeenCalledWith(query, expect.any(Object));
+  expect(result.current.data.map((r) => r.id)).toEqual([1, 2, 7]);
+});
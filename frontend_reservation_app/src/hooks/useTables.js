@@ -0,0 +1,103 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import {
+  listTables as apiList,
+  createTable as apiCreate,
+  updateTable as apiUpdate,
+  deleteTable as apiDelete,
+} from "../api/tables";
+import { isAbortError } from "../api/client";
+
+/**
+ * Tables state management hook
+ * - Loads the venue's tables once on mount (and on demand)
+ * - CRUD operations that update local state from the server response
+ */
+
+// PUBLIC_INTERFACE
+export function useTables() {
+  /**
+   * PUBLIC INTERFACE
+   * @returns {{
+   *   tables: any[],
+   *   loading: boolean,
+   *   error: any,
+   *   refresh: Function,
+   *   create: Function,
+   *   update: Function,
+   *   remove: Function,
+   * }}
+   */
+  const [tables, setTables] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const isMounted = useRef(true);
+  const abortRef = useRef(null);
+
+  // PUBLIC_INTERFACE
+  const refresh = useCallback(async () => {
+    /** Fetch all tables; the previous in-flight request is aborted. */
+    abortRef.current?.abort();
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setLoading(true);
+    setError(null);
+    try {
+      const res = await apiList({}, { signal: controller.signal });
+      if (isMounted.current && abortRef.current === controller) {
+        setTables(Array.isArray(res) ? res : res?.items || res?.data || []);
+      }
+    } catch (err) {
+      if (isAbortError(err)) return;
+      if (isMounted.current) setError(err);
+    } finally {
+      if (isMounted.current && abortRef.current === controller) {
+        setLoading(false);
+        abortRef.current = null;
+      }
+    }
+  }, []);
+
+  // PUBLIC_INTERFACE
+  const create = useCallback(async (payload) => {
+    /** Create a table and append the server resource. */
+    const created = await apiCreate(payload);
+    if (isMounted.current && created && typeof created === "object") {
+      setTables((prev) => [...prev, created]);
+    }
+    return created;
+  }, []);
+
+  // PUBLIC_INTERFACE
+  const update = useCallback(async (id, updates) => {
+    /** Update a table and merge the server resource (or the sent fields) locally. */
+    const updated = await apiUpdate(id, updates);
+    if (isMounted.current) {
+      const merged = updated && typeof updated === "object" ? updated : updates;
+      setTables((prev) => prev.map((t) => (String(t.id) === String(id) ? { ...t, ...merged } : t)));
+    }
+    return updated;
+  }, []);
+
+  // PUBLIC_INTERFACE
+  const remove = useCallback(async (id) => {
+    /** Delete a table and drop it locally. */
+    const result = await apiDelete(id);
+    if (isMounted.current) {
+      setTables((prev) => prev.filter((t) => String(t.id) !== String(id)));
+    }
+    return result;
+  }, []);
+
+  useEffect(() => {
+    isMounted.current = true;
+    refresh();
+    return () => {
+      isMounted.current = false;
+      abortRef.current?.abort();
+    };
+  }, [refresh]);
+
+  return { tables, loading, error, refresh, create, update, remove };
+}
+
+export default useTables;
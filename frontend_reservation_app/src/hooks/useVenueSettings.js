@@ -0,0 +1,80 @@
+import { useEffect, useSyncExternalStore } from "react";
+import {
+  getVenueSettings as apiGetSettings,
+  updateVenueSettings as apiUpdateSettings,
+} from "../api/venue";
+import {
+  getVenueSettings,
+  sharedVenueSettings,
+  subscribeVenueSettings,
+  updateVenueSettings,
+} from "../utils/venueSettings";
+
+/**
+ * Venue settings hook
+ * Reads the shared venue configuration (durations, capacity, ...) and re-renders on change.
+ * Settings every device must agree on (SHARED_VENUE_SETTINGS: time zone, opening hours,
+ * seating durations, capacity and booking slots) are loaded from the server once per page load
+ * and saved there; the others stay on this device.
+ */
+
+// PUBLIC_INTERFACE
+export function useVenueSettings() {
+  /**
+   * Returns [settings, update] where update(patch) merges and persists top-level keys
+   * (see saveVenueSettings).
+   */
+  const settings = useSyncExternalStore(subscribeVenueSettings, getVenueSettings, getVenueSettings);
+  useEffect(() => {
+    loadSharedVenueSettings();
+  }, []);
+  return [settings, saveVenueSettings];
+}
+
+let sharedLoad = null;
+
+// PUBLIC_INTERFACE
+export function loadSharedVenueSettings() {
+  /**
+   * Fetch the server-stored settings into the store (once; again after a failure).
+   * Until then, and when the server cannot be reached, the cached values apply.
+   * @returns {Promise<void>}
+   */
+  if (!sharedLoad) {
+    sharedLoad = apiGetSettings()
+      .then((res) => {
+        const shared = sharedVenueSettings(res?.settings || res?.data || res);
+        if (Object.keys(shared).length > 0) updateVenueSettings(shared);
+      })
+      .catch(() => {
+        sharedLoad = null;
+      });
+  }
+  return sharedLoad;
+}
+
+// PUBLIC_INTERFACE
+export async function saveVenueSettings(patch) {
+  /**
+   * Merge a partial update into the venue settings. Shared keys are saved on the server too and
+   * put back when that fails (the error is rethrown).
+   * @returns {Promise<Object>} the new settings
+   */
+  const previous = sharedVenueSettings(getVenueSettings());
+  const shared = sharedVenueSettings(patch);
+  const next = updateVenueSettings(patch);
+  if (Object.keys(shared).length === 0) return next;
+  try {
+    await apiUpdateSettings(shared);
+  } catch (err) {
+    const restore = {};
+    Object.keys(shared).forEach((key) => {
+      restore[key] = previous[key];
+    });
+    updateVenueSettings(restore);
+    throw err;
+  }
+  return getVenueSettings();
+}
+
+export default useVenueSettings;
@@ -0,0 +1,48 @@
+import { renderHook, act, waitFor } from '@testing-library/react';
+import useVenueSettings from './useVenueSettings';
+import { getVenueSettings, updateVenueSettings } from '../api/venue';
+
+jest.mock('../api/venue', () => ({
+  getVenueSettings: jest.fn(),
+  updateVenueSettings: jest.fn(),
+}));
+
+const hours = {
+  weekly: { 1: [{ open: '18:00', close: '23:00' }] },
+  closures: [{ date: '2030-12-25', label: 'Christmas Day' }],
+};
+
+test('shared settings come from the server and are saved there', async () => {
+  getVenueSettings.mockResolvedValueOnce({
+    settings: { timeZone: 'Europe/Paris', openingHours: hours },
+  });
+  const { result } = renderHook(() => useVenueSettings());
+  await waitFor(() => expect(result.current[0].timeZone).toBe('Europe/Paris'));
+  expect(result.current[0].openingHours).toEqual(hours);
+
+  updateVenueSettings.mockResolvedValueOnce({});
+  await act(() => result.current[1]({ timeZone: 'Asia/Tokyo', weekStartsOn: 0 }));
+  // Only the shared key goes to the server
+  expect(updateVenueSettings).toHaveBeenCalledWith({ timeZone: 'Asia/Tokyo' });
+  expect(result.current[0]).toMatchObject({ timeZone: 'Asia/Tokyo', weekStartsOn: 0 });
+
+  updateVenueSettings.mockRejectedValueOnce(new Error('offline'));
+  await act(async () => {
+    await expect(result.current[1]({ timeZone: 'UTC' })).rejects.toThrow('offline');
+  });
+  expect(result.current[0].timeZone).toBe('Asia/Tokyo');
+
+  updateVenueSettings.mockResolvedValueOnce({});
+  const closed = { ...hours, closures: [] };
+  await act(() => result.current[1]({ openingHours: closed }));
+  expect(updateVenueSettings).toHaveBeenLastCalledWith({ openingHours: closed });
+
+  updateVenueSettings.mockResolvedValueOnce({});
+  const durationRules = [{ maxSize: null, minutes: 120 }];
+  await act(() => result.current[1]({ durationRules, maxCovers: 40, slotIntervalMinutes: 15 }));
+  expect(updateVenueSettings).toHaveBeenLastCalledWith({
+    durationRules,
+    maxCovers: 40,
+    slotIntervalMinutes: 15,
+  });
+});
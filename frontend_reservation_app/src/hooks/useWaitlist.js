@@ -0,0 +1,275 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import {
+  listWaitlist as apiList,
+  addToWaitlist as apiAdd,
+  updateWaitlistEntry as apiUpdate,
+  removeFromWaitlist as apiRemove,
+  reorderWaitlist as apiReorder,
+} from "../api/waitlist";
+import {
+  createReservation as apiCreateReservation,
+  getReservation as apiGetReservation,
+  updateReservation as apiUpdateReservation,
+  deleteReservation as apiDeleteReservation,
+  sendSms as apiSendSms,
+} from "../api/reservations";
+import { isAbortError } from "../api/client";
+import { reservationIdOf, unwrapReservation } from "../utils/reservationIds";
+import { canTransition } from "../utils/reservationStatus";
+import { entryIdOf } from "../utils/waitlist";
+
+/**
+ * Waitlist state management hook
+ * - Loads the walk-in queue on mount (and on demand)
+ * - CRUD operations that update local state from the server response
+ * - Optimistic reordering (rolled back on failure)
+ * - Conversion of a waiting party into a seated reservation
+ * - A party is texted through its reservation (the reservations `sendSms` path): notifying
+ *   books its table as a confirmed walk-in, which seating then marks as seated. The entry
+ *   records the reservation (`reservationId`) so a retry never books the party twice.
+ */
+
+// PUBLIC_INTERFACE
+export function useWaitlist() {
+  /**
+   * PUBLIC INTERFACE
+   * @returns {{
+   *   entries: any[],
+   *   loading: boolean,
+   *   error: any,
+   *   refresh: Function,
+   *   add: Function,
+   *   update: Function,
+   *   remove: Function,
+   *   reorder: Function,
+   *   notify: Function,
+   *   seat: Function,
+   * }}
+   */
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const isMounted = useRef(true);
+  const abortRef = useRef(null);
+  const entriesRef = useRef(entries);
+  entriesRef.current = entries;
+
+  const patchLocal = useCallback((id, fields) => {
+    setEntries((prev) => prev.map((e) => (entryIdOf(e) === String(id) ? { ...e, ...fields } : e)));
+  }, []);
+
+  // PUBLIC_INTERFACE
+  const refresh = useCallback(async () => {
+    /** Fetch the queue; the previous in-flight request is aborted. */
+    abortRef.current?.abort();
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setLoading(true);
+    setError(null);
+    try {
+      const res = await apiList({}, { signal: controller.signal });
+      if (isMounted.current && abortRef.current === controller) {
+        setEntries(Array.isArray(res) ? res : res?.items || res?.data || []);
+      }
+    } catch (err) {
+      if (isAbortError(err)) return;
+      if (isMounted.current) setError(err);
+    } finally {
+      if (isMounted.current && abortRef.current === controller) {
+        setLoading(false);
+        abortRef.current = null;
+      }
+    }
+  }, []);
+
+  // PUBLIC_INTERFACE
+  const add = useCallback(async (payload) => {
+    /** Add a party and append the server resource. */
+    const created = await apiAdd({ status: "waiting", ...payload });
+    if (isMounted.current && created && typeof created === "object") {
+      setEntries((prev) => [...prev, created]);
+    }
+    return created;
+  }, []);
+
+  // PUBLIC_INTERFACE
+  const update = useCallback(
+    async (id, updates) => {
+      /** Update an entry and merge the server resource (or the sent fields) locally. */
+      const updated = await apiUpdate(id, updates);
+      if (isMounted.current) {
+        patchLocal(id, updated && typeof updated === "object" ? updated : updates);
+      }
+      return updated;
+    },
+    [patchLocal]
+  );
+
+  // PUBLIC_INTERFACE
+  const remove = useCallback(async (id, actions = {}) => {
+    /**
+     * Delete an entry and drop it locally. A table booked for the party when it was notified is
+     * cancelled first (it has left), unless that booking has already ended (cancelled, completed,
+     * no-show) or is gone.
+     */
+    const {
+      getReservation = apiGetReservation,
+      updateReservation = apiUpdateReservation,
+    } = actions;
+    const entry = entriesRef.current.find((e) => entryIdOf(e) === String(id));
+    if (entry?.reservationId != null && entry.status !== "seated") {
+      const booked = await getReservation(entry.reservationId).then(unwrapReservation, (err) => {
+        if (err?.status === 404) return null;
+        throw err;
+      });
+      if (booked && canTransition(booked.status, "cancelled")) {
+        await updateReservation(entry.reservationId, { status: "cancelled" });
+      }
+    }
+    const result = await apiRemove(id);
+    if (isMounted.current) {
+      setEntries((prev) => prev.filter((e) => entryIdOf(e) !== String(id)));
+    }
+    return result;
+  }, []);
+
+  // PUBLIC_INTERFACE
+  const reorder = useCallback(async (ordered) => {
+    /**
+     * Apply a new queue order immediately and persist it; restores the previous order on failure.
+     * @param {Object[]} ordered - queued entries in their new order (with renumbered positions)
+     */
+    const previous = entriesRef.current;
+    const positions = new Map(ordered.map((e, i) => [entryIdOf(e), i + 1]));
+    setEntries((prev) =>
+      prev.map((e) => {
+        const position = positions.get(entryIdOf(e));
+        return position ? { ...e, position } : e;
+      })
+    );
+    try {
+      return await apiReorder(ordered.map(entryIdOf));
+    } catch (err) {
+      if (isMounted.current) setEntries(previous);
+      throw err;
+    }
+  }, []);
+
+  // Book the party and record the reservation on its entry (with `entryUpdates`). The booking
+  // is deleted again when recording it fails, so that a retry does not book the party twice.
+  const bookWalkIn = useCallback(
+    async (entry, payload, entryUpdates, { createReservation, deleteReservation }) => {
+      const created = unwrapReservation(await createReservation(payload));
+      const reservationId = reservationIdOf(created);
+      if (reservationId == null) throw new Error("The reservation was not created");
+      try {
+        await update(entryIdOf(entry), { ...entryUpdates, reservationId });
+      } catch (err) {
+        await deleteReservation(reservationId).catch(() => {});
+        throw err;
+      }
+      return reservationId;
+    },
+    [update]
+  );
+
+  // PUBLIC_INTERFACE
+  const notify = useCallback(
+    async (
+      id,
+      message,
+      {
+        createReservation = apiCreateReservation,
+        deleteReservation = apiDeleteReservation,
+        sendSms = apiSendSms,
+      } = {}
+    ) => {
+      /**
+       * Text the party through its reservation and mark the entry as notified. The first
+       * notification books the party's table as a confirmed walk-in starting now.
+       * @param {{ createReservation?: Function, deleteReservation?: Function,
+       *   sendSms?: Function }} [options] - reservation actions to use, e.g. the reservations
+       *   hook's so open lists pick the booking up immediately
+       */
+      const entry = entriesRef.current.find((e) => entryIdOf(e) === String(id));
+      if (!entry) throw new Error("Waitlist entry not found");
+      const reservationId =
+        entry.reservationId ??
+        (await bookWalkIn(
+          entry,
+          walkInReservation(entry, { status: "confirmed", time: new Date().toISOString() }),
+          {},
+          { createReservation, deleteReservation }
+        ));
+      const res = await sendSms(reservationId, message);
+      await update(id, { status: "notified", notifiedAt: new Date().toISOString() });
+      return res;
+    },
+    [bookWalkIn, update]
+  );
+
+  // PUBLIC_INTERFACE
+  const seat = useCallback(
+    async (
+      id,
+      fields = {},
+      {
+        createReservation = apiCreateReservation,
+        updateReservation = apiUpdateReservation,
+        deleteReservation = apiDeleteReservation,
+      } = {}
+    ) => {
+      /**
+       * Seat a waiting party now: its reservation (booked when it was notified) is marked as
+       * seated, or a seated reservation is created; then the entry is marked as seated.
+       * @param {string|number} id - entry identifier
+       * @param {Object} [fields] - extra reservation fields (tableIds, durationMinutes, ...)
+       * @param {{ createReservation?: Function, updateReservation?: Function,
+       *   deleteReservation?: Function }} [options] - reservation actions to use, e.g. the
+       *   reservations hook's optimistic ones so open lists pick the booking up immediately
+       * @returns {Promise<any>} the reservation's id
+       */
+      const entry = entriesRef.current.find((e) => entryIdOf(e) === String(id));
+      if (!entry) throw new Error("Waitlist entry not found");
+      const now = new Date().toISOString();
+      const seated = { status: "seated", seatedAt: now };
+      if (entry.reservationId != null) {
+        await updateReservation(entry.reservationId, { ...seated, ...fields });
+        await update(id, seated);
+        return entry.reservationId;
+      }
+      return bookWalkIn(
+        entry,
+        walkInReservation(entry, { ...seated, time: now, ...fields }),
+        seated,
+        { createReservation, deleteReservation }
+      );
+    },
+    [bookWalkIn, update]
+  );
+
+  useEffect(() => {
+    isMounted.current = true;
+    refresh();
+    return () => {
+      isMounted.current = false;
+      abortRef.current?.abort();
+    };
+  }, [refresh]);
+
+  return { entries, loading, error, refresh, add, update, remove, reorder, notify, seat };
+}
+
+/** Reservation fields for a walk-in party from its waitlist entry. */
+function walkInReservation(entry, fields) {
+  return {
+    guestName: entry.guestName || entry.name,
+    phone: entry.phone || undefined,
+    size: Number(entry.size || entry.partySize) || 1,
+    notes: entry.notes || undefined,
+    source: "walk_in",
+    ...fields,
+  };
+}
+
+export default useWaitlist;
@@ -0,0 +1,79 @@
+import { renderHook, act, waitFor } from '@testing-library/react';
+import useWaitlist from './useWaitlist';
+import { listWaitlist, removeFromWaitlist, updateWaitlistEntry } from '../api/waitlist';
+
+jest.mock('../api/waitlist', () => ({
+  listWaitlist: jest.fn(),
+  addToWaitlist: jest.fn(),
+  updateWaitlistEntry: jest.fn(),
+  removeFromWaitlist: jest.fn(),
+  reorderWaitlist: jest.fn(),
+}));
+
+async function renderQueue(entries) {
+  listWaitlist.mockResolvedValueOnce(entries);
+  const hook = renderHook(() => useWaitlist());
+  await waitFor(() => expect(hook.result.current.entries).toHaveLength(entries.length));
+  const actions = {
+    createReservation: jest.fn(async (payload) => ({ data: { id: 50, ...payload } })),
+    updateReservation: jest.fn(async (id, changes) => ({ id, ...changes })),
+    deleteReservation: jest.fn(async () => ({})),
+    sendSms: jest.fn(async () => ({ status: 'sent' })),
+    getReservation: jest.fn(async (id) => ({ id, status: 'confirmed' })),
+  };
+  return { ...hook, actions };
+}
+
+afterEach(() => {
+  jest.resetAllMocks();
+});
+
+test('notifying books the party once and texts it through the reservation', async () => {
+  const { result, actions } = await renderQueue([{ id: 1, guestName: 'Ada', size: 2 }]);
+  updateWaitlistEntry.mockImplementation(async (id, updates) => ({ id, ...updates }));
+
+  await act(() => result.current.notify(1, 'Your table is ready', actions));
+  expect(actions.createReservation).toHaveBeenCalledWith(
+    expect.objectContaining({ guestName: 'Ada', status: 'confirmed', source: 'walk_in' })
+  );
+  expect(actions.sendSms).toHaveBeenCalledWith(50, 'Your table is ready');
+  expect(result.current.entries[0]).toMatchObject({ reservationId: 50, status: 'notified' });
+
+  // Seating uses the booking made for the notification
+  await act(() => result.current.seat(1, { tableIds: ['t1'] }, actions));
+  expect(actions.createReservation).toHaveBeenCalledTimes(1);
+  expect(actions.updateReservation).toHaveBeenCalledWith(
+    50,
+    expect.objectContaining({ status: 'seated', tableIds: ['t1'] })
+  );
+  expect(result.current.entries[0]).toMatchObject({ status: 'seated' });
+});
+
+test('a seat whose entry cannot be updated deletes the reservation it created', async () => {
+  const { result, actions } = await renderQueue([{ id: 1, guestName: 'Ada', size: 2 }]);
+  updateWaitlistEntry.mockRejectedValueOnce(new Error('offline'));
+
+  await act(async () => {
+    await expect(result.current.seat(1, {}, actions)).rejects.toThrow('offline');
+  });
+  expect(actions.deleteReservation).toHaveBeenCalledWith(50);
+  expect(result.current.entries[0].reservationId).toBeUndefined();
+});
+
+test('removing an entry cancels its booking only while that is still allowed', async () => {
+  const { result, actions } = await renderQueue([
+    { id: 1, guestName: 'Ada', reservationId: 50, status: 'notified' },
+    { id: 2, guestName: 'Grace', reservationId: 51, status: 'notified' },
+  ]);
+  removeFromWaitlist.mockResolvedValue({});
+
+  await act(() => result.current.remove(1, actions));
+  expect(actions.updateReservation).toHaveBeenCalledWith(50, { status: 'cancelled' });
+
+  actions.updateReservation.mockClear();
+  actions.getReservation.mockResolvedValueOnce({ id: 51, status: 'no_show' });
+  await act(() => result.current.remove(2, actions));
+  expect(actions.updateReservation).not.toHaveBeenCalled();
+  expect(removeFromWaitlist).toHaveBeenCalledWith(2);
+  expect(result.current.entries).toHaveLength(0);
+});
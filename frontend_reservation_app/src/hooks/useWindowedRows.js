@@ -0,0 +1,67 @@
+import { useCallback, useLayoutEffect, useRef, useState } from "react";
+
+/**
+ * Windowed rendering hook
+ * Computes which slice of a long list is visible inside a scroll container so only those
+ * rows (plus an overscan margin) are rendered; spacer heights keep the scrollbar accurate.
+ * Row height starts from an estimate and is refined from the rows actually rendered.
+ */
+
+// PUBLIC_INTERFACE
+export function useWindowedRows({
+  count,
+  enabled = true,
+  estimateRowHeight = 96,
+  viewportHeight = 640,
+  overscan = 6,
+}) {
+  /**
+   * @param {Object} options
+   * @param {number} options.count - Total number of rows
+   * @param {boolean} [options.enabled=true] - When false, every row is rendered
+   * @param {number} [options.estimateRowHeight=96] - Initial row height guess in px
+   * @param {number} [options.viewportHeight=640] - Scroll container height in px
+   * @param {number} [options.overscan=6] - Extra rows rendered above and below the viewport
+   * @returns {{
+   *   start: number, end: number, padTop: number, padBottom: number,
+   *   onScroll: Function, bodyRef: Object, enabled: boolean
+   * }}
+   */
+  const [scrollTop, setScrollTop] = useState(0);
+  const [rowHeight, setRowHeight] = useState(estimateRowHeight);
+  const bodyRef = useRef(null);
+
+  const onScroll = useCallback((e) => {
+    setScrollTop(e.currentTarget.scrollTop);
+  }, []);
+
+  const start = enabled ? Math.max(0, Math.floor(scrollTop / rowHeight) - overscan) : 0;
+  const end = enabled
+    ? Math.min(count, start + Math.ceil(viewportHeight / rowHeight) + overscan * 2)
+    : count;
+
+  // Refine the estimate from rendered rows (marked with data-row) so spacers track reality
+  useLayoutEffect(() => {
+    if (!enabled || !bodyRef.current) return;
+    const rows = bodyRef.current.querySelectorAll("tr[data-row]");
+    if (rows.length === 0) return;
+    let sum = 0;
+    rows.forEach((tr) => {
+      sum += tr.offsetHeight;
+    });
+    const avg = sum / rows.length;
+    if (avg > 0 && Math.abs(avg - rowHeight) > 4) setRowHeight(avg);
+  }, [enabled, start, end, rowHeight]);
+
+  return {
+    enabled,
+    start,
+    end,
+    padTop: start * rowHeight,
+    padBottom: Math.max(0, (count - end) * rowHeight),
+    onScroll,
+    bodyRef,
+  };
+}
+
+export default useWindowedRows;
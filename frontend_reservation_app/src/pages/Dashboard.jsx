@@ -1,5 +1,8 @@
 import React, { useMemo } from "react";
 import useReservations from "../hooks/useReservations";
+import useVenueSettings from "../hooks/useVenueSettings";
+import { toZonedRows, venueTimeZone, zonedNow } from "../utils/timezone";
+import { reservationTimeOf } from "../utils/reservationIds";
 
 /**
  * Dashboard page
@@ -14,10 +17,13 @@ export default function Dashboard() {
     initialQuery: {},
     enableWebsocket: false,
   });
+  const [venue] = useVenueSettings();
+  const timeZone = venueTimeZone(venue);
 
   const kpis = useMemo(() => {
-    const list = Array.isArray(data) ? data : [];
-    const now = new Date();
+    // "Today" and "upcoming" as the venue's clock has them
+    const list = toZonedRows(data, timeZone);
+    const now = zonedNow(timeZone);
 
     const isToday = (d) => {
       try {
@@ -33,13 +39,13 @@ export default function Dashboard() {
     };
 
     const getTime = (r) => {
-      const raw = r.time || r.when || r.datetime;
+      const raw = reservationTimeOf(r);
       const t = new Date(raw);
       return isNaN(t.getTime()) ? null : t.getTime();
     };
 
     const todays = list.filter((r) => {
-      const raw = r.time || r.when || r.datetime;
+      const raw = reservationTimeOf(r);
       return raw && isToday(raw);
     });
 
@@ -58,7 +64,7 @@ export default function Dashboard() {
       upcoming: upcoming.length,
       cancellations: cancellations.length,
     };
-  }, [data]);
+  }, [data, timeZone]);
 
   return (
     <div className="page-container">
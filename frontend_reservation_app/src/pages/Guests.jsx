@@ -0,0 +1,459 @@
+import React, { useEffect, useMemo, useState } from "react";
+import useGuests from "../hooks/useGuests";
+import useVenueSettings from "../hooks/useVenueSettings";
+import ReliabilityBadge from "../components/ReliabilityBadge";
+import Toast from "../components/Toast";
+import { isAbortError } from "../api/client";
+import { guestIdOf, parseList, samePhone, visitSummary } from "../utils/guests";
+import { guestHistory, reliabilityFor } from "../utils/reliability";
+import { statusLabel } from "../utils/reservationStatus";
+import { formatInTimeZone, venueTimeZone } from "../utils/timezone";
+import { reservationTimeOf } from "../utils/reservationIds";
+
+/**
+ * Guests page
+ * Guest directory keyed on phone number: search profiles, keep preferences, allergies, tags and
+ * VIP status up to date, and review each guest's visit history.
+ *
+ * PUBLIC_INTERFACE
+ */
+export default function Guests() {
+  const [query, setQuery] = useState("");
+  const [search, setSearch] = useState("");
+  const [vipOnly, setVipOnly] = useState(false);
+  const { guests, loading, error, create, update, remove, loadVisits } = useGuests({
+    search,
+    vip: vipOnly,
+  });
+  const [selectedId, setSelectedId] = useState(null);
+  const [draft, setDraft] = useState(null);
+  const [formError, setFormError] = useState("");
+  const [saving, setSaving] = useState(false);
+  const [toast, setToast] = useState(null);
+
+  // Debounce typing so the directory is not queried on every keystroke
+  useEffect(() => {
+    const t = setTimeout(() => setSearch(query), 300);
+    return () => clearTimeout(t);
+  }, [query]);
+
+  const selected = useMemo(
+    () => guests.find((g) => guestIdOf(g) === selectedId) || null,
+    [guests, selectedId]
+  );
+
+  const openGuest = (guest) => {
+    setSelectedId(guestIdOf(guest));
+    setDraft(toDraft(guest));
+    setFormError("");
+  };
+
+  const openNew = () => {
+    setSelectedId(null);
+    setDraft(toDraft({}));
+    setFormError("");
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    const payload = fromDraft(draft);
+    if (payload.name.length < 2) {
+      setFormError("Name must be at least 2 characters");
+      return;
+    }
+    if (!/^[+()\-.\s\d]{7,20}$/.test(payload.phone)) {
+      setFormError("Enter a valid phone number; guests are matched on it");
+      return;
+    }
+    const duplicate = guests.find(
+      (g) => guestIdOf(g) !== selectedId && samePhone(g.phone, payload.phone)
+    );
+    if (duplicate) {
+      setFormError(`${duplicate.name || "Another guest"} already uses this phone number`);
+      return;
+    }
+    setFormError("");
+    setSaving(true);
+    try {
+      if (selectedId) {
+        await update(selectedId, payload);
+      } else {
+        const created = await create(payload);
+        setSelectedId(guestIdOf(created));
+      }
+      setToast({ message: `${payload.name} saved`, type: "success" });
+    } catch (err) {
+      setFormError(err?.message || "Failed to save guest");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!selected) return;
+    try {
+      await remove(selectedId);
+      setSelectedId(null);
+      setDraft(null);
+      setToast({ message: "Guest deleted", type: "success" });
+    } catch (err) {
+      setToast({ message: err?.message || "Failed to delete guest", type: "error" });
+    }
+  };
+
+  return (
+    <div className="page-container">
+      <header className="page-header">
+        <h1 className="page-title">Guests</h1>
+        <p className="page-subtitle">Profiles, preferences and visit history</p>
+      </header>
+
+      <section className="page-content" style={layoutStyle}>
+        <div style={cardStyle}>
+          <div style={{ display: "flex", gap: 8, alignItems: "center", marginBottom: 8 }}>
+            <input
+              type="search"
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              placeholder="Search name, phone or tag"
+              aria-label="Search guests"
+              style={inputStyle}
+            />
+            <button className="nav-link" onClick={openNew}>
+              New guest
+            </button>
+          </div>
+          <label style={{ display: "flex", gap: 6, alignItems: "center", fontSize: 13 }}>
+            <input
+              type="checkbox"
+              checked={vipOnly}
+              onChange={(e) => setVipOnly(e.target.checked)}
+            />
+            VIP only
+          </label>
+          {error && (
+            <div style={{ color: "var(--color-error)", marginTop: 8 }}>
+              Error: {error?.message || "Failed to load guests"}
+            </div>
+          )}
+          {loading && guests.length === 0 ? (
+            <p style={{ color: "#6B7280" }}>Loading...</p>
+          ) : guests.length === 0 ? (
+            <p style={{ color: "#6B7280" }}>{search ? "No matching guests." : "No guests yet."}</p>
+          ) : (
+            <ul style={listStyle}>
+              {guests.map((g) => {
+                const id = guestIdOf(g);
+                return (
+                  <li key={id}>
+                    <button
+                      type="button"
+                      onClick={() => openGuest(g)}
+                      aria-current={id === selectedId ? "true" : undefined}
+                      style={guestRowStyle(id === selectedId)}
+                    >
+                      <span style={{ fontWeight: 600 }}>
+                        {g.vip && <span style={{ color: "#92400E" }}>★ </span>}
+                        {g.name || "Guest"}
+                      </span>
+                      <span style={{ fontSize: 12, color: "#6B7280" }}>
+                        {g.phone}
+                        {parseList(g.tags).length > 0 ? ` · ${parseList(g.tags).join(", ")}` : ""}
+                      </span>
+                    </button>
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+        </div>
+
+        <div style={{ display: "grid", gap: 16, alignContent: "start" }}>
+          {draft ? (
+            <form onSubmit={handleSave} style={cardStyle} aria-label="Guest profile">
+              <h3 style={{ marginTop: 0, marginBottom: 8 }}>
+                {selectedId ? draft.name || "Guest" : "New guest"}
+              </h3>
+              {formError && (
+                <div role="alert" style={{ color: "var(--color-error)", marginBottom: 8 }}>
+                  {formError}
+                </div>
+              )}
+              <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 10 }}>
+                <label style={fieldStyle}>
+                  Name
+                  <input
+                    value={draft.name}
+                    onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+                    style={inputStyle}
+                  />
+                </label>
+                <label style={fieldStyle}>
+                  Phone
+                  <input
+                    type="tel"
+                    value={draft.phone}
+                    onChange={(e) => setDraft({ ...draft, phone: e.target.value })}
+                    style={inputStyle}
+                  />
+                </label>
+                <label style={fieldStyle}>
+                  Email (optional)
+                  <input
+                    type="email"
+                    value={draft.email}
+                    onChange={(e) => setDraft({ ...draft, email: e.target.value })}
+                    style={inputStyle}
+                  />
+                </label>
+                <label style={fieldStyle}>
+                  Tags (comma separated)
+                  <input
+                    value={draft.tags}
+                    onChange={(e) => setDraft({ ...draft, tags: e.target.value })}
+                    placeholder="regular, wine club"
+                    style={inputStyle}
+                  />
+                </label>
+                <label style={fieldStyle}>
+                  Allergies (comma separated)
+                  <input
+                    value={draft.allergies}
+                    onChange={(e) => setDraft({ ...draft, allergies: e.target.value })}
+                    placeholder="nuts, shellfish"
+                    style={inputStyle}
+                  />
+                </label>
+                <label style={fieldStyle}>
+                  Preferences
+                  <input
+                    value={draft.preferences}
+                    onChange={(e) => setDraft({ ...draft, preferences: e.target.value })}
+                    placeholder="Window seat, sparkling water"
+                    style={inputStyle}
+                  />
+                </label>
+                <label style={{ ...fieldStyle, gridColumn: "1 / -1" }}>
+                  Notes
+                  <textarea
+                    rows={2}
+                    value={draft.notes}
+                    onChange={(e) => setDraft({ ...draft, notes: e.target.value })}
+                    style={{ ...inputStyle, resize: "vertical" }}
+                  />
+                </label>
+                <label style={{ display: "flex", gap: 6, alignItems: "center", fontSize: 13 }}>
+                  <input
+                    type="checkbox"
+                    checked={draft.vip}
+                    onChange={(e) => setDraft({ ...draft, vip: e.target.checked })}
+                  />
+                  VIP
+                </label>
+              </div>
+              <div style={{ display: "flex", gap: 8, justifyContent: "flex-end", marginTop: 12 }}>
+                {selectedId && (
+                  <button
+                    type="button"
+                    className="nav-link"
+                    onClick={handleDelete}
+                    title="Reservations linked to this guest are kept"
+                  >
+                    Delete
+                  </button>
+                )}
+                <button type="submit" className="nav-link" disabled={saving}>
+                  {saving ? "Saving..." : "Save"}
+                </button>
+              </div>
+            </form>
+          ) : (
+            <div style={cardStyle}>
+              <p style={{ color: "#6B7280", margin: 0 }}>
+                Select a guest to see their profile and visits.
+              </p>
+            </div>
+          )}
+
+          {selected && <VisitHistory guest={selected} loadVisits={loadVisits} />}
+        </div>
+      </section>
+
+      {toast && (
+        <Toast message={toast.message} type={toast.type} onClose={() => setToast(null)} />
+      )}
+    </div>
+  );
+}
+
+/** A guest's past and upcoming reservations with totals and reliability. */
+function VisitHistory({ guest, loadVisits }) {
+  const id = guestIdOf(guest);
+  const [venue] = useVenueSettings();
+  const timeZone = venueTimeZone(venue);
+  const [visits, setVisits] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    setLoading(true);
+    setError(null);
+    loadVisits(id, { signal: controller.signal })
+      .then((list) => {
+        if (!controller.signal.aborted) setVisits(list);
+      })
+      .catch((err) => {
+        if (!isAbortError(err)) setError(err);
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setLoading(false);
+      });
+    return () => controller.abort();
+  }, [id, loadVisits]);
+
+  const summary = useMemo(() => visitSummary(visits), [visits]);
+  const reliability = useMemo(
+    () => reliabilityFor(guest.phone, guestHistory(visits)),
+    [guest.phone, visits]
+  );
+  const sorted = useMemo(
+    () =>
+      [...visits].sort((a, b) => new Date(reservationTimeOf(b)) - new Date(reservationTimeOf(a))),
+    [visits]
+  );
+
+  return (
+    <div style={cardStyle}>
+      <h3 style={{ marginTop: 0, marginBottom: 4 }}>Visit history</h3>
+      <p style={{ color: "#6B7280", fontSize: 12, marginTop: 0 }}>
+        {summary.visits} visit{summary.visits === 1 ? "" : "s"} · {summary.totalCovers} covers
+        {summary.lastVisit
+          ? ` · last ${formatInTimeZone(summary.lastVisit, timeZone, DATE_ONLY)}`
+          : ""}
+        {summary.nextBooking ? ` · next ${formatInTimeZone(summary.nextBooking, timeZone)}` : ""}
+        {" "}
+        <ReliabilityBadge reliability={reliability} />
+      </p>
+      {error && (
+        <div style={{ color: "var(--color-error)", marginBottom: 8 }}>
+          Error: {error?.message || "Failed to load visits"}
+        </div>
+      )}
+      {loading && visits.length === 0 ? (
+        <p style={{ color: "#6B7280", margin: 0 }}>Loading...</p>
+      ) : sorted.length === 0 ? (
+        <p style={{ color: "#6B7280", margin: 0 }}>No reservations linked to this guest yet.</p>
+      ) : (
+        <ul style={{ listStyle: "none", margin: 0, padding: 0, display: "grid", gap: 4 }}>
+          {sorted.map((r, i) => (
+            <li key={r.id || r._id || i} style={visitRowStyle}>
+              <span>{formatInTimeZone(reservationTimeOf(r), timeZone)}</span>
+              <span>party of {r.size || r.partySize || "?"}</span>
+              <span style={{ fontWeight: 600 }}>{statusLabel(r.status)}</span>
+              <span style={{ color: "#6B7280", overflow: "hidden", textOverflow: "ellipsis" }}>
+                {r.notes || ""}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+// Numeric date, like toLocaleDateString()
+const DATE_ONLY = { year: "numeric", month: "numeric", day: "numeric" };
+
+function toDraft(guest) {
+  return {
+    name: guest.name || guest.guestName || "",
+    phone: guest.phone || "",
+    email: guest.email || "",
+    tags: parseList(guest.tags).join(", "),
+    allergies: parseList(guest.allergies).join(", "),
+    preferences: guest.preferences || "",
+    notes: guest.notes || "",
+    vip: !!guest.vip,
+  };
+}
+
+function fromDraft(draft) {
+  return {
+    name: draft.name.trim(),
+    phone: draft.phone.trim(),
+    email: draft.email.trim() || null,
+    tags: parseList(draft.tags),
+    allergies: parseList(draft.allergies),
+    preferences: draft.preferences.trim() || null,
+    notes: draft.notes.trim() || null,
+    vip: draft.vip,
+  };
+}
+
+const layoutStyle = {
+  display: "grid",
+  gridTemplateColumns: "minmax(240px, 1fr) 2fr",
+  gap: 16,
+  alignItems: "start",
+};
+
+const listStyle = {
+  listStyle: "none",
+  margin: "8px 0 0",
+  padding: 0,
+  display: "grid",
+  gap: 4,
+};
+
+const cardStyle = {
+  background: "var(--color-surface)",
+  border: "1px solid rgba(0,0,0,0.06)",
+  borderRadius: 14,
+  padding: 16,
+  boxShadow: "0 8px 24px rgba(31,41,55,0.08)",
+};
+
+const fieldStyle = {
+  display: "grid",
+  gap: 4,
+  fontWeight: 600,
+  fontSize: 13,
+};
+
+function guestRowStyle(active) {
+  return {
+    display: "grid",
+    width: "100%",
+    textAlign: "left",
+    gap: 2,
+    padding: "8px 10px",
+    borderRadius: 10,
+    border: `1px solid ${active ? "var(--color-primary)" : "rgba(0,0,0,0.06)"}`,
+    background: active ? "rgba(217,119,6,0.08)" : "transparent",
+    color: "var(--color-text)",
+    cursor: "pointer",
+  };
+}
+
+const visitRowStyle = {
+  display: "grid",
+  gridTemplateColumns: "180px 90px 100px 1fr",
+  gap: 8,
+  alignItems: "center",
+  padding: "6px 8px",
+  borderRadius: 8,
+  border: "1px solid rgba(0,0,0,0.06)",
+  fontSize: 13,
+};
+
+const inputStyle = {
+  width: "100%",
+  padding: "8px 10px",
+  borderRadius: 10,
+  border: "1px solid rgba(0,0,0,0.12)",
+  background: "var(--color-surface)",
+  color: "var(--color-text)",
+  outline: "none",
+  boxShadow: "0 2px 8px rgba(31,41,55,0.05)",
+};
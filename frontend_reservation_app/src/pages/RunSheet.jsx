@@ -0,0 +1,344 @@
+import React, { useMemo } from "react";
+import { Link, useSearchParams } from "react-router-dom";
+import useDayReservations from "../hooks/useDayReservations";
+import useGuests from "../hooks/useGuests";
+import useTables from "../hooks/useTables";
+import useVenueSettings from "../hooks/useVenueSettings";
+import { addDays } from "../utils/calendar";
+import { guestIdOf, parseList, samePhone } from "../utils/guests";
+import { dateKey } from "../utils/openingHours";
+import { reservationIdOf, reservationTimeOf } from "../utils/reservationIds";
+import { normalizeStatus, statusLabel } from "../utils/reservationStatus";
+import {
+  RUN_SHEET_GROUPINGS,
+  defaultRunSheetGrouping,
+  isSeatedStatus,
+  runSheetGroups,
+} from "../utils/runSheet";
+import { reservationTableIds, tableIdOf } from "../utils/seating";
+import { venueTimeZone, zonedNow } from "../utils/timezone";
+
+/**
+ * Run sheet page (/run-sheet?date=YYYY-MM-DD)
+ * The day's bookings for front-of-house, printed from here: grouped by service period or hour,
+ * with party size, table, notes and allergies, boxes to tick as guests arrive, sit and leave,
+ * and covers per group. Grouping and cancelled rows are kept in the URL (`group`, `cancelled`).
+ * Screen-only controls carry the `no-print` class; see the print rules in index.css.
+ *
+ * PUBLIC_INTERFACE
+ */
+export default function RunSheet() {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [venue] = useVenueSettings();
+  const timeZone = venueTimeZone(venue);
+  const today = dateKey(zonedNow(timeZone));
+  const dateParam = searchParams.get("date") || "";
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(dateParam) ? dateParam : today;
+  const day = useMemo(() => parseDay(date), [date]);
+  const groupParam = searchParams.get("group");
+  const groupBy = RUN_SHEET_GROUPINGS.some((g) => g.key === groupParam)
+    ? groupParam
+    : defaultRunSheetGrouping(day, venue.openingHours);
+  const includeCancelled = searchParams.get("cancelled") === "1";
+
+  const { reservations, loading, error, refresh } = useDayReservations(day, { timeZone });
+  const { tables } = useTables();
+  const { guests } = useGuests();
+
+  const { groups, totals } = useMemo(
+    () =>
+      runSheetGroups(reservations, {
+        day,
+        groupBy,
+        hours: venue.openingHours,
+        includeCancelled,
+      }),
+    [reservations, day, groupBy, venue.openingHours, includeCancelled]
+  );
+  const tableById = useMemo(() => new Map(tables.map((t) => [String(tableIdOf(t)), t])), [tables]);
+
+  const setParam = (name, value) =>
+    setSearchParams(
+      (prev) => {
+        const params = new URLSearchParams(prev);
+        if (value) params.set(name, value);
+        else params.delete(name);
+        return params;
+      },
+      { replace: true }
+    );
+
+  const tableNames = (r) =>
+    reservationTableIds(r)
+      .map((id) => tableById.get(String(id))?.name || `Table ${id}`)
+      .join(", ");
+
+  // Profile allergies, unless the notes already carry them (prefilled from the profile)
+  const allergiesOf = (r) => {
+    if (/allerg/i.test(r.notes || "")) return [];
+    const guest =
+      (r.guestId != null && guests.find((g) => String(guestIdOf(g)) === String(r.guestId))) ||
+      (r.phone && guests.find((g) => samePhone(g.phone, r.phone)));
+    return guest ? parseList(guest.allergies) : [];
+  };
+
+  const dayLabel = day.toLocaleDateString([], {
+    weekday: "long",
+    day: "numeric",
+    month: "long",
+    year: "numeric",
+  });
+
+  return (
+    <div className="page-container run-sheet">
+      <header className="page-header">
+        <h1 className="page-title">Run sheet · {dayLabel}</h1>
+        <p className="page-subtitle">
+          {totals.parties} {totals.parties === 1 ? "party" : "parties"} · {totals.covers} covers
+          {timeZone ? ` · ${timeZone}` : ""}
+        </p>
+      </header>
+
+      <div className="no-print" style={toolbarStyle}>
+        <Link className="nav-link" to="/reservations">
+          ← Reservations
+        </Link>
+        <button
+          className="nav-link"
+          onClick={() => setParam("date", dateKey(addDays(day, -1)))}
+          aria-label="Previous day"
+        >
+          ‹
+        </button>
+        <input
+          type="date"
+          aria-label="Day"
+          value={date}
+          onChange={(e) => e.target.value && setParam("date", e.target.value)}
+          style={inputStyle}
+        />
+        <button
+          className="nav-link"
+          onClick={() => setParam("date", dateKey(addDays(day, 1)))}
+          aria-label="Next day"
+        >
+          ›
+        </button>
+        {date !== today && (
+          <button className="nav-link" onClick={() => setParam("date", today)}>
+            Today
+          </button>
+        )}
+        <select
+          aria-label="Group bookings"
+          value={groupBy}
+          onChange={(e) => setParam("group", e.target.value)}
+          style={inputStyle}
+        >
+          {RUN_SHEET_GROUPINGS.map((g) => (
+            <option key={g.key} value={g.key}>
+              {g.label}
+            </option>
+          ))}
+        </select>
+        <label style={{ display: "inline-flex", gap: 6, alignItems: "center", fontSize: 13 }}>
+          <input
+            type="checkbox"
+            checked={includeCancelled}
+            onChange={(e) => setParam("cancelled", e.target.checked ? "1" : "")}
+          />
+          Show cancelled
+        </label>
+        <span style={{ flex: 1 }} />
+        <button className="nav-link" onClick={() => refresh()} disabled={loading}>
+          {loading ? "Refreshing..." : "Refresh"}
+        </button>
+        <button
+          className="nav-link"
+          onClick={() => window.print()}
+          disabled={loading}
+          style={{ background: "var(--color-primary)", color: "#fff" }}
+        >
+          Print
+        </button>
+      </div>
+
+      {error && (
+        <div className="no-print" style={{ color: "var(--color-error)", marginBottom: 12 }}>
+          Failed to load the day's reservations. {error?.message || ""}
+        </div>
+      )}
+
+      {groups.length === 0 && !loading && (
+        <p style={{ color: "#6B7280" }}>No bookings on this day.</p>
+      )}
+
+      {groups.map((group) => (
+        <section key={group.key} className="run-sheet-group" style={{ marginBottom: 18 }}>
+          <h2 style={groupHeadingStyle}>
+            <span>
+              {group.label}
+              {group.range && (
+                <span style={{ fontWeight: 400, color: "#6B7280" }}> · {group.range}</span>
+              )}
+            </span>
+            <span style={{ fontSize: 14 }}>
+              {group.parties} {group.parties === 1 ? "party" : "parties"} · {group.covers}{" "}
+              covers
+            </span>
+          </h2>
+          {group.reservations.length === 0 ? (
+            <p style={{ color: "#6B7280", fontSize: 13, margin: "4px 0" }}>No bookings</p>
+          ) : (
+            <table className="run-sheet-table" style={tableStyle}>
+              <thead>
+                <tr>
+                  <th style={{ ...cellStyle, width: 56 }}>Time</th>
+                  <th style={cellStyle}>Guest</th>
+                  <th style={{ ...cellStyle, width: 44, textAlign: "right" }}>Size</th>
+                  <th style={{ ...cellStyle, width: 90 }}>Table</th>
+                  <th style={cellStyle}>Notes & allergies</th>
+                  {CHECKS.map((c) => (
+                    <th key={c.key} style={checkCellStyle}>
+                      {c.label}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {group.reservations.map((r) => {
+                  const status = normalizeStatus(r.status);
+                  const allergies = allergiesOf(r);
+                  return (
+                    <tr key={String(reservationIdOf(r))} style={rowStyle(r)}>
+                      <td style={cellStyle}>{timeLabel(r)}</td>
+                      <td style={cellStyle}>
+                        <strong>{r.guestName || r.name || "Guest"}</strong>
+                        {!["confirmed", "seated", "completed"].includes(status) && (
+                          <span style={{ color: "#6B7280" }}> · {statusLabel(status)}</span>
+                        )}
+                      </td>
+                      <td style={{ ...cellStyle, textAlign: "right" }}>{r.size || r.partySize}</td>
+                      <td style={cellStyle}>{tableNames(r)}</td>
+                      <td style={cellStyle}>
+                        {allergies.length > 0 && (
+                          <strong style={{ color: "var(--color-error)" }}>
+                            Allergies: {allergies.join(", ")}
+                            {r.notes ? " · " : ""}
+                          </strong>
+                        )}
+                        {r.notes}
+                      </td>
+                      {CHECKS.map((c) => (
+                        <td key={c.key} style={checkCellStyle}>
+                          <CheckBox label={c.label} checked={c.done.includes(status)} />
+                        </td>
+                      ))}
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          )}
+        </section>
+      ))}
+
+      {groups.length > 0 && (
+        <p style={{ fontWeight: 600, textAlign: "right", margin: 0 }}>
+          Day total: {totals.parties} {totals.parties === 1 ? "party" : "parties"} ·{" "}
+          {totals.covers} covers
+        </p>
+      )}
+    </div>
+  );
+}
+
+// Boxes hosts tick during service; already-reached steps print ticked
+const CHECKS = [
+  { key: "arrived", label: "Arrived", done: ["seated", "completed"] },
+  { key: "seated", label: "Seated", done: ["seated", "completed"] },
+  { key: "left", label: "Left", done: ["completed"] },
+];
+
+function CheckBox({ label, checked }) {
+  return (
+    <span role="img" aria-label={`${label}: ${checked ? "yes" : "no"}`} style={boxStyle}>
+      {checked ? "✓" : ""}
+    </span>
+  );
+}
+
+/** Local midnight of a YYYY-MM-DD value. */
+function parseDay(value) {
+  const [y, m, d] = value.split("-").map(Number);
+  return new Date(y, m - 1, d);
+}
+
+function timeLabel(r) {
+  const d = new Date(reservationTimeOf(r));
+  if (isNaN(d.getTime())) return "";
+  return d.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+}
+
+const toolbarStyle = {
+  display: "flex",
+  flexWrap: "wrap",
+  gap: 8,
+  alignItems: "center",
+  marginBottom: 16,
+};
+
+const inputStyle = {
+  padding: "6px 8px",
+  borderRadius: 8,
+  border: "1px solid rgba(0,0,0,0.12)",
+  background: "var(--color-surface)",
+  color: "var(--color-text)",
+};
+
+const groupHeadingStyle = {
+  display: "flex",
+  justifyContent: "space-between",
+  alignItems: "baseline",
+  gap: 12,
+  fontSize: 16,
+  margin: "0 0 6px",
+  paddingBottom: 4,
+  borderBottom: "2px solid var(--color-text)",
+};
+
+const tableStyle = {
+  width: "100%",
+  borderCollapse: "collapse",
+  fontSize: 13,
+};
+
+const cellStyle = {
+  textAlign: "left",
+  padding: "6px 8px",
+  borderBottom: "1px solid rgba(0,0,0,0.12)",
+  verticalAlign: "top",
+};
+
+const checkCellStyle = {
+  ...cellStyle,
+  width: 56,
+  textAlign: "center",
+};
+
+const boxStyle = {
+  display: "inline-block",
+  width: 14,
+  height: 14,
+  lineHeight: "14px",
+  border: "1.5px solid currentColor",
+  borderRadius: 2,
+  fontSize: 12,
+  textAlign: "center",
+};
+
+function rowStyle(r) {
+  return isSeatedStatus(r.status)
+    ? undefined
+    : { textDecoration: "line-through", color: "#6B7280" };
+}
@@ -1,6 +1,11 @@
 import React, { useEffect, useMemo, useState } from "react";
+import { Link } from "react-router-dom";
 import { getApiBaseUrl } from "../api/client";
 import useFeatureFlags from "../hooks/useFeatureFlags";
+import useVenueSettings from "../hooks/useVenueSettings";
+import TimeZoneNotice from "../components/TimeZoneNotice";
+import { DEFAULT_OPENING_HOURS, closingMinutes, shiftError } from "../utils/openingHours";
+import { browserTimeZone, timeZoneOptions } from "../utils/timezone";
 
 /**
  * Settings page
@@ -11,6 +16,19 @@ import useFeatureFlags from "../hooks/useFeatureFlags";
  */
 export default function Settings() {
   const { experimentsEnabled, all: envFlags } = useFeatureFlags();
+  const [venue, updateVenue] = useVenueSettings();
+  const zones = useMemo(() => timeZoneOptions(), []);
+  // Why the last save of a section failed: { [section]: message }
+  const [saveErrors, setSaveErrors] = useState({});
+
+  // Shared settings are stored for the whole venue; a failed save puts the previous value back
+  const saveVenue = (section, patch) => {
+    setSaveErrors((prev) => ({ ...prev, [section]: "" }));
+    updateVenue(patch).catch((err) => {
+      const message = err?.message || "Failed to save the settings";
+      setSaveErrors((prev) => ({ ...prev, [section]: message }));
+    });
+  };
 
   // Environment info
   const info = useMemo(() => {
@@ -91,6 +109,63 @@ export default function Settings() {
       <section className="page-content" style={{ display: "grid", gap: 16 }}>
         <EnvInfo info={info} health={health} />
 
+        <div style={cardStyle}>
+          <h3 style={{ marginTop: 0, marginBottom: 8 }}>Venue</h3>
+          <Link to="/settings/tables" className="nav-link">
+            Manage tables &amp; seating
+          </Link>
+          <label style={venueLabelStyle}>
+            Calendar weeks start on
+            <select
+              value={venue.weekStartsOn ?? 1}
+              onChange={(e) => updateVenue({ weekStartsOn: Number(e.target.value) })}
+              style={timeInputStyle}
+            >
+              {WEEK_START_OPTIONS.map(([day, label]) => (
+                <option key={day} value={day}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label style={venueLabelStyle}>
+            Time zone
+            <select
+              value={venue.timeZone || ""}
+              onChange={(e) => saveVenue("timeZone", { timeZone: e.target.value })}
+              style={timeInputStyle}
+            >
+              <option value="">Not set: each device's own ({browserTimeZone()} here)</option>
+              {zones.map((zone) => (
+                <option key={zone} value={zone}>
+                  {zone}
+                </option>
+              ))}
+            </select>
+          </label>
+          <div style={{ fontSize: 12, color: "#6B7280", marginTop: 4 }}>
+            Reservations are shown and entered in this zone on every device.
+          </div>
+          {saveErrors.timeZone && (
+            <div role="alert" style={saveErrorStyle}>
+              {saveErrors.timeZone}
+            </div>
+          )}
+          <TimeZoneNotice style={{ marginTop: 8 }} />
+        </div>
+
+        <OpeningHours
+          hours={venue.openingHours || DEFAULT_OPENING_HOURS}
+          onChange={(openingHours) => saveVenue("openingHours", { openingHours })}
+          error={saveErrors.openingHours}
+        />
+
+        <SeatingRules
+          settings={venue}
+          onChange={(patch) => saveVenue("seating", patch)}
+          error={saveErrors.seating}
+        />
+
         {experimentsEnabled && (
           <LocalFeatureToggles
             availableFlags={envFlags}
@@ -109,6 +184,16 @@ export default function Settings() {
   );
 }
 
+const cardStyle = {
+  background: "var(--color-surface)",
+  border: "1px solid rgba(0,0,0,0.06)",
+  borderRadius: 14,
+  padding: 16,
+  boxShadow: "0 8px 24px rgba(31,41,55,0.08)",
+};
+
+const saveErrorStyle = { fontSize: 12, color: "var(--color-error)", marginTop: 4 };
+
 function EnvInfo({ info, health }) {
   return (
     <div
@@ -199,6 +284,392 @@ function LocalFeatureToggles({ availableFlags, localFlags, onToggle }) {
   );
 }
 
+// Monday-first display order over JS weekday numbers (0 = Sunday)
+const WEEKDAYS = [
+  [1, "Monday"],
+  [2, "Tuesday"],
+  [3, "Wednesday"],
+  [4, "Thursday"],
+  [5, "Friday"],
+  [6, "Saturday"],
+  [0, "Sunday"],
+];
+
+function OpeningHours({ hours, onChange, error }) {
+  const weekly = hours.weekly || {};
+  const closures = Array.isArray(hours.closures) ? hours.closures : [];
+  const [draft, setDraft] = useState({ date: "", endDate: "", label: "", open: "", close: "" });
+  const [draftError, setDraftError] = useState("");
+
+  const setShifts = (day, shifts) => onChange({ ...hours, weekly: { ...weekly, [day]: shifts } });
+  const shiftsOf = (day) => weekly[day] || [];
+  const setShift = (day, index, patch) =>
+    setShifts(day, shiftsOf(day).map((s, i) => (i === index ? { ...s, ...patch } : s)));
+
+  // Why "Add shift" did nothing for a day: { day, message }
+  const [addError, setAddError] = useState(null);
+
+  // A new shift starts when the last one closes and runs up to three hours, until midnight
+  const addShift = (day) => {
+    const shifts = shiftsOf(day);
+    const last = shifts[shifts.length - 1];
+    const start = last ? closingMinutes(last.close) : null;
+    if (last && (start === null || start >= 24 * 60 || shiftError(last))) {
+      const message = shiftError(last)
+        ? "Fix the last shift first"
+        : "The last shift closes at midnight";
+      setAddError({ day, message });
+      return;
+    }
+    setAddError(null);
+    const next = last
+      ? { open: last.close, close: hhmm(Math.min(start + 3 * 60, 24 * 60)) }
+      : { open: "12:00", close: "15:00" };
+    setShifts(day, [...shifts, next]);
+  };
+
+  const addClosure = (e) => {
+    e.preventDefault();
+    if (!draft.date) {
+      setDraftError("Pick a date");
+      return;
+    }
+    if (draft.endDate && draft.endDate < draft.date) {
+      setDraftError("End date must be on or after the start date");
+      return;
+    }
+    const special = draft.open && draft.close;
+    if (special && draft.close <= draft.open) {
+      setDraftError("Special hours must close after they open");
+      return;
+    }
+    setDraftError("");
+    const closure = { date: draft.date, label: draft.label.trim() || undefined };
+    if (draft.endDate && draft.endDate !== draft.date) closure.endDate = draft.endDate;
+    if (special) closure.shifts = [{ open: draft.open, close: draft.close }];
+    onChange({
+      ...hours,
+      closures: [...closures, closure].sort((a, b) => a.date.localeCompare(b.date)),
+    });
+    setDraft({ date: "", endDate: "", label: "", open: "", close: "" });
+  };
+
+  return (
+    <div style={cardStyle}>
+      <h3 style={{ marginTop: 0, marginBottom: 4 }}>Opening hours</h3>
+      <p style={{ color: "#6B7280", fontSize: 12, marginTop: 0 }}>
+        Bookings are only accepted during these shifts, on every device. Add a second shift for
+        split service; a shift closing at 00:00 runs until midnight.
+      </p>
+      {error && (
+        <div role="alert" style={{ ...saveErrorStyle, marginBottom: 8 }}>
+          {error}
+        </div>
+      )}
+      <div style={{ display: "grid", gap: 6 }}>
+        {WEEKDAYS.map(([day, label]) => {
+          const shifts = shiftsOf(day);
+          const problems = shifts
+            .map((s, i) => [i, shiftError(s)])
+            .filter(([, message]) => message)
+            .map(([i, message]) => `Shift ${i + 1}: ${message}`);
+          if (addError?.day === day) problems.push(addError.message);
+          return (
+            <div key={day} style={hoursRowStyle}>
+              <span style={{ fontWeight: 600 }}>{label}</span>
+              <div style={{ display: "flex", flexWrap: "wrap", gap: 8, alignItems: "center" }}>
+                {shifts.length === 0 && <span style={{ color: "#6B7280" }}>Closed</span>}
+                {shifts.map((shift, i) => (
+                  <span key={i} style={{ display: "inline-flex", gap: 4, alignItems: "center" }}>
+                    <input
+                      type="time"
+                      value={shift.open}
+                      onChange={(e) => setShift(day, i, { open: e.target.value })}
+                      aria-label={`${label} shift ${i + 1} opens`}
+                      style={timeInputStyle}
+                    />
+                    –
+                    <input
+                      type="time"
+                      value={shift.close}
+                      onChange={(e) => setShift(day, i, { close: e.target.value })}
+                      aria-label={`${label} shift ${i + 1} closes`}
+                      style={timeInputStyle}
+                    />
+                    <button
+                      type="button"
+                      className="nav-link"
+                      onClick={() => setShifts(day, shifts.filter((_, j) => j !== i))}
+                      aria-label={`Remove ${label} shift ${i + 1}`}
+                    >
+                      ×
+                    </button>
+                  </span>
+                ))}
+              </div>
+              <button type="button" className="nav-link" onClick={() => addShift(day)}>
+                Add shift
+              </button>
+              {problems.length > 0 && (
+                <div role="alert" style={shiftErrorStyle}>
+                  {problems.join(" · ")}
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      <h4 style={{ marginBottom: 6 }}>Closures &amp; holidays</h4>
+      {closures.length === 0 ? (
+        <p style={{ color: "#6B7280", fontSize: 13, marginTop: 0 }}>No closures scheduled.</p>
+      ) : (
+        <div style={{ display: "grid", gap: 6, marginBottom: 8 }}>
+          {closures.map((c, i) => (
+            <div key={`${c.date}-${i}`} style={hoursRowStyle}>
+              <span style={{ fontWeight: 600 }}>
+                {c.date}
+                {c.endDate ? ` → ${c.endDate}` : ""}
+              </span>
+              <span>
+                {c.label || "Closure"}
+                <span style={{ color: "#6B7280" }}>
+                  {" · "}
+                  {c.shifts?.length
+                    ? `Special hours ${c.shifts.map((s) => `${s.open}–${s.close}`).join(", ")}`
+                    : "Closed"}
+                </span>
+              </span>
+              <button
+                type="button"
+                className="nav-link"
+                onClick={() => onChange({ ...hours, closures: closures.filter((_, j) => j !== i) })}
+              >
+                Remove
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+      <form onSubmit={addClosure} aria-label="Add closure">
+        {draftError && (
+          <div role="alert" style={{ color: "var(--color-error)", fontSize: 13, marginBottom: 6 }}>
+            {draftError}
+          </div>
+        )}
+        <div style={{ display: "flex", flexWrap: "wrap", gap: 8, alignItems: "center", fontSize: 13 }}>
+          <input
+            type="date"
+            value={draft.date}
+            onChange={(e) => setDraft({ ...draft, date: e.target.value })}
+            aria-label="Closure date"
+            style={timeInputStyle}
+          />
+          <input
+            type="date"
+            value={draft.endDate}
+            onChange={(e) => setDraft({ ...draft, endDate: e.target.value })}
+            aria-label="Closure end date (optional)"
+            style={timeInputStyle}
+          />
+          <input
+            value={draft.label}
+            onChange={(e) => setDraft({ ...draft, label: e.target.value })}
+            placeholder="e.g., Christmas Day"
+            aria-label="Closure label"
+            style={{ ...timeInputStyle, width: 160 }}
+          />
+          <span style={{ color: "#6B7280" }}>Special hours (optional)</span>
+          <input
+            type="time"
+            value={draft.open}
+            onChange={(e) => setDraft({ ...draft, open: e.target.value })}
+            aria-label="Special hours open"
+            style={timeInputStyle}
+          />
+          –
+          <input
+            type="time"
+            value={draft.close}
+            onChange={(e) => setDraft({ ...draft, close: e.target.value })}
+            aria-label="Special hours close"
+            style={timeInputStyle}
+          />
+          <button type="submit" className="nav-link">
+            Add closure
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+const hoursRowStyle = {
+  display: "grid",
+  gridTemplateColumns: "120px 1fr auto",
+  gap: 10,
+  alignItems: "center",
+  padding: "8px 10px",
+  borderRadius: 10,
+  border: "1px solid rgba(0,0,0,0.06)",
+};
+
+const shiftErrorStyle = {
+  gridColumn: "1 / -1",
+  color: "var(--color-error)",
+  fontSize: 12,
+};
+
+function SeatingRules({ settings, onChange, error }) {
+  const rules = Array.isArray(settings.durationRules) ? settings.durationRules : [];
+
+  const setRule = (index, patch) => {
+    onChange({ durationRules: rules.map((r, i) => (i === index ? { ...r, ...patch } : r)) });
+  };
+
+  const addRule = () => {
+    // Insert before the open-ended bracket so "any larger party" stays last
+    const last = rules[rules.length - 1];
+    const bounded = rules.filter((r) => r.maxSize !== null && r.maxSize !== undefined);
+    const prevMax = bounded.length ? Number(bounded[bounded.length - 1].maxSize) : 0;
+    const next = { maxSize: prevMax + 2, minutes: Number(last?.minutes) || 120 };
+    const openEnded = last && (last.maxSize === null || last.maxSize === undefined);
+    onChange({
+      durationRules: openEnded ? [...rules.slice(0, -1), next, last] : [...rules, next],
+    });
+  };
+
+  const removeRule = (index) => {
+    onChange({ durationRules: rules.filter((_, i) => i !== index) });
+  };
+
+  return (
+    <div style={cardStyle}>
+      <h3 style={{ marginTop: 0, marginBottom: 4 }}>Seating durations &amp; capacity</h3>
+      <p style={{ color: "#6B7280", fontSize: 12, marginTop: 0 }}>
+        Default time a party holds its table, by party size. Used on every device to size calendar
+        blocks and detect overlapping bookings.
+      </p>
+      {error && (
+        <div role="alert" style={{ ...saveErrorStyle, marginBottom: 8 }}>
+          {error}
+        </div>
+      )}
+      <div style={{ display: "grid", gap: 6 }}>
+        {rules.map((rule, i) => {
+          const openEnded = rule.maxSize === null || rule.maxSize === undefined;
+          return (
+            <div key={i} style={ruleRowStyle}>
+              <label style={{ display: "flex", gap: 6, alignItems: "center", fontSize: 13 }}>
+                Up to
+                <input
+                  type="number"
+                  min="1"
+                  value={openEnded ? "" : rule.maxSize}
+                  placeholder="any"
+                  onChange={(e) =>
+                    setRule(i, { maxSize: e.target.value === "" ? null : Number(e.target.value) })
+                  }
+                  aria-label={`Party size limit for rule ${i + 1}`}
+                  style={numberInputStyle}
+                />
+                guests
+              </label>
+              <label style={{ display: "flex", gap: 6, alignItems: "center", fontSize: 13 }}>
+                <input
+                  type="number"
+                  min="15"
+                  step="15"
+                  value={rule.minutes}
+                  onChange={(e) => setRule(i, { minutes: Number(e.target.value) || 0 })}
+                  aria-label={`Minutes for rule ${i + 1}`}
+                  style={numberInputStyle}
+                />
+                minutes
+              </label>
+              <button type="button" className="nav-link" onClick={() => removeRule(i)}>
+                Remove
+              </button>
+            </div>
+          );
+        })}
+      </div>
+      <button type="button" className="nav-link" onClick={addRule} style={{ marginTop: 8 }}>
+        Add bracket
+      </button>
+
+      <label
+        style={{ display: "flex", gap: 8, alignItems: "center", marginTop: 16, fontWeight: 600, fontSize: 13 }}
+      >
+        Max guests seated at once
+        <input
+          type="number"
+          min="0"
+          value={settings.maxCovers || 0}
+          onChange={(e) => onChange({ maxCovers: Math.max(0, Number(e.target.value) || 0) })}
+          style={numberInputStyle}
+        />
+      </label>
+      <p style={{ color: "#6B7280", fontSize: 12 }}>
+        Set to 0 to use the total capacity of all tables.
+      </p>
+
+      <label style={{ display: "flex", gap: 8, alignItems: "center", fontWeight: 600, fontSize: 13 }}>
+        Offer booking slots every
+        <select
+          value={settings.slotIntervalMinutes || 30}
+          onChange={(e) => onChange({ slotIntervalMinutes: Number(e.target.value) })}
+          style={numberInputStyle}
+        >
+          {[15, 30, 60].map((m) => (
+            <option key={m} value={m}>
+              {m}
+            </option>
+          ))}
+        </select>
+        minutes
+      </label>
+    </div>
+  );
+}
+
+const ruleRowStyle = {
+  display: "grid",
+  gridTemplateColumns: "1fr 1fr auto",
+  gap: 10,
+  alignItems: "center",
+  padding: "8px 10px",
+  borderRadius: 10,
+  border: "1px solid rgba(0,0,0,0.06)",
+};
+
+const numberInputStyle = {
+  width: 72,
+  padding: "6px 8px",
+  borderRadius: 8,
+  border: "1px solid rgba(0,0,0,0.12)",
+  background: "var(--color-surface)",
+  color: "var(--color-text)",
+};
+
+const timeInputStyle = { ...numberInputStyle, width: "auto" };
+
+const venueLabelStyle = {
+  display: "flex",
+  gap: 8,
+  alignItems: "center",
+  marginTop: 12,
+  fontWeight: 600,
+  fontSize: 13,
+};
+
+// Day index (0 = Sunday) and label for the calendar's first day of the week
+const WEEK_START_OPTIONS = [
+  [1, "Monday"],
+  [0, "Sunday"],
+  [6, "Saturday"],
+];
+
 function ListRow({ label, value }) {
   return (
     <div
@@ -216,6 +687,13 @@ function ListRow({ label, value }) {
   );
 }
 
+/** "HH:mm" for minutes after midnight; midnight at the end of the day is "00:00". */
+function hhmm(minutes) {
+  const m = minutes % (24 * 60);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${pad(Math.floor(m / 60))}:${pad(m % 60)}`;
+}
+
 function deriveWsFromApi(apiBase) {
   if (!apiBase) return "";
   try {
@@ -0,0 +1,232 @@
+import React, { useMemo, useState } from "react";
+import { Link } from "react-router-dom";
+import useTables from "../hooks/useTables";
+import Toast from "../components/Toast";
+
+/**
+ * Tables settings page
+ * Lists the venue's tables grouped by section and lets staff add, resize or remove tables.
+ *
+ * PUBLIC_INTERFACE
+ */
+export default function Tables() {
+  const { tables, loading, error, create, update, remove } = useTables();
+  const [draft, setDraft] = useState({ name: "", capacity: 2, section: "" });
+  const [formError, setFormError] = useState("");
+  const [saving, setSaving] = useState(false);
+  const [toast, setToast] = useState(null);
+
+  const sections = useMemo(() => {
+    const map = new Map();
+    tables.forEach((t) => {
+      const key = t.section || "Unassigned";
+      if (!map.has(key)) map.set(key, []);
+      map.get(key).push(t);
+    });
+    map.forEach((list) =>
+      list.sort((a, b) => String(a.name || "").localeCompare(String(b.name || ""), undefined, { numeric: true }))
+    );
+    return [...map.entries()].sort(([a], [b]) => a.localeCompare(b));
+  }, [tables]);
+
+  const totalSeats = useMemo(
+    () => tables.reduce((sum, t) => sum + (Number(t.capacity) || 0), 0),
+    [tables]
+  );
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    const name = draft.name.trim();
+    const capacity = Number(draft.capacity);
+    if (!name) {
+      setFormError("Table name is required");
+      return;
+    }
+    if (!Number.isInteger(capacity) || capacity < 1 || capacity > 50) {
+      setFormError("Capacity must be a whole number between 1 and 50");
+      return;
+    }
+    setFormError("");
+    setSaving(true);
+    try {
+      await create({ name, capacity, section: draft.section.trim() || undefined });
+      setDraft((d) => ({ ...d, name: "" }));
+      setToast({ message: `Table ${name} added`, type: "success" });
+    } catch (err) {
+      setToast({ message: err?.message || "Failed to add table", type: "error" });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCapacity = async (table, value) => {
+    const capacity = Number(value);
+    if (!Number.isInteger(capacity) || capacity < 1 || capacity === Number(table.capacity)) return;
+    try {
+      await update(table.id, { capacity });
+    } catch (err) {
+      setToast({ message: err?.message || "Failed to update table", type: "error" });
+    }
+  };
+
+  const handleRemove = async (table) => {
+    try {
+      await remove(table.id);
+      setToast({ message: `Table ${table.name || table.id} removed`, type: "success" });
+    } catch (err) {
+      setToast({ message: err?.message || "Failed to remove table", type: "error" });
+    }
+  };
+
+  return (
+    <div className="page-container">
+      <header className="page-header">
+        <h1 className="page-title">Tables</h1>
+        <p className="page-subtitle">
+          Seating layout and capacity · <Link to="/settings">Back to settings</Link>
+        </p>
+      </header>
+
+      <section className="page-content" style={{ display: "grid", gap: 16 }}>
+        <form onSubmit={handleCreate} style={cardStyle} aria-label="Add table">
+          <h3 style={{ marginTop: 0, marginBottom: 8 }}>Add table</h3>
+          {formError && (
+            <div role="alert" style={{ color: "var(--color-error)", marginBottom: 8 }}>
+              {formError}
+            </div>
+          )}
+          <div style={{ display: "flex", flexWrap: "wrap", gap: 8, alignItems: "end" }}>
+            <label style={fieldStyle}>
+              Name
+              <input
+                value={draft.name}
+                onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+                placeholder="e.g., T12"
+                style={inputStyle}
+              />
+            </label>
+            <label style={fieldStyle}>
+              Capacity
+              <input
+                type="number"
+                min="1"
+                max="50"
+                value={draft.capacity}
+                onChange={(e) => setDraft({ ...draft, capacity: e.target.value })}
+                style={inputStyle}
+              />
+            </label>
+            <label style={fieldStyle}>
+              Section
+              <input
+                value={draft.section}
+                onChange={(e) => setDraft({ ...draft, section: e.target.value })}
+                placeholder="e.g., Terrace"
+                list="table-sections"
+                style={inputStyle}
+              />
+              <datalist id="table-sections">
+                {sections.map(([name]) => (
+                  <option key={name} value={name} />
+                ))}
+              </datalist>
+            </label>
+            <button type="submit" className="nav-link" disabled={saving}>
+              {saving ? "Adding..." : "Add table"}
+            </button>
+          </div>
+        </form>
+
+        <div style={cardStyle}>
+          <h3 style={{ marginTop: 0, marginBottom: 4 }}>Layout</h3>
+          <p style={{ color: "#6B7280", fontSize: 12, marginTop: 0 }}>
+            {tables.length} tables · {totalSeats} seats
+          </p>
+          {error && (
+            <div style={{ color: "var(--color-error)", marginBottom: 8 }}>
+              Error: {error?.message || "Failed to load tables"}
+            </div>
+          )}
+          {loading && tables.length === 0 ? (
+            <p style={{ color: "#6B7280", margin: 0 }}>Loading...</p>
+          ) : tables.length === 0 ? (
+            <p style={{ color: "#6B7280", margin: 0 }}>No tables yet.</p>
+          ) : (
+            sections.map(([section, list]) => (
+              <div key={section} style={{ marginBottom: 12 }}>
+                <div style={{ fontWeight: 700, marginBottom: 6 }}>
+                  {section}{" "}
+                  <span style={{ color: "#6B7280", fontWeight: 600, fontSize: 12 }}>
+                    ({list.reduce((sum, t) => sum + (Number(t.capacity) || 0), 0)} seats)
+                  </span>
+                </div>
+                <div style={{ display: "grid", gap: 6 }}>
+                  {list.map((t) => (
+                    <div key={t.id} style={rowStyle}>
+                      <span style={{ fontWeight: 600 }}>{t.name || `Table ${t.id}`}</span>
+                      <label style={{ display: "flex", gap: 6, alignItems: "center", fontSize: 13 }}>
+                        Seats
+                        <input
+                          type="number"
+                          min="1"
+                          max="50"
+                          defaultValue={t.capacity}
+                          onBlur={(e) => handleCapacity(t, e.target.value)}
+                          aria-label={`Capacity of ${t.name || t.id}`}
+                          style={{ ...inputStyle, width: 72 }}
+                        />
+                      </label>
+                      <button className="nav-link" onClick={() => handleRemove(t)}>
+                        Remove
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            ))
+          )}
+        </div>
+      </section>
+
+      {toast && (
+        <Toast message={toast.message} type={toast.type} onClose={() => setToast(null)} />
+      )}
+    </div>
+  );
+}
+
+const cardStyle = {
+  background: "var(--color-surface)",
+  border: "1px solid rgba(0,0,0,0.06)",
+  borderRadius: 14,
+  padding: 16,
+  boxShadow: "0 8px 24px rgba(31,41,55,0.08)",
+};
+
+const fieldStyle = {
+  display: "grid",
+  gap: 4,
+  fontWeight: 600,
+  fontSize: 13,
+};
+
+const rowStyle = {
+  display: "grid",
+  gridTemplateColumns: "1fr auto auto",
+  gap: 10,
+  alignItems: "center",
+  padding: "8px 10px",
+  borderRadius: 10,
+  border: "1px solid rgba(0,0,0,0.06)",
+};
+
+const inputStyle = {
+  width: "100%",
+  padding: "8px 10px",
+  borderRadius: 10,
+  border: "1px solid rgba(0,0,0,0.12)",
+  background: "var(--color-surface)",
+  color: "var(--color-text)",
+  outline: "none",
+  boxShadow: "0 2px 8px rgba(31,41,55,0.05)",
+};
@@ -0,0 +1,406 @@
+import React, { useEffect, useMemo, useState } from "react";
+import useWaitlist from "../hooks/useWaitlist";
+import useReservations from "../hooks/useReservations";
+import useTables from "../hooks/useTables";
+import useVenueSettings from "../hooks/useVenueSettings";
+import SmsModal from "../components/SmsModal";
+import Toast from "../components/Toast";
+import { checkSlot } from "../utils/availability";
+import { effectiveMaxCovers } from "../utils/seating";
+import { expandSeries } from "../utils/recurrence";
+import { fromZonedTime, toZonedRows, venueTimeZone, zonedNow } from "../utils/timezone";
+import {
+  entryIdOf,
+  isOverdue,
+  moveInQueue,
+  sortQueue,
+  suggestQuote,
+  waitedMinutes,
+} from "../utils/waitlist";
+
+/**
+ * Waitlist page
+ * Walk-in queue: add parties with a quoted wait, reorder the line, text parties when their
+ * table is ready and convert an entry into a reservation seated now.
+ *
+ * PUBLIC_INTERFACE
+ */
+export default function Waitlist() {
+  const { entries, loading, error, add, remove, reorder, notify, seat } = useWaitlist();
+  const { tables } = useTables();
+  const [venue] = useVenueSettings();
+  const timeZone = venueTimeZone(venue);
+  // Today's bookings (the venue's today) drive quotes and table suggestions
+  const [today] = useState(() => {
+    const from = zonedNow(timeZone);
+    from.setHours(0, 0, 0, 0);
+    const to = new Date(from);
+    to.setDate(to.getDate() + 1);
+    return { from, to };
+  });
+  const todayQuery = useMemo(
+    () => ({
+      from: fromZonedTime(today.from, timeZone).toISOString(),
+      to: fromZonedTime(today.to, timeZone).toISOString(),
+    }),
+    [today, timeZone]
+  );
+  const {
+    data,
+    create: createReservation,
+    update: updateReservation,
+    remove: deleteReservation,
+    sendSms,
+  } = useReservations({
+    initialQuery: todayQuery,
+    pollIntervalMs: 60000,
+    enableWebsocket: false,
+    includeSeries: true,
+  });
+  // Standing bookings occupy tables like any other reservation today
+  const reservations = useMemo(
+    () => expandSeries(toZonedRows(data, timeZone), { from: today.from, to: today.to }),
+    [data, timeZone, today]
+  );
+
+  // Walk-ins are booked through the same hook, so today's list picks them up immediately
+  const reservationActions = { createReservation, updateReservation, deleteReservation, sendSms };
+
+  const [draft, setDraft] = useState(EMPTY_DRAFT);
+  const [formError, setFormError] = useState("");
+  const [saving, setSaving] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+  const [smsEntry, setSmsEntry] = useState(null);
+  const [toast, setToast] = useState(null);
+
+  // Re-render periodically so waited minutes stay current
+  const [now, setNow] = useState(() => Date.now());
+  useEffect(() => {
+    const t = setInterval(() => setNow(Date.now()), 30000);
+    return () => clearInterval(t);
+  }, []);
+
+  const queue = useMemo(() => sortQueue(entries), [entries]);
+  const waitingGuests = queue.reduce((sum, e) => sum + (Number(e.size) || 0), 0);
+  const seatingContext = useMemo(
+    () => ({
+      tables,
+      reservations,
+      maxCovers: effectiveMaxCovers(venue, tables),
+      rules: venue.durationRules,
+    }),
+    [tables, reservations, venue]
+  );
+
+  const suggested = useMemo(
+    () =>
+      suggestQuote({
+        size: Number(draft.size) || 1,
+        ahead: queue.length,
+        now: zonedNow(timeZone, new Date(now)),
+        ...seatingContext,
+      }),
+    [draft.size, queue.length, now, timeZone, seatingContext]
+  );
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    const guestName = draft.guestName.trim();
+    const size = Number(draft.size);
+    const quotedMinutes = draft.quotedMinutes === "" ? suggested : Number(draft.quotedMinutes);
+    if (guestName.length < 2) {
+      setFormError("Guest name must be at least 2 characters");
+      return;
+    }
+    if (!Number.isInteger(size) || size < 1 || size > 20) {
+      setFormError("Party size must be between 1 and 20");
+      return;
+    }
+    setFormError("");
+    setSaving(true);
+    try {
+      await add({
+        guestName,
+        phone: draft.phone.trim() || undefined,
+        size,
+        quotedMinutes: quotedMinutes || undefined,
+        notes: draft.notes.trim() || undefined,
+        position: queue.length + 1,
+      });
+      setDraft(EMPTY_DRAFT);
+      setToast({ message: `${guestName} added to the waitlist`, type: "success" });
+    } catch (err) {
+      setToast({ message: err?.message || "Failed to add to waitlist", type: "error" });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleMove = async (entry, delta) => {
+    const next = moveInQueue(queue, entryIdOf(entry), delta);
+    if (next === queue) return;
+    try {
+      await reorder(next);
+    } catch (err) {
+      setToast({ message: err?.message || "Failed to reorder waitlist", type: "error" });
+    }
+  };
+
+  const handleSeat = async (entry) => {
+    const id = entryIdOf(entry);
+    const size = Number(entry.size || entry.partySize) || 1;
+    const slot = checkSlot({ size, time: zonedNow(timeZone).toISOString() }, seatingContext);
+    setBusyId(id);
+    try {
+      await seat(id, slot.tableIds ? { tableIds: slot.tableIds } : {}, reservationActions);
+      setToast({ message: `${entry.guestName || "Party"} seated`, type: "success" });
+    } catch (err) {
+      setToast({ message: err?.message || "Failed to seat party", type: "error" });
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleRemove = async (entry) => {
+    const id = entryIdOf(entry);
+    setBusyId(id);
+    try {
+      await remove(id, reservationActions);
+    } catch (err) {
+      setToast({ message: err?.message || "Failed to remove entry", type: "error" });
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleNotify = async (message) => {
+    try {
+      await notify(entryIdOf(smsEntry), message, reservationActions);
+      setToast({ message: "SMS sent successfully", type: "success" });
+    } catch (err) {
+      setToast({ message: err?.message || "Failed to send SMS", type: "error" });
+      throw err;
+    }
+  };
+
+  return (
+    <div className="page-container">
+      <header className="page-header">
+        <h1 className="page-title">Waitlist</h1>
+        <p className="page-subtitle">Walk-ins and quoted waits</p>
+      </header>
+
+      <section className="page-content" style={{ display: "grid", gap: 16 }}>
+        <form onSubmit={handleAdd} style={cardStyle} aria-label="Add to waitlist">
+          <h3 style={{ marginTop: 0, marginBottom: 8 }}>Add party</h3>
+          {formError && (
+            <div role="alert" style={{ color: "var(--color-error)", marginBottom: 8 }}>
+              {formError}
+            </div>
+          )}
+          <div style={{ display: "flex", flexWrap: "wrap", gap: 8, alignItems: "end" }}>
+            <label style={fieldStyle}>
+              Guest name
+              <input
+                value={draft.guestName}
+                onChange={(e) => setDraft({ ...draft, guestName: e.target.value })}
+                placeholder="e.g., Jane Doe"
+                style={inputStyle}
+              />
+            </label>
+            <label style={fieldStyle}>
+              Phone
+              <input
+                type="tel"
+                value={draft.phone}
+                onChange={(e) => setDraft({ ...draft, phone: e.target.value })}
+                placeholder="For the ready text"
+                style={inputStyle}
+              />
+            </label>
+            <label style={fieldStyle}>
+              Party
+              <input
+                type="number"
+                min="1"
+                max="20"
+                value={draft.size}
+                onChange={(e) => setDraft({ ...draft, size: e.target.value })}
+                style={{ ...inputStyle, width: 80 }}
+              />
+            </label>
+            <label style={fieldStyle}>
+              Quoted wait (min)
+              <input
+                type="number"
+                min="0"
+                step="5"
+                value={draft.quotedMinutes}
+                onChange={(e) => setDraft({ ...draft, quotedMinutes: e.target.value })}
+                placeholder={suggested ? String(suggested) : "—"}
+                style={{ ...inputStyle, width: 120 }}
+              />
+            </label>
+            <label style={{ ...fieldStyle, flex: 1, minWidth: 180 }}>
+              Notes
+              <input
+                value={draft.notes}
+                onChange={(e) => setDraft({ ...draft, notes: e.target.value })}
+                placeholder="High chair, booth..."
+                style={inputStyle}
+              />
+            </label>
+            <button type="submit" className="nav-link" disabled={saving}>
+              {saving ? "Adding..." : "Add to waitlist"}
+            </button>
+          </div>
+          <p style={{ color: "#6B7280", fontSize: 12, marginBottom: 0 }}>
+            {suggested
+              ? `Suggested quote: ${suggested} min (${queue.length} ahead). Leave blank to use it.`
+              : "No table frees up in the next 4 hours for this party size."}
+          </p>
+        </form>
+
+        <div style={cardStyle}>
+          <h3 style={{ marginTop: 0, marginBottom: 4 }}>In line</h3>
+          <p style={{ color: "#6B7280", fontSize: 12, marginTop: 0 }}>
+            {queue.length} parties · {waitingGuests} guests
+          </p>
+          {error && (
+            <div style={{ color: "var(--color-error)", marginBottom: 8 }}>
+              Error: {error?.message || "Failed to load waitlist"}
+            </div>
+          )}
+          {loading && queue.length === 0 ? (
+            <p style={{ color: "#6B7280", margin: 0 }}>Loading...</p>
+          ) : queue.length === 0 ? (
+            <p style={{ color: "#6B7280", margin: 0 }}>Nobody is waiting.</p>
+          ) : (
+            <ol style={{ listStyle: "none", margin: 0, padding: 0, display: "grid", gap: 6 }}>
+              {queue.map((entry, i) => {
+                const id = entryIdOf(entry);
+                const overdue = isOverdue(entry, now);
+                const busy = busyId === id;
+                return (
+                  <li key={id} style={rowStyle}>
+                    <span style={{ fontWeight: 800, color: "#6B7280" }}>#{i + 1}</span>
+                    <div>
+                      <div style={{ fontWeight: 600 }}>
+                        {entry.guestName || entry.name || "Guest"} · party of {entry.size || "?"}
+                        {entry.status === "notified" && <span style={notifiedPillStyle}>notified</span>}
+                      </div>
+                      <div style={{ fontSize: 12, color: overdue ? "var(--color-error)" : "#6B7280" }}>
+                        Waited {waitedMinutes(entry, now)} min
+                        {entry.quotedMinutes ? ` of ${entry.quotedMinutes} quoted` : ""}
+                        {entry.phone ? ` · ${entry.phone}` : ""}
+                        {entry.notes ? ` · ${entry.notes}` : ""}
+                      </div>
+                    </div>
+                    <div style={{ display: "flex", flexWrap: "wrap", gap: 6, justifyContent: "flex-end" }}>
+                      <button
+                        className="nav-link"
+                        onClick={() => handleMove(entry, -1)}
+                        disabled={i === 0}
+                        aria-label={`Move ${entry.guestName || "party"} up`}
+                      >
+                        ↑
+                      </button>
+                      <button
+                        className="nav-link"
+                        onClick={() => handleMove(entry, 1)}
+                        disabled={i === queue.length - 1}
+                        aria-label={`Move ${entry.guestName || "party"} down`}
+                      >
+                        ↓
+                      </button>
+                      <button
+                        className="nav-link"
+                        onClick={() => setSmsEntry(entry)}
+                        disabled={!entry.phone || busy}
+                        title={entry.phone ? undefined : "No phone number"}
+                      >
+                        Notify
+                      </button>
+                      <button className="nav-link" onClick={() => handleSeat(entry)} disabled={busy}>
+                        {busy ? "Working..." : "Seat"}
+                      </button>
+                      <button className="nav-link" onClick={() => handleRemove(entry)} disabled={busy}>
+                        Remove
+                      </button>
+                    </div>
+                  </li>
+                );
+              })}
+            </ol>
+          )}
+        </div>
+      </section>
+
+      <SmsModal
+        open={!!smsEntry}
+        onClose={() => setSmsEntry(null)}
+        onSend={handleNotify}
+        guestName={smsEntry?.guestName}
+        phone={smsEntry?.phone}
+        defaultMessage={readyMessage(smsEntry)}
+      />
+
+      {toast && (
+        <Toast message={toast.message} type={toast.type} onClose={() => setToast(null)} />
+      )}
+    </div>
+  );
+}
+
+const EMPTY_DRAFT = { guestName: "", phone: "", size: 2, quotedMinutes: "", notes: "" };
+
+function readyMessage(entry) {
+  const name = entry?.guestName || entry?.name || "guest";
+  return `Hello ${name}, your table is ready! Please come to the host stand.`;
+}
+
+const cardStyle = {
+  background: "var(--color-surface)",
+  border: "1px solid rgba(0,0,0,0.06)",
+  borderRadius: 14,
+  padding: 16,
+  boxShadow: "0 8px 24px rgba(31,41,55,0.08)",
+};
+
+const fieldStyle = {
+  display: "grid",
+  gap: 4,
+  fontWeight: 600,
+  fontSize: 13,
+};
+
+const rowStyle = {
+  display: "grid",
+  gridTemplateColumns: "40px 1fr auto",
+  gap: 10,
+  alignItems: "center",
+  padding: "8px 10px",
+  borderRadius: 10,
+  border: "1px solid rgba(0,0,0,0.06)",
+};
+
+const notifiedPillStyle = {
+  marginLeft: 8,
+  padding: "2px 8px",
+  borderRadius: 999,
+  background: "rgba(16,185,129,0.15)",
+  color: "var(--color-success)",
+  fontSize: 11,
+  fontWeight: 700,
+};
+
+const inputStyle = {
+  width: "100%",
+  padding: "8px 10px",
+  borderRadius: 10,
+  border: "1px solid rgba(0,0,0,0.12)",
+  background: "var(--color-surface)",
+  color: "var(--color-text)",
+  outline: "none",
+  boxShadow: "0 2px 8px rgba(31,41,55,0.05)",
+};
@@ -1,13 +1,55 @@
-import React, { useMemo, useState } from "react";
-import { Routes, Route } from "react-router-dom";
+import React, { useCallback, useEffect, useMemo, useState } from "react";
+import {
+  Link,
+  Routes,
+  Route,
+  useLocation,
+  useNavigate,
+  useParams,
+  useSearchParams,
+} from "react-router-dom";
 import useFeatureFlags from "./hooks/useFeatureFlags";
 import useReservations from "./hooks/useReservations";
+import useReservationSeries from "./hooks/useReservationSeries";
+import useReservationDetail from "./hooks/useReservationDetail";
+import useRangeReservations from "./hooks/useRangeReservations";
+import useBulkCalendarSync from "./hooks/useBulkCalendarSync";
 import ReservationForm from "./components/ReservationForm";
 import ReservationList from "./components/ReservationList";
 import ReservationCalendar from "./components/ReservationCalendar";
+import NoShowPrompt from "./components/NoShowPrompt";
+import ReservationDrawer from "./components/ReservationDrawer";
+import NewReservationModal from "./components/NewReservationModal";
+import IcsExportModal from "./components/IcsExportModal";
+import ImportReservationsModal from "./components/ImportReservationsModal";
+import ExportReservationsModal from "./components/ExportReservationsModal";
+import BulkSyncPanel from "./components/BulkSyncPanel";
+import SeriesScopeModal from "./components/SeriesScopeModal";
+import TimeZoneNotice from "./components/TimeZoneNotice";
 import Toast from "./components/Toast";
 import Dashboard from "./pages/Dashboard";
 import Settings from "./pages/Settings";
+import Tables from "./pages/Tables";
+import Waitlist from "./pages/Waitlist";
+import Guests from "./pages/Guests";
+import RunSheet from "./pages/RunSheet";
+import useTables from "./hooks/useTables";
+import { useVenueSettings } from "./hooks/useVenueSettings";
+import { listReservationsWithSeries } from "./api/reservations";
+import { calendarParams, parseCalendarParams, startOfDay, viewRange } from "./utils/calendar";
+import { buildICalendar, ICS_CONTENT_TYPE, icsFileName } from "./utils/ical";
+import { downloadFile } from "./utils/download";
+import { dateKey } from "./utils/openingHours";
+import { expandSeries } from "./utils/recurrence";
+import { reservationIdOf, reservationTimeOf, unwrapReservation } from "./utils/reservationIds";
+import {
+  fromZonedReservation,
+  fromZonedTime,
+  toZonedRows,
+  toZonedTime,
+  venueTimeZone,
+  zonedNow,
+} from "./utils/timezone";
 
 /**
  * App-scoped container to provide a consistent page layout.
@@ -36,13 +78,30 @@ export function ReservationsPage() {
     isEnabled("calendarView") ? "calendar" : "list"
   );
 
+  // Filters live in the URL so a filtered view can be bookmarked or shared
+  const [searchParams, setSearchParams] = useSearchParams();
+  const filters = useMemo(() => filtersFromParams(searchParams), [searchParams]);
+  // Everything on this page (rows, inputs, filters, "today") is in the venue's time zone
+  const [venue] = useVenueSettings();
+  const timeZone = venueTimeZone(venue);
+  const listQuery = useMemo(() => toListQuery(filters, timeZone), [filters, timeZone]);
+  // So do the calendar's view and date (?view=day&date=2030-01-10)
+  const calendar = useMemo(
+    () => parseCalendarParams(searchParams, zonedNow(timeZone)),
+    [searchParams, timeZone]
+  );
+
   const {
-    data,
+    data: storedRows,
     loading,
     error,
     refresh,
-    create,
-    update,
+    loadMore,
+    hasMore,
+    loadingMore,
+    total,
+    create: createStored,
+    update: updateStored,
     remove,
     sendSms,
     generateReceipt,
@@ -51,21 +110,197 @@ export function ReservationsPage() {
     startPolling,
     stopPolling,
     setQuery,
+    appliedQuery,
   } = useReservations({
     pollIntervalMs: pollMs,
-    initialQuery: {},
+    initialQuery: listQuery,
     enableWebsocket: isEnabled("realtime_ws") || experimentsEnabled,
+    includeSeries: true,
+  });
+
+  const { tables } = useTables();
+
+  // Rows are zoned on the way in; times written back are converted to real instants
+  const data = useMemo(() => toZonedRows(storedRows, timeZone), [storedRows, timeZone]);
+  const create = useCallback(
+    (payload) => createStored(fromZonedReservation(payload, timeZone)),
+    [createStored, timeZone]
+  );
+  const update = useCallback(
+    (id, changes) => updateStored(id, fromZonedReservation(changes, timeZone)),
+    [updateStored, timeZone]
+  );
+
+  // Recurring series are expanded over the filtered range (or the coming weeks by default)
+  const seriesWindow = useMemo(() => expansionWindow(listQuery, timeZone), [listQuery, timeZone]);
+  const listSeries = useReservationSeries({
+    reservations: data,
+    create,
+    update,
+    remove,
+    ...seriesWindow,
   });
+  const rows = listSeries.rows;
+
+  // The calendar shows everything in its period, whatever the list filters, so it loads (and
+  // expands series over) that period itself; it is reloaded after each change made here
+  const showCalendar = isEnabled("calendarView") && viewMode === "calendar";
+  const calendarRange = useMemo(
+    () => (showCalendar ? viewRange(calendar.view, calendar.date, venue.weekStartsOn) : null),
+    [showCalendar, calendar, venue.weekStartsOn]
+  );
+  const calendarLoad = useRangeReservations(calendarRange?.start, calendarRange?.end, {
+    timeZone,
+  });
+  const calendarSeries = useReservationSeries({
+    reservations: calendarLoad.stored,
+    create,
+    update,
+    remove,
+    from: calendarRange?.start.toISOString(),
+    to: calendarRange?.end.toISOString(),
+  });
+  const refreshCalendar = calendarLoad.refresh;
+  // Occurrences resolve to their series in the view they were picked from
+  const { seriesRowOf, updateOccurrence, removeOccurrence } = showCalendar
+    ? calendarSeries
+    : listSeries;
+  const viewRows = showCalendar ? calendarSeries.rows : rows;
+  // A stored override replaces the occurrence, which the calendar only learns by reloading
+  const materialize = async (id) => {
+    const storedId = await (showCalendar ? calendarSeries : listSeries).materialize(id);
+    if (storedId !== id) refreshCalendar();
+    return storedId;
+  };
+
+  // Detail drawer, deep-linkable as /reservations/:id (the list/calendar stay underneath)
+  const { id: detailId } = useParams();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const detail = useReservationDetail(detailId, { reservations: viewRows, timeZone });
+  const openDetail = (r) => {
+    const id = reservationIdOf(r);
+    if (id != null) navigate(`/reservations/${encodeURIComponent(id)}${location.search}`);
+  };
+  const closeDetail = () => navigate(`/reservations${location.search}`);
+  // A deep-linked reservation outside the loaded rows is not updated by useReservations
+  const updateFromDrawer = async (id, updates, options) => {
+    const res = await safeUpdate(id, updates, options);
+    const saved = unwrapReservation(res);
+    if (saved && reservationIdOf(saved) != null) detail.applySaved(saved);
+    else detail.refresh();
+    return res;
+  };
+
+  // Booking started from an empty calendar slot: { time, durationMinutes? }
+  const [newSlot, setNewSlot] = useState(null);
+
+  // Calendar file export: { reservations? } from the list or { from, to } from the calendar
+  const [icsExport, setIcsExport] = useState(null);
 
-  const [toast, setToast] = useState(null); // { message, type }
+  const downloadIcs = (list, label) => {
+    const text = buildICalendar(list, { timeZone, rules: venue.durationRules, tables });
+    downloadFile(text, icsFileName(label), ICS_CONTENT_TYPE);
+  };
+
+  const downloadReservationIcs = (r) => {
+    const when = new Date(reservationTimeOf(r));
+    const day = isNaN(when.getTime()) ? "" : `-${dateKey(when)}`;
+    downloadIcs([r], `reservation-${r.guestName || r.name || "guest"}${day}`);
+  };
+
+  // Every reservation starting in [from, to) (zoned days), fetched beyond the loaded rows
+  const loadRange = async (from, to) => {
+    const stored = await listReservationsWithSeries({
+      from: fromZonedTime(from, timeZone).toISOString(),
+      to: fromZonedTime(to, timeZone).toISOString(),
+    });
+    return expandSeries(toZonedRows(stored, timeZone), { from, to }).filter((r) => {
+      const t = new Date(reservationTimeOf(r)).getTime();
+      return t >= from.getTime() && t < to.getTime();
+    });
+  };
+
+  // Data export of the rows matching the list filters (null when closed)
+  const [exportRows, setExportRows] = useState(null);
+
+  // Every reservation matching the filters, past the pages loaded so far
+  const loadAllFiltered = async () => {
+    const stored = await listReservationsWithSeries(listQuery);
+    return expandSeries(toZonedRows(stored, timeZone), expansionWindow(listQuery, timeZone));
+  };
+
+  const [toast, setToast] = useState(null); // { message, type, ms, action }
+  const [scopePrompt, setScopePrompt] = useState(null); // { action, guestName, resolve }
+
+  // Resolves to "this" | "future", or null when the user keeps the reservation as it is
+  const askScope = (action, row) =>
+    new Promise((resolve) => {
+      setScopePrompt({ action, guestName: row.guestName || row.name, resolve });
+    });
+
+  const closeScopePrompt = (scope) => {
+    scopePrompt?.resolve(scope);
+    setScopePrompt(null);
+  };
+
+  const showToast = (message, type = "info", ms = 3000, action) => {
+    setToast({ message, type, ms, action });
+  };
+
+  const [importOpen, setImportOpen] = useState(false);
 
-  const showToast = (message, type = "info", ms = 3000) => {
-    setToast({ message, type, ms });
+  // Imported rows appear as they are created; the reload afterwards applies the filters
+  const handleImported = ({ created, failed }) => {
+    refresh();
+    refreshCalendar();
+    showToast(
+      `Imported ${created.length} reservation${created.length === 1 ? "" : "s"}` +
+        (failed.length ? `, ${failed.length} failed` : ""),
+      failed.length ? "error" : "success"
+    );
+  };
+
+  // Mutations are applied optimistically by the hook and rolled back on failure;
+  // surface the failure here so the user knows why the row snapped back.
+  // Occurrences of a recurring series are changed one at a time unless the caller (edit modal)
+  // or the user (when cancelling) picks "this and following".
+  const safeUpdate = async (id, updates, { scope } = {}) => {
+    try {
+      const row = seriesRowOf(id);
+      if (!row) return await update(id, updates);
+      let target = scope || "this";
+      if (!scope && updates?.status === "cancelled") {
+        target = await askScope("Cancel", row);
+        if (!target) return undefined;
+      }
+      return await updateOccurrence(id, updates, target);
+    } catch (e) {
+      showToast(e?.message || "Failed to update reservation", "error");
+      throw e;
+    } finally {
+      refreshCalendar();
+    }
+  };
+
+  const safeRemove = async (id) => {
+    try {
+      const row = seriesRowOf(id);
+      if (!row) return await remove(id);
+      const scope = await askScope("Delete", row);
+      // false tells callers (the detail drawer) that the reservation was kept
+      return scope ? await removeOccurrence(id, scope) : false;
+    } catch (e) {
+      showToast(e?.message || "Failed to delete reservation", "error");
+      throw e;
+    } finally {
+      refreshCalendar();
+    }
   };
 
   const safeSendSms = async (id, message) => {
     try {
-      await sendSms(id, message);
+      await sendSms(await materialize(id), message);
       showToast("SMS sent successfully", "success");
     } catch (e) {
       showToast(e?.message || "Failed to send SMS", "error");
@@ -75,7 +310,7 @@ export function ReservationsPage() {
 
   const safeGenerateReceipt = async (id) => {
     try {
-      const res = await generateReceipt(id);
+      const res = await generateReceipt(await materialize(id));
       showToast("Receipt generated", "success");
       return res;
     } catch (e) {
@@ -86,7 +321,7 @@ export function ReservationsPage() {
 
   const safeCalendarSync = async (id) => {
     try {
-      const res = await calendarSync(id);
+      const res = await calendarSync(await materialize(id));
       // If backend returns event info, surface it
       if (res && typeof res === "object") {
         const status = res.status || "synced";
@@ -106,6 +341,13 @@ export function ReservationsPage() {
     }
   };
 
+  // Bulk calendar sync from the list selection; results are stored on each reservation
+  const bulkSync = useBulkCalendarSync({
+    sync: async (id) => calendarSync(await materialize(id)),
+  });
+  const handleBulkCalendarSync = (list) =>
+    bulkSync.start(list.map((r) => ({ id: reservationIdOf(r), label: syncLabel(r) })));
+
   const onTogglePolling = () => {
     if (isPolling) {
       stopPolling();
@@ -120,24 +362,84 @@ export function ReservationsPage() {
     setSubmitting(true);
     try {
       await create(payload);
+      refreshCalendar();
+    } catch (e) {
+      showToast(e?.message || "Failed to create reservation", "error");
+      throw e;
     } finally {
       setSubmitting(false);
     }
   };
 
-  const handleFilterChange = (filters) => {
-    // Map UI filters to API query params; pass empty strings as undefined to avoid sending empties
-    const query = {
-      from: filters.from || undefined,
-      to: filters.to || undefined,
-      status: filters.status || undefined,
-      search: filters.search || undefined,
-    };
-    setQuery(query);
-    // Trigger refresh but avoid spamming on each keystroke for "search":
-    // Here we rely on backend to use query in subsequent refreshes; keep manual refresh button.
+  // The hook re-fetches (debounced) when the query changes, including back/forward navigation
+  useEffect(() => {
+    setQuery(listQuery);
+  }, [listQuery, setQuery]);
+
+  const handleFilterChange = (next) => {
+    setSearchParams(
+      (prev) => {
+        const params = new URLSearchParams(prev);
+        FILTER_KEYS.forEach((key) => {
+          if (next[key]) params.set(key, next[key]);
+          else params.delete(key);
+        });
+        return params;
+      },
+      { replace: true }
+    );
+  };
+
+  // Drag/resize in the calendar: save the new slot, then offer to put it back
+  const handleReschedule = async (reservation, { changes, undo, warnings = [] }) => {
+    const id = reservationIdOf(reservation);
+    let result;
+    try {
+      result = await safeUpdate(id, changes);
+    } catch {
+      return; // already toasted; the optimistic move has been rolled back
+    }
+    // A moved occurrence is stored as an override with an id of its own
+    const storedId = result != null && typeof result !== "object" ? result : id;
+    const name = reservation.guestName || reservation.name || "Reservation";
+    const when = new Date(changes.time || reservation.time).toLocaleString([], {
+      weekday: "short",
+      hour: "numeric",
+      minute: "2-digit",
+    });
+    showToast(
+      [`Moved ${name} to ${when}`, ...warnings].join(" · "),
+      warnings.length > 0 ? "info" : "success",
+      8000,
+      {
+        label: "Undo",
+        onClick: () =>
+          safeUpdate(storedId, undo).then(
+            () => showToast("Change undone", "info"),
+            () => {}
+          ),
+      }
+    );
+  };
+
+  const handleCalendarNavigate = (next) => {
+    setSearchParams(
+      (prev) => {
+        const params = new URLSearchParams(prev);
+        Object.entries(calendarParams(next)).forEach(([key, value]) => params.set(key, value));
+        return params;
+      },
+      { replace: true }
+    );
   };
 
+  // The run sheet opens on the day the calendar shows, or the venue's today
+  const runSheetDay = showCalendar ? calendar.date : zonedNow(timeZone);
+
+  // Until the server has answered for the current filters, narrow the stale rows locally
+  const serverFiltered =
+    !!appliedQuery && JSON.stringify(appliedQuery) === JSON.stringify(listQuery);
+
   const renderViewTabs = () => {
     if (!isEnabled("calendarView")) return null;
     return (
@@ -186,50 +488,167 @@ export function ReservationsPage() {
 
   return (
     <PageContainer title="Reservations">
+      <TimeZoneNotice style={{ marginBottom: 12 }} />
       <div style={{ marginBottom: 16 }}>
         <h2 style={{ margin: "0 0 8px", fontSize: 18 }}>Create reservation</h2>
-        <ReservationForm onSubmit={handleCreate} submitting={submitting} />
+        <ReservationForm
+          onSubmit={handleCreate}
+          submitting={submitting}
+          tables={tables}
+          reservations={rows}
+        />
       </div>
 
+      <NoShowPrompt
+        reservations={rows}
+        onMarkNoShow={(id) => safeUpdate(id, { status: "no_show" })}
+      />
+
       <div style={{ display: "flex", gap: 8, marginBottom: 12, alignItems: "center" }}>
-        <button className="nav-link" onClick={() => refresh()} disabled={loading}>
+        <button
+          className="nav-link"
+          onClick={() => {
+            refresh();
+            refreshCalendar();
+          }}
+          disabled={loading}
+        >
           {loading ? "Refreshing..." : "Refresh"}
         </button>
         <button className="nav-link" onClick={onTogglePolling}>
           {isPolling ? "Stop polling" : "Start polling"}
         </button>
+        <button className="nav-link" onClick={() => setImportOpen(true)}>
+          Import
+        </button>
+        <Link className="nav-link" to={`/run-sheet?date=${dateKey(runSheetDay)}`}>
+          Print run sheet
+        </Link>
         {renderViewTabs()}
       </div>
 
-      {isEnabled("calendarView") && viewMode === "calendar" ? (
+      {showCalendar ? (
         <ReservationCalendar
-          reservations={data}
-          onSelectReservation={(r) => {
-            // Provide a subtle hint to use list actions
-            const name = r?.guestName || r?.name || "Guest";
-            showToast(`Selected ${name}. Use List view for actions.`, "info", 2500);
-          }}
+          reservations={calendarSeries.rows}
+          tables={tables}
+          onReschedule={handleReschedule}
+          view={calendar.view}
+          date={calendar.date}
+          onNavigate={handleCalendarNavigate}
+          onSelectReservation={openDetail}
+          onCreateSlot={setNewSlot}
+          onExportIcs={setIcsExport}
         />
       ) : (
         <ReservationList
-          reservations={data}
+          reservations={rows}
           loading={loading}
           error={error}
-          onRefresh={refresh}
-          onUpdate={update}
-          onDelete={remove}
+          onRefresh={() => refresh()}
+          onUpdate={safeUpdate}
+          onDelete={safeRemove}
           onSendSms={safeSendSms}
           onGenerateReceipt={safeGenerateReceipt}
           onCalendarSync={safeCalendarSync}
           onFilterChange={handleFilterChange}
+          filters={filters}
+          clientFilter={!serverFiltered}
+          hasMore={hasMore}
+          loadingMore={loadingMore}
+          total={total}
+          onLoadMore={loadMore}
+          tables={tables}
+          onOpenDetails={openDetail}
+          onExportIcs={(list) =>
+            setIcsExport({ reservations: list, from: startOfDay(zonedNow(timeZone)) })
+          }
+          onDownloadIcs={downloadReservationIcs}
+          onExport={setExportRows}
+          onBulkCalendarSync={handleBulkCalendarSync}
         />
       )}
 
+      <NewReservationModal
+        open={!!newSlot}
+        initialValues={newSlot || undefined}
+        onClose={() => setNewSlot(null)}
+        onSubmit={handleCreate}
+        submitting={submitting}
+        tables={tables}
+        reservations={rows}
+      />
+
+      <ReservationDrawer
+        open={detailId != null}
+        {...detail}
+        onClose={closeDetail}
+        onRefresh={detail.refresh}
+        onUpdate={updateFromDrawer}
+        onDelete={safeRemove}
+        onSendSms={safeSendSms}
+        onGenerateReceipt={safeGenerateReceipt}
+        onCalendarSync={safeCalendarSync}
+        onDownloadIcs={downloadReservationIcs}
+        tables={tables}
+        reservations={viewRows}
+      />
+
+      <IcsExportModal
+        open={!!icsExport}
+        reservations={icsExport?.reservations}
+        from={icsExport?.from}
+        to={icsExport?.to}
+        loadRange={loadRange}
+        onDownload={downloadIcs}
+        onClose={() => setIcsExport(null)}
+      />
+
+      <ExportReservationsModal
+        open={!!exportRows}
+        reservations={exportRows || []}
+        filters={filters}
+        hasMore={hasMore}
+        loadAll={loadAllFiltered}
+        tables={tables}
+        rules={venue.durationRules}
+        timeZone={timeZone}
+        onClose={() => setExportRows(null)}
+      />
+
+      <ImportReservationsModal
+        open={importOpen}
+        reservations={rows}
+        loadExisting={loadRange}
+        onCreate={create}
+        timeZone={timeZone}
+        onImported={handleImported}
+        onClose={() => setImportOpen(false)}
+      />
+
+      <BulkSyncPanel
+        items={bulkSync.items}
+        counts={bulkSync.counts}
+        running={bulkSync.running}
+        onRetry={bulkSync.retry}
+        onRetryFailed={bulkSync.retryFailed}
+        onCancel={bulkSync.cancel}
+        onClose={bulkSync.clear}
+      />
+
+      <SeriesScopeModal
+        open={!!scopePrompt}
+        action={scopePrompt?.action}
+        guestName={scopePrompt?.guestName}
+        onChoose={closeScopePrompt}
+        onClose={() => closeScopePrompt(null)}
+      />
+
       {toast && (
         <Toast
           message={toast.message}
           type={toast.type}
           duration={toast.ms}
+          action={toast.action}
           onClose={() => setToast(null)}
         />
       )}
@@ -237,9 +656,65 @@ export function ReservationsPage() {
   );
 }
 
+/** "Ada · Jan 10, 7:00 PM" for the bulk sync panel. */
+function syncLabel(r) {
+  const name = r.guestName || r.name || "Reservation";
+  const when = new Date(reservationTimeOf(r));
+  if (isNaN(when.getTime())) return name;
+  const options = { month: "short", day: "numeric", hour: "numeric", minute: "2-digit" };
+  return `${name} · ${when.toLocaleString([], options)}`;
+}
+
+const FILTER_KEYS = ["from", "to", "status", "search"];
+
+/** Read list filters (as the filter inputs expect them) from URL search params. */
+function filtersFromParams(params) {
+  return FILTER_KEYS.reduce((acc, key) => {
+    acc[key] = params.get(key) || "";
+    return acc;
+  }, {});
+}
+
+// Without a date filter, series are expanded from a week ago through the next 90 days
+const SERIES_PAST_DAYS = 7;
+const SERIES_AHEAD_DAYS = 90;
+
+/** Range (zoned, like the rows) over which recurring series are expanded for the list. */
+function expansionWindow(query, timeZone) {
+  const day = 24 * 60 * 60 * 1000;
+  const start = query.from ? toZonedTime(query.from, timeZone) : zonedNow(timeZone);
+  if (!query.from) start.setHours(0, 0, 0, 0);
+  return {
+    from: query.from
+      ? start.toISOString()
+      : new Date(start.getTime() - SERIES_PAST_DAYS * day).toISOString(),
+    to: query.to
+      ? toZonedTime(query.to, timeZone).toISOString()
+      : new Date(start.getTime() + SERIES_AHEAD_DAYS * day).toISOString(),
+  };
+}
+
+/**
+ * Map UI filters to API query params. Empty values are omitted and datetime-local
+ * values (venue wall clock) are sent as ISO strings so the backend compares absolute instants.
+ */
+function toListQuery(filters, timeZone) {
+  const query = {};
+  const toIso = (v) => {
+    const d = fromZonedTime(new Date(v), timeZone);
+    return isNaN(d.getTime()) ? undefined : d.toISOString();
+  };
+  if (filters.from) query.from = toIso(filters.from);
+  if (filters.to) query.to = toIso(filters.to);
+  if (filters.status) query.status = filters.status;
+  if (filters.search && filters.search.trim()) query.search = filters.search.trim();
+  Object.keys(query).forEach((k) => query[k] === undefined && delete query[k]);
+  return query;
+}
+
 /**
  * AppRoutes configures the route mapping.
- * Includes pages: Dashboard, Reservations, Settings.
+ * Includes pages: Dashboard, Reservations, Waitlist, Settings (and Tables under settings).
  */
 // PUBLIC_INTERFACE
 export default function AppRoutes() {
@@ -247,7 +722,12 @@ export default function AppRoutes() {
     <Routes>
       <Route path="/" element={<Dashboard />} />
       <Route path="/reservations" element={<ReservationsPage />} />
+      <Route path="/reservations/:id" element={<ReservationsPage />} />
+      <Route path="/waitlist" element={<Waitlist />} />
+      <Route path="/guests" element={<Guests />} />
+      <Route path="/run-sheet" element={<RunSheet />} />
       <Route path="/settings" element={<Settings />} />
+      <Route path="/settings/tables" element={<Tables />} />
       <Route path="*" element={<Dashboard />} />
     </Routes>
   );
@@ -0,0 +1,126 @@
+//
+// Availability engine
+// - Enumerate bookable start times for a party on a given day, within its opening shifts
+// - A slot is open when the venue stays under its cover capacity and (when tables are
+//   configured) enough free tables can seat the party for the whole seating window
+// - Suggest the next open slots when the requested time is full
+//
+
+import { closingMinutes, minutesOfDay, shiftsFor } from "./openingHours";
+import { capacityWarnings, durationFor, freeTables, tableIdOf } from "./seating";
+
+export const DEFAULT_SLOT_INTERVAL_MINUTES = 30;
+
+const MINUTE_MS = 60 * 1000;
+
+function atMinutes(day, minutes) {
+  const d = new Date(day);
+  d.setHours(0, minutes, 0, 0);
+  return d;
+}
+
+// PUBLIC_INTERFACE
+export function pickTables(size, tables = []) {
+  /**
+   * Choose tables for a party: the smallest single table that fits, otherwise the fewest
+   * tables (largest first) whose combined capacity fits.
+   * @returns {Object[]|null} null when the tables cannot seat the party
+   */
+  const n = Number(size) || 1;
+  const bySize = [...tables].sort((a, b) => (Number(a.capacity) || 0) - (Number(b.capacity) || 0));
+  const single = bySize.find((t) => (Number(t.capacity) || 0) >= n);
+  if (single) return [single];
+
+  const picked = [];
+  let seats = 0;
+  for (let i = bySize.length - 1; i >= 0 && seats < n; i -= 1) {
+    picked.push(bySize[i]);
+    seats += Number(bySize[i].capacity) || 0;
+  }
+  return seats >= n ? picked : null;
+}
+
+// PUBLIC_INTERFACE
+export function checkSlot(candidate, { tables = [], reservations = [], maxCovers = 0, rules } = {}) {
+  /**
+   * Whether a candidate (size, time, optional durationMinutes/id) can be seated.
+   * @returns {{ available: boolean, reason?: string, tableIds?: string[] }}
+   */
+  if (capacityWarnings(candidate, { reservations, maxCovers, rules }).length > 0) {
+    return { available: false, reason: "Venue at capacity" };
+  }
+  if (tables.length === 0) return { available: true };
+  const fit = pickTables(candidate.size, freeTables(candidate, { tables, reservations, rules }));
+  if (!fit) return { available: false, reason: "No free tables for this party" };
+  return { available: true, tableIds: fit.map(tableIdOf) };
+}
+
+// PUBLIC_INTERFACE
+export function findSlots({
+  date,
+  size,
+  durationMinutes,
+  excludeId,
+  tables = [],
+  reservations = [],
+  maxCovers = 0,
+  rules,
+  hours,
+  intervalMinutes = DEFAULT_SLOT_INTERVAL_MINUTES,
+  now = new Date(),
+} = {}) {
+  /**
+   * Candidate start times for a party on the day of `date`, from each shift's opening until
+   * the last interval before it closes. Past times are skipped.
+   * @param {Object} params
+   * @param {Date|string} params.date - any instant on the requested day
+   * @param {number} params.size - party size
+   * @param {number} [params.durationMinutes] - seating length; defaults from the party size
+   * @param {string|number} [params.excludeId] - reservation being edited (never conflicts with itself)
+   * @param {Object|Object[]|null} [params.hours] - "HH:mm" shift(s) `{ open, close }` overriding the
+   *   venue's opening hours for the day; null when closed
+   * @returns {Array<{ time: Date, available: boolean, reason?: string, tableIds?: string[] }>}
+   */
+  const day = new Date(date);
+  if (isNaN(day.getTime())) return [];
+  const shifts = hours === undefined ? shiftsFor(day) : [].concat(hours || []);
+  const step = Math.max(5, Number(intervalMinutes) || DEFAULT_SLOT_INTERVAL_MINUTES);
+
+  const minutes = Number(durationMinutes) || durationFor(size, rules);
+  const slots = [];
+  shifts.forEach((shift) => {
+    const open = minutesOfDay(shift?.open);
+    const close = closingMinutes(shift?.close);
+    if (open === null || close === null) return;
+    for (let m = open; m <= close - step; m += step) {
+      const time = atMinutes(day, m);
+      if (time.getTime() < now.getTime()) continue;
+      const candidate = { id: excludeId, size, time: time.toISOString(), durationMinutes: minutes };
+      slots.push({ time, ...checkSlot(candidate, { tables, reservations, maxCovers, rules }) });
+    }
+  });
+  return slots;
+}
+
+// PUBLIC_INTERFACE
+export function nextAvailable(params = {}, { count = 3, maxDays = 7 } = {}) {
+  /**
+   * The first `count` open slots at or after `params.date`, looking ahead up to `maxDays` days.
+   * @param {Object} params - same as findSlots; `date` is the requested instant. `hours`, when
+   *   given, applies to every day; otherwise each day uses the venue's opening hours
+   * @param {{ count?: number, maxDays?: number }} [options]
+   * @returns {Array<{ time: Date, tableIds?: string[] }>}
+   */
+  const from = new Date(params.date);
+  if (isNaN(from.getTime())) return [];
+  const found = [];
+  for (let i = 0; i < maxDays && found.length < count; i += 1) {
+    const day = atMinutes(from, i * 24 * 60);
+    findSlots({ ...params, date: day }).forEach((slot) => {
+      if (found.length >= count || !slot.available) return;
+      if (slot.time.getTime() < from.getTime() - MINUTE_MS) return;
+      found.push({ time: slot.time, tableIds: slot.tableIds });
+    });
+  }
+  return found;
+}
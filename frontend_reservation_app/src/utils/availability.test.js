@@ -0,0 +1,71 @@
+import { findSlots, nextAvailable, pickTables } from './availability';
+
+const rules = [{ maxSize: null, minutes: 60 }];
+const tables = [
+  { id: 1, capacity: 2 },
+  { id: 2, capacity: 4 },
+];
+const day = new Date(2030, 0, 1);
+const at = (h, m = 0) => new Date(2030, 0, 1, h, m);
+const now = new Date(2029, 0, 1);
+
+test('pickTables prefers the smallest fitting table, then combines', () => {
+  expect(pickTables(2, tables).map((t) => t.id)).toEqual([1]);
+  expect(pickTables(3, tables).map((t) => t.id)).toEqual([2]);
+  expect(pickTables(6, tables).map((t) => t.id)).toEqual([2, 1]);
+  expect(pickTables(7, tables)).toBeNull();
+});
+
+test('findSlots marks times without free tables as unavailable', () => {
+  const reservations = [{ id: 9, size: 4, time: at(18).toISOString(), tableIds: [2] }];
+  const slots = findSlots({
+    date: day,
+    size: 4,
+    tables,
+    reservations,
+    rules,
+    hours: { open: '17:00', close: '20:00' },
+    intervalMinutes: 30,
+    now,
+  });
+  expect(slots.map((s) => s.time.getHours() * 60 + s.time.getMinutes())).toEqual([
+    1020, 1050, 1080, 1110, 1140, 1170,
+  ]);
+  // 17:00 ends exactly when 18:00 starts; 17:30 - 18:30 all overlap table 2
+  expect(slots.map((s) => s.available)).toEqual([true, false, false, false, true, true]);
+  expect(slots[0].tableIds).toEqual(['2']);
+});
+
+test('findSlots respects the cover limit and skips past times', () => {
+  const reservations = [{ id: 9, size: 8, time: at(18).toISOString() }];
+  const slots = findSlots({
+    date: day,
+    size: 4,
+    reservations,
+    maxCovers: 10,
+    rules,
+    hours: { open: '18:00', close: '20:00' },
+    intervalMinutes: 60,
+    now: at(18, 30),
+  });
+  expect(slots).toHaveLength(1);
+  expect(slots[0]).toMatchObject({ available: true });
+  expect(findSlots({ date: day, size: 2, hours: null, now })).toEqual([]);
+});
+
+test('nextAvailable rolls over to following days', () => {
+  const reservations = [{ id: 9, size: 4, time: at(19).toISOString(), tableIds: [2] }];
+  const params = {
+    date: at(19),
+    size: 4,
+    tables,
+    reservations,
+    rules,
+    hours: { open: '19:00', close: '20:00' },
+    intervalMinutes: 60,
+    now,
+  };
+  const found = nextAvailable(params, { count: 2 });
+  expect(found.map((s) => s.time.getDate())).toEqual([2, 3]);
+  expect(found[0].time.getHours()).toBe(19);
+});
@@ -0,0 +1,192 @@
+//
+// Calendar views
+// - Day / week / month ranges with a configurable first day of the week
+// - Navigation (previous / next period) and URL-safe view + date params
+// - Per-day booking and covers totals for the month view
+// - Rescheduling from the grid: 15-minute snapping, the resulting changes (and their undo),
+//   and the warnings a move or resize would raise
+//
+
+import { dateKey, openingStatus } from "./openingHours";
+import { normalizeStatus } from "./reservationStatus";
+import { capacityWarnings, reservationDuration, seatingWarnings } from "./seating";
+import { reservationTimeOf } from "./reservationIds";
+
+export const CALENDAR_VIEWS = ["day", "week", "month"];
+
+export const DEFAULT_CALENDAR_VIEW = "week";
+
+// Monday, unless the venue chooses otherwise (0 = Sunday ... 6 = Saturday)
+export const DEFAULT_WEEK_STARTS_ON = 1;
+
+// Dragged and resized reservations snap to quarter hours
+export const SNAP_MINUTES = 15;
+
+// PUBLIC_INTERFACE
+export function addDays(date, n) {
+  /** Same wall-clock time `n` days later (DST-safe). */
+  const x = new Date(date);
+  x.setDate(x.getDate() + n);
+  return x;
+}
+
+// PUBLIC_INTERFACE
+export function startOfDay(date) {
+  const x = new Date(date);
+  x.setHours(0, 0, 0, 0);
+  return x;
+}
+
+// PUBLIC_INTERFACE
+export function startOfWeek(date, weekStartsOn = DEFAULT_WEEK_STARTS_ON) {
+  /** Midnight of the first day of the week containing `date`. */
+  const x = startOfDay(date);
+  x.setDate(x.getDate() - ((x.getDay() - weekStartsOn + 7) % 7));
+  return x;
+}
+
+// PUBLIC_INTERFACE
+export function viewRange(view, date, weekStartsOn = DEFAULT_WEEK_STARTS_ON) {
+  /**
+   * Days shown by a view around `date`.
+   * Month view covers whole weeks, so it starts/ends with days of the adjacent months.
+   * @returns {{ start: Date, end: Date, days: Date[] }} `end` is exclusive (midnight after the
+   *   last day)
+   */
+  let start;
+  let count;
+  if (view === "day") {
+    start = startOfDay(date);
+    count = 1;
+  } else if (view === "month") {
+    const first = new Date(date);
+    first.setDate(1);
+    start = startOfWeek(first, weekStartsOn);
+    const last = new Date(first.getFullYear(), first.getMonth() + 1, 0);
+    const end = addDays(startOfWeek(last, weekStartsOn), 7);
+    count = Math.round((end - start) / 86400000);
+  } else {
+    start = startOfWeek(date, weekStartsOn);
+    count = 7;
+  }
+  const days = Array.from({ length: count }, (_, i) => addDays(start, i));
+  return { start, end: addDays(start, count), days };
+}
+
+// PUBLIC_INTERFACE
+export function shiftDate(view, date, delta) {
+  /** Anchor date one period (day / week / month) before or after `date`. */
+  if (view === "day") return addDays(date, delta);
+  if (view === "week") return addDays(date, 7 * delta);
+  const x = new Date(date);
+  const day = x.getDate();
+  x.setDate(1);
+  x.setMonth(x.getMonth() + delta);
+  // Clamp to the last day of shorter months (Jan 31 -> Feb 28)
+  x.setDate(Math.min(day, new Date(x.getFullYear(), x.getMonth() + 1, 0).getDate()));
+  return x;
+}
+
+// PUBLIC_INTERFACE
+export function parseCalendarParams(params, today = new Date()) {
+  /**
+   * Calendar view and anchor date from URL params (`view`, `date` as YYYY-MM-DD).
+   * Invalid or missing values fall back to the week view and today.
+   * @param {URLSearchParams} params
+   * @param {Date} [today] - the current date where the venue is (see utils/timezone)
+   * @returns {{ view: string, date: Date }}
+   */
+  const requested = params.get("view");
+  const view = CALENDAR_VIEWS.includes(requested) ? requested : DEFAULT_CALENDAR_VIEW;
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(params.get("date") || "");
+  const date = m ? new Date(+m[1], +m[2] - 1, +m[3]) : startOfDay(today);
+  return { view, date: isNaN(date.getTime()) ? startOfDay(today) : date };
+}
+
+// PUBLIC_INTERFACE
+export function calendarParams({ view, date }) {
+  /** URL params for a calendar view and anchor date (inverse of parseCalendarParams). */
+  return { view, date: dateKey(date) };
+}
+
+// PUBLIC_INTERFACE
+export function dayTotals(reservations = []) {
+  /**
+   * Bookings and covers per local day; cancelled and no-show reservations are left out.
+   * @returns {Map<string, { bookings: number, covers: number }>} keyed by dateKey
+   */
+  const totals = new Map();
+  reservations.forEach((r) => {
+    const status = normalizeStatus(r?.status);
+    if (status === "cancelled" || status === "no_show") return;
+    const when = new Date(reservationTimeOf(r));
+    if (isNaN(when.getTime())) return;
+    const key = dateKey(when);
+    const entry = totals.get(key) || { bookings: 0, covers: 0 };
+    entry.bookings += 1;
+    entry.covers += Number(r.size || r.partySize) || 0;
+    totals.set(key, entry);
+  });
+  return totals;
+}
+
+// PUBLIC_INTERFACE
+export function snapMinutes(minutes, step = SNAP_MINUTES) {
+  /** Round a number of minutes to the nearest multiple of `step`. */
+  return Math.round(minutes / step) * step;
+}
+
+// PUBLIC_INTERFACE
+export function atMinutes(day, minutes) {
+  /** Local wall-clock time `minutes` after midnight of `day`. */
+  const x = startOfDay(day);
+  x.setMinutes(minutes);
+  return x;
+}
+
+// PUBLIC_INTERFACE
+export function rescheduleChanges(reservation, { time, durationMinutes }, rules) {
+  /**
+   * Updates for moving and/or resizing a reservation, plus the updates that put it back.
+   * Fields that would not change are left out, so `changes` is empty for a no-op drop.
+   * @param {Object} reservation - the reservation as shown (before the move)
+   * @param {{ time?: Date|string, durationMinutes?: number }} target
+   * @returns {{ changes: Object, undo: Object }}
+   */
+  const changes = {};
+  const undo = {};
+  const before = new Date(reservationTimeOf(reservation));
+  if (time && new Date(time).getTime() !== before.getTime()) {
+    changes.time = new Date(time).toISOString();
+    undo.time = isNaN(before.getTime()) ? null : before.toISOString();
+  }
+  const minutes = reservationDuration(reservation, rules);
+  if (durationMinutes && durationMinutes !== minutes) {
+    changes.durationMinutes = durationMinutes;
+    undo.durationMinutes = minutes;
+  }
+  return { changes, undo };
+}
+
+// PUBLIC_INTERFACE
+export function rescheduleWarnings(
+  candidate,
+  { tables = [], reservations = [], maxCovers = 0, rules, openingHours } = {}
+) {
+  /**
+   * Messages for a moved or resized reservation: outside opening hours, a double-booked
+   * table or more guests than the venue seats at once. They warn; they do not block the move.
+   * @param {Object} candidate - the reservation with its new time/durationMinutes
+   * @returns {string[]}
+   */
+  const messages = [];
+  const status = openingStatus(candidate.time, openingHours);
+  if (!status.open) messages.push(status.reason);
+  seatingWarnings(candidate, { tables, reservations, rules }).forEach((w) =>
+    messages.push(w.message)
+  );
+  capacityWarnings(candidate, { reservations, maxCovers, rules }).forEach((w) =>
+    messages.push(w.message)
+  );
+  return messages;
+}
@@ -0,0 +1,100 @@
+import {
+  atMinutes,
+  calendarParams,
+  dayTotals,
+  parseCalendarParams,
+  rescheduleChanges,
+  rescheduleWarnings,
+  shiftDate,
+  snapMinutes,
+  startOfWeek,
+  viewRange,
+} from './calendar';
+
+const local = (y, m, d, h = 0, min = 0) => new Date(y, m - 1, d, h, min);
+const key = (d) => `${d.getMonth() + 1}/${d.getDate()}`;
+
+test('startOfWeek honours the configured first day', () => {
+  // Thu 2030-01-10
+  expect(key(startOfWeek(local(2030, 1, 10), 1))).toBe('1/7');
+  expect(key(startOfWeek(local(2030, 1, 10), 0))).toBe('1/6');
+  expect(key(startOfWeek(local(2030, 1, 6), 1))).toBe('12/31');
+});
+
+test('viewRange covers a day, a week or whole weeks of a month', () => {
+  expect(viewRange('day', local(2030, 1, 10, 15)).days.map(key)).toEqual(['1/10']);
+  expect(viewRange('week', local(2030, 1, 10), 0).days.map(key)[0]).toBe('1/6');
+
+  const month = viewRange('month', local(2030, 2, 14), 1);
+  expect(key(month.start)).toBe('1/28');
+  expect(key(month.days[month.days.length - 1])).toBe('3/3');
+  expect(month.days).toHaveLength(35);
+});
+
+test('shiftDate moves by period and clamps month ends', () => {
+  expect(key(shiftDate('day', local(2030, 1, 31), 1))).toBe('2/1');
+  expect(key(shiftDate('week', local(2030, 1, 31), -1))).toBe('1/24');
+  expect(key(shiftDate('month', local(2030, 1, 31), 1))).toBe('2/28');
+});
+
+test('calendar params round-trip and fall back on bad input', () => {
+  const params = new URLSearchParams(calendarParams({ view: 'month', date: local(2030, 3, 5) }));
+  expect(params.toString()).toBe('view=month&date=2030-03-05');
+  const parsed = parseCalendarParams(params);
+  expect(parsed.view).toBe('month');
+  expect(key(parsed.date)).toBe('3/5');
+  expect(parseCalendarParams(new URLSearchParams('view=year&date=nope')).view).toBe('week');
+});
+
+test('dayTotals sums covers of active bookings per day', () => {
+  const totals = dayTotals([
+    { size: 2, time: local(2030, 1, 10, 19).toISOString() },
+    { size: 4, time: local(2030, 1, 10, 20).toISOString(), status: 'seated' },
+    { size: 6, time: local(2030, 1, 10, 21).toISOString(), status: 'cancelled' },
+    { size: 3, time: local(2030, 1, 11, 19).toISOString() },
+  ]);
+  expect(totals.get('2030-01-10')).toEqual({ bookings: 2, covers: 6 });
+  expect(totals.get('2030-01-11')).toEqual({ bookings: 1, covers: 3 });
+});
+
+test('snapMinutes rounds to quarter hours and atMinutes keeps the wall clock', () => {
+  expect(snapMinutes(19 * 60 + 7)).toBe(19 * 60);
+  expect(snapMinutes(19 * 60 + 8)).toBe(19 * 60 + 15);
+  const d = atMinutes(local(2030, 3, 31, 10), 19 * 60 + 45);
+  expect([d.getDate(), d.getHours(), d.getMinutes()]).toEqual([31, 19, 45]);
+});
+
+test('rescheduleChanges lists only what changed and how to put it back', () => {
+  const r = { id: 1, size: 2, time: local(2030, 1, 10, 19).toISOString() };
+  const rules = [{ maxSize: null, minutes: 90 }];
+
+  expect(rescheduleChanges(r, { time: local(2030, 1, 10, 19), durationMinutes: 90 }, rules))
+    .toEqual({ changes: {}, undo: {} });
+
+  const moved = rescheduleChanges(r, { time: local(2030, 1, 11, 20), durationMinutes: 120 }, rules);
+  expect(moved.changes).toEqual({
+    time: local(2030, 1, 11, 20).toISOString(),
+    durationMinutes: 120,
+  });
+  expect(moved.undo).toEqual({ time: r.time, durationMinutes: 90 });
+});
+
+test('rescheduleWarnings reports closed hours, double bookings and capacity', () => {
+  const hours = { weekly: { 4: [{ open: '17:00', close: '23:00' }] } };
+  const other = { id: 2, size: 4, time: local(2030, 1, 10, 19).toISOString(), tableIds: ['t1'] };
+  const moved = { id: 1, size: 4, time: local(2030, 1, 10, 19, 30), tableIds: ['t1'] };
+
+  const warnings = rescheduleWarnings(moved, {
+    tables: [{ id: 't1', name: 'T1', capacity: 4 }],
+    reservations: [other],
+    maxCovers: 6,
+    rules: [{ maxSize: null, minutes: 90 }],
+    openingHours: hours,
+  });
+  expect(warnings).toHaveLength(2);
+  expect(warnings[0]).toMatch(/T1 is already booked/);
+  expect(warnings[1]).toMatch(/capacity is 6/);
+
+  const early = { ...moved, time: local(2030, 1, 10, 12) };
+  expect(rescheduleWarnings(early, { openingHours: hours })[0]).toMatch(/Outside opening hours/);
+});
@@ -0,0 +1,75 @@
+//
+// Calendar sync state
+// - Normalizes the response of a calendar sync (status + link to the event)
+// - Reads the sync state a reservation carries, either nested (`calendarSync: { status, ... }`)
+//   or as flat fields (`calendarSyncStatus`, `calendarEventLink`, `calendarSyncedAt`)
+// - Builds the record stored on a reservation after each sync attempt, so the status and the
+//   event link survive reloads
+//
+
+// PUBLIC_INTERFACE
+export function syncResult(res) {
+  /**
+   * Status and event link from a calendar sync response; a bare ack counts as synced.
+   * @returns {{ status: string, link: string }}
+   */
+  const body = res && typeof res === "object" ? res : {};
+  return {
+    status: body.status || "synced",
+    link: body.eventLink || body.htmlLink || body.url || "",
+  };
+}
+
+// PUBLIC_INTERFACE
+export function calendarSyncState(reservation) {
+  /**
+   * Calendar sync state stored on a reservation.
+   * @returns {{ status: string, link: string, syncedAt: string|null, error: string } | null}
+   *   null when the reservation has never been synced
+   */
+  const nested = reservation?.calendarSync;
+  const state = nested && typeof nested === "object" ? nested : {};
+  const status = state.status || reservation?.calendarSyncStatus;
+  const link = state.eventLink || state.htmlLink || state.url || reservation?.calendarEventLink;
+  const eventId = state.eventId || reservation?.calendarEventId;
+  if (!status && !link && !eventId) return null;
+  return {
+    status: status || "synced",
+    link: link || "",
+    syncedAt: state.syncedAt || reservation?.calendarSyncedAt || null,
+    error: state.error || reservation?.calendarSyncError || "",
+  };
+}
+
+// PUBLIC_INTERFACE
+export function syncRecord(res, now = new Date()) {
+  /**
+   * `calendarSync` value to store on a reservation after a successful sync.
+   * @returns {{ status: string, eventLink: string, eventId: string, syncedAt: string,
+   *   error: string }}
+   */
+  const body = res && typeof res === "object" ? res : {};
+  const { status, link } = syncResult(res);
+  return {
+    status,
+    eventLink: link,
+    eventId: body.eventId || body.event?.id || "",
+    syncedAt: now.toISOString(),
+    error: "",
+  };
+}
+
+// PUBLIC_INTERFACE
+export function syncErrorRecord(err, previous, now = new Date()) {
+  /**
+   * `calendarSync` value after a failed sync. The event from an earlier successful sync (link
+   * and id) is kept so it can still be opened.
+   */
+  const prior = previous && typeof previous === "object" ? previous : {};
+  return {
+    ...prior,
+    status: "error",
+    syncedAt: now.toISOString(),
+    error: err?.message || "Calendar sync failed",
+  };
+}
@@ -0,0 +1,33 @@
+import { calendarSyncState, syncErrorRecord, syncRecord, syncResult } from './calendarSync';
+
+test('syncResult reads status and link, defaulting to synced', () => {
+  expect(syncResult(undefined)).toEqual({ status: 'synced', link: '' });
+  expect(syncResult({ status: 'updated', htmlLink: 'https://cal/e/1' })).toEqual({
+    status: 'updated',
+    link: 'https://cal/e/1',
+  });
+});
+
+test('calendarSyncState accepts nested or flat fields and is null when never synced', () => {
+  expect(calendarSyncState({ id: 1 })).toBeNull();
+  expect(
+    calendarSyncState({ calendarSync: { status: 'error', error: 'Token expired' } })
+  ).toEqual({ status: 'error', link: '', syncedAt: null, error: 'Token expired' });
+  expect(
+    calendarSyncState({ calendarEventId: 'abc', calendarSyncedAt: '2030-01-01T10:00:00Z' })
+  ).toEqual({ status: 'synced', link: '', syncedAt: '2030-01-01T10:00:00Z', error: '' });
+});
+
+test('sync records round-trip through calendarSyncState and keep the event on failure', () => {
+  const now = new Date('2030-01-01T10:00:00Z');
+  const ok = syncRecord({ status: 'created', eventLink: 'https://cal/e/1', eventId: 'e1' }, now);
+  expect(calendarSyncState({ calendarSync: ok })).toEqual({
+    status: 'created',
+    link: 'https://cal/e/1',
+    syncedAt: '2030-01-01T10:00:00.000Z',
+    error: '',
+  });
+  const failed = syncErrorRecord(new Error('Token expired'), ok, now);
+  expect(failed).toMatchObject({ status: 'error', eventId: 'e1', error: 'Token expired' });
+  expect(calendarSyncState({ calendarSync: failed }).link).toBe('https://cal/e/1');
+});
@@ -0,0 +1,101 @@
+//
+// CSV
+// - RFC 4180 parsing: quoted fields with embedded delimiters, quotes ("") and line breaks,
+//   CRLF or LF line ends, a leading byte order mark
+// - Delimiter detection for files saved by spreadsheets in locales that use ";" (or tabs)
+// - Writing: fields quoted only when needed, and cells that spreadsheets would run as formulas
+//   ("=...", "@...") neutralized
+//
+
+const DELIMITERS = [",", ";", "\t"];
+
+// PUBLIC_INTERFACE
+export function detectDelimiter(text) {
+  /** The candidate delimiter appearing most often in the first line (outside quotes). */
+  const counts = new Map(DELIMITERS.map((d) => [d, 0]));
+  let quoted = false;
+  for (const ch of String(text || "")) {
+    if (ch === '"') quoted = !quoted;
+    else if (!quoted && (ch === "\n" || ch === "\r")) break;
+    else if (!quoted && counts.has(ch)) counts.set(ch, counts.get(ch) + 1);
+  }
+  return DELIMITERS.reduce((best, d) => (counts.get(d) > counts.get(best) ? d : best), ",");
+}
+
+// PUBLIC_INTERFACE
+export function parseCsv(text, { delimiter } = {}) {
+  /**
+   * Rows of cells from CSV text. Blank lines are dropped; cells are not trimmed.
+   * @param {string} text
+   * @param {{ delimiter?: string }} [options] - detected from the first line when omitted
+   * @returns {string[][]}
+   */
+  const input = String(text || "").replace(/^\uFEFF/, "");
+  const sep = delimiter || detectDelimiter(input);
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+
+  const endRow = () => {
+    row.push(cell);
+    if (row.length > 1 || row[0] !== "") rows.push(row);
+    row = [];
+    cell = "";
+  };
+
+  for (let i = 0; i < input.length; i += 1) {
+    const ch = input[i];
+    if (quoted) {
+      if (ch === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"' && cell === "") {
+      quoted = true;
+    } else if (ch === sep) {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\r" && input[i + 1] === "\n") {
+      // CRLF: the LF ends the row
+    } else if (ch === "\n" || ch === "\r") {
+      endRow();
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== "" || row.length > 0) endRow();
+  return rows;
+}
+
+// PUBLIC_INTERFACE
+export const CSV_CONTENT_TYPE = "text/csv;charset=utf-8";
+
+// PUBLIC_INTERFACE
+export function toCsv(rows = [], { delimiter = ",", bom = true } = {}) {
+  /**
+   * CSV text for rows of cells, CRLF-separated as RFC 4180 expects.
+   * @param {Array<Array<string|number|null|undefined>>} rows
+   * @param {{ delimiter?: string, bom?: boolean }} [options] - bom lets Excel detect UTF-8
+   * @returns {string}
+   */
+  const field = (value) => {
+    let text = value == null ? "" : String(value);
+    if (isFormula(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) || text.includes(delimiter)
+      ? `"${text.replace(/"/g, '""')}"`
+      : text;
+  };
+  const body = rows.map((row) => row.map(field).join(delimiter)).join("\r\n");
+  return `${bom ? "\uFEFF" : ""}${body}\r\n`;
+}
+
+// Text a spreadsheet would evaluate; signed numbers and phone numbers ("+1 555...") are data
+function isFormula(text) {
+  if (/^[=@\t\r]/.test(text)) return true;
+  return /^[+-]/.test(text) && !/^[+-][\d\s().-]*$/.test(text);
+}
@@ -0,0 +1,36 @@
+import { detectDelimiter, parseCsv, toCsv } from './csv';
+
+test('parses quoted fields, escaped quotes, line breaks and CRLF', () => {
+  const text = '\uFEFFName,Notes\r\n"Lovelace, Ada","Said ""hi""\nat the door"\r\n\r\nLin,\r\n';
+  expect(parseCsv(text)).toEqual([
+    ['Name', 'Notes'],
+    ['Lovelace, Ada', 'Said "hi"\nat the door'],
+    ['Lin', ''],
+  ]);
+});
+
+test('detects semicolon and tab delimiters from the header row', () => {
+  expect(detectDelimiter('name;phone;"a,b"\n1,2,3')).toBe(';');
+  expect(detectDelimiter('name\tphone')).toBe('\t');
+  expect(parseCsv('name;size\nAda;4')).toEqual([
+    ['name', 'size'],
+    ['Ada', '4'],
+  ]);
+});
+
+test('writes quoted fields and neutralizes formulas but not phone numbers', () => {
+  const text = toCsv(
+    [
+      ['Guest', 'Phone', 'Notes'],
+      ['Lovelace, Ada', '+1 (555) 010-0100', '=HYPERLINK("x")'],
+      ['Lin', '-', 'Said "hi"\nlater'],
+    ],
+    { bom: false }
+  );
+  expect(text).toBe(
+    'Guest,Phone,Notes\r\n' +
+      '"Lovelace, Ada",+1 (555) 010-0100,"\'=HYPERLINK(""x"")"\r\n' +
+      'Lin,-,"Said ""hi""\nlater"\r\n'
+  );
+  expect(parseCsv(text)[1]).toEqual(['Lovelace, Ada', '+1 (555) 010-0100', '\'=HYPERLINK("x")']);
+});
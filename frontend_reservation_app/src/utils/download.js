@@ -0,0 +1,25 @@
+//
+// File downloads
+// - Saves generated content (calendar files, exports) through a temporary object URL
+//
+
+// PUBLIC_INTERFACE
+export function downloadFile(content, filename, type = "text/plain;charset=utf-8") {
+  /**
+   * Prompt the browser to save `content` as `filename`.
+   * @param {string|Blob} content
+   * @param {string} filename
+   * @param {string} [type] - MIME type when `content` is a string
+   */
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.style.display = "none";
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Revoke after the click has been handled
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
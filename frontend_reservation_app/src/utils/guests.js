@@ -0,0 +1,119 @@
+//
+// Guest profiles
+// - Identity and phone matching for guest directory entries
+// - Tag/allergy list parsing for comma-separated inputs
+// - Note prefill from a profile and visit summaries from linked reservations
+//
+
+import { phoneKey } from "./reliability";
+import { normalizeStatus } from "./reservationStatus";
+import { reservationTimeOf } from "./reservationIds";
+
+// PUBLIC_INTERFACE
+export function guestIdOf(guest) {
+  /** Stable string id of a guest profile (null when unsaved). */
+  const id = guest?.id ?? guest?._id ?? guest?.guestId;
+  return id === undefined || id === null ? null : String(id);
+}
+
+// PUBLIC_INTERFACE
+export function parseList(value) {
+  /**
+   * Normalize a comma-separated string (or array) into trimmed, de-duplicated entries.
+   * Duplicates are compared case-insensitively; the first spelling wins.
+   * @returns {string[]}
+   */
+  const items = Array.isArray(value) ? value : String(value || "").split(",");
+  const seen = new Set();
+  return items
+    .map((v) => String(v || "").trim())
+    .filter((v) => {
+      const key = v.toLowerCase();
+      if (!v || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+// PUBLIC_INTERFACE
+export function matchGuests(guests = [], term, { limit = 5 } = {}) {
+  /**
+   * Local filter for autocomplete: digit input matches phone numbers, text matches name or tags.
+   * Name prefix matches rank before substring matches; VIP guests rank first among equals.
+   * @returns {Object[]}
+   */
+  const text = String(term || "").trim().toLowerCase();
+  if (!text) return [];
+  const digits = text.replace(/\D/g, "");
+  const byPhone = digits.length >= 3 && digits.length >= text.replace(/[\s+()\-.]/g, "").length;
+
+  const ranked = [];
+  guests.forEach((g) => {
+    let rank = -1;
+    if (byPhone) {
+      if (String(g?.phone || "").replace(/\D/g, "").includes(digits)) rank = 0;
+    } else {
+      const name = String(g?.name || g?.guestName || "").toLowerCase();
+      if (name.startsWith(text) || name.split(/\s+/).some((w) => w.startsWith(text))) rank = 0;
+      else if (name.includes(text)) rank = 1;
+      else if (parseList(g?.tags).some((t) => t.toLowerCase().includes(text))) rank = 2;
+    }
+    if (rank >= 0) ranked.push({ g, rank: rank * 2 + (g?.vip ? 0 : 1) });
+  });
+  return ranked
+    .sort((a, b) => a.rank - b.rank)
+    .slice(0, limit)
+    .map((x) => x.g);
+}
+
+// PUBLIC_INTERFACE
+export function samePhone(a, b) {
+  /** True when both numbers identify the same guest (see phoneKey). */
+  const ka = phoneKey(a);
+  return !!ka && ka === phoneKey(b);
+}
+
+// PUBLIC_INTERFACE
+export function guestNotes(guest, { maxLength = 240 } = {}) {
+  /**
+   * Reservation note prefill from a profile: allergies first (kitchen-critical), then preferences.
+   * @returns {string} empty when the profile has nothing to carry over
+   */
+  const parts = [];
+  const allergies = parseList(guest?.allergies);
+  if (allergies.length > 0) parts.push(`Allergies: ${allergies.join(", ")}`);
+  const preferences = String(guest?.preferences || "").trim();
+  if (preferences) parts.push(`Prefers: ${preferences}`);
+  const text = parts.join(". ");
+  return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+}
+
+// PUBLIC_INTERFACE
+export function visitSummary(reservations = [], { now = Date.now() } = {}) {
+  /**
+   * Counts and dates from a guest's reservations.
+   * @returns {{ visits: number, totalCovers: number, lastVisit: Date|null,
+   *   nextBooking: Date|null }} visits/covers count seated or completed bookings only
+   */
+  let visits = 0;
+  let totalCovers = 0;
+  let lastVisit = null;
+  let nextBooking = null;
+  reservations.forEach((r) => {
+    const when = new Date(reservationTimeOf(r));
+    if (isNaN(when.getTime())) return;
+    const status = normalizeStatus(r.status);
+    if (status === "seated" || status === "completed") {
+      visits += 1;
+      totalCovers += Number(r.size || r.partySize) || 0;
+      if (when.getTime() <= now && (!lastVisit || when > lastVisit)) lastVisit = when;
+    } else if (
+      (status === "pending" || status === "confirmed") &&
+      when.getTime() > now &&
+      (!nextBooking || when < nextBooking)
+    ) {
+      nextBooking = when;
+    }
+  });
+  return { visits, totalCovers, lastVisit, nextBooking };
+}
@@ -0,0 +1,49 @@
+import { guestNotes, matchGuests, parseList, samePhone, visitSummary } from './guests';
+
+const guests = [
+  { id: 1, name: 'Ana Lopez', phone: '+1 (555) 123-4567', tags: ['regular'] },
+  { id: 2, name: 'Dana Alvarez', phone: '555 987 6543', vip: true },
+  { id: 3, name: 'Anaïs Martin', phone: '555 222 3333', tags: 'birthday, wine club' },
+];
+
+test('parseList trims, drops blanks and de-duplicates case-insensitively', () => {
+  expect(parseList(' nuts, Shellfish ,,nuts, shellfish')).toEqual(['nuts', 'Shellfish']);
+  expect(parseList(['gluten', ' ', 'Gluten'])).toEqual(['gluten']);
+});
+
+test('matchGuests ranks name prefixes first and VIPs before others', () => {
+  expect(matchGuests(guests, 'ana').map((g) => g.id)).toEqual([1, 3, 2]);
+  expect(matchGuests(guests, 'wine').map((g) => g.id)).toEqual([3]);
+  expect(matchGuests(guests, '987-65').map((g) => g.id)).toEqual([2]);
+  expect(matchGuests(guests, '')).toEqual([]);
+});
+
+test('samePhone compares numbers by phone key', () => {
+  expect(samePhone('5551234567', '+1 555-123-4567')).toBe(true);
+  expect(samePhone('', '')).toBe(false);
+});
+
+test('guestNotes carries allergies and preferences over', () => {
+  expect(guestNotes({ allergies: 'nuts, shellfish', preferences: 'window seat' })).toBe(
+    'Allergies: nuts, shellfish. Prefers: window seat'
+  );
+  expect(guestNotes({})).toBe('');
+  expect(guestNotes({ preferences: 'x'.repeat(50) }, { maxLength: 20 })).toHaveLength(20);
+});
+
+test('visitSummary counts attended visits and finds the next booking', () => {
+  const now = new Date('2030-01-10T12:00:00Z').getTime();
+  const summary = visitSummary(
+    [
+      { status: 'completed', size: 2, time: '2030-01-01T19:00:00Z' },
+      { status: 'completed', size: 4, time: '2030-01-05T19:00:00Z' },
+      { status: 'no_show', size: 2, time: '2030-01-07T19:00:00Z' },
+      { status: 'confirmed', size: 2, time: '2030-01-20T19:00:00Z' },
+      { status: 'pending', size: 2, time: '2030-01-15T19:00:00Z' },
+    ],
+    { now }
+  );
+  expect(summary).toMatchObject({ visits: 2, totalCovers: 6 });
+  expect(summary.lastVisit.toISOString()).toBe('2030-01-05T19:00:00.000Z');
+  expect(summary.nextBooking.toISOString()).toBe('2030-01-15T19:00:00.000Z');
+});
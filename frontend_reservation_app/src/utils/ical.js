@@ -0,0 +1,242 @@
+//
+// iCalendar export (RFC 5545)
+// - VCALENDAR text with one VEVENT per reservation, timed in the venue's zone (TZID) and
+//   carrying a VTIMEZONE built from the platform's rules for the years covered
+// - Stable UIDs so importing a newer file updates events instead of adding copies: a stored
+//   reservation is keyed by its id; an occurrence of a recurring series by its series and
+//   original start, which an occurrence changed on its own (override) keeps
+// - Series are exported as their occurrences in the requested range, not as RRULEs
+//
+
+import { reservationIdOf, reservationTimeOf } from "./reservationIds";
+import { normalizeStatus, statusLabel } from "./reservationStatus";
+import { reservationDuration, reservationTableIds, tableIdOf, tableLabel } from "./seating";
+import { zoneOffset } from "./timezone";
+
+// PUBLIC_INTERFACE
+export const ICS_CONTENT_TYPE = "text/calendar;charset=utf-8";
+
+const PRODID = "-//Reservations//Reservation export//EN";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Content lines are folded at 75 octets (RFC 5545 §3.1)
+const MAX_LINE_OCTETS = 75;
+
+// PUBLIC_INTERFACE
+export function icsUid(reservation, domain = defaultDomain()) {
+  /**
+   * UID that stays the same across exports of the same reservation.
+   * @param {Object} reservation - a row as shown (times zoned to the venue)
+   * @param {string} [domain] - right-hand side of the UID, the app's host by default
+   * @returns {string}
+   */
+  const r = reservation || {};
+  if (r.seriesId != null && r.recurrenceId) {
+    // The venue wall clock, so the UID does not depend on the exporting device's zone
+    return `series-${r.seriesId}-${wallStamp(new Date(r.recurrenceId))}@${domain}`;
+  }
+  return `reservation-${reservationIdOf(r)}@${domain}`;
+}
+
+// PUBLIC_INTERFACE
+export function buildICalendar(
+  reservations = [],
+  { timeZone, name = "Reservations", domain, rules, tables = [], now = new Date() } = {}
+) {
+  /**
+   * A complete .ics document for the given reservations.
+   * Cancelled and no-show reservations are kept with STATUS:CANCELLED, so re-importing removes
+   * them from calendars that hold an earlier export.
+   * @param {Object[]} reservations - rows as shown, times zoned to `timeZone` (utils/timezone)
+   * @param {Object} options
+   * @param {string} options.timeZone - IANA zone of the venue
+   * @param {string} [options.name] - calendar name shown by the importing app
+   * @param {string} [options.domain] - UID domain (see icsUid)
+   * @param {Array} [options.rules] - duration rules for reservations without durationMinutes
+   * @param {Array} [options.tables] - venue tables, for locations
+   * @param {Date} [options.now] - DTSTAMP
+   * @returns {string} CRLF-separated, folded content lines
+   */
+  const events = reservations
+    .map((r) => ({ r, start: new Date(reservationTimeOf(r)) }))
+    .filter(({ start }) => !isNaN(start.getTime()))
+    .sort((a, b) => a.start - b.start);
+  const years = events.length
+    ? [events[0].start.getFullYear(), events[events.length - 1].start.getFullYear()]
+    : [now.getFullYear(), now.getFullYear()];
+
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `X-WR-TIMEZONE:${timeZone}`,
+    ...vtimezone(timeZone, years[0], years[1]),
+  ];
+  const tableById = new Map(tables.map((t) => [String(tableIdOf(t)), t]));
+  events.forEach(({ r, start }) => {
+    lines.push(...vevent(r, start, { timeZone, domain, rules, tableById, now }));
+  });
+  lines.push("END:VCALENDAR");
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+// PUBLIC_INTERFACE
+export function icsFileName(label = "reservations") {
+  /** "reservations-2030-01-10.ics" style names; unsafe characters become dashes. */
+  const slug = String(label)
+    .trim()
+    .replace(/[^A-Za-z0-9._-]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+  return `${slug || "reservations"}.ics`;
+}
+
+function vevent(r, start, { timeZone, domain, rules, tableById, now }) {
+  const status = normalizeStatus(r.status);
+  const size = Number(r.size || r.partySize) || 0;
+  const guest = r.guestName || r.name || "Reservation";
+  const tableNames = reservationTableIds(r)
+    .map((id) => tableLabel(tableById.get(String(id))) || `Table ${id}`)
+    .join(", ");
+  const description = [
+    size ? `Party of ${size}` : "",
+    r.phone ? `Phone: ${r.phone}` : "",
+    tableNames ? `Tables: ${tableNames}` : "",
+    r.notes ? `Notes: ${r.notes}` : "",
+    status ? `Status: ${statusLabel(status)}` : "",
+  ].filter(Boolean);
+
+  const lines = [
+    "BEGIN:VEVENT",
+    `UID:${icsUid(r, domain)}`,
+    `DTSTAMP:${utcStamp(now)}`,
+    `DTSTART;TZID=${timeZone}:${wallStamp(start)}`,
+    `DURATION:PT${reservationDuration(r, rules)}M`,
+    `SUMMARY:${escapeText(size ? `${guest} (${size})` : guest)}`,
+    `STATUS:${icsStatus(status)}`,
+  ];
+  if (description.length) lines.push(`DESCRIPTION:${escapeText(description.join("\n"))}`);
+  if (tableNames) lines.push(`LOCATION:${escapeText(tableNames)}`);
+  const modified = new Date(r.updatedAt || r.updated_at);
+  if (!isNaN(modified.getTime())) lines.push(`LAST-MODIFIED:${utcStamp(modified)}`);
+  lines.push("END:VEVENT");
+  return lines;
+}
+
+function icsStatus(status) {
+  if (status === "cancelled" || status === "no_show") return "CANCELLED";
+  if (status === "pending") return "TENTATIVE";
+  return "CONFIRMED";
+}
+
+/**
+ * VTIMEZONE for `timeZone` from January of `fromYear` through December of `toYear`: the offset
+ * in force at the start plus every change (DST or otherwise) found day by day, to the minute.
+ */
+function vtimezone(timeZone, fromYear, toYear) {
+  const start = Date.UTC(fromYear, 0, 1);
+  const end = Date.UTC(toYear + 1, 0, 1);
+  const initial = zoneOffset(start, timeZone);
+  const transitions = [];
+  let offset = initial;
+  for (let t = start; t < end; t += DAY) {
+    const next = zoneOffset(t + DAY, timeZone);
+    if (next === offset) continue;
+    let lo = t;
+    let hi = t + DAY;
+    while (hi - lo > 60000) {
+      const mid = lo + Math.round((hi - lo) / 120000) * 60000;
+      if (zoneOffset(mid, timeZone) === offset) lo = mid;
+      else hi = mid;
+    }
+    transitions.push({ at: hi, from: offset, to: next });
+    offset = next;
+  }
+  // The lowest offset seen is standard time; anything above it is daylight saving
+  const standard = Math.min(initial, ...transitions.map((x) => x.to));
+  const observance = (dtstart, from, to) => {
+    const kind = to > standard ? "DAYLIGHT" : "STANDARD";
+    return [
+      `BEGIN:${kind}`,
+      `DTSTART:${dtstart}`,
+      `TZOFFSETFROM:${icsOffset(from)}`,
+      `TZOFFSETTO:${icsOffset(to)}`,
+      `END:${kind}`,
+    ];
+  };
+  return [
+    "BEGIN:VTIMEZONE",
+    `TZID:${timeZone}`,
+    ...observance(`${fromYear}0101T000000`, initial, initial),
+    // Observances start at the local time shown just before the change
+    ...transitions.flatMap((x) =>
+      observance(utcStamp(new Date(x.at + x.from * 60000)).slice(0, -1), x.from, x.to)
+    ),
+    "END:VTIMEZONE",
+  ];
+}
+
+/** "+0100", "-0430" */
+function icsOffset(minutes) {
+  const abs = Math.abs(minutes);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${minutes < 0 ? "-" : "+"}${pad(Math.floor(abs / 60))}${pad(abs % 60)}`;
+}
+
+/** Local fields as a floating DATE-TIME, "20300110T190000". */
+function wallStamp(date) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return (
+    `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}` +
+    `T${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`
+  );
+}
+
+/** "20300110T180000Z" */
+function utcStamp(date) {
+  return date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+/** TEXT values escape backslashes, semicolons, commas and newlines. */
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+/** Split a content line into 75-octet chunks (never inside a UTF-8 character). */
+function foldLine(line) {
+  const chunks = [];
+  let current = "";
+  let octets = 0;
+  for (const ch of line) {
+    const size = utf8Length(ch.codePointAt(0));
+    // Continuation lines start with a space, which counts towards their 75 octets
+    const limit = chunks.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (octets + size > limit) {
+      chunks.push(current);
+      current = "";
+      octets = 0;
+    }
+    current += ch;
+    octets += size;
+  }
+  chunks.push(current);
+  return chunks.join("\r\n ");
+}
+
+function utf8Length(codePoint) {
+  if (codePoint < 0x80) return 1;
+  if (codePoint < 0x800) return 2;
+  if (codePoint < 0x10000) return 3;
+  return 4;
+}
+
+function defaultDomain() {
+  return (typeof window !== "undefined" && window.location?.hostname) || "reservations.local";
+}
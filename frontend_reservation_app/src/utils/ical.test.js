@@ -0,0 +1,83 @@
+import { buildICalendar, icsFileName, icsUid } from './ical';
+
+const at = (d, h = 19) => new Date(2030, 0, d, h).toISOString();
+const unfold = (text) => text.replace(/\r\n /g, '');
+const linesOf = (text) => unfold(text).split('\r\n');
+
+test('UIDs stay stable for stored reservations, occurrences and their overrides', () => {
+  expect(icsUid({ id: 42 }, 'example.com')).toBe('reservation-42@example.com');
+  const occurrence = { id: '7@x', seriesId: 7, recurrenceId: at(8), occurrence: true };
+  const override = { id: 12, seriesId: 7, recurrenceId: at(8), time: at(8, 20) };
+  expect(icsUid(occurrence, 'example.com')).toBe('series-7-20300108T190000@example.com');
+  expect(icsUid(override, 'example.com')).toBe(icsUid(occurrence, 'example.com'));
+});
+
+test('events are timed in the venue zone with a duration and status', () => {
+  const text = buildICalendar(
+    [
+      { id: 2, guestName: 'Lin', size: 2, time: at(11), status: 'cancelled' },
+      {
+        id: 1,
+        guestName: 'Ada, party',
+        size: 4,
+        time: at(10),
+        status: 'confirmed',
+        durationMinutes: 120,
+        tableIds: ['t1'],
+        notes: 'Window seat; birthday',
+      },
+    ],
+    {
+      timeZone: 'Europe/Paris',
+      domain: 'example.com',
+      tables: [{ id: 't1', name: 'T1', capacity: 4 }],
+      now: new Date(Date.UTC(2030, 0, 1)),
+    }
+  );
+  const lines = linesOf(text);
+  expect(text.endsWith('\r\n')).toBe(true);
+  expect(lines[0]).toBe('BEGIN:VCALENDAR');
+  expect(lines).toContain('TZID:Europe/Paris');
+  expect(lines).toContain('DTSTAMP:20300101T000000Z');
+
+  const first = lines.indexOf('BEGIN:VEVENT');
+  expect(lines.slice(first, first + 7)).toEqual([
+    'BEGIN:VEVENT',
+    'UID:reservation-1@example.com',
+    'DTSTAMP:20300101T000000Z',
+    'DTSTART;TZID=Europe/Paris:20300110T190000',
+    'DURATION:PT120M',
+    'SUMMARY:Ada\\, party (4)',
+    'STATUS:CONFIRMED',
+  ]);
+  expect(lines).toContain('LOCATION:T1 (4 seats)');
+  expect(unfold(text)).toContain('Notes: Window seat\\; birthday');
+  expect(lines.filter((l) => l === 'STATUS:CANCELLED')).toHaveLength(1);
+});
+
+test('VTIMEZONE lists the DST changes of the exported years', () => {
+  const text = buildICalendar([{ id: 1, time: at(10) }], { timeZone: 'Europe/Paris' });
+  const lines = linesOf(text);
+  const daylight = lines.indexOf('BEGIN:DAYLIGHT');
+  expect(lines.slice(daylight, daylight + 5)).toEqual([
+    'BEGIN:DAYLIGHT',
+    'DTSTART:20300331T020000',
+    'TZOFFSETFROM:+0100',
+    'TZOFFSETTO:+0200',
+    'END:DAYLIGHT',
+  ]);
+  expect(lines).toContain('DTSTART:20301027T030000');
+  expect(lines.filter((l) => l === 'BEGIN:STANDARD')).toHaveLength(2);
+});
+
+test('long lines are folded at 75 octets and file names are safe', () => {
+  const notes = 'é'.repeat(100);
+  const text = buildICalendar([{ id: 1, time: at(10), notes }], { timeZone: 'UTC' });
+  text.split('\r\n').forEach((line) => {
+    expect(Buffer.byteLength(line, 'utf8')).toBeLessThanOrEqual(75);
+  });
+  expect(unfold(text)).toContain(`Notes: ${notes}`);
+  expect(icsFileName('reservation-Ada Lovelace/2030-01-10')).toBe(
+    'reservation-Ada-Lovelace-2030-01-10.ics'
+  );
+});
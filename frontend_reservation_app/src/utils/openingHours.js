@@ -0,0 +1,158 @@
+//
+// Opening hours
+// - Weekly schedule with one or more shifts per day (split lunch/dinner service)
+// - Dated closures and holidays that close the venue or replace the day's shifts
+// - Stored in the venue settings under `openingHours`
+//
+
+import { getVenueSettings } from "./venueSettings";
+
+const EVERY_DAY = [0, 1, 2, 3, 4, 5, 6];
+
+// PUBLIC_INTERFACE
+export const DEFAULT_OPENING_HOURS = {
+  // Keyed by weekday (0 = Sunday); an empty list means closed all day
+  weekly: Object.fromEntries(EVERY_DAY.map((d) => [d, [{ open: "09:00", close: "22:00" }]])),
+  // { date: "YYYY-MM-DD", endDate?: "YYYY-MM-DD", label?: string, shifts?: [{ open, close }] }
+  // Without `shifts` the venue is closed for the whole date range
+  closures: [],
+};
+
+// PUBLIC_INTERFACE
+export function minutesOfDay(hhmm) {
+  /** Parse "HH:mm" into minutes after midnight ("24:00" = 1440); null when invalid. */
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(hhmm || "").trim());
+  if (!match) return null;
+  const minutes = Number(match[1]) * 60 + Number(match[2]);
+  return minutes <= 24 * 60 ? minutes : null;
+}
+
+// PUBLIC_INTERFACE
+export function closingMinutes(hhmm) {
+  /**
+   * Parse a shift's closing time like minutesOfDay, except that "00:00" closes at midnight at the
+   * end of the day (1440): time inputs cannot enter "24:00".
+   */
+  const minutes = minutesOfDay(hhmm);
+  return minutes === 0 ? 24 * 60 : minutes;
+}
+
+// PUBLIC_INTERFACE
+export function shiftError(shift) {
+  /**
+   * Why a shift `{ open, close }` is not usable, or null when it is. Shifts end by midnight: an
+   * overnight service is entered as a shift closing at 00:00 and one opening at 00:00 the next
+   * day.
+   * @returns {string|null}
+   */
+  const start = minutesOfDay(shift?.open);
+  const end = closingMinutes(shift?.close);
+  if (start === null || end === null) return "Enter an opening and a closing time";
+  if (end === start) return "Close must be after open";
+  if (end < start) {
+    return "Shifts cannot run past midnight: close at 00:00 and open at 00:00 the next day";
+  }
+  return null;
+}
+
+// PUBLIC_INTERFACE
+export function dateKey(date) {
+  /** Local calendar date as "YYYY-MM-DD". */
+  const d = new Date(date);
+  const pad = (n) => (n < 10 ? `0${n}` : String(n));
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+function currentHours() {
+  return getVenueSettings().openingHours || DEFAULT_OPENING_HOURS;
+}
+
+function validShifts(shifts) {
+  return (Array.isArray(shifts) ? shifts : [])
+    .map((s) => ({ ...s, start: minutesOfDay(s?.open), end: closingMinutes(s?.close) }))
+    .filter((s) => s.start !== null && s.end !== null && s.end > s.start)
+    .sort((a, b) => a.start - b.start);
+}
+
+// PUBLIC_INTERFACE
+export function closureFor(date, hours = currentHours()) {
+  /** The closure/holiday entry covering the local date, or null. */
+  const key = dateKey(date);
+  return (
+    (hours?.closures || []).find((c) => c?.date && key >= c.date && key <= (c.endDate || c.date)) ||
+    null
+  );
+}
+
+// PUBLIC_INTERFACE
+export function shiftsFor(date, hours = currentHours()) {
+  /**
+   * Service shifts for the local date, sorted by opening time. A closure replaces the weekly
+   * schedule: with its own `shifts` (special hours) or with none (closed).
+   * @returns {Array<{ open: string, close: string, start: number, end: number }>} start/end in minutes
+   */
+  const d = new Date(date);
+  if (isNaN(d.getTime())) return [];
+  const closure = closureFor(d, hours);
+  if (closure) return validShifts(closure.shifts);
+  const weekly = hours?.weekly || DEFAULT_OPENING_HOURS.weekly;
+  return validShifts(weekly[d.getDay()] ?? weekly[String(d.getDay())]);
+}
+
+// PUBLIC_INTERFACE
+export function openingStatus(time, hours = currentHours()) {
+  /**
+   * Whether a booking may start at `time`.
+   * @returns {{ open: boolean, reason?: string }} reason explains why the time is rejected
+   */
+  const d = new Date(time);
+  if (isNaN(d.getTime())) return { open: false, reason: "Invalid date" };
+  const shifts = shiftsFor(d, hours);
+  const mins = d.getHours() * 60 + d.getMinutes();
+  if (shifts.some((s) => mins >= s.start && mins < s.end)) return { open: true };
+
+  const closure = closureFor(d, hours);
+  if (shifts.length === 0) {
+    return {
+      open: false,
+      reason: closure ? `Closed: ${closure.label || "special closure"}` : "The venue is closed on this day",
+    };
+  }
+  const list = shifts.map((s) => `${s.open}–${s.close}`).join(", ");
+  return { open: false, reason: `Outside opening hours (${list})` };
+}
+
+// PUBLIC_INTERFACE
+export function visibleMinutes(days, hours = currentHours(), fallback = { start: 9 * 60, end: 22 * 60 }) {
+  /**
+   * Whole-hour range covering every shift on the given days, for calendar grids.
+   * @param {Date[]} days
+   * @returns {{ start: number, end: number }} minutes after midnight
+   */
+  let start = Infinity;
+  let end = -Infinity;
+  days.forEach((day) =>
+    shiftsFor(day, hours).forEach((s) => {
+      start = Math.min(start, s.start);
+      end = Math.max(end, s.end);
+    })
+  );
+  if (!Number.isFinite(start)) return fallback;
+  return { start: Math.floor(start / 60) * 60, end: Math.min(Math.ceil(end / 60) * 60, 24 * 60) };
+}
+
+// PUBLIC_INTERFACE
+export function closedIntervals(date, range, hours = currentHours()) {
+  /**
+   * Gaps within `range` (minutes) when the venue is closed on the local date, for shading.
+   * @returns {Array<{ start: number, end: number }>}
+   */
+  const gaps = [];
+  let cursor = range.start;
+  shiftsFor(date, hours).forEach((s) => {
+    if (s.start > cursor) gaps.push({ start: cursor, end: Math.min(s.start, range.end) });
+    cursor = Math.max(cursor, s.end);
+  });
+  if (cursor < range.end) gaps.push({ start: cursor, end: range.end });
+  return gaps.filter((g) => g.end > g.start);
+}
@@ -0,0 +1,61 @@
+import {
+  closedIntervals,
+  openingStatus,
+  shiftError,
+  shiftsFor,
+  visibleMinutes,
+} from './openingHours';
+
+const hours = {
+  weekly: {
+    0: [],
+    1: [{ open: '12:00', close: '14:30' }, { open: '18:00', close: '22:00' }],
+    2: [{ open: '18:00', close: '23:00' }],
+  },
+  closures: [
+    { date: '2030-01-07', label: 'Staff training' },
+    {
+      date: '2030-01-14',
+      endDate: '2030-01-15',
+      label: 'Festival',
+      shifts: [{ open: '10:00', close: '16:00' }],
+    },
+  ],
+};
+// 2030-01-06 is a Sunday
+const at = (day, h, m = 0) => new Date(2030, 0, day, h, m);
+
+test('accepts times inside any shift of a split day', () => {
+  expect(openingStatus(at(21, 12, 30), hours)).toEqual({ open: true });
+  expect(openingStatus(at(21, 19), hours)).toEqual({ open: true });
+  expect(openingStatus(at(21, 15), hours).reason).toBe('Outside opening hours (12:00–14:30, 18:00–22:00)');
+  expect(openingStatus(at(21, 22), hours).open).toBe(false);
+});
+
+test('closures close the day or replace its shifts', () => {
+  expect(openingStatus(at(6, 19), hours).reason).toBe('The venue is closed on this day');
+  expect(openingStatus(at(7, 19), hours).reason).toBe('Closed: Staff training');
+  expect(openingStatus(at(15, 11), hours)).toEqual({ open: true });
+  expect(shiftsFor(at(15, 0), hours).map((s) => s.open)).toEqual(['10:00']);
+});
+
+test('visible range and shading cover the shifts of the given days', () => {
+  const range = visibleMinutes([at(21, 0), at(22, 0)], hours);
+  expect(range).toEqual({ start: 12 * 60, end: 23 * 60 });
+  expect(closedIntervals(at(21, 0), range, hours)).toEqual([
+    { start: 870, end: 1080 },
+    { start: 1320, end: 1380 },
+  ]);
+  expect(visibleMinutes([at(6, 0)], hours)).toEqual({ start: 540, end: 1320 });
+});
+
+test('shifts close after they open, at midnight at the latest', () => {
+  expect(shiftError({ open: '18:00', close: '23:00' })).toBeNull();
+  expect(shiftError({ open: '23:00', close: '23:00' })).toBe('Close must be after open');
+  expect(shiftError({ open: '18:00', close: '02:00' })).toMatch(/past midnight/);
+  expect(shiftError({ open: '18:00', close: '' })).toBe('Enter an opening and a closing time');
+  // 00:00 closes at the end of the day
+  expect(shiftError({ open: '18:00', close: '00:00' })).toBeNull();
+  const late = { weekly: { 3: [{ open: '18:00', close: '00:00' }] }, closures: [] };
+  expect(openingStatus(new Date(2030, 0, 2, 23, 30), late).open).toBe(true);
+});
@@ -0,0 +1,225 @@
+//
+// PDF tables
+// - A printable, paginated table (A4 landscape) written directly as PDF 1.4, so exports need
+//   no PDF library: built-in Helvetica fonts, wrapped cells, the header row repeated on each
+//   page and "Page n of N" footers
+// - Text is encoded as WinAnsi (Latin-1 plus typographic quotes, dashes, bullet, euro);
+//   other characters print as "?"
+// - The document is 7-bit ASCII, so the returned string can be saved as is
+//
+
+// PUBLIC_INTERFACE
+export const PDF_CONTENT_TYPE = "application/pdf";
+
+const PAGE = { width: 842, height: 595, margin: 36 };
+const FONT_SIZE = 8.5;
+const LINE_HEIGHT = 11;
+const CELL_PADDING = 3;
+// Long notes are cut so one reservation never needs more than a few lines
+const MAX_CELL_LINES = 6;
+
+// Helvetica advance widths (1/1000 em) for " " through "~"
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278, 556, 556, 556,
+  556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556, 1015, 667, 667, 722, 722, 667,
+  611, 778, 722, 278, 500, 667, 556, 833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667,
+  667, 611, 278, 278, 278, 469, 556, 333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500,
+  222, 833, 556, 556, 556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+];
+
+// WinAnsi codes for the characters outside Latin-1 it can show
+const WIN_ANSI = {
+  "€": 0x80,
+  "…": 0x85,
+  "‘": 0x91,
+  "’": 0x92,
+  "“": 0x93,
+  "”": 0x94,
+  "•": 0x95,
+  "–": 0x96,
+  "—": 0x97,
+  "™": 0x99,
+};
+
+// PUBLIC_INTERFACE
+export function buildTablePdf({
+  title = "",
+  subtitle = "",
+  headers = [],
+  rows = [],
+  weights,
+  footer = "",
+} = {}) {
+  /**
+   * A PDF document holding a table.
+   * @param {Object} options
+   * @param {string} [options.title] - bold heading on the first page
+   * @param {string} [options.subtitle] - smaller line under the title (e.g. applied filters)
+   * @param {string[]} options.headers - column headings
+   * @param {Array<Array<string|number>>} options.rows - cells, one array per row
+   * @param {number[]} [options.weights] - relative column widths (equal by default)
+   * @param {string} [options.footer] - text at the bottom left of every page
+   * @returns {string} the PDF file contents
+   */
+  const usable = PAGE.width - 2 * PAGE.margin;
+  const shares = headers.map((_, i) => Math.max(0.1, Number(weights?.[i]) || 1));
+  const total = shares.reduce((a, b) => a + b, 0);
+  const widths = shares.map((w) => (usable * w) / total);
+  const bottom = PAGE.margin + 18;
+
+  const pages = [];
+  let ops;
+  let y;
+  const cellLines = (cells) => widths.map((w, i) => wrap(cells[i], w));
+  const rowHeight = (lines) =>
+    Math.max(1, ...lines.map((l) => l.length)) * LINE_HEIGHT + 2 * CELL_PADDING;
+
+  const drawRow = (lines, font) => {
+    const height = rowHeight(lines);
+    if (font === "F2") {
+      ops.push(`0.93 g ${rect(PAGE.margin, y - height, usable, height)} re f 0 g`);
+    }
+    let x = PAGE.margin;
+    lines.forEach((cell, i) => {
+      cell.forEach((line, n) => {
+        const baseline = y - CELL_PADDING - (n + 1) * LINE_HEIGHT + 2.5;
+        ops.push(text(x + CELL_PADDING, baseline, line, font, FONT_SIZE));
+      });
+      x += widths[i];
+    });
+    y -= height;
+    // Rule under the row
+    const [left, right] = [PAGE.margin, PAGE.width - PAGE.margin].map(num);
+    ops.push(`0.8 G 0.5 w ${left} ${num(y)} m ${right} ${num(y)} l S`);
+  };
+
+  const newPage = () => {
+    ops = [];
+    pages.push(ops);
+    y = PAGE.height - PAGE.margin;
+    if (pages.length === 1 && title) {
+      ops.push(text(PAGE.margin, y - 14, title, "F2", 14));
+      y -= 20;
+      if (subtitle) {
+        ops.push(text(PAGE.margin, y - 9, subtitle, "F1", 9));
+        y -= 14;
+      }
+      y -= 6;
+    }
+    drawRow(cellLines(headers), "F2");
+  };
+
+  newPage();
+  rows.forEach((row) => {
+    const lines = cellLines(row);
+    if (y - rowHeight(lines) < bottom) newPage();
+    drawRow(lines, "F1");
+  });
+  pages.forEach((pageOps, i) => {
+    const label = `Page ${i + 1} of ${pages.length}`;
+    const right = PAGE.width - PAGE.margin - textWidth(label, 8);
+    pageOps.push(text(right, PAGE.margin, label, "F1", 8));
+    if (footer) pageOps.push(text(PAGE.margin, PAGE.margin, footer, "F1", 8));
+  });
+  return serialize(pages);
+}
+
+/** Lines of `value` that fit in a cell `width` points wide. */
+function wrap(value, width) {
+  const room = width - 2 * CELL_PADDING;
+  const lines = [];
+  String(value ?? "")
+    .split(/\r?\n/)
+    .forEach((paragraph) => {
+      let line = "";
+      paragraph.split(/\s+/).forEach((word) => {
+        const candidate = line ? `${line} ${word}` : word;
+        if (textWidth(candidate, FONT_SIZE) <= room) {
+          line = candidate;
+          return;
+        }
+        if (line) lines.push(line);
+        // Break words longer than the cell
+        line = "";
+        for (const ch of word) {
+          if (line && textWidth(line + ch, FONT_SIZE) > room) {
+            lines.push(line);
+            line = "";
+          }
+          line += ch;
+        }
+      });
+      lines.push(line);
+    });
+  if (lines.length <= MAX_CELL_LINES) return lines;
+  const kept = lines.slice(0, MAX_CELL_LINES);
+  kept[MAX_CELL_LINES - 1] = `${kept[MAX_CELL_LINES - 1]}…`;
+  return kept;
+}
+
+function textWidth(value, size) {
+  let units = 0;
+  for (const ch of String(value)) {
+    const code = ch.charCodeAt(0);
+    units += code >= 32 && code <= 126 ? HELVETICA_WIDTHS[code - 32] : 556;
+  }
+  return (units * size) / 1000;
+}
+
+function text(x, y, value, font, size) {
+  return `BT /${font} ${size} Tf ${num(x)} ${num(y)} Td (${encode(value)}) Tj ET`;
+}
+
+/** WinAnsi bytes as a PDF string body, escaped and kept to printable ASCII. */
+function encode(value) {
+  let out = "";
+  for (const ch of String(value)) {
+    let code = ch.codePointAt(0);
+    if (WIN_ANSI[ch]) code = WIN_ANSI[ch];
+    else if (code > 0xff || (code >= 0x80 && code < 0xa0)) code = 63; // "?"
+    if (code === 0x28 || code === 0x29 || code === 0x5c) out += `\\${ch}`;
+    else if (code < 0x20 || code > 0x7e) out += `\\${code.toString(8).padStart(3, "0")}`;
+    else out += ch;
+  }
+  return out;
+}
+
+function rect(x, y, width, height) {
+  return [x, y, width, height].map(num).join(" ");
+}
+
+function num(n) {
+  return String(Math.round(n * 100) / 100);
+}
+
+function serialize(pages) {
+  const objects = [
+    "<< /Type /Catalog /Pages 2 0 R >>",
+    `<< /Type /Pages /Kids [${pages.map((_, i) => `${5 + 2 * i} 0 R`).join(" ")}] ` +
+      `/Count ${pages.length} >>`,
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>",
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>",
+  ];
+  pages.forEach((ops, i) => {
+    const stream = ops.join("\n");
+    objects.push(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE.width} ${PAGE.height}] ` +
+        `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${6 + 2 * i} 0 R >>`,
+      `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`
+    );
+  });
+
+  let out = "%PDF-1.4\n";
+  const offsets = objects.map((body, i) => {
+    const at = out.length;
+    out += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    return at;
+  });
+  const xref = out.length;
+  out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  offsets.forEach((at) => {
+    out += `${String(at).padStart(10, "0")} 00000 n \n`;
+  });
+  out += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return out;
+}
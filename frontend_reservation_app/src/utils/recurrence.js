@@ -0,0 +1,270 @@
+//
+// Recurring reservations
+// - RFC 5545 RRULE subset: FREQ=DAILY|WEEKLY|MONTHLY, INTERVAL, BYDAY (weekly), COUNT, UNTIL
+// - Occurrence expansion on the local wall clock (a 19:00 booking stays at 19:00 across DST)
+// - Series model: a master reservation carries `rrule` (+ optional `exdates`); an occurrence that
+//   was changed on its own is a regular reservation with `seriesId` + `recurrenceId` (the
+//   original start of the occurrence it replaces), like RECURRENCE-ID in iCalendar
+//
+
+import { reservationIdOf, reservationTimeOf } from "./reservationIds";
+
+export const RECURRENCE_FREQUENCIES = ["daily", "weekly", "monthly"];
+
+export const WEEKDAY_CODES = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+
+// Expansion never produces more than this many occurrences for one series
+export const MAX_OCCURRENCES = 730;
+
+// Guard against rules that can never produce a match (e.g. day 31 every 12 months from April)
+const MAX_PERIODS = 10000;
+
+const WEEKDAY_LABELS = {
+  SU: "Sun",
+  MO: "Mon",
+  TU: "Tue",
+  WE: "Wed",
+  TH: "Thu",
+  FR: "Fri",
+  SA: "Sat",
+};
+const FREQ_UNITS = { daily: "day", weekly: "week", monthly: "month" };
+
+// PUBLIC_INTERFACE
+export function parseRRule(value) {
+  /**
+   * Parse an RRULE string ("RRULE:" prefix optional).
+   * @returns {{ freq: string, interval: number, byDay?: string[], count?: number,
+   *   until?: Date } | null} null when the rule is missing or uses a frequency we cannot expand
+   */
+  if (!value || typeof value !== "string") return null;
+  const parts = {};
+  value
+    .replace(/^RRULE:/i, "")
+    .split(";")
+    .forEach((part) => {
+      const [key, val] = part.split("=");
+      if (key && val) parts[key.trim().toUpperCase()] = val.trim();
+    });
+  const freq = String(parts.FREQ || "").toLowerCase();
+  if (!RECURRENCE_FREQUENCIES.includes(freq)) return null;
+
+  const rule = { freq, interval: Math.max(1, parseInt(parts.INTERVAL, 10) || 1) };
+  if (freq === "weekly" && parts.BYDAY) {
+    const days = parts.BYDAY.split(",").map((d) => d.trim().toUpperCase());
+    const valid = WEEKDAY_CODES.filter((code) => days.includes(code));
+    if (valid.length > 0) rule.byDay = valid;
+  }
+  const count = parseInt(parts.COUNT, 10);
+  if (count > 0) rule.count = count;
+  else if (parts.UNTIL) {
+    const until = parseUntil(parts.UNTIL);
+    if (until) rule.until = until;
+  }
+  return rule;
+}
+
+// PUBLIC_INTERFACE
+export function formatRRule(rule) {
+  /**
+   * Serialize a rule object to an RRULE value (without the "RRULE:" prefix).
+   * COUNT wins over UNTIL when both are set, as RFC 5545 forbids combining them.
+   * UNTIL is written as the date of `until` (its whole day counts): series times are venue wall
+   * clock, so a UTC stamp would move the last day for devices or venues in other zones.
+   * @returns {string} empty for a missing or unsupported rule
+   */
+  if (!rule || !RECURRENCE_FREQUENCIES.includes(rule.freq)) return "";
+  const parts = [`FREQ=${rule.freq.toUpperCase()}`];
+  const interval = Math.max(1, Number(rule.interval) || 1);
+  if (interval > 1) parts.push(`INTERVAL=${interval}`);
+  if (rule.freq === "weekly" && Array.isArray(rule.byDay) && rule.byDay.length > 0) {
+    parts.push(`BYDAY=${WEEKDAY_CODES.filter((c) => rule.byDay.includes(c)).join(",")}`);
+  }
+  if (Number(rule.count) > 0) parts.push(`COUNT=${Number(rule.count)}`);
+  else if (rule.until && !isNaN(new Date(rule.until).getTime())) {
+    parts.push(`UNTIL=${untilDate(new Date(rule.until))}`);
+  }
+  return parts.join(";");
+}
+
+// PUBLIC_INTERFACE
+export function occurrences(rule, dtstart, { from, to, limit = MAX_OCCURRENCES } = {}) {
+  /**
+   * Start times of a rule's occurrences, oldest first. DTSTART is always the first occurrence.
+   * COUNT is applied from DTSTART, so occurrences before `from` still use up the count.
+   * @param {Object|string} rule - parsed rule or RRULE string
+   * @param {Date|string} dtstart - start of the first occurrence
+   * @param {{ from?: Date|string, to?: Date|string, limit?: number }} [window] - inclusive bounds
+   * @returns {Date[]}
+   */
+  const parsed = typeof rule === "string" ? parseRRule(rule) : rule;
+  const start = new Date(dtstart);
+  if (!parsed || isNaN(start.getTime())) return [];
+  const fromMs = from ? new Date(from).getTime() : -Infinity;
+  const toMs = to ? new Date(to).getTime() : Infinity;
+  const untilMs = parsed.until ? new Date(parsed.until).getTime() : Infinity;
+  const endMs = Math.min(toMs, untilMs);
+
+  const out = [];
+  let seen = 0;
+  // Returns false once expansion should stop
+  const emit = (date) => {
+    const ms = date.getTime();
+    if (ms > endMs) return false;
+    seen += 1;
+    if (parsed.count && seen > parsed.count) return false;
+    if (ms >= fromMs) out.push(date);
+    return out.length < limit;
+  };
+
+  if (!emit(start)) return out;
+  for (let k = 0; k < MAX_PERIODS; k += 1) {
+    const dates = periodDates(parsed, start, k).filter((d) => d.getTime() > start.getTime());
+    for (const d of dates) {
+      if (!emit(d)) return out;
+    }
+  }
+  return out;
+}
+
+/** Candidate start times in the k-th period (day/week/month) after DTSTART's period. */
+function periodDates(rule, start, k) {
+  const step = k * rule.interval;
+  const at = (year, month, day) =>
+    new Date(year, month, day, start.getHours(), start.getMinutes(), start.getSeconds());
+
+  if (rule.freq === "daily") {
+    return [at(start.getFullYear(), start.getMonth(), start.getDate() + step)];
+  }
+  if (rule.freq === "weekly") {
+    if (!rule.byDay) {
+      return [at(start.getFullYear(), start.getMonth(), start.getDate() + 7 * step)];
+    }
+    // Weeks start on Monday (WKST=MO); BYDAY days are taken in week order
+    const monday = start.getDate() - ((start.getDay() + 6) % 7) + 7 * step;
+    return rule.byDay
+      .map((code) => (WEEKDAY_CODES.indexOf(code) + 6) % 7)
+      .sort((a, b) => a - b)
+      .map((offset) => at(start.getFullYear(), start.getMonth(), monday + offset));
+  }
+  // Monthly on DTSTART's day of month; months without that day are skipped (RFC 5545)
+  const d = at(start.getFullYear(), start.getMonth() + step, start.getDate());
+  return d.getDate() === start.getDate() ? [d] : [];
+}
+
+// PUBLIC_INTERFACE
+export function describeRRule(rule) {
+  /**
+   * Human summary, e.g. "Every 2 weeks on Mon, Wed · 10 times".
+   * @returns {string} empty for a missing or unsupported rule
+   */
+  const parsed = typeof rule === "string" ? parseRRule(rule) : rule;
+  if (!parsed) return "";
+  const unit = FREQ_UNITS[parsed.freq];
+  let text = parsed.interval > 1 ? `Every ${parsed.interval} ${unit}s` : `Every ${unit}`;
+  if (parsed.byDay) text += ` on ${parsed.byDay.map((c) => WEEKDAY_LABELS[c]).join(", ")}`;
+  if (parsed.count) text += ` · ${parsed.count} time${parsed.count === 1 ? "" : "s"}`;
+  else if (parsed.until) text += ` · until ${new Date(parsed.until).toLocaleDateString()}`;
+  return text;
+}
+
+// PUBLIC_INTERFACE
+export function occurrenceId(seriesId, recurrenceId) {
+  /** Client-side id of an expanded occurrence; never sent to the API. */
+  return `${seriesId}@${new Date(recurrenceId).toISOString()}`;
+}
+
+// PUBLIC_INTERFACE
+export function isSeriesMaster(r) {
+  /** True for the reservation that owns a recurrence rule. */
+  return !r?.occurrence && !!parseRRule(r?.rrule);
+}
+
+// PUBLIC_INTERFACE
+export function expandSeries(reservations = [], { from, to } = {}) {
+  /**
+   * Replace each series master by its occurrences within [from, to]. Occurrences that were
+   * changed on their own (overrides) or excluded (`exdates`) are skipped; overrides stay in the
+   * list as the regular reservations they are.
+   * Expanded occurrences carry `occurrence: true`, `seriesId` and `recurrenceId`; passing
+   * already expanded rows again leaves them as they are.
+   * @returns {Object[]}
+   */
+  const overridden = new Set();
+  reservations.forEach((r) => {
+    if (r?.seriesId != null && r.recurrenceId && !r.occurrence) {
+      overridden.add(occurrenceId(r.seriesId, r.recurrenceId));
+    }
+  });
+
+  const out = [];
+  reservations.forEach((r) => {
+    const rule = r?.occurrence ? null : parseRRule(r?.rrule);
+    if (!rule) {
+      out.push(r);
+      return;
+    }
+    const seriesId = reservationIdOf(r);
+    const excluded = new Set((r.exdates || []).map((d) => new Date(d).toISOString()));
+    occurrences(rule, reservationTimeOf(r), { from, to }).forEach((date) => {
+      const recurrenceId = date.toISOString();
+      const id = occurrenceId(seriesId, recurrenceId);
+      if (overridden.has(id) || excluded.has(recurrenceId)) return;
+      out.push({ ...r, id, time: recurrenceId, seriesId, recurrenceId, occurrence: true });
+    });
+  });
+  return out;
+}
+
+// PUBLIC_INTERFACE
+export function withSeriesMasters(reservations = [], masters = []) {
+  /**
+   * `reservations` followed by the series masters that are not among them yet (masters are
+   * fetched apart from range queries, which miss series that started before the range).
+   * @returns {Object[]}
+   */
+  const seen = new Set(reservations.map((r) => String(reservationIdOf(r))));
+  return [...reservations, ...masters.filter((m) => !seen.has(String(reservationIdOf(m))))];
+}
+
+// PUBLIC_INTERFACE
+export function splitRRule(rrule, dtstart, recurrenceId) {
+  /**
+   * Split a series at one of its occurrences ("this and all future").
+   * A COUNT-bound series keeps COUNT on both halves; otherwise the first half ends with UNTIL
+   * at its last occurrence.
+   * @returns {{ before: string|null, after: string }} `before` is null when the split is at the
+   *   first occurrence (nothing remains of the original series)
+   */
+  const rule = parseRRule(rrule);
+  if (!rule) return { before: null, after: "" };
+  const at = new Date(recurrenceId).getTime();
+  const prior = occurrences(rule, dtstart, { to: new Date(at - 1), limit: Infinity });
+  const after = formatRRule({
+    ...rule,
+    count: rule.count ? Math.max(1, rule.count - prior.length) : undefined,
+  });
+  if (prior.length === 0) return { before: null, after };
+  const before = formatRRule({
+    ...rule,
+    count: rule.count ? prior.length : undefined,
+    until: rule.count ? undefined : prior[prior.length - 1],
+  });
+  return { before, after };
+}
+
+/** "20300105" for UNTIL, from the local (wall-clock) date. */
+function untilDate(date) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`;
+}
+
+/** UNTIL as a date-time (UTC "Z" or floating local) or a date (inclusive end of that day). */
+function parseUntil(value) {
+  const m = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value);
+  if (!m) return null;
+  const [, y, mo, d, h, mi, s, z] = m;
+  if (h === undefined) return new Date(+y, +mo - 1, +d, 23, 59, 59);
+  if (z) return new Date(Date.UTC(+y, +mo - 1, +d, +h, +mi, +s));
+  return new Date(+y, +mo - 1, +d, +h, +mi, +s);
+}
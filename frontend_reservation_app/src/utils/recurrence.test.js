@@ -0,0 +1,91 @@
+import {
+  describeRRule,
+  expandSeries,
+  formatRRule,
+  occurrenceId,
+  occurrences,
+  parseRRule,
+  splitRRule,
+  withSeriesMasters,
+} from './recurrence';
+
+// Local wall-clock dates keep these tests independent of the machine's timezone
+const local = (y, m, d, h = 19) => new Date(y, m - 1, d, h, 0, 0);
+const days = (dates) => dates.map((d) => `${d.getMonth() + 1}/${d.getDate()}`);
+
+test('parses and formats RRULE values', () => {
+  const rule = parseRRule('RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=WE,MO;COUNT=6');
+  expect(rule).toEqual({ freq: 'weekly', interval: 2, byDay: ['MO', 'WE'], count: 6 });
+  expect(formatRRule(rule)).toBe('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;COUNT=6');
+  // UNTIL keeps the wall-clock day, which then counts in full
+  const until = formatRRule({ freq: 'daily', until: new Date(2030, 0, 5, 23, 59, 59) });
+  expect(until).toBe('FREQ=DAILY;UNTIL=20300105');
+  expect(days(occurrences(until, local(2030, 1, 3, 23)))).toEqual(['1/3', '1/4', '1/5']);
+  expect(parseRRule('FREQ=YEARLY')).toBeNull();
+});
+
+test('expands weekly BYDAY rules from DTSTART with COUNT', () => {
+  // Wed 2030-01-02; Mondays and Wednesdays, 5 occurrences
+  const dates = occurrences('FREQ=WEEKLY;BYDAY=MO,WE;COUNT=5', local(2030, 1, 2));
+  expect(days(dates)).toEqual(['1/2', '1/7', '1/9', '1/14', '1/16']);
+  expect(dates.every((d) => d.getHours() === 19)).toBe(true);
+});
+
+test('monthly rules skip months without the day and respect UNTIL and windows', () => {
+  const dates = occurrences('FREQ=MONTHLY;UNTIL=20300601', local(2030, 1, 31));
+  expect(days(dates)).toEqual(['1/31', '3/31', '5/31']);
+
+  const windowed = occurrences('FREQ=DAILY;COUNT=10', local(2030, 1, 1), {
+    from: local(2030, 1, 8, 0),
+  });
+  expect(days(windowed)).toEqual(['1/8', '1/9', '1/10']);
+});
+
+test('expandSeries skips overridden and excluded occurrences', () => {
+  const master = {
+    id: 7,
+    guestName: 'Club dinner',
+    time: local(2030, 1, 1).toISOString(),
+    rrule: 'FREQ=WEEKLY;COUNT=4',
+    exdates: [local(2030, 1, 15).toISOString()],
+  };
+  const override = {
+    id: 9,
+    seriesId: 7,
+    recurrenceId: local(2030, 1, 8).toISOString(),
+    time: local(2030, 1, 8, 20).toISOString(),
+  };
+  const rows = expandSeries([master, override]);
+  expect(rows.map((r) => r.id)).toEqual([
+    occurrenceId(7, master.time),
+    occurrenceId(7, local(2030, 1, 22)),
+    9,
+  ]);
+  expect(rows[0]).toMatchObject({ occurrence: true, seriesId: 7, guestName: 'Club dinner' });
+});
+
+test('splitRRule keeps the total count across both halves', () => {
+  const start = local(2030, 1, 1);
+  expect(splitRRule('FREQ=WEEKLY;COUNT=10', start, local(2030, 1, 22))).toEqual({
+    before: 'FREQ=WEEKLY;COUNT=3',
+    after: 'FREQ=WEEKLY;COUNT=7',
+  });
+  const open = splitRRule('FREQ=DAILY', start, local(2030, 1, 4));
+  expect(open.before).toBe('FREQ=DAILY;UNTIL=20300103');
+  expect(days(occurrences(open.before, start))).toEqual(['1/1', '1/2', '1/3']);
+  expect(open.after).toBe('FREQ=DAILY');
+  expect(splitRRule('FREQ=DAILY', start, start).before).toBeNull();
+});
+
+test('describeRRule summarises the rule', () => {
+  expect(describeRRule('FREQ=WEEKLY;INTERVAL=2;BYDAY=TU;COUNT=3')).toBe(
+    'Every 2 weeks on Tue · 3 times'
+  );
+  expect(describeRRule('FREQ=DAILY')).toBe('Every day');
+});
+
+test('withSeriesMasters adds the masters a range query did not return', () => {
+  const rows = [{ id: 1 }, { id: 7, rrule: 'FREQ=WEEKLY' }];
+  const masters = [{ id: 7, rrule: 'FREQ=WEEKLY' }, { id: 9, rrule: 'FREQ=DAILY' }];
+  expect(withSeriesMasters(rows, masters).map((r) => r.id)).toEqual([1, 7, 9]);
+});
@@ -0,0 +1,101 @@
+//
+// Guest reliability
+// - Per-guest attendance history keyed by phone number
+// - A 0-100 reliability score (no-shows weigh most, late cancellations half)
+// - Detection of past reservations that were never seated (no-show candidates)
+//
+
+import { normalizeStatus } from "./reservationStatus";
+import { reservationTimeOf } from "./reservationIds";
+
+// Cancellations this close to the booked time count against the guest
+const LATE_CANCEL_MS = 2 * 60 * 60 * 1000;
+
+// Minutes after the booked time before an unseated reservation is considered a no-show
+export const NO_SHOW_GRACE_MINUTES = 30;
+
+// PUBLIC_INTERFACE
+export function phoneKey(phone) {
+  /**
+   * Comparable phone key: digits only, last 10 kept so "+1 (555) 123-4567" and "5551234567" match.
+   * @returns {string} empty when the number is too short to identify a guest
+   */
+  const digits = String(phone || "").replace(/\D/g, "");
+  return digits.length >= 7 ? digits.slice(-10) : "";
+}
+
+function startMs(r) {
+  const t = new Date(reservationTimeOf(r)).getTime();
+  return Number.isFinite(t) ? t : null;
+}
+
+// PUBLIC_INTERFACE
+export function guestHistory(reservations = [], { now = Date.now() } = {}) {
+  /**
+   * Attendance counts per phone key.
+   * @returns {Map<string, { total: number, attended: number, noShows: number, lateCancels: number }>}
+   */
+  const byPhone = new Map();
+  reservations.forEach((r) => {
+    const key = phoneKey(r?.phone);
+    if (!key) return;
+    const stats = byPhone.get(key) || { total: 0, attended: 0, noShows: 0, lateCancels: 0 };
+    const status = normalizeStatus(r.status);
+    const when = startMs(r);
+    stats.total += 1;
+    if (status === "seated" || status === "completed") stats.attended += 1;
+    else if (status === "no_show") stats.noShows += 1;
+    else if (status === "cancelled" && when !== null && when <= now) {
+      const cancelledAt = new Date(r.cancelledAt || 0).getTime();
+      if (cancelledAt && when - cancelledAt < LATE_CANCEL_MS) stats.lateCancels += 1;
+    }
+    byPhone.set(key, stats);
+  });
+  return byPhone;
+}
+
+// PUBLIC_INTERFACE
+export function reliabilityScore(stats) {
+  /**
+   * Smoothed share of kept bookings, 0-100 (a single first booking scores high, not 0 or 100).
+   * @returns {number|null} null when there is no history
+   */
+  if (!stats || stats.attended + stats.noShows + stats.lateCancels === 0) return null;
+  const kept = stats.attended + 1;
+  const missed = stats.noShows + 0.5 * stats.lateCancels;
+  return Math.round((100 * kept) / (kept + missed));
+}
+
+// PUBLIC_INTERFACE
+export function reliabilityFor(phone, history) {
+  /**
+   * Score and tier for a phone number.
+   * @param {string} phone
+   * @param {Map} history - from guestHistory
+   * @returns {{ score: number, tier: "reliable"|"watch"|"risk", noShows: number, stats: Object } | null}
+   */
+  const stats = history?.get(phoneKey(phone));
+  const score = reliabilityScore(stats);
+  if (score === null) return null;
+  const tier = score >= 80 ? "reliable" : score >= 50 ? "watch" : "risk";
+  return { score, tier, noShows: stats.noShows, stats };
+}
+
+// PUBLIC_INTERFACE
+export function noShowCandidates(
+  reservations = [],
+  { now = Date.now(), graceMinutes = NO_SHOW_GRACE_MINUTES } = {}
+) {
+  /**
+   * Pending/confirmed reservations whose time (plus grace) has passed without being seated.
+   * @returns {Object[]} oldest first
+   */
+  const cutoff = now - graceMinutes * 60 * 1000;
+  return reservations
+    .filter((r) => {
+      const status = normalizeStatus(r?.status);
+      const when = startMs(r);
+      return (status === "pending" || status === "confirmed") && when !== null && when < cutoff;
+    })
+    .sort((a, b) => startMs(a) - startMs(b));
+}
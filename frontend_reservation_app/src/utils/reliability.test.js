@@ -0,0 +1,40 @@
+import { guestHistory, noShowCandidates, phoneKey, reliabilityFor } from './reliability';
+
+const now = new Date('2030-01-10T20:00:00Z').getTime();
+
+test('phoneKey matches formatting variants of the same number', () => {
+  expect(phoneKey('+1 (555) 123-4567')).toBe(phoneKey('555.123.4567'));
+  expect(phoneKey('123')).toBe('');
+});
+
+test('scores guests from attended, no-show and late-cancelled bookings', () => {
+  const reservations = [
+    { phone: '555-123-4567', status: 'completed', time: '2030-01-01T19:00:00Z' },
+    { phone: '5551234567', status: 'no_show', time: '2030-01-03T19:00:00Z' },
+    { phone: '(555) 123 4567', status: 'no_show', time: '2030-01-05T19:00:00Z' },
+    {
+      phone: '555 123 4567',
+      status: 'cancelled',
+      time: '2030-01-07T19:00:00Z',
+      cancelledAt: '2030-01-07T18:30:00Z',
+    },
+    { phone: '555 000 1111', status: 'completed', time: '2030-01-02T19:00:00Z' },
+  ];
+  const history = guestHistory(reservations, { now });
+
+  const risky = reliabilityFor('+15551234567', history);
+  expect(risky).toMatchObject({ noShows: 2, tier: 'risk', stats: { attended: 1, lateCancels: 1 } });
+  expect(risky.score).toBe(44);
+  expect(reliabilityFor('555 000 1111', history)).toMatchObject({ score: 100, tier: 'reliable' });
+  expect(reliabilityFor('555 999 9999', history)).toBeNull();
+});
+
+test('noShowCandidates lists unseated bookings past the grace period', () => {
+  const reservations = [
+    { id: 1, status: 'confirmed', time: '2030-01-10T19:00:00Z' },
+    { id: 2, status: 'pending', time: '2030-01-10T19:45:00Z' },
+    { id: 3, status: 'seated', time: '2030-01-10T18:00:00Z' },
+    { id: 4, status: 'pending', time: '2030-01-10T17:00:00Z' },
+  ];
+  expect(noShowCandidates(reservations, { now }).map((r) => r.id)).toEqual([4, 1]);
+});
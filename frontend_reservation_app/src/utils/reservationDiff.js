@@ -0,0 +1,52 @@
+//
+// Reservation edit diff
+// - Compare ReservationForm output with the reservation being edited
+// - Only changed fields are sent; cleared optional fields become null so the backend removes them
+//
+
+import { reservationDuration, reservationTableIds } from "./seating";
+import { reservationTimeOf } from "./reservationIds";
+
+// PUBLIC_INTERFACE
+export function diffReservation(original, payload) {
+  /**
+   * Compute the subset of form fields that differ from the original reservation.
+   * @param {object} original - reservation as loaded from the API
+   * @param {object} payload - normalized ReservationForm output
+   * @returns {object} partial updates
+   */
+  const updates = {};
+
+  const name = original.guestName || original.name || "";
+  if (payload.guestName !== name) updates.guestName = payload.guestName;
+
+  const size = Number(original.size || original.partySize);
+  if (payload.size !== size) updates.size = payload.size;
+
+  const rawTime = reservationTimeOf(original);
+  const before = rawTime ? new Date(rawTime).getTime() : NaN;
+  if (new Date(payload.time).getTime() !== before) updates.time = payload.time;
+
+  ["phone", "notes"].forEach((field) => {
+    const prev = original[field] || undefined;
+    const next = payload[field];
+    if (prev === next) return;
+    updates[field] = next === undefined ? null : next;
+  });
+
+  if (payload.guestId && payload.guestId !== String(original.guestId ?? "")) {
+    updates.guestId = payload.guestId;
+  }
+
+  // Legacy rows without a stored duration only change when the effective duration does
+  if (payload.durationMinutes && payload.durationMinutes !== reservationDuration(original)) {
+    updates.durationMinutes = payload.durationMinutes;
+  }
+
+  if (Array.isArray(payload.tableIds)) {
+    const before = [...reservationTableIds(original)].sort().join(",");
+    if ([...payload.tableIds].sort().join(",") !== before) updates.tableIds = payload.tableIds;
+  }
+
+  return updates;
+}
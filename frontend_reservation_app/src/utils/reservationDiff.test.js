@@ -0,0 +1,73 @@
+import { diffReservation } from './reservationDiff';
+import { reservationDuration } from './seating';
+
+const original = {
+  guestName: 'Ada',
+  size: 2,
+  time: '2030-05-01T19:00:00.000Z',
+  phone: '+33 6 12 34 56 78',
+  notes: 'Window',
+  guestId: 7,
+  durationMinutes: 90,
+  tableIds: ['t1', 't2'],
+};
+
+const unchanged = {
+  guestName: 'Ada',
+  size: 2,
+  time: '2030-05-01T19:00:00Z',
+  phone: '+33 6 12 34 56 78',
+  notes: 'Window',
+  guestId: '7',
+  durationMinutes: 90,
+  tableIds: ['t2', 't1'],
+};
+
+test('diffReservation returns nothing when only formatting or table order differs', () => {
+  expect(diffReservation(original, unchanged)).toEqual({});
+});
+
+test('diffReservation sends changed fields and clears removed optional ones', () => {
+  const updates = diffReservation(original, {
+    ...unchanged,
+    guestName: 'Ada L.',
+    size: 4,
+    time: '2030-05-01T20:00:00.000Z',
+    phone: undefined,
+    notes: 'Terrace',
+    guestId: '8',
+    durationMinutes: 120,
+    tableIds: ['t3'],
+  });
+  expect(updates).toEqual({
+    guestName: 'Ada L.',
+    size: 4,
+    time: '2030-05-01T20:00:00.000Z',
+    phone: null,
+    notes: 'Terrace',
+    guestId: '8',
+    durationMinutes: 120,
+    tableIds: ['t3'],
+  });
+});
+
+test('diffReservation reads legacy field names on the original', () => {
+  const legacy = { name: 'Ada', partySize: 2, when: '2030-05-01T19:00:00.000Z', tableId: 't1' };
+  expect(diffReservation(legacy, { guestName: 'Ada', size: 2, time: legacy.when })).toEqual({});
+  const payload = { guestName: 'Ada', size: 2, time: legacy.when, tableIds: ['t1'] };
+  expect(diffReservation(legacy, payload)).toEqual({});
+});
+
+test('diffReservation leaves a legacy duration alone unless the effective one changes', () => {
+  const legacy = { guestName: 'Ada', size: 2, time: '2030-05-01T19:00:00.000Z' };
+  const base = { guestName: 'Ada', size: 2, time: legacy.time };
+  const current = reservationDuration(legacy);
+  expect(diffReservation(legacy, { ...base, durationMinutes: current })).toEqual({});
+  expect(diffReservation(legacy, { ...base, durationMinutes: current + 30 })).toEqual({
+    durationMinutes: current + 30,
+  });
+});
+
+test('diffReservation ignores an empty guest link', () => {
+  expect(diffReservation(original, { ...unchanged, guestId: undefined })).toEqual({});
+});
@@ -0,0 +1,260 @@
+//
+// Reservation export
+// - The reservations shown on ReservationsPage (after filters) as CSV, JSON or a PDF run sheet
+// - Columns are chosen by the user; phone numbers are masked by default so exported files do
+//   not carry contact details unless asked for, in line with the API client never logging PII
+//
+// Rows are zoned (see utils/timezone): CSV and PDF show the venue wall clock, JSON carries
+// real instants alongside the venue's zone.
+//
+
+import { CSV_CONTENT_TYPE, toCsv } from "./csv";
+import { dateKey } from "./openingHours";
+import { buildTablePdf, PDF_CONTENT_TYPE } from "./pdf";
+import { reservationIdOf, reservationTimeOf } from "./reservationIds";
+import { normalizeStatus, statusLabel } from "./reservationStatus";
+import { reservationDuration, reservationTableIds, tableIdOf, tableLabel } from "./seating";
+import { fromZonedTime } from "./timezone";
+
+// PUBLIC_INTERFACE
+export const EXPORT_FORMATS = [
+  { key: "csv", label: "CSV (spreadsheet)", extension: "csv", type: CSV_CONTENT_TYPE },
+  { key: "json", label: "JSON", extension: "json", type: "application/json;charset=utf-8" },
+  { key: "pdf", label: "PDF run sheet", extension: "pdf", type: PDF_CONTENT_TYPE },
+];
+
+// `text` is the CSV/PDF cell, `json` the JSON value; `weight` sizes the PDF column
+// PUBLIC_INTERFACE
+export const EXPORT_COLUMNS = [
+  {
+    key: "time",
+    label: "Date and time",
+    weight: 1.3,
+    text: (r) => wallClock(startDate(r)),
+    json: (r, ctx) => instant(startDate(r), ctx.timeZone),
+  },
+  { key: "guestName", label: "Guest", weight: 1.5, text: (r) => r.guestName || r.name || "" },
+  {
+    key: "phone",
+    label: "Phone",
+    weight: 1.2,
+    text: (r, ctx) => phoneOf(r, ctx),
+    json: (r, ctx) => phoneOf(r, ctx) || null,
+  },
+  {
+    key: "size",
+    label: "Party size",
+    weight: 0.6,
+    text: (r) => sizeOf(r) ?? "",
+    json: (r) => sizeOf(r),
+  },
+  {
+    key: "status",
+    label: "Status",
+    weight: 0.8,
+    text: (r) => statusLabel(r.status),
+    json: (r) => normalizeStatus(r.status),
+  },
+  {
+    key: "tables",
+    label: "Tables",
+    weight: 1,
+    text: (r, ctx) => tableNames(r, ctx).join(", "),
+    json: (r, ctx) => tableNames(r, ctx),
+  },
+  {
+    key: "duration",
+    label: "Duration (min)",
+    weight: 0.7,
+    text: (r, ctx) => reservationDuration(r, ctx.rules),
+    json: (r, ctx) => reservationDuration(r, ctx.rules),
+  },
+  { key: "notes", label: "Notes", weight: 2.5, text: (r) => r.notes || "" },
+  {
+    key: "id",
+    label: "Reservation ID",
+    weight: 1,
+    text: (r) => String(reservationIdOf(r) ?? ""),
+    json: (r) => reservationIdOf(r) ?? null,
+  },
+];
+
+// PUBLIC_INTERFACE
+export const DEFAULT_EXPORT_COLUMNS = [
+  "time",
+  "guestName",
+  "phone",
+  "size",
+  "status",
+  "tables",
+  "notes",
+];
+
+// PUBLIC_INTERFACE
+export function maskPhone(phone) {
+  /**
+   * A phone number with all but its last two digits hidden, keeping its punctuation:
+   * "+1 (555) 123-4567" -> "+* (***) ***-**67".
+   */
+  const value = String(phone || "");
+  const digits = (value.match(/\d/g) || []).length;
+  let seen = 0;
+  return value.replace(/\d/g, (d) => {
+    seen += 1;
+    return seen > digits - 2 ? d : "*";
+  });
+}
+
+// PUBLIC_INTERFACE
+export function exportTable(
+  reservations = [],
+  { columns = DEFAULT_EXPORT_COLUMNS, maskPhones = true, tables = [], rules } = {}
+) {
+  /**
+   * Header and text cells for the chosen columns, rows in time order.
+   * @param {Object[]} reservations - zoned rows
+   * @param {Object} [options]
+   * @param {string[]} [options.columns] - EXPORT_COLUMNS keys, kept in their listed order
+   * @param {boolean} [options.maskPhones] - see maskPhone
+   * @param {Array} [options.tables] - venue tables, for table names
+   * @param {Array} [options.rules] - duration rules for reservations without durationMinutes
+   * @returns {{ columns: Object[], headers: string[], rows: string[][] }}
+   */
+  const chosen = chosenColumns(columns);
+  const ctx = context({ maskPhones, tables, rules });
+  return {
+    columns: chosen,
+    headers: chosen.map((c) => c.label),
+    rows: sortByTime(reservations).map((r) => chosen.map((c) => String(c.text(r, ctx)))),
+  };
+}
+
+// PUBLIC_INTERFACE
+export function buildExport(format, reservations = [], options = {}) {
+  /**
+   * File contents for one of EXPORT_FORMATS.
+   * @param {"csv"|"json"|"pdf"} format
+   * @param {Object[]} reservations - zoned rows
+   * @param {Object} [options] - exportTable options plus:
+   * @param {string} [options.timeZone] - venue zone (JSON instants and metadata)
+   * @param {Object} [options.filters] - filters applied to the list, described in the file
+   * @param {string} [options.title] - PDF heading
+   * @param {Date} [options.now] - export time
+   * @returns {string}
+   */
+  const { timeZone, filters = {}, title = "Reservations", now = new Date() } = options;
+  if (format === "json") {
+    const chosen = chosenColumns(options.columns || DEFAULT_EXPORT_COLUMNS);
+    const ctx = context({ ...options, maskPhones: options.maskPhones ?? true });
+    const records = sortByTime(reservations).map((r) =>
+      Object.fromEntries(chosen.map((c) => [c.key, (c.json || c.text)(r, ctx)]))
+    );
+    const document = {
+      exportedAt: now.toISOString(),
+      timeZone: timeZone || null,
+      filters: activeFilters(filters),
+      phonesMasked: ctx.maskPhones,
+      count: records.length,
+      reservations: records,
+    };
+    return `${JSON.stringify(document, null, 2)}\n`;
+  }
+
+  const { columns, headers, rows } = exportTable(reservations, options);
+  if (format === "pdf") {
+    const count = `${rows.length} reservation${rows.length === 1 ? "" : "s"}`;
+    return buildTablePdf({
+      title,
+      subtitle: describeFilters(filters) || "All reservations",
+      headers,
+      rows,
+      weights: columns.map((c) => c.weight),
+      footer: `${count} · exported ${wallClock(now)}${timeZone ? ` (${timeZone})` : ""}`,
+    });
+  }
+  return toCsv([headers, ...rows]);
+}
+
+// PUBLIC_INTERFACE
+export function describeFilters(filters = {}) {
+  /** "From 2030-01-10 19:00 · Status: confirmed · Search: "ada"", or "" without filters. */
+  const parts = [];
+  if (filters.from) parts.push(`From ${wallClock(new Date(filters.from))}`);
+  if (filters.to) parts.push(`To ${wallClock(new Date(filters.to))}`);
+  if (filters.status) parts.push(`Status: ${statusLabel(filters.status)}`);
+  if (String(filters.search || "").trim()) parts.push(`Search: "${filters.search.trim()}"`);
+  return parts.join(" · ");
+}
+
+// PUBLIC_INTERFACE
+export function exportFileName(format, filters = {}, now = new Date()) {
+  /** "reservations-2030-01-10-to-2030-01-12.csv"; the export day when no range is set. */
+  const day = (v) => {
+    const d = new Date(v);
+    return isNaN(d.getTime()) ? "" : dateKey(d);
+  };
+  const range = [day(filters.from), day(filters.to)].filter(Boolean);
+  const label = range.length ? range.join("-to-") : dateKey(now);
+  const status = filters.status ? `-${normalizeStatus(filters.status)}` : "";
+  const extension = EXPORT_FORMATS.find((f) => f.key === format)?.extension || format;
+  return `reservations-${label}${status}.${extension}`;
+}
+
+function chosenColumns(keys) {
+  const wanted = new Set(keys);
+  return EXPORT_COLUMNS.filter((c) => wanted.has(c.key));
+}
+
+function context({ maskPhones = true, tables = [], rules, timeZone }) {
+  return {
+    maskPhones,
+    rules,
+    timeZone,
+    tableById: new Map(tables.map((t) => [String(tableIdOf(t)), t])),
+  };
+}
+
+function activeFilters(filters) {
+  return Object.fromEntries(
+    ["from", "to", "status", "search"]
+      .filter((k) => String(filters[k] || "").trim())
+      .map((k) => [k, filters[k]])
+  );
+}
+
+function sortByTime(reservations) {
+  const at = (r) => startDate(r)?.getTime() || 0;
+  return [...reservations].sort((a, b) => at(a) - at(b));
+}
+
+function startDate(r) {
+  const d = new Date(reservationTimeOf(r));
+  return isNaN(d.getTime()) ? null : d;
+}
+
+function phoneOf(r, ctx) {
+  const phone = r.phone || r.phoneNumber || "";
+  return ctx.maskPhones ? maskPhone(phone) : phone;
+}
+
+function sizeOf(r) {
+  const size = Number(r.size || r.partySize);
+  return Number.isFinite(size) && size > 0 ? size : null;
+}
+
+function tableNames(r, ctx) {
+  return reservationTableIds(r).map(
+    (id) => tableLabel(ctx.tableById.get(String(id))) || `Table ${id}`
+  );
+}
+
+/** Local fields as "2030-01-10 19:00" (the venue wall clock for zoned rows). */
+function wallClock(date) {
+  if (!date || isNaN(date.getTime())) return "";
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${dateKey(date)} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+function instant(date, timeZone) {
+  return date ? fromZonedTime(date, timeZone).toISOString() : null;
+}
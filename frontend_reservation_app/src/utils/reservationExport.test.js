@@ -0,0 +1,89 @@
+import {
+  buildExport,
+  describeFilters,
+  exportFileName,
+  exportTable,
+  maskPhone,
+} from './reservationExport';
+import { buildTablePdf } from './pdf';
+
+const at = (d, h = 19) => new Date(2030, 0, d, h).toISOString();
+const rows = [
+  { id: 2, guestName: 'Lin', size: 2, time: at(11), status: 'cancelled', phone: '555 010 0199' },
+  {
+    id: 1,
+    guestName: 'Ada',
+    size: 4,
+    time: at(10),
+    status: 'confirmed',
+    phone: '+1 (555) 123-4567',
+    tableIds: ['t1'],
+    notes: 'Window',
+  },
+];
+const tables = [{ id: 't1', name: 'Patio 1' }];
+
+test('masks all but the last two digits of phone numbers', () => {
+  expect(maskPhone('+1 (555) 123-4567')).toBe('+* (***) ***-**67');
+  expect(maskPhone('')).toBe('');
+});
+
+test('builds the chosen columns in time order with phones masked by default', () => {
+  const table = exportTable(rows, { columns: ['phone', 'time', 'guestName', 'tables'], tables });
+  expect(table.headers).toEqual(['Date and time', 'Guest', 'Phone', 'Tables']);
+  expect(table.rows).toEqual([
+    ['2030-01-10 19:00', 'Ada', '+* (***) ***-**67', 'Patio 1'],
+    ['2030-01-11 19:00', 'Lin', '*** *** **99', ''],
+  ]);
+  const clear = exportTable(rows, { columns: ['phone'], maskPhones: false });
+  expect(clear.rows[0]).toEqual(['+1 (555) 123-4567']);
+});
+
+test('exports CSV and JSON with the filters described', () => {
+  const options = {
+    columns: ['time', 'guestName', 'size', 'status'],
+    filters: { from: '2030-01-10T00:00', status: 'confirmed', search: '' },
+    now: new Date(Date.UTC(2030, 0, 1)),
+  };
+  expect(buildExport('csv', rows, options)).toBe(
+    '\uFEFFDate and time,Guest,Party size,Status\r\n' +
+      '2030-01-10 19:00,Ada,4,confirmed\r\n' +
+      '2030-01-11 19:00,Lin,2,cancelled\r\n'
+  );
+  const json = JSON.parse(buildExport('json', rows, options));
+  expect(json).toMatchObject({
+    exportedAt: '2030-01-01T00:00:00.000Z',
+    filters: { from: '2030-01-10T00:00', status: 'confirmed' },
+    phonesMasked: true,
+    count: 2,
+  });
+  expect(json.reservations[0]).toEqual({
+    time: at(10),
+    guestName: 'Ada',
+    size: 4,
+    status: 'confirmed',
+  });
+  expect(describeFilters(options.filters)).toBe('From 2030-01-10 00:00 · Status: confirmed');
+  expect(exportFileName('pdf', options.filters)).toBe('reservations-2030-01-10-confirmed.pdf');
+});
+
+test('writes a paginated PDF with a valid cross-reference table', () => {
+  const pdf = buildTablePdf({
+    title: 'Run sheet (Friday)',
+    headers: ['Guest', 'Notes'],
+    rows: Array.from({ length: 80 }, (_, i) => [`Guest ${i} – café`, 'Allergic to nuts']),
+  });
+  expect(pdf.startsWith('%PDF-1.4')).toBe(true);
+  expect(/[^\x20-\x7e\n]/.test(pdf)).toBe(false);
+  expect(pdf).toContain('(Run sheet \\(Friday\\)) Tj');
+  expect(pdf).toContain('(Guest 0 \\226 caf\\351) Tj');
+  const pages = Number(/\/Count (\d+)/.exec(pdf)[1]);
+  expect(pages).toBeGreaterThan(1);
+  expect(pdf).toContain(`(Page ${pages} of ${pages}) Tj`);
+  // Every xref entry points at its object
+  const xref = Number(/startxref\n(\d+)/.exec(pdf)[1]);
+  const entries = pdf.slice(xref).match(/^\d{10} 00000 n $/gm);
+  entries.forEach((entry, i) => {
+    expect(pdf.slice(Number(entry.slice(0, 10)))).toMatch(new RegExp(`^${i + 1} 0 obj`));
+  });
+});
@@ -0,0 +1,40 @@
+//
+// Reservation identity
+// - Resolve a reservation's id regardless of backend field naming (id, _id, reservationId, uuid)
+// - Read its start time regardless of field naming (time, when, datetime)
+// - Unwrap API responses that return the resource bare or in an envelope
+//
+
+// PUBLIC_INTERFACE
+export function reservationIdOf(r) {
+  /** The reservation's id as the backend sent it; undefined for rows without one. */
+  if (!r || typeof r !== "object") return undefined;
+  return r.id ?? r._id ?? r.reservationId ?? r.uuid;
+}
+
+// PUBLIC_INTERFACE
+export function sameReservationId(r, id) {
+  /** True when `r` carries `id` (compared as strings, so 7 matches "7"). */
+  const rid = reservationIdOf(r);
+  return rid != null && id != null && String(rid) === String(id);
+}
+
+// PUBLIC_INTERFACE
+export function reservationTimeOf(r) {
+  /** The reservation's start as the row holds it (ISO string or Date); falsy when unset. */
+  if (!r || typeof r !== "object") return undefined;
+  return r.time || r.when || r.datetime;
+}
+
+// PUBLIC_INTERFACE
+export function unwrapReservation(res) {
+  /**
+   * The reservation in an API response: a bare resource or one of the common envelopes
+   * ({ reservation } / { item } / { data }).
+   * @returns {Object|null} null when the response carries no resource
+   */
+  if (!res || typeof res !== "object" || Array.isArray(res)) return null;
+  if (reservationIdOf(res) != null) return res;
+  const inner = res.reservation || res.item || res.data;
+  return inner && typeof inner === "object" && !Array.isArray(inner) ? inner : null;
+}
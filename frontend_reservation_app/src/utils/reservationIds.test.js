@@ -0,0 +1,40 @@
+import {
+  reservationIdOf,
+  reservationTimeOf,
+  sameReservationId,
+  unwrapReservation,
+} from './reservationIds';
+
+test('reservationIdOf accepts the common id fields and keeps falsy ids', () => {
+  expect(reservationIdOf({ id: 7, _id: 'x' })).toBe(7);
+  expect(reservationIdOf({ _id: 'abc' })).toBe('abc');
+  expect(reservationIdOf({ reservationId: 'r-1' })).toBe('r-1');
+  expect(reservationIdOf({ uuid: 'u-1' })).toBe('u-1');
+  expect(reservationIdOf({ id: 0 })).toBe(0);
+  expect(reservationIdOf({ name: 'Ada' })).toBeUndefined();
+  expect(reservationIdOf(null)).toBeUndefined();
+});
+
+test('sameReservationId compares ids as strings', () => {
+  expect(sameReservationId({ id: 7 }, '7')).toBe(true);
+  expect(sameReservationId({ _id: 'a' }, 'b')).toBe(false);
+  expect(sameReservationId({ name: 'Ada' }, undefined)).toBe(false);
+});
+
+test('reservationTimeOf reads time, then when, then datetime', () => {
+  expect(reservationTimeOf({ time: 'a', when: 'b', datetime: 'c' })).toBe('a');
+  expect(reservationTimeOf({ when: 'b', datetime: 'c' })).toBe('b');
+  expect(reservationTimeOf({ datetime: 'c' })).toBe('c');
+  expect(reservationTimeOf({})).toBeUndefined();
+  expect(reservationTimeOf(null)).toBeUndefined();
+});
+
+test('unwrapReservation reads bare resources and envelopes', () => {
+  expect(unwrapReservation({ id: 1 })).toEqual({ id: 1 });
+  expect(unwrapReservation({ data: { id: 2 } })).toEqual({ id: 2 });
+  expect(unwrapReservation({ reservation: { _id: 3 } })).toEqual({ _id: 3 });
+  expect(unwrapReservation({ item: { uuid: 'u' } })).toEqual({ uuid: 'u' });
+  expect(unwrapReservation({ data: [{ id: 1 }] })).toBeNull();
+  expect(unwrapReservation([{ id: 1 }])).toBeNull();
+  expect(unwrapReservation(null)).toBeNull();
+});
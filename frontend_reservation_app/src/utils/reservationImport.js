@@ -0,0 +1,302 @@
+//
+// Reservation import
+// - Maps spreadsheet columns to reservation fields, guessing from the header row
+// - Parses the date formats spreadsheets produce: ISO, day/month or month/day with "/" "." "-",
+//   12- or 24-hour times, Excel day serials, and date and time in separate columns
+// - Validates each row with the reservation form's field rules and flags duplicates of
+//   existing reservations or of earlier rows in the file
+// - Creates reservations in small batches and reports what was created and what failed
+//
+// Times are wall-clock Dates in the venue's zone, like the rows on ReservationsPage
+// (see utils/timezone): the caller turns them into instants when saving.
+//
+
+import { samePhone } from "./guests";
+import { RESERVATION_STATUSES, normalizeStatus } from "./reservationStatus";
+import { validateReservationFields } from "./reservationValidation";
+import { toZonedTime } from "./timezone";
+import { reservationTimeOf } from "./reservationIds";
+
+// PUBLIC_INTERFACE
+export const IMPORT_FIELDS = [
+  {
+    key: "guestName",
+    label: "Guest name",
+    required: true,
+    aliases: ["guest name", "guest", "name", "customer", "client", "full name", "booked by"],
+  },
+  {
+    key: "phone",
+    label: "Phone",
+    aliases: ["phone", "phone number", "telephone", "tel", "mobile", "cell", "contact"],
+  },
+  {
+    key: "size",
+    label: "Party size",
+    required: true,
+    aliases: ["size", "party size", "party", "guests", "covers", "pax", "people", "persons"],
+  },
+  {
+    key: "time",
+    label: "Date and time",
+    required: true,
+    aliases: [
+      "time",
+      "date time",
+      "datetime",
+      "when",
+      "start",
+      "start time",
+      "reservation time",
+      "booking time",
+    ],
+  },
+  {
+    key: "date",
+    label: "Date (when the time column has no date)",
+    aliases: ["date", "day", "reservation date", "booking date"],
+  },
+  {
+    key: "notes",
+    label: "Notes",
+    aliases: ["notes", "note", "comments", "comment", "remarks", "requests", "special requests"],
+  },
+  { key: "status", label: "Status", aliases: ["status", "state"] },
+];
+
+// Reservations created at once; the rest wait for the batch to settle
+export const IMPORT_BATCH_SIZE = 5;
+
+// Excel stores dates as days since 1899-12-30 (after its 1900 leap-year quirk)
+const EXCEL_EPOCH = [1899, 11, 30];
+
+// PUBLIC_INTERFACE
+export function guessMapping(headers = []) {
+  /**
+   * Column index for each import field, matched on header names (case and punctuation
+   * ignored). A lone "Date" column is taken as the date and time.
+   * @param {string[]} headers
+   * @returns {Object<string, number|null>} field key -> column index, null when unmapped
+   */
+  const names = headers.map(headerKey);
+  const used = new Set();
+  const mapping = {};
+  IMPORT_FIELDS.forEach((field) => {
+    const index = field.aliases
+      .map((alias) => names.findIndex((n, i) => n === alias && !used.has(i)))
+      .find((i) => i >= 0);
+    mapping[field.key] = index ?? null;
+    if (index != null) used.add(index);
+  });
+  if (mapping.time == null && mapping.date != null) {
+    mapping.time = mapping.date;
+    mapping.date = null;
+  }
+  return mapping;
+}
+
+// PUBLIC_INTERFACE
+export function parseImportDateTime(value, { dayFirst = false, timeZone } = {}) {
+  /**
+   * A zoned wall-clock Date from a spreadsheet cell, or null when it cannot be read.
+   * Times with an explicit offset ("Z", "+02:00") are instants and are shown in `timeZone`.
+   * @param {string|number} value
+   * @param {{ dayFirst?: boolean, timeZone?: string }} [options] - dayFirst reads 03/04 as
+   *   3 April; a day above 12 settles the order either way
+   * @returns {Date|null}
+   */
+  const text = String(value ?? "").trim();
+  if (!text) return null;
+
+  if (/^\d+(\.\d+)?$/.test(text)) return fromSerial(Number(text));
+
+  const iso = /^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T\s]+(.*))?$/.exec(text);
+  if (iso) {
+    const rest = iso[4] || "";
+    if (/(Z|[+-]\d{2}:?\d{2})$/i.test(rest)) {
+      const instant = new Date(text.replace(" ", "T"));
+      return isNaN(instant.getTime()) ? null : toZonedTime(instant, timeZone);
+    }
+    return withTime(dateOf(+iso[1], +iso[2], +iso[3]), rest);
+  }
+
+  const numeric = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})(?:[T\s,]+(.*))?$/.exec(text);
+  if (numeric) {
+    const [a, b] = [+numeric[1], +numeric[2]];
+    const dayFirstHere = a > 12 ? true : b > 12 ? false : dayFirst;
+    const year = numeric[3].length === 2 ? 2000 + +numeric[3] : +numeric[3];
+    const date = dayFirstHere ? dateOf(year, b, a) : dateOf(year, a, b);
+    return withTime(date, numeric[4] || "");
+  }
+
+  // Month names ("10 Jan 2030 7pm", "January 10, 2030 19:00") as the browser reads them
+  const parsed = new Date(text);
+  return /[a-z]{3}/i.test(text) && !isNaN(parsed.getTime()) ? parsed : null;
+}
+
+// PUBLIC_INTERFACE
+export function parseTimeOfDay(value) {
+  /**
+   * Minutes after midnight for "19:30", "7:30 pm", "7pm", "19.30" or an Excel time fraction,
+   * or null.
+   */
+  const text = String(value ?? "").trim();
+  if (/^0?\.\d+$/.test(text)) return Math.round(Number(text) * 24 * 60) % (24 * 60);
+  const m = /^(\d{1,2})(?:[:.h](\d{2}))?(?::(\d{2}))?\s*(?:([ap])\.?\s*m?\.?)?$/i.exec(text);
+  if (!m || (!m[2] && !m[4])) return null;
+  let hours = Number(m[1]);
+  const minutes = Number(m[2] || 0);
+  if (minutes > 59) return null;
+  if (m[4]) {
+    if (hours < 1 || hours > 12) return null;
+    hours = (hours % 12) + (m[4].toLowerCase() === "p" ? 12 : 0);
+  } else if (hours > 23) {
+    return null;
+  }
+  return hours * 60 + minutes;
+}
+
+// PUBLIC_INTERFACE
+export function validateImportRows(
+  rows = [],
+  mapping = {},
+  { existing = [], dayFirst = false, timeZone, now = new Date(), firstLine = 2 } = {}
+) {
+  /**
+   * Validate mapped rows and build their create payloads.
+   * @param {string[][]} rows - data rows (header excluded)
+   * @param {Object<string, number|null>} mapping - see guessMapping
+   * @param {Object} [options]
+   * @param {Object[]} [options.existing] - reservations already booked (zoned rows)
+   * @param {boolean} [options.dayFirst] - see parseImportDateTime
+   * @param {string} [options.timeZone] - venue zone, for times with an explicit offset
+   * @param {Date} [options.now] - zoned now; earlier times get a warning, not an error
+   * @param {number} [options.firstLine] - file line number of rows[0], for messages
+   * @returns {Array<{ line: number, values: Object, payload: Object, errors: Object,
+   *   warnings: string[], duplicate: "existing"|"file"|null }>}
+   */
+  const seen = [];
+  return rows.map((cells, index) => {
+    const cell = (key) => (mapping[key] == null ? "" : String(cells[mapping[key]] ?? "").trim());
+    const values = Object.fromEntries(IMPORT_FIELDS.map((f) => [f.key, cell(f.key)]));
+
+    const errors = validateReservationFields(values);
+    if (values.size && !/^\d+$/.test(values.size)) errors.size = "Party size must be a number";
+
+    let time = null;
+    if (!values.time) {
+      errors.time = "Date and time are required";
+    } else if (values.date) {
+      const day = parseImportDateTime(values.date, { dayFirst, timeZone });
+      const minutes = parseTimeOfDay(values.time);
+      if (day && minutes != null) {
+        time = new Date(day.getFullYear(), day.getMonth(), day.getDate(), 0, minutes);
+      }
+    } else {
+      time = parseImportDateTime(values.time, { dayFirst, timeZone });
+    }
+    if (values.time && !time) errors.time = "Unrecognized date or time";
+
+    const status = values.status ? normalizeStatus(values.status.replace(/\s+/g, "_")) : "";
+    if (status && !RESERVATION_STATUSES.includes(status)) {
+      errors.status = `Unknown status "${values.status}"`;
+    }
+
+    const warnings = [];
+    if (time && time < now) warnings.push("In the past");
+
+    const payload = {
+      guestName: values.guestName,
+      phone: values.phone || undefined,
+      size: Number(values.size),
+      time: time ? time.toISOString() : undefined,
+      notes: values.notes || undefined,
+    };
+    if (status) payload.status = status;
+
+    let duplicate = null;
+    if (time) {
+      const match = (r) => isSameBooking(r, payload);
+      if (existing.some(match)) duplicate = "existing";
+      else if (seen.some(match)) duplicate = "file";
+      seen.push(payload);
+    }
+
+    return { line: firstLine + index, values, payload, errors, warnings, duplicate };
+  });
+}
+
+// PUBLIC_INTERFACE
+export async function importReservations(
+  items = [],
+  create,
+  { batchSize = IMPORT_BATCH_SIZE, onProgress } = {}
+) {
+  /**
+   * Create reservations a batch at a time; a failed row does not stop the others.
+   * @param {Array<{ line: number, payload: Object }>} items - valid rows to create
+   * @param {(payload) => Promise<Object>} create - creates one reservation
+   * @param {Object} [options]
+   * @param {number} [options.batchSize] - requests in flight at once
+   * @param {(done: number, total: number) => void} [options.onProgress] - after each batch
+   * @returns {Promise<{ created: Array<{ line, reservation }>, failed: Array<{ line, error }> }>}
+   */
+  const report = { created: [], failed: [] };
+  const size = Math.max(1, batchSize);
+  for (let i = 0; i < items.length; i += size) {
+    const batch = items.slice(i, i + size);
+    const results = await Promise.allSettled(batch.map((item) => create(item.payload)));
+    results.forEach((result, j) => {
+      const { line } = batch[j];
+      if (result.status === "fulfilled") {
+        report.created.push({ line, reservation: result.value });
+      } else {
+        report.failed.push({ line, error: result.reason?.message || "Could not be created" });
+      }
+    });
+    onProgress?.(Math.min(i + size, items.length), items.length);
+  }
+  return report;
+}
+
+/** Same start minute, and the same phone number or (without phones) the same name. */
+function isSameBooking(r, payload) {
+  const a = new Date(reservationTimeOf(r));
+  const b = new Date(payload.time);
+  if (isNaN(a.getTime()) || Math.floor(a / 60000) !== Math.floor(b / 60000)) return false;
+  const phone = r?.phone || r?.phoneNumber;
+  if (phone && payload.phone) return samePhone(phone, payload.phone);
+  const name = (x) => String(x || "").trim().toLowerCase();
+  return !!name(payload.guestName) && name(r?.guestName || r?.name) === name(payload.guestName);
+}
+
+function headerKey(header) {
+  return String(header || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+function dateOf(year, month, day) {
+  const d = new Date(year, month - 1, day);
+  // Reject rollovers such as 31/02
+  return d.getMonth() === month - 1 && d.getDate() === day ? d : null;
+}
+
+function withTime(date, timeText) {
+  if (!date) return null;
+  if (!timeText.trim()) return date;
+  // "19:30:00.000" from ISO timestamps: fractional seconds are dropped
+  const minutes = parseTimeOfDay(timeText.replace(/(:\d{2}:\d{2})\.\d+$/, "$1"));
+  if (minutes == null) return null;
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate(), 0, minutes);
+}
+
+function fromSerial(serial) {
+  // Day serials from about 1955 to 2100; anything else is not a date
+  if (serial < 20000 || serial > 75000) return null;
+  const days = Math.floor(serial);
+  const minutes = Math.round((serial - days) * 24 * 60);
+  const [y, m, d] = EXCEL_EPOCH;
+  return new Date(y, m, d + days, 0, minutes);
+}
@@ -0,0 +1,99 @@
+import {
+  guessMapping,
+  importReservations,
+  parseImportDateTime,
+  parseTimeOfDay,
+  validateImportRows,
+} from './reservationImport';
+
+const local = (...args) => new Date(...args).getTime();
+
+test('guesses the column mapping from headers', () => {
+  expect(guessMapping(['Guest Name', 'Mobile', 'Covers', 'Date', 'Time', 'Comments'])).toEqual({
+    guestName: 0,
+    phone: 1,
+    size: 2,
+    time: 4,
+    date: 3,
+    notes: 5,
+    status: null,
+  });
+  // A lone date column holds the date and time
+  expect(guessMapping(['name', 'date', 'pax'])).toMatchObject({ time: 1, date: null });
+});
+
+test('parses ISO, day-first, month-first and Excel serial dates', () => {
+  expect(parseImportDateTime('2030-01-10 19:30').getTime()).toBe(local(2030, 0, 10, 19, 30));
+  expect(parseImportDateTime('03/04/2030 7pm').getTime()).toBe(local(2030, 2, 4, 19));
+  expect(parseImportDateTime('03/04/2030 7pm', { dayFirst: true }).getTime()).toBe(
+    local(2030, 3, 3, 19)
+  );
+  // A day above 12 settles the order
+  expect(parseImportDateTime('25.12.30 12:15').getTime()).toBe(local(2030, 11, 25, 12, 15));
+  expect(parseImportDateTime('47493.8125').getTime()).toBe(local(2030, 0, 10, 19, 30));
+  expect(parseImportDateTime('31/02/2030')).toBeNull();
+  expect(parseImportDateTime('soon')).toBeNull();
+  expect(parseTimeOfDay('7:45 p.m.')).toBe(19 * 60 + 45);
+  expect(parseTimeOfDay('0.5')).toBe(12 * 60);
+  expect(parseTimeOfDay('25:00')).toBeNull();
+});
+
+test('validates rows with the form rules and flags duplicates', () => {
+  const mapping = { guestName: 0, phone: 1, size: 2, time: 3, notes: null, status: 4 };
+  const existing = [
+    {
+      id: 1,
+      guestName: 'Ada',
+      phone: '+1 555 555 0100',
+      time: new Date(2030, 0, 10, 19).toISOString(),
+    },
+  ];
+  const rows = validateImportRows(
+    [
+      ['Bo', '(555) 555-0100', '4', '2030-01-10 19:00', ''],
+      ['Cy', '', '2', '2030-01-11 20:00', 'Confirmed'],
+      ['cy', '', '3', '2030-01-11 20:00', ''],
+      ['X', 'call me', '30', 'tomorrow', 'maybe'],
+      ['Di', '', '2', '2020-01-01 12:00', ''],
+    ],
+    mapping,
+    { existing, now: new Date(2030, 0, 1) }
+  );
+  expect(rows.map((r) => r.line)).toEqual([2, 3, 4, 5, 6]);
+  expect(rows[0].duplicate).toBe('existing');
+  expect(rows[1]).toMatchObject({ duplicate: null, errors: {} });
+  expect(rows[1].payload).toMatchObject({ guestName: 'Cy', size: 2, status: 'confirmed' });
+  expect(rows[2].duplicate).toBe('file');
+  expect(Object.keys(rows[3].errors).sort()).toEqual([
+    'guestName',
+    'phone',
+    'size',
+    'status',
+    'time',
+  ]);
+  expect(rows[3].errors.size).toBe('Party size cannot exceed 20');
+  expect(rows[4].warnings).toEqual(['In the past']);
+});
+
+test('creates reservations in batches and reports failures per line', async () => {
+  let inFlight = 0;
+  let maxInFlight = 0;
+  const create = jest.fn(async (payload) => {
+    inFlight += 1;
+    maxInFlight = Math.max(maxInFlight, inFlight);
+    await Promise.resolve();
+    inFlight -= 1;
+    if (payload.guestName === 'Bad') throw new Error('Slot is full');
+    return { id: payload.guestName };
+  });
+  const onProgress = jest.fn();
+  const items = ['A', 'B', 'Bad', 'C', 'D'].map((guestName, i) => ({
+    line: i + 2,
+    payload: { guestName },
+  }));
+  const report = await importReservations(items, create, { batchSize: 2, onProgress });
+  expect(maxInFlight).toBe(2);
+  expect(report.created.map((x) => x.line)).toEqual([2, 3, 5, 6]);
+  expect(report.failed).toEqual([{ line: 4, error: 'Slot is full' }]);
+  expect(onProgress.mock.calls).toEqual([[2, 5], [4, 5], [5, 5]]);
+});
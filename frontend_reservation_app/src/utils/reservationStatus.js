@@ -0,0 +1,147 @@
+//
+// Reservation status lifecycle
+// - Allowed transitions between statuses (e.g. completed is final, no completed -> pending)
+// - Timestamps and a history entry recorded for each transition
+// - Timeline reconstruction for reservations created before history was recorded
+//
+
+// PUBLIC_INTERFACE
+export const RESERVATION_STATUSES = [
+  "pending",
+  "confirmed",
+  "seated",
+  "completed",
+  "cancelled",
+  "no_show",
+];
+
+// Statuses each status may move to; completed is terminal
+export const STATUS_TRANSITIONS = {
+  pending: ["confirmed", "seated", "cancelled", "no_show"],
+  confirmed: ["seated", "cancelled", "no_show"],
+  seated: ["completed"],
+  completed: [],
+  // Reinstating a cancellation starts over as pending
+  cancelled: ["pending"],
+  // The party turned up late after all
+  no_show: ["seated"],
+};
+
+// Field stamped with the transition time
+export const STATUS_TIMESTAMP_FIELDS = {
+  pending: "reinstatedAt",
+  confirmed: "confirmedAt",
+  seated: "seatedAt",
+  completed: "completedAt",
+  cancelled: "cancelledAt",
+  no_show: "noShowAt",
+};
+
+// Button labels for moving a reservation into each status
+export const STATUS_ACTION_LABELS = {
+  pending: "Reinstate",
+  confirmed: "Confirm",
+  seated: "Seat",
+  completed: "Complete",
+  cancelled: "Cancel",
+  no_show: "No-show",
+};
+
+const ALIASES = { canceled: "cancelled", "no-show": "no_show", noshow: "no_show", done: "completed" };
+
+// PUBLIC_INTERFACE
+export function normalizeStatus(status) {
+  /** Lower-cased canonical status; missing statuses are "pending". */
+  const s = String(status || "pending").trim().toLowerCase();
+  return ALIASES[s] || s;
+}
+
+// PUBLIC_INTERFACE
+export function statusLabel(status) {
+  /** Display label, e.g. "no_show" -> "no show". */
+  return normalizeStatus(status).replace(/_/g, " ");
+}
+
+// PUBLIC_INTERFACE
+export function allowedTransitions(status) {
+  /** Statuses reachable from `status` (empty for terminal or unknown statuses). */
+  return STATUS_TRANSITIONS[normalizeStatus(status)] || [];
+}
+
+// PUBLIC_INTERFACE
+export function canTransition(from, to) {
+  /** Whether a reservation may move from one status to another. */
+  return allowedTransitions(from).includes(normalizeStatus(to));
+}
+
+// PUBLIC_INTERFACE
+export function transitionUpdates(reservation, to, { now = new Date(), by } = {}) {
+  /**
+   * Build the PATCH body for a status change: the new status, its timestamp field and the
+   * history entry as `statusHistoryEntry`, which the server appends to `statusHistory` (sending
+   * the whole history back would overwrite entries recorded meanwhile by another client).
+   * @param {Object} reservation - current reservation
+   * @param {string} to - target status
+   * @param {{ now?: Date, by?: string }} [options] - `by` records who made the change
+   * @returns {Object} updates
+   * @throws {Error} with `code: "INVALID_TRANSITION"` and `details: { from, to }` (the fields
+   *   API client errors carry) when the transition is not allowed
+   */
+  const from = normalizeStatus(reservation?.status);
+  const target = normalizeStatus(to);
+  if (!canTransition(from, target)) {
+    const err = new Error(`Cannot change status from ${statusLabel(from)} to ${statusLabel(target)}`);
+    err.status = 0;
+    err.code = "INVALID_TRANSITION";
+    err.details = { from, to: target };
+    throw err;
+  }
+  const at = now.toISOString();
+  const entry = { from, to: target, at };
+  if (by) entry.by = by;
+  return {
+    status: target,
+    [STATUS_TIMESTAMP_FIELDS[target]]: at,
+    statusHistoryEntry: entry,
+  };
+}
+
+// PUBLIC_INTERFACE
+export function withStatusHistory(reservation, updates) {
+  /**
+   * Fields of `reservation` after `updates` (e.g. from transitionUpdates): a
+   * `statusHistoryEntry` is appended to its `statusHistory` as the server does, for optimistic
+   * rows and for new reservations that start out with a history.
+   * @returns {Object} updates with `statusHistory` in place of `statusHistoryEntry`
+   */
+  if (!updates?.statusHistoryEntry) return updates;
+  const { statusHistoryEntry, ...rest } = updates;
+  const history = Array.isArray(reservation?.statusHistory) ? reservation.statusHistory : [];
+  return { ...rest, statusHistory: [...history, statusHistoryEntry] };
+}
+
+// PUBLIC_INTERFACE
+export function statusTimeline(reservation) {
+  /**
+   * Chronological status history. Uses the recorded `statusHistory` when present; otherwise
+   * rebuilds what it can from creation and per-status timestamp fields.
+   * @returns {Array<{ to: string, from?: string, at: string, by?: string }>}
+   */
+  if (!reservation) return [];
+  const recorded = Array.isArray(reservation.statusHistory) ? reservation.statusHistory : [];
+  const created = reservation.createdAt || reservation.created_at;
+  const events = recorded.length
+    ? recorded.map((e) => ({
+        ...e,
+        to: normalizeStatus(e.to),
+        from: e.from && normalizeStatus(e.from),
+      }))
+    : Object.entries(STATUS_TIMESTAMP_FIELDS)
+        .filter(([, field]) => reservation[field])
+        .map(([status, field]) => ({ to: status, at: reservation[field] }));
+
+  const timeline = created ? [{ to: "created", at: created }, ...events] : events;
+  return timeline
+    .filter((e) => !isNaN(new Date(e.at).getTime()))
+    .sort((a, b) => new Date(a.at) - new Date(b.at));
+}
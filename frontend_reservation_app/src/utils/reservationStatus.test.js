@@ -0,0 +1,51 @@
+import {
+  allowedTransitions,
+  canTransition,
+  statusTimeline,
+  transitionUpdates,
+  withStatusHistory,
+} from './reservationStatus';
+
+test('allows only lifecycle transitions', () => {
+  expect(canTransition('pending', 'confirmed')).toBe(true);
+  expect(canTransition('confirmed', 'seated')).toBe(true);
+  expect(canTransition('seated', 'completed')).toBe(true);
+  expect(canTransition('completed', 'pending')).toBe(false);
+  expect(canTransition('seated', 'cancelled')).toBe(false);
+  expect(canTransition('Canceled', 'pending')).toBe(true);
+  expect(allowedTransitions(undefined)).toEqual(['confirmed', 'seated', 'cancelled', 'no_show']);
+});
+
+test('transitionUpdates stamps the change and sends only the new history entry', () => {
+  const now = new Date('2030-01-01T19:00:00Z');
+  const reservation = {
+    status: 'confirmed',
+    statusHistory: [{ from: 'pending', to: 'confirmed', at: '2030-01-01T10:00:00.000Z' }],
+  };
+  const entry = { from: 'confirmed', to: 'no_show', at: now.toISOString(), by: 'host' };
+  const updates = transitionUpdates(reservation, 'no_show', { now, by: 'host' });
+  expect(updates).toEqual({
+    status: 'no_show',
+    noShowAt: now.toISOString(),
+    statusHistoryEntry: entry,
+  });
+  expect(withStatusHistory(reservation, updates)).toEqual({
+    status: 'no_show',
+    noShowAt: now.toISOString(),
+    statusHistory: [reservation.statusHistory[0], entry],
+  });
+  expect(withStatusHistory(reservation, { size: 2 })).toEqual({ size: 2 });
+  expect(() => transitionUpdates({ status: 'completed' }, 'seated')).toThrow(
+    'Cannot change status from completed to seated'
+  );
+});
+
+test('statusTimeline falls back to timestamp fields', () => {
+  const timeline = statusTimeline({
+    status: 'seated',
+    createdAt: '2030-01-01T09:00:00Z',
+    seatedAt: '2030-01-01T19:05:00Z',
+    confirmedAt: '2030-01-01T12:00:00Z',
+  });
+  expect(timeline.map((e) => e.to)).toEqual(['created', 'confirmed', 'seated']);
+});
@@ -0,0 +1,83 @@
+//
+// Reservation field rules
+// - Limits for guest name, phone, party size and notes shared by the reservation form and the
+//   import preview, so a row that imports is one the form would have accepted
+// - Date/time rules (future, opening hours) stay with the callers: imports may carry history
+// - Backend validation details mapped onto the same form fields
+//
+
+// PUBLIC_INTERFACE
+export const RESERVATION_CONSTRAINTS = {
+  nameMin: 2,
+  nameMax: 80,
+  sizeMin: 1,
+  sizeMax: 20,
+  notesMax: 240,
+  // E.164-ish loose check or common local formats, non-strict to avoid rejecting valid numbers
+  phonePattern: /^[+()\-.\s\d]{7,20}$/,
+};
+
+// PUBLIC_INTERFACE
+export function validateReservationFields(draft, constraints = RESERVATION_CONSTRAINTS) {
+  /**
+   * Errors for a reservation's guest name, phone, party size and notes.
+   * @param {{ guestName?, phone?, size?, notes? }} draft
+   * @returns {Object<string, string>} message per invalid field (empty when all are valid)
+   */
+  const e = {};
+  const name = String(draft?.guestName || "").trim();
+  if (!name) e.guestName = "Guest name is required";
+  else if (name.length < constraints.nameMin)
+    e.guestName = `Name must be at least ${constraints.nameMin} characters`;
+  else if (name.length > constraints.nameMax)
+    e.guestName = `Name cannot exceed ${constraints.nameMax} characters`;
+
+  const phone = String(draft?.phone || "").trim();
+  if (phone && !constraints.phonePattern.test(phone)) {
+    e.phone = "Enter a valid phone number";
+  }
+
+  const size = Number(draft?.size);
+  if (!Number.isFinite(size) || size < constraints.sizeMin) {
+    e.size = `Party size must be at least ${constraints.sizeMin}`;
+  } else if (size > constraints.sizeMax) {
+    e.size = `Party size cannot exceed ${constraints.sizeMax}`;
+  }
+
+  const notes = String(draft?.notes || "");
+  if (notes.length > constraints.notesMax) {
+    e.notes = `Notes cannot exceed ${constraints.notesMax} characters`;
+  }
+  return e;
+}
+
+const FORM_FIELDS = ["guestName", "phone", "size", "time", "notes"];
+const FIELD_ALIASES = { name: "guestName", partySize: "size", when: "time", datetime: "time" };
+
+// PUBLIC_INTERFACE
+export function fieldErrorsFromDetails(details) {
+  /**
+   * Map backend validation details onto form fields.
+   * Accepts `{ field: message }`, `{ field: [messages] }` and `[{ field|path, message }]` shapes.
+   * @param {any} details - normalized `details` from the API client
+   * @returns {Record<string, string>} field -> message for known form fields only
+   */
+  const out = {};
+  const assign = (field, message) => {
+    const key = FIELD_ALIASES[field] || field;
+    if (!FORM_FIELDS.includes(key) || out[key]) return;
+    const text = Array.isArray(message) ? message[0] : message;
+    if (typeof text === "string" && text.trim()) out[key] = text;
+  };
+
+  if (Array.isArray(details)) {
+    details.forEach((d) => {
+      if (!d || typeof d !== "object") return;
+      const path = Array.isArray(d.path) ? d.path[d.path.length - 1] : d.path;
+      assign(d.field || path, d.message);
+    });
+  } else if (details && typeof details === "object") {
+    Object.entries(details).forEach(([field, message]) => assign(field, message));
+  }
+  return out;
+}
@@ -0,0 +1,36 @@
+import { fieldErrorsFromDetails } from './reservationValidation';
+
+test('fieldErrorsFromDetails maps a field -> message object', () => {
+  expect(fieldErrorsFromDetails({ guestName: 'Too short', phone: 'Invalid' })).toEqual({
+    guestName: 'Too short',
+    phone: 'Invalid',
+  });
+});
+
+test('fieldErrorsFromDetails takes the first message of each field', () => {
+  expect(fieldErrorsFromDetails({ size: ['Too large', 'Not a number'], notes: [] })).toEqual({
+    size: 'Too large',
+  });
+});
+
+test('fieldErrorsFromDetails reads field or path entries and backend aliases', () => {
+  const details = [
+    { field: 'name', message: 'Required' },
+    { path: ['body', 'partySize'], message: 'Too large' },
+    { path: 'datetime', message: 'In the past' },
+    { field: 'when', message: 'Ignored: time already has a message' },
+    { field: 'tableIds', message: 'Not a form field' },
+    { field: 'phone', message: '   ' },
+    null,
+  ];
+  expect(fieldErrorsFromDetails(details)).toEqual({
+    guestName: 'Required',
+    size: 'Too large',
+    time: 'In the past',
+  });
+});
+
+test('fieldErrorsFromDetails returns nothing for missing or unknown details', () => {
+  expect(fieldErrorsFromDetails(undefined)).toEqual({});
+  expect(fieldErrorsFromDetails('Bad request')).toEqual({});
+});
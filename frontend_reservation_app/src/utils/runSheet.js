@@ -0,0 +1,112 @@
+//
+// Daily run sheet
+// - One day's reservations for front-of-house, grouped by service period (the day's opening
+//   shifts) or by hour, with parties and covers per group and for the day
+// - Cancelled bookings are left out unless asked for; they and no-shows never count as covers
+//
+// Rows are zoned (see utils/timezone), so hours and days are the venue's.
+//
+
+import { dateKey, shiftsFor } from "./openingHours";
+import { normalizeStatus } from "./reservationStatus";
+import { reservationTimeOf } from "./reservationIds";
+
+// PUBLIC_INTERFACE
+export const RUN_SHEET_GROUPINGS = [
+  { key: "period", label: "By service period" },
+  { key: "hour", label: "By hour" },
+];
+
+// Statuses that do not bring guests through the door
+const NOT_SEATED = ["cancelled", "no_show"];
+
+// PUBLIC_INTERFACE
+export function defaultRunSheetGrouping(day, hours) {
+  /** "period" on days with split service (more than one shift), otherwise "hour". */
+  return shiftsFor(day, hours).length > 1 ? "period" : "hour";
+}
+
+// PUBLIC_INTERFACE
+export function runSheetGroups(
+  reservations = [],
+  { day, groupBy = "period", hours, includeCancelled = false } = {}
+) {
+  /**
+   * The day's reservations in time order, split into groups.
+   * @param {Object[]} reservations - zoned rows (other days are ignored)
+   * @param {Object} options
+   * @param {Date} options.day - any time on the day
+   * @param {"period"|"hour"} [options.groupBy] - service periods come from the opening hours;
+   *   bookings outside every shift get a group of their own
+   * @param {Object} [options.hours] - opening hours (the venue settings by default)
+   * @param {boolean} [options.includeCancelled] - list cancelled bookings too
+   * @returns {{
+   *   groups: Array<{ key: string, label: string, range: string, reservations: Object[],
+   *     parties: number, covers: number }>,
+   *   totals: { parties: number, covers: number },
+   * }}
+   */
+  const key = dateKey(day);
+  const rows = reservations
+    .map((r) => ({ r, start: new Date(reservationTimeOf(r)) }))
+    .filter(({ start }) => !isNaN(start.getTime()) && dateKey(start) === key)
+    .filter(({ r }) => includeCancelled || normalizeStatus(r.status) !== "cancelled")
+    .sort((a, b) => a.start - b.start);
+
+  const groups =
+    groupBy === "hour" ? hourGroups(rows) : periodGroups(rows, shiftsFor(day, hours));
+  const withTotals = groups.map((g) => ({ ...g, ...tally(g.reservations) }));
+  return { groups: withTotals, totals: tally(withTotals.flatMap((g) => g.reservations)) };
+}
+
+// PUBLIC_INTERFACE
+export function isSeatedStatus(status) {
+  /** True for bookings that count as covers (everything but cancelled and no-shows). */
+  return !NOT_SEATED.includes(normalizeStatus(status));
+}
+
+function periodGroups(rows, shifts) {
+  const groups = shifts.map((s, i) => ({
+    key: `shift-${i}`,
+    label: s.label || periodName(s, shifts),
+    range: `${s.open}–${s.close}`,
+    reservations: [],
+  }));
+  const outside = { key: "outside", label: "Outside opening hours", range: "", reservations: [] };
+  rows.forEach(({ r, start }) => {
+    const minutes = start.getHours() * 60 + start.getMinutes();
+    // Groups line up with the shifts they were made from
+    const index = shifts.findIndex((s) => minutes >= s.start && minutes < s.end);
+    (index >= 0 ? groups[index] : outside).reservations.push(r);
+  });
+  return [...groups, ...(outside.reservations.length ? [outside] : [])];
+}
+
+function hourGroups(rows) {
+  const byHour = new Map();
+  rows.forEach(({ r, start }) => {
+    const hour = start.getHours();
+    if (!byHour.has(hour)) {
+      const label = `${String(hour).padStart(2, "0")}:00`;
+      byHour.set(hour, { key: `hour-${hour}`, label, range: "", reservations: [] });
+    }
+    byHour.get(hour).reservations.push(r);
+  });
+  return [...byHour.values()];
+}
+
+/** A lone shift is the whole day; split service is named by when each shift opens. */
+function periodName(shift, shifts) {
+  if (shifts.length === 1) return "All day";
+  if (shift.start < 11 * 60) return "Breakfast";
+  if (shift.start < 16 * 60) return "Lunch";
+  return "Dinner";
+}
+
+function tally(reservations) {
+  const seated = reservations.filter((r) => isSeatedStatus(r.status));
+  return {
+    parties: seated.length,
+    covers: seated.reduce((sum, r) => sum + (Number(r.size || r.partySize) || 0), 0),
+  };
+}
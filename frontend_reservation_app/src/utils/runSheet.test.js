@@ -0,0 +1,55 @@
+import { defaultRunSheetGrouping, runSheetGroups } from './runSheet';
+
+const day = new Date(2030, 0, 10);
+const at = (h, m = 0, d = 10) => new Date(2030, 0, d, h, m).toISOString();
+const hours = {
+  weekly: Object.fromEntries(
+    [0, 1, 2, 3, 4, 5, 6].map((d) => [
+      d,
+      [
+        { open: '12:00', close: '15:00' },
+        { open: '18:00', close: '23:00' },
+      ],
+    ])
+  ),
+  closures: [],
+};
+const reservations = [
+  { id: 1, guestName: 'Ada', size: 4, time: at(19, 30), status: 'confirmed' },
+  { id: 2, guestName: 'Bo', size: 2, time: at(12, 15), status: 'seated' },
+  { id: 3, guestName: 'Cy', size: 6, time: at(19), status: 'cancelled' },
+  { id: 4, guestName: 'Di', size: 3, time: at(16) },
+  { id: 5, guestName: 'Ed', size: 2, time: at(19, 45), status: 'no_show' },
+  { id: 6, guestName: 'Fay', size: 5, time: at(19, 0, 11) },
+];
+
+test('groups the day by service period with covers per period', () => {
+  const { groups, totals } = runSheetGroups(reservations, { day, hours });
+  expect(groups.map((g) => [g.label, g.range, g.reservations.map((r) => r.id)])).toEqual([
+    ['Lunch', '12:00–15:00', [2]],
+    ['Dinner', '18:00–23:00', [1, 5]],
+    ['Outside opening hours', '', [4]],
+  ]);
+  // The no-show is listed but not counted
+  expect(groups[1]).toMatchObject({ parties: 1, covers: 4 });
+  expect(totals).toEqual({ parties: 3, covers: 9 });
+  expect(defaultRunSheetGrouping(day, hours)).toBe('period');
+});
+
+test('groups by hour and lists cancelled bookings on request', () => {
+  const { groups, totals } = runSheetGroups(reservations, {
+    day,
+    hours,
+    groupBy: 'hour',
+    includeCancelled: true,
+  });
+  expect(groups.map((g) => [g.label, g.reservations.map((r) => r.id)])).toEqual([
+    ['12:00', [2]],
+    ['16:00', [4]],
+    ['19:00', [3, 1, 5]],
+  ]);
+  expect(totals).toEqual({ parties: 3, covers: 9 });
+  const allDay = { weekly: { 4: [{ open: '09:00', close: '22:00' }] }, closures: [] };
+  expect(defaultRunSheetGrouping(day, allDay)).toBe('hour');
+  expect(runSheetGroups(reservations, { day, hours: allDay }).groups[0].label).toBe('All day');
+});
@@ -0,0 +1,223 @@
+//
+// Seating helpers
+// - Resolve table assignments on reservations regardless of backend field naming
+// - Detect capacity shortfalls and double-booked tables in overlapping time windows
+// - Derive seating durations from party size and check concurrent covers against capacity
+// - List tables still free during a time window
+//
+
+import { reservationIdOf, reservationTimeOf, sameReservationId } from "./reservationIds";
+import { getVenueSettings } from "./venueSettings";
+
+// Seating length assumed when no duration rule matches
+export const DEFAULT_SEATING_MINUTES = 90;
+
+const MINUTE_MS = 60 * 1000;
+
+// PUBLIC_INTERFACE
+export function tableIdOf(table) {
+  /** Resolve a table identifier as a string (tables may be ids or objects). */
+  if (table === null || table === undefined) return "";
+  if (typeof table !== "object") return String(table);
+  const id = table.id ?? table._id ?? table.tableId ?? table.uuid;
+  return id === undefined || id === null ? "" : String(id);
+}
+
+// PUBLIC_INTERFACE
+export function reservationTableIds(r) {
+  /**
+   * Table ids assigned to a reservation, accepting `tableIds`, `tables` (ids or objects)
+   * or a single `tableId`.
+   * @returns {string[]}
+   */
+  if (!r) return [];
+  const raw = Array.isArray(r.tableIds)
+    ? r.tableIds
+    : Array.isArray(r.tables)
+    ? r.tables
+    : r.tableId !== undefined && r.tableId !== null
+    ? [r.tableId]
+    : [];
+  return raw.map(tableIdOf).filter(Boolean);
+}
+
+// PUBLIC_INTERFACE
+export function durationFor(size, rules = getVenueSettings().durationRules) {
+  /**
+   * Default seating minutes for a party size: the first rule whose `maxSize` covers the
+   * party (a null/absent maxSize matches any size).
+   * @param {number} size
+   * @param {Array<{ maxSize: number|null, minutes: number }>} [rules]
+   * @returns {number}
+   */
+  const n = Number(size) || 1;
+  const rule = (Array.isArray(rules) ? rules : []).find(
+    (r) => r && (r.maxSize === null || r.maxSize === undefined || n <= Number(r.maxSize))
+  );
+  return Number(rule?.minutes) || DEFAULT_SEATING_MINUTES;
+}
+
+// PUBLIC_INTERFACE
+export function reservationDuration(r, rules) {
+  /** Seating minutes for a reservation: its own duration, else the party-size default. */
+  const own = Number(r?.durationMinutes || r?.duration);
+  return own > 0 ? own : durationFor(r?.size || r?.partySize, rules);
+}
+
+// PUBLIC_INTERFACE
+export function reservationWindow(r, rules) {
+  /**
+   * Start/end instants (ms) a reservation occupies its tables.
+   * @returns {{ start: number, end: number } | null} null when the time is missing/invalid
+   */
+  const start = new Date(reservationTimeOf(r)).getTime();
+  if (!Number.isFinite(start)) return null;
+  return { start, end: start + reservationDuration(r, rules) * MINUTE_MS };
+}
+
+function windowsOverlap(a, b) {
+  return a.start < b.end && b.start < a.end;
+}
+
+function isInactive(r) {
+  const s = String(r?.status || "").toLowerCase();
+  return s === "cancelled" || s === "completed" || s === "no_show";
+}
+
+// PUBLIC_INTERFACE
+export function seatingWarnings(candidate, { tables = [], reservations = [], rules } = {}) {
+  /**
+   * Non-blocking warnings for a reservation's table assignment.
+   * - capacity: party size exceeds the combined capacity of the assigned tables
+   * - double_booked: an assigned table is held by another active reservation in an overlapping window
+   * @param {Object} candidate - reservation (or form payload) with size, time and table ids
+   * @param {{ tables?: Object[], reservations?: Object[], rules?: Object[] }} context
+   * @returns {Array<{ type: "capacity"|"double_booked", message: string, tableId?: string }>}
+   */
+  const ids = reservationTableIds(candidate);
+  if (ids.length === 0) return [];
+
+  const byId = new Map(tables.map((t) => [tableIdOf(t), t]));
+  const warnings = [];
+
+  const size = Number(candidate.size || candidate.partySize) || 0;
+  const capacity = ids.reduce((sum, id) => sum + (Number(byId.get(id)?.capacity) || 0), 0);
+  if (size > 0 && capacity > 0 && size > capacity) {
+    warnings.push({
+      type: "capacity",
+      message: `Party of ${size} exceeds assigned capacity of ${capacity}`,
+    });
+  }
+
+  const window = reservationWindow(candidate, rules);
+  if (window) {
+    ids.forEach((id) => {
+      const clash = reservations.find((other) => {
+        if (other === candidate || isInactive(other)) return false;
+        if (sameReservationId(other, reservationIdOf(candidate))) return false;
+        if (!reservationTableIds(other).includes(id)) return false;
+        const w = reservationWindow(other, rules);
+        return !!w && windowsOverlap(window, w);
+      });
+      if (clash) {
+        const name = byId.get(id)?.name || `Table ${id}`;
+        const guest = clash.guestName || clash.name || "another reservation";
+        warnings.push({
+          type: "double_booked",
+          tableId: id,
+          message: `${name} is already booked for ${guest} at an overlapping time`,
+        });
+      }
+    });
+  }
+
+  return warnings;
+}
+
+// PUBLIC_INTERFACE
+export function freeTables(candidate, { tables = [], reservations = [], rules } = {}) {
+  /**
+   * Tables not held by any other active reservation during the candidate's window.
+   * @returns {Object[]} subset of `tables` (all of them when the candidate has no valid time)
+   */
+  const window = reservationWindow(candidate, rules);
+  if (!window) return tables;
+  const busy = new Set();
+  reservations.forEach((other) => {
+    if (other === candidate || isInactive(other)) return;
+    if (sameReservationId(other, reservationIdOf(candidate))) return;
+    const w = reservationWindow(other, rules);
+    if (w && windowsOverlap(window, w)) reservationTableIds(other).forEach((id) => busy.add(id));
+  });
+  return tables.filter((t) => !busy.has(tableIdOf(t)));
+}
+
+// PUBLIC_INTERFACE
+export function peakCovers(candidate, reservations = [], rules) {
+  /**
+   * Highest number of guests seated at once during the candidate's window,
+   * counting the candidate itself and every other active overlapping reservation.
+   * @returns {number}
+   */
+  const window = reservationWindow(candidate, rules);
+  if (!window) return 0;
+
+  const events = [];
+  const add = (w, size) => {
+    const start = Math.max(w.start, window.start);
+    const end = Math.min(w.end, window.end);
+    if (start < end && size > 0) events.push([start, size], [end, -size]);
+  };
+  add(window, Number(candidate.size || candidate.partySize) || 0);
+  reservations.forEach((other) => {
+    if (other === candidate || isInactive(other)) return;
+    if (sameReservationId(other, reservationIdOf(candidate))) return;
+    const w = reservationWindow(other, rules);
+    if (w) add(w, Number(other.size || other.partySize) || 0);
+  });
+
+  // Departures sort before arrivals at the same instant so back-to-back seatings do not stack
+  events.sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+  let seated = 0;
+  let peak = 0;
+  events.forEach(([, delta]) => {
+    seated += delta;
+    peak = Math.max(peak, seated);
+  });
+  return peak;
+}
+
+// PUBLIC_INTERFACE
+export function capacityWarnings(candidate, { reservations = [], maxCovers = 0, rules } = {}) {
+  /**
+   * Warn when seating the candidate would push concurrent covers above the venue capacity.
+   * @returns {Array<{ type: "slot_full", message: string }>}
+   */
+  const limit = Number(maxCovers) || 0;
+  if (limit <= 0) return [];
+  const peak = peakCovers(candidate, reservations, rules);
+  return peak > limit
+    ? [
+        {
+          type: "slot_full",
+          message: `This slot would seat ${peak} guests at once; capacity is ${limit}`,
+        },
+      ]
+    : [];
+}
+
+// PUBLIC_INTERFACE
+export function effectiveMaxCovers(settings, tables = []) {
+  /** Configured max covers, falling back to the total capacity of all tables. */
+  const configured = Number(settings?.maxCovers) || 0;
+  if (configured > 0) return configured;
+  return tables.reduce((sum, t) => sum + (Number(t.capacity) || 0), 0);
+}
+
+// PUBLIC_INTERFACE
+export function tableLabel(table) {
+  /** Human label for a table, e.g. "T4 (4 seats)". */
+  if (!table) return "";
+  const name = table.name || `Table ${tableIdOf(table)}`;
+  return table.capacity ? `${name} (${table.capacity} seats)` : name;
+}
@@ -0,0 +1,72 @@
+import {
+  capacityWarnings,
+  durationFor,
+  peakCovers,
+  reservationTableIds,
+  seatingWarnings,
+} from './seating';
+
+const tables = [
+  { id: 1, name: 'T1', capacity: 2 },
+  { id: 2, name: 'T2', capacity: 4 },
+];
+
+test('reservationTableIds accepts ids, objects and a single tableId', () => {
+  expect(reservationTableIds({ tableIds: [1, '2'] })).toEqual(['1', '2']);
+  expect(reservationTableIds({ tables: [{ id: 3 }] })).toEqual(['3']);
+  expect(reservationTableIds({ tableId: 4 })).toEqual(['4']);
+  expect(reservationTableIds({})).toEqual([]);
+});
+
+test('warns when the party exceeds the assigned capacity', () => {
+  const warnings = seatingWarnings({ size: 7, time: '2030-01-01T19:00:00Z', tableIds: [1, 2] }, { tables });
+  expect(warnings).toEqual([expect.objectContaining({ type: 'capacity' })]);
+});
+
+test('warns about tables held by an overlapping active reservation only', () => {
+  const reservations = [
+    { id: 10, guestName: 'Ada', time: '2030-01-01T18:00:00Z', tableIds: [2] },
+    { id: 11, guestName: 'Bob', time: '2030-01-01T19:00:00Z', tableIds: [2], status: 'cancelled' },
+    { id: 12, guestName: 'Cy', time: '2030-01-01T21:00:00Z', tableIds: [2] },
+  ];
+  const warnings = seatingWarnings(
+    { id: 20, size: 2, time: '2030-01-01T19:00:00Z', tableIds: [2] },
+    { tables, reservations }
+  );
+  expect(warnings).toHaveLength(1);
+  expect(warnings[0]).toMatchObject({ type: 'double_booked', tableId: '2' });
+  expect(warnings[0].message).toContain('Ada');
+});
+
+test('a reservation never conflicts with itself', () => {
+  const self = { id: 10, size: 2, time: '2030-01-01T18:00:00Z', tableIds: [1] };
+  expect(seatingWarnings({ ...self }, { tables, reservations: [self] })).toEqual([]);
+});
+
+test('durationFor picks the first bracket covering the party size', () => {
+  const rules = [
+    { maxSize: 2, minutes: 90 },
+    { maxSize: 6, minutes: 120 },
+    { maxSize: null, minutes: 180 },
+  ];
+  expect(durationFor(2, rules)).toBe(90);
+  expect(durationFor(5, rules)).toBe(120);
+  expect(durationFor(12, rules)).toBe(180);
+  expect(durationFor(3, [])).toBe(90);
+});
+
+test('counts concurrent covers and warns when a slot exceeds capacity', () => {
+  const rules = [{ maxSize: null, minutes: 60 }];
+  const reservations = [
+    { id: 1, size: 4, time: '2030-01-01T18:00:00Z' },
+    { id: 2, size: 4, time: '2030-01-01T18:30:00Z' },
+    // back-to-back with the first seating: does not stack on top of it
+    { id: 3, size: 6, time: '2030-01-01T19:00:00Z', durationMinutes: 30 },
+  ];
+  const candidate = { size: 3, time: '2030-01-01T18:45:00Z' };
+  expect(peakCovers(candidate, reservations, rules)).toBe(13);
+  expect(capacityWarnings(candidate, { reservations, maxCovers: 12, rules })).toEqual([
+    expect.objectContaining({ type: 'slot_full' }),
+  ]);
+  expect(capacityWarnings(candidate, { reservations, maxCovers: 0, rules })).toEqual([]);
+});
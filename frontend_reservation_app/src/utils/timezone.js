@@ -0,0 +1,216 @@
+//
+// Venue time zone
+// - The venue's IANA zone (from settings) versus the zone of the device running the app
+// - "Zoned" dates: a Date whose local fields (getHours, getDate, ...) read as the venue's wall
+//   clock, so existing local-time display, datetime-local inputs and day grids show venue time
+//   whatever the browser zone is. Convert with toZonedTime on the way in and fromZonedTime on
+//   the way out (DST-correct in the venue zone).
+// - Reservation rows and payloads: the time fields converted in one place at the API boundary
+//
+
+// Fields holding reservation instants (rows use the first one present)
+const TIME_FIELDS = ["time", "when", "datetime", "recurrenceId"];
+
+const HOUR = 60 * 60 * 1000;
+
+const formatters = new Map();
+
+function formatterFor(timeZone) {
+  let fmt = formatters.get(timeZone);
+  if (!fmt) {
+    fmt = new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    });
+    formatters.set(timeZone, fmt);
+  }
+  return fmt;
+}
+
+/** Wall-clock fields of an instant in `timeZone`. */
+function wallClock(date, timeZone) {
+  const parts = {};
+  formatterFor(timeZone)
+    .formatToParts(date)
+    .forEach((p) => {
+      if (p.type !== "literal") parts[p.type] = Number(p.value);
+    });
+  return parts;
+}
+
+// PUBLIC_INTERFACE
+export function browserTimeZone() {
+  /** IANA zone of the device running the app ("UTC" when the platform does not say). */
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+  } catch {
+    return "UTC";
+  }
+}
+
+// PUBLIC_INTERFACE
+export function isValidTimeZone(timeZone) {
+  /** True for an IANA zone name the platform knows, e.g. "Europe/Paris". */
+  if (!timeZone || typeof timeZone !== "string") return false;
+  try {
+    formatterFor(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// PUBLIC_INTERFACE
+export function venueTimeZone(settings) {
+  /** The venue's configured zone, or the browser's when unset or unknown. */
+  const zone = settings?.timeZone;
+  return isValidTimeZone(zone) ? zone : browserTimeZone();
+}
+
+// PUBLIC_INTERFACE
+export function timeZoneOptions() {
+  /** Zone names offered by the settings picker (the platform list when available). */
+  try {
+    if (typeof Intl.supportedValuesOf === "function") return Intl.supportedValuesOf("timeZone");
+  } catch {
+    /* fall through */
+  }
+  return [browserTimeZone(), "UTC"];
+}
+
+// PUBLIC_INTERFACE
+export function zoneOffset(date, timeZone) {
+  /**
+   * Minutes `timeZone` is ahead of UTC at the given instant (e.g. 60 for Paris in winter).
+   * @param {Date|string|number} date
+   * @param {string} timeZone
+   * @returns {number}
+   */
+  const d = new Date(date);
+  if (isNaN(d.getTime())) return 0;
+  const p = wallClock(d, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return Math.round((asUtc - (d.getTime() - d.getMilliseconds())) / 60000);
+}
+
+// PUBLIC_INTERFACE
+export function formatOffset(minutes) {
+  /** "UTC+5:30", "UTC-4", "UTC" for an offset in minutes. */
+  if (!minutes) return "UTC";
+  const sign = minutes > 0 ? "+" : "-";
+  const abs = Math.abs(minutes);
+  const mins = abs % 60;
+  return `UTC${sign}${Math.floor(abs / 60)}${mins ? `:${String(mins).padStart(2, "0")}` : ""}`;
+}
+
+// PUBLIC_INTERFACE
+export function toZonedTime(date, timeZone) {
+  /**
+   * A Date whose local fields show the wall clock of `timeZone` at the given instant.
+   * Invalid input comes back as an invalid Date; in the browser's own zone it is a copy.
+   * A wall clock the browser's zone skips (its own DST gap) cannot be held in local fields: it
+   * moves forward by the gap like in fromZonedTime, whatever the engine's Date constructor does.
+   */
+  const d = new Date(date);
+  if (isNaN(d.getTime()) || !timeZone || timeZone === browserTimeZone()) return d;
+  const p = wallClock(d, timeZone);
+  const wall = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return new Date(instantAt(wall + d.getMilliseconds(), browserTimeZone()));
+}
+
+// PUBLIC_INTERFACE
+export function fromZonedTime(date, timeZone) {
+  /**
+   * The instant at which `timeZone` shows the wall clock held in the local fields of `date`
+   * (inverse of toZonedTime). A time skipped by a DST change moves forward by the gap
+   * (02:30 -> 03:30); a time that happens twice resolves to the first one.
+   */
+  const d = new Date(date);
+  if (isNaN(d.getTime()) || !timeZone || timeZone === browserTimeZone()) return d;
+  const wall = Date.UTC(
+    d.getFullYear(),
+    d.getMonth(),
+    d.getDate(),
+    d.getHours(),
+    d.getMinutes(),
+    d.getSeconds(),
+    d.getMilliseconds()
+  );
+  return new Date(instantAt(wall, timeZone));
+}
+
+/**
+ * Epoch ms at which `timeZone` shows the wall clock `wall` (given as if it were UTC). A skipped
+ * wall time moves forward by the gap; a repeated one resolves to its first occurrence.
+ */
+function instantAt(wall, timeZone) {
+  // The offsets in force either side of any transition near this wall time
+  const before = zoneOffset(wall - 24 * HOUR, timeZone);
+  const after = zoneOffset(wall + 24 * HOUR, timeZone);
+  const matches = [before, after]
+    .map((offset) => wall - offset * 60000)
+    .filter((t) => (wall - t) / 60000 === zoneOffset(t, timeZone))
+    .sort((a, b) => a - b);
+  return matches.length > 0 ? matches[0] : wall - before * 60000;
+}
+
+// PUBLIC_INTERFACE
+export function zonedNow(timeZone, now = new Date()) {
+  /** The current venue wall clock as a zoned Date. */
+  return toZonedTime(now, timeZone);
+}
+
+// PUBLIC_INTERFACE
+export function formatInTimeZone(date, timeZone, options) {
+  /**
+   * Locale string of a real instant (e.g. a status change or SMS timestamp) as seen in
+   * `timeZone`. Not for zoned dates, which already read as venue time.
+   */
+  const d = new Date(date);
+  if (isNaN(d.getTime())) return "";
+  return d.toLocaleString([], { ...options, timeZone });
+}
+
+function convertFields(record, convert) {
+  if (!record || typeof record !== "object") return record;
+  const out = { ...record };
+  TIME_FIELDS.forEach((field) => {
+    if (out[field]) {
+      const d = convert(out[field]);
+      if (!isNaN(d.getTime())) out[field] = d.toISOString();
+    }
+  });
+  if (Array.isArray(out.exdates)) {
+    out.exdates = out.exdates.map((x) => {
+      const d = convert(x);
+      return isNaN(d.getTime()) ? x : d.toISOString();
+    });
+  }
+  return out;
+}
+
+// PUBLIC_INTERFACE
+export function toZonedReservation(reservation, timeZone) {
+  /** A reservation from the API with its times (time, recurrenceId, exdates) zoned. */
+  return convertFields(reservation, (v) => toZonedTime(v, timeZone));
+}
+
+// PUBLIC_INTERFACE
+export function fromZonedReservation(payload, timeZone) {
+  /** A create/update payload with its zoned times turned back into real instants. */
+  return convertFields(payload, (v) => fromZonedTime(v, timeZone));
+}
+
+// PUBLIC_INTERFACE
+export function toZonedRows(reservations, timeZone) {
+  /** toZonedReservation over a list; the same array comes back when zones already agree. */
+  const list = Array.isArray(reservations) ? reservations : [];
+  if (!timeZone || timeZone === browserTimeZone()) return list;
+  return list.map((r) => toZonedReservation(r, timeZone));
+}
@@ -0,0 +1,59 @@
+import {
+  formatOffset,
+  fromZonedReservation,
+  fromZonedTime,
+  toZonedRows,
+  toZonedTime,
+  venueTimeZone,
+  zoneOffset,
+} from './timezone';
+
+const iso = (d) => d.toISOString();
+
+test('zoned dates read as the venue wall clock and convert back', () => {
+  const zoned = toZonedTime('2030-07-01T17:00:00Z', 'Europe/Paris');
+  expect([zoned.getDate(), zoned.getHours(), zoned.getMinutes()]).toEqual([1, 19, 0]);
+  expect(iso(fromZonedTime(zoned, 'Europe/Paris'))).toBe('2030-07-01T17:00:00.000Z');
+
+  // Same wall clock, different offset once the clocks have gone back
+  expect(iso(fromZonedTime(new Date(2030, 11, 1, 19), 'Europe/Paris'))).toBe(
+    '2030-12-01T18:00:00.000Z'
+  );
+  expect(zoneOffset('2030-07-01T12:00:00Z', 'America/New_York')).toBe(-240);
+});
+
+test('DST gaps move forward and repeated hours resolve to the first one', () => {
+  // 02:30 does not exist in New York on 2030-03-10
+  expect(iso(fromZonedTime(new Date(2030, 2, 10, 2, 30), 'America/New_York'))).toBe(
+    '2030-03-10T07:30:00.000Z'
+  );
+  // 01:30 happens twice on 2030-11-03 (EDT, then EST)
+  expect(iso(fromZonedTime(new Date(2030, 10, 3, 1, 30), 'America/New_York'))).toBe(
+    '2030-11-03T05:30:00.000Z'
+  );
+  expect(iso(fromZonedTime(new Date(2030, 9, 27, 2, 30), 'Europe/Paris'))).toBe(
+    '2030-10-27T00:30:00.000Z'
+  );
+});
+
+test('reservation rows and payloads convert their time fields', () => {
+  const row = {
+    id: 1,
+    time: '2030-01-10T18:00:00.000Z',
+    recurrenceId: '2030-01-10T18:00:00.000Z',
+    exdates: ['2030-01-17T18:00:00.000Z'],
+    guestName: 'Ada',
+  };
+  const [zoned] = toZonedRows([row], 'Asia/Tokyo');
+  expect(new Date(zoned.time).getHours()).toBe(3);
+  expect(new Date(zoned.exdates[0]).getDate()).toBe(18);
+  expect(fromZonedReservation(zoned, 'Asia/Tokyo')).toEqual(row);
+});
+
+test('venue zone falls back to the browser and offsets are labelled', () => {
+  expect(venueTimeZone({ timeZone: 'Europe/Paris' })).toBe('Europe/Paris');
+  expect(venueTimeZone({ timeZone: 'Mars/Olympus' })).toBe(venueTimeZone({}));
+  expect(formatOffset(60)).toBe('UTC+1');
+  expect(formatOffset(-270)).toBe('UTC-4:30');
+  expect(formatOffset(0)).toBe('UTC');
+});
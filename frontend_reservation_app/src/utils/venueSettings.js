@@ -0,0 +1,110 @@
+//
+// Venue settings store
+// - Operational configuration edited from the Settings page
+//   (durations, capacity, booking slots, opening hours, calendar week start, time zone)
+// - Persisted in localStorage (like local feature toggles) and shared across components
+// - Settings every device must agree on (SHARED_VENUE_SETTINGS) are stored on the server; the
+//   copy here is a cache (see hooks/useVenueSettings)
+//
+
+const STORAGE_KEY = "venue_settings";
+
+// PUBLIC_INTERFACE
+export const DEFAULT_VENUE_SETTINGS = {
+  // Default seating length by party size: first rule whose maxSize >= size wins
+  durationRules: [
+    { maxSize: 2, minutes: 90 },
+    { maxSize: 4, minutes: 120 },
+    { maxSize: 8, minutes: 150 },
+    { maxSize: null, minutes: 180 },
+  ],
+  // Maximum guests seated at the same time; 0 means "use total table capacity"
+  maxCovers: 0,
+  // Spacing between bookable start times offered by the slot finder
+  slotIntervalMinutes: 30,
+  // First day of the week in calendar views (0 = Sunday ... 6 = Saturday)
+  weekStartsOn: 1,
+  // IANA zone reservations are shown and entered in; empty means the browser's zone
+  timeZone: "",
+};
+
+// PUBLIC_INTERFACE
+// Keys stored on the server rather than per device: staff on different devices must see and
+// enter reservations in the same zone, book against the same opening hours (dated closures
+// are part of `openingHours`), get the same table-conflict and covers checks and be offered the
+// same booking slots
+export const SHARED_VENUE_SETTINGS = [
+  "timeZone",
+  "openingHours",
+  "durationRules",
+  "maxCovers",
+  "slotIntervalMinutes",
+];
+
+let current = load();
+const listeners = new Set();
+
+function load() {
+  try {
+    const raw = typeof localStorage !== "undefined" ? localStorage.getItem(STORAGE_KEY) : null;
+    const parsed = raw ? JSON.parse(raw) : null;
+    return parsed && typeof parsed === "object"
+      ? { ...DEFAULT_VENUE_SETTINGS, ...parsed }
+      : DEFAULT_VENUE_SETTINGS;
+  } catch {
+    return DEFAULT_VENUE_SETTINGS;
+  }
+}
+
+// PUBLIC_INTERFACE
+export function getVenueSettings() {
+  /** Returns the current venue settings (stable reference until updated). */
+  return current;
+}
+
+// PUBLIC_INTERFACE
+export function updateVenueSettings(patch) {
+  /**
+   * Merge a partial update into the venue settings, persist it and notify subscribers.
+   * @param {Object} patch - top-level keys to replace
+   * @returns {Object} the new settings
+   */
+  current = { ...current, ...patch };
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(current));
+  } catch {
+    /* ignore storage errors */
+  }
+  listeners.forEach((fn) => {
+    try {
+      fn(current);
+    } catch {
+      // ignore listener failures
+    }
+  });
+  return current;
+}
+
+// PUBLIC_INTERFACE
+export function sharedVenueSettings(settings) {
+  /**
+   * The shared keys (SHARED_VENUE_SETTINGS) present in `settings`.
+   * @returns {Object}
+   */
+  const out = {};
+  SHARED_VENUE_SETTINGS.forEach((key) => {
+    if (settings && settings[key] !== undefined) out[key] = settings[key];
+  });
+  return out;
+}
+
+// PUBLIC_INTERFACE
+export function subscribeVenueSettings(listener) {
+  /**
+   * Subscribe to settings changes.
+   * @param {(settings: Object) => void} listener
+   * @returns {() => void} unsubscribe
+   */
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
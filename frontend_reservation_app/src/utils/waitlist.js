@@ -0,0 +1,94 @@
+//
+// Waitlist helpers
+// - Queue ordering and elapsed/quoted wait bookkeeping for walk-in parties
+// - Quote suggestions from the same availability rules used for bookings
+//
+
+import { checkSlot } from "./availability";
+
+// Statuses of parties still in the queue
+export const ACTIVE_WAITLIST_STATUSES = ["waiting", "notified"];
+
+const MINUTE_MS = 60 * 1000;
+
+// PUBLIC_INTERFACE
+export function entryIdOf(entry) {
+  /** Resolve an entry identifier as a string. */
+  const id = entry?.id ?? entry?._id ?? entry?.uuid;
+  return id === undefined || id === null ? "" : String(id);
+}
+
+function addedAt(entry) {
+  const t = new Date(entry?.createdAt || entry?.addedAt || entry?.created_at).getTime();
+  return Number.isFinite(t) ? t : null;
+}
+
+// PUBLIC_INTERFACE
+export function isWaiting(entry) {
+  /** True while the party is still queued (waiting or notified). */
+  return ACTIVE_WAITLIST_STATUSES.includes(String(entry?.status || "waiting").toLowerCase());
+}
+
+// PUBLIC_INTERFACE
+export function sortQueue(entries = []) {
+  /**
+   * Queued entries in line order: explicit `position` first, then arrival time.
+   * @returns {Object[]}
+   */
+  const rank = (e) => (Number.isFinite(Number(e?.position)) ? Number(e.position) : Infinity);
+  return entries
+    .filter(isWaiting)
+    .sort((a, b) => rank(a) - rank(b) || (addedAt(a) ?? 0) - (addedAt(b) ?? 0));
+}
+
+// PUBLIC_INTERFACE
+export function moveInQueue(queue, id, delta) {
+  /**
+   * Move an entry up (negative delta) or down within the ordered queue.
+   * @returns {Object[]} new array with `position` renumbered from 1 (unchanged input when out of range)
+   */
+  const from = queue.findIndex((e) => entryIdOf(e) === String(id));
+  const to = from + delta;
+  if (from < 0 || to < 0 || to >= queue.length) return queue;
+  const next = [...queue];
+  const [moved] = next.splice(from, 1);
+  next.splice(to, 0, moved);
+  return next.map((e, i) => ({ ...e, position: i + 1 }));
+}
+
+// PUBLIC_INTERFACE
+export function waitedMinutes(entry, now = Date.now()) {
+  /** Whole minutes since the party joined the queue (0 when unknown). */
+  const t = addedAt(entry);
+  return t === null ? 0 : Math.max(0, Math.floor((now - t) / MINUTE_MS));
+}
+
+// PUBLIC_INTERFACE
+export function isOverdue(entry, now = Date.now()) {
+  /** True when the party has waited longer than quoted. */
+  const quoted = Number(entry?.quotedMinutes);
+  return quoted > 0 && waitedMinutes(entry, now) > quoted;
+}
+
+// PUBLIC_INTERFACE
+export function suggestQuote(
+  { size, ahead = 0, tables = [], reservations = [], maxCovers = 0, rules, now = new Date() },
+  { stepMinutes = 5, horizonMinutes = 240, perPartyAheadMinutes = 10 } = {}
+) {
+  /**
+   * Suggested wait (minutes, rounded up to 5) for a walk-in: time until a table/capacity frees
+   * up for the party, plus a buffer for each party already ahead in line.
+   * @returns {number|null} null when nothing frees up within the horizon
+   */
+  let free = null;
+  for (let m = 0; m <= horizonMinutes; m += stepMinutes) {
+    const time = new Date(now.getTime() + m * MINUTE_MS).toISOString();
+    if (checkSlot({ size, time }, { tables, reservations, maxCovers, rules }).available) {
+      free = m;
+      break;
+    }
+  }
+  if (free === null) return null;
+  const minutes = free + ahead * perPartyAheadMinutes;
+  return Math.max(5, Math.ceil(minutes / 5) * 5);
+}
@@ -0,0 +1,39 @@
+import { isOverdue, moveInQueue, sortQueue, suggestQuote, waitedMinutes } from './waitlist';
+
+const at = (h, m = 0) => new Date(2030, 0, 1, h, m);
+
+test('sortQueue keeps queued entries in position, then arrival order', () => {
+  const entries = [
+    { id: 'a', createdAt: at(18, 10).toISOString() },
+    { id: 'b', position: 1, createdAt: at(18, 20).toISOString() },
+    { id: 'c', status: 'seated', position: 0 },
+    { id: 'd', createdAt: at(18, 0).toISOString(), status: 'notified' },
+  ];
+  expect(sortQueue(entries).map((e) => e.id)).toEqual(['b', 'd', 'a']);
+});
+
+test('moveInQueue swaps neighbours and renumbers positions', () => {
+  const queue = [{ id: 1 }, { id: 2 }, { id: 3 }];
+  expect(moveInQueue(queue, 3, -1).map((e) => [e.id, e.position])).toEqual([
+    [1, 1],
+    [3, 2],
+    [2, 3],
+  ]);
+  expect(moveInQueue(queue, 1, -1)).toBe(queue);
+});
+
+test('tracks waited time against the quote', () => {
+  const entry = { createdAt: at(18).toISOString(), quotedMinutes: 20 };
+  expect(waitedMinutes(entry, at(18, 15).getTime())).toBe(15);
+  expect(isOverdue(entry, at(18, 15).getTime())).toBe(false);
+  expect(isOverdue(entry, at(18, 25).getTime())).toBe(true);
+});
+
+test('suggestQuote waits for a table to free up plus a buffer per party ahead', () => {
+  const tables = [{ id: 1, capacity: 4 }];
+  const reservations = [{ id: 9, size: 4, time: at(18).toISOString(), tableIds: [1], durationMinutes: 60 }];
+  expect(suggestQuote({ size: 2, tables, reservations, now: at(18, 32) })).toBe(30);
+  expect(suggestQuote({ size: 2, ahead: 2, tables, reservations, now: at(18, 32) })).toBe(50);
+  expect(suggestQuote({ size: 6, tables, reservations, now: at(18, 32) })).toBeNull();
+  expect(suggestQuote({ size: 2, tables, reservations: [], now: at(18, 32) })).toBe(5);
+});
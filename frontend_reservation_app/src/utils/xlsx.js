@@ -0,0 +1,169 @@
+//
+// XLSX reading
+// - Cells of one worksheet as rows of strings, enough to import a spreadsheet export
+// - Reads the zip container directly: stored entries as they are, deflated entries through the
+//   browser's DecompressionStream, so no spreadsheet library is bundled
+// - Values come back as written in the file: numbers (including dates, which are day serials)
+//   as their decimal text, booleans as "TRUE"/"FALSE", formulas as their cached result
+//
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+
+// PUBLIC_INTERFACE
+export function isXlsxFile(file) {
+  /** True for .xlsx files (by extension or MIME type). */
+  const name = String(file?.name || "").toLowerCase();
+  return (
+    name.endsWith(".xlsx") ||
+    file?.type === "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+  );
+}
+
+// PUBLIC_INTERFACE
+export async function readXlsx(data) {
+  /**
+   * Rows of the workbook's first worksheet.
+   * @param {ArrayBuffer|Uint8Array} data - file contents
+   * @returns {Promise<string[][]>} rows with empty cells filled in; fully empty rows dropped
+   * @throws {Error} when the data is not an .xlsx workbook
+   */
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  const entries = zipEntries(bytes);
+  const text = async (path) => {
+    const entry = entries.get(path);
+    return entry ? new TextDecoder().decode(await entryData(bytes, entry)) : null;
+  };
+
+  const sheetPath = await firstSheetPath(text);
+  const sheetXml = sheetPath && (await text(sheetPath));
+  if (!sheetXml) throw new Error("The workbook has no worksheet");
+  const shared = sharedStrings(await text("xl/sharedStrings.xml"));
+  return sheetRows(sheetXml, shared);
+}
+
+/** Central directory records by path. */
+function zipEntries(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let eocd = -1;
+  // The end record sits in the last 22 bytes plus an optional comment of up to 64 KiB
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i -= 1) {
+    if (view.getUint32(i, true) === EOCD_SIGNATURE) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) throw new Error("Not an Excel (.xlsx) file");
+
+  const count = view.getUint16(eocd + 10, true);
+  let offset = view.getUint32(eocd + 16, true);
+  const entries = new Map();
+  for (let n = 0; n < count; n += 1) {
+    if (view.getUint32(offset, true) !== CENTRAL_SIGNATURE) break;
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const name = new TextDecoder().decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+    entries.set(name.replace(/^\//, ""), {
+      method: view.getUint16(offset + 10, true),
+      compressedSize: view.getUint32(offset + 20, true),
+      localOffset: view.getUint32(offset + 42, true),
+    });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+async function entryData(bytes, entry) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const at = entry.localOffset;
+  if (view.getUint32(at, true) !== LOCAL_SIGNATURE) throw new Error("Corrupt .xlsx file");
+  const start = at + 30 + view.getUint16(at + 26, true) + view.getUint16(at + 28, true);
+  const raw = bytes.subarray(start, start + entry.compressedSize);
+  if (entry.method === 0) return raw;
+  if (entry.method !== 8) throw new Error("Unsupported compression in .xlsx file");
+  if (typeof DecompressionStream === "undefined") {
+    throw new Error("This browser cannot read .xlsx files; save the sheet as CSV instead");
+  }
+  const stream = new Blob([raw]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/** Path of the first sheet in workbook order, falling back to the conventional name. */
+async function firstSheetPath(text) {
+  const fallback = "xl/worksheets/sheet1.xml";
+  const workbook = parseXml(await text("xl/workbook.xml"));
+  const rels = parseXml(await text("xl/_rels/workbook.xml.rels"));
+  const sheet = workbook && byTag(workbook, "sheet")[0];
+  if (!sheet || !rels) return fallback;
+  const relId = Array.from(sheet.attributes).find((a) => a.localName === "id")?.value;
+  const rel = byTag(rels, "Relationship").find((el) => el.getAttribute("Id") === relId);
+  const target = rel?.getAttribute("Target");
+  if (!target) return fallback;
+  return target.startsWith("/") ? target.slice(1) : `xl/${target.replace(/^\.\//, "")}`;
+}
+
+function sharedStrings(xml) {
+  const doc = parseXml(xml);
+  if (!doc) return [];
+  return byTag(doc, "si").map(itemText);
+}
+
+function sheetRows(xml, shared) {
+  const doc = parseXml(xml);
+  if (!doc) throw new Error("Corrupt .xlsx file");
+  const rows = [];
+  byTag(doc, "row").forEach((rowEl, index) => {
+    const rowNumber = Number(rowEl.getAttribute("r")) || index + 1;
+    const cells = [];
+    byTag(rowEl, "c").forEach((cell) => {
+      const ref = cell.getAttribute("r");
+      const col = ref ? columnIndex(ref) : cells.length;
+      while (cells.length < col) cells.push("");
+      cells[col] = cellValue(cell, shared);
+    });
+    if (cells.some((v) => v !== "")) rows[rowNumber - 1] = cells;
+  });
+  const width = rows.reduce((max, r) => Math.max(max, r ? r.length : 0), 0);
+  return rows
+    .filter(Boolean)
+    .map((r) => (r.length < width ? [...r, ...new Array(width - r.length).fill("")] : r));
+}
+
+function cellValue(cell, shared) {
+  const type = cell.getAttribute("t");
+  const v = byTag(cell, "v")[0]?.textContent ?? "";
+  if (type === "s") return shared[Number(v)] ?? "";
+  if (type === "inlineStr") {
+    const is = byTag(cell, "is")[0];
+    return is ? itemText(is) : "";
+  }
+  if (type === "b") return v === "1" ? "TRUE" : "FALSE";
+  return v;
+}
+
+/** Text of a string item: plain <t> or rich-text runs, without phonetic hints. */
+function itemText(el) {
+  return byTag(el, "t")
+    .filter((t) => t.parentNode?.localName !== "rPh")
+    .map((t) => t.textContent)
+    .join("");
+}
+
+/** "C12" -> 2 */
+function columnIndex(ref) {
+  const letters = /^[A-Z]+/i.exec(ref)?.[0].toUpperCase() || "A";
+  return [...letters].reduce((n, ch) => n * 26 + ch.charCodeAt(0) - 64, 0) - 1;
+}
+
+function parseXml(xml) {
+  if (!xml) return null;
+  const doc = new DOMParser().parseFromString(xml, "application/xml");
+  return byTag(doc, "parsererror").length > 0 ? null : doc;
+}
+
+// Spreadsheet XML may use a default or a prefixed namespace
+function byTag(node, name) {
+  return Array.from(node.getElementsByTagNameNS("*", name));
+}
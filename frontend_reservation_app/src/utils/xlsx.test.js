@@ -0,0 +1,82 @@
+import { TextDecoder, TextEncoder } from 'util';
+import { readXlsx } from './xlsx';
+
+beforeAll(() => {
+  global.TextDecoder = global.TextDecoder || TextDecoder;
+});
+
+// Minimal zip with stored (uncompressed) entries
+function storedZip(files) {
+  const encoder = new TextEncoder();
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  Object.entries(files).forEach(([name, content]) => {
+    const nameBytes = encoder.encode(name);
+    const data = encoder.encode(content);
+    const local = new Uint8Array(30 + nameBytes.length + data.length);
+    const lv = new DataView(local.buffer);
+    lv.setUint32(0, 0x04034b50, true);
+    lv.setUint32(18, data.length, true);
+    lv.setUint32(22, data.length, true);
+    lv.setUint16(26, nameBytes.length, true);
+    local.set(nameBytes, 30);
+    local.set(data, 30 + nameBytes.length);
+    const central = new Uint8Array(46 + nameBytes.length);
+    const cv = new DataView(central.buffer);
+    cv.setUint32(0, 0x02014b50, true);
+    cv.setUint32(20, data.length, true);
+    cv.setUint32(24, data.length, true);
+    cv.setUint16(28, nameBytes.length, true);
+    cv.setUint32(42, offset, true);
+    central.set(nameBytes, 46);
+    locals.push(local);
+    centrals.push(central);
+    offset += local.length;
+  });
+  const centralSize = centrals.reduce((n, c) => n + c.length, 0);
+  const end = new Uint8Array(22);
+  const ev = new DataView(end.buffer);
+  ev.setUint32(0, 0x06054b50, true);
+  ev.setUint16(8, centrals.length, true);
+  ev.setUint16(10, centrals.length, true);
+  ev.setUint32(12, centralSize, true);
+  ev.setUint32(16, offset, true);
+  const out = new Uint8Array(offset + centralSize + 22);
+  let at = 0;
+  [...locals, ...centrals, end].forEach((part) => {
+    out.set(part, at);
+    at += part.length;
+  });
+  return out;
+}
+
+const NS = 'xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"';
+const REL_NS = 'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"';
+
+test('reads the first sheet with shared, inline and numeric cells', async () => {
+  const zip = storedZip({
+    'xl/workbook.xml': `<workbook ${NS} ${REL_NS}><sheets>
+      <sheet name="Bookings" sheetId="1" r:id="rId2"/></sheets></workbook>`,
+    'xl/_rels/workbook.xml.rels':
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      '<Relationship Id="rId2" Target="worksheets/bookings.xml"/></Relationships>',
+    'xl/sharedStrings.xml': `<sst ${NS}><si><t>Name</t></si><si><t>Size</t></si>
+      <si><r><t>Ada </t></r><r><t>Lovelace</t></r></si></sst>`,
+    'xl/worksheets/bookings.xml': `<worksheet ${NS}><sheetData>
+      <row r="1"><c r="A1" t="s"><v>0</v></c><c r="C1" t="s"><v>1</v></c></row>
+      <row r="3"><c r="A3" t="s"><v>2</v></c><c r="B3" t="inlineStr"><is><t>VIP</t></is></c>
+        <c r="C3"><v>4</v></c></row>
+    </sheetData></worksheet>`,
+  });
+  await expect(readXlsx(zip.buffer)).resolves.toEqual([
+    ['Name', '', 'Size'],
+    ['Ada Lovelace', 'VIP', '4'],
+  ]);
+});
+
+test('rejects files that are not workbooks', async () => {
+  await expect(readXlsx(new TextEncoder().encode('name,size\nAda,4'))).rejects.toThrow(
+    /xlsx/
+  );
+});